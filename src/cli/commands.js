@@ -2,127 +2,883 @@
  * Command Implementations
  *
  * Contains the implementation for the 'audit' command and other CLI commands.
- * Orchestrates the workflow: CSV reading -> Lighthouse execution -> Report generation.
+ * Orchestrates the workflow: URL source reading (CSV or sitemap) -> Lighthouse execution -> Report generation.
  */
 
 import { existsSync } from 'fs';
-import { resolve } from 'path';
-import { readCsv } from '../services/csv-reader.js';
+import { resolve, join } from 'path';
+import { createInterface } from 'readline/promises';
+import { readCsv, writeUrlsCsv } from '../services/csv-reader.js';
+import { isSitemapSource, readSitemap, selectUrls } from '../services/sitemap-reader.js';
+import { crawlSite } from '../services/crawler.js';
+import { parseHeaders, loadCookies, validateLoginScript } from '../services/authentication.js';
 import { runLighthouseAudit } from '../services/lighthouse-runner.js';
+import { validateLighthouseConfigPath, loadLighthouseConfig } from '../services/lighthouse-config.js';
+import { createWorkerPool } from '../services/worker-pool.js';
+import { createRunId, loadCheckpoint } from '../services/checkpoint.js';
+import {
+  getRunDirectories,
+  getManifestOptions,
+  createRunManifest,
+  completeRunManifest,
+  saveRunManifest,
+  loadRunManifest,
+  listRuns,
+  resolveRunDirectory,
+  RUN_MANIFEST_FILENAME
+} from '../services/run-manifest.js';
+import { buildInitConfig, writeInitFiles, INIT_FORMATS, STARTER_URLS } from '../services/project-init.js';
 import { orchestrateAudits, validateUrls } from '../services/audit-orchestrator.js';
-import { logInfo, logWarning, logSummary } from '../lib/logger.js';
+import { compareRuns, formatComparisonText, getComparisonCounts } from '../services/run-comparator.js';
+import { generateAndSaveComparisonReport } from '../services/comparison-report.js';
+import { loadTrendSeries } from '../services/trend-analyzer.js';
+import { generateAndSaveTrendReports, TRENDS_SUBDIR } from '../services/trend-report.js';
+import { planFilenameMigration, applyFilenameMigration } from '../services/filename-migration.js';
+import { importAuditData, loadAuditDataBatch } from '../services/data-storage.js';
+import { EXPORT_FORMATS, recordToRow, resultsToRows, saveExport } from '../services/result-export.js';
+import { saveJUnitReport } from '../services/junit-report.js';
+import { generateTimestamp } from '../lib/file-namer.js';
+import { getDatabasePath, openDatabase, closeDatabase } from '../services/sqlite-storage.js';
+import { createConfig, parseCliOptions, parseDevices, getConfigSummary, findConfigFile, DEFAULT_CONFIG } from '../models/config.js';
+import { resolveThrottlingProfile } from '../models/throttling.js';
+import { getDeviceNames } from '../models/device.js';
+import { validateBudgetReferences, checkBudgets, countBudgetedAudits } from '../models/budget.js';
+import { getDependencyInfo } from '../lib/dependency-checker.js';
+import { logInfo, logWarning, logSummary, logBudgetViolations, logDeviceComparison, logConfigSummary } from '../lib/logger.js';
 
 /**
- * Validates CLI options
+ * Resolves audit options through the config model (CLI > config file > defaults)
+ * and prepares the derived values the audit pipeline needs
  *
- * @param {Object} options - CLI options to validate
- * @throws {Error} - If validation fails
+ * @param {Object} options - Raw CLI options from Commander.js
+ * @returns {Object} - Effective config plus devices, json flag, resolved throttling profile,
+ *   Lighthouse category/audit selection, and loaded credentials
+ * @throws {Error} - If the config file or any option is invalid
  */
 function validateOptions(options) {
-  // Parse string values to numbers
-  const concurrency = parseInt(options.concurrency, 10);
-  const timeout = parseInt(options.timeout, 10);
-
-  // Validate concurrency (1-10)
-  if (isNaN(concurrency) || concurrency < 1 || concurrency > 10) {
+  let config;
+  try {
+    config = createConfig(parseCliOptions(options), options.config);
+  } catch (error) {
     throw new Error(
-      `Concurrency must be between 1 and 10 (got: ${options.concurrency})\n\n` +
-      `Use: kind-beacon audit urls.csv --concurrency 5`
+      `${error.message}\n\n` +
+      `Set audit options on the command line (see kind-beacon audit --help) or in .kindbeaconrc.json`
     );
   }
 
-  // Validate timeout (> 0)
-  if (isNaN(timeout) || timeout <= 0) {
-    throw new Error(
-      `Timeout must be greater than 0 (got: ${options.timeout})\n\n` +
-      `Use: kind-beacon audit urls.csv --timeout 60`
-    );
+  if (options.verbose) {
+    logConfigSummary(getConfigSummary(config), options.config || findConfigFile());
   }
 
-  // Validate device (mobile or desktop)
-  const device = options.device.toLowerCase();
-  if (device !== 'mobile' && device !== 'desktop') {
-    throw new Error(
-      `Device must be 'mobile' or 'desktop' (got: ${options.device})\n\n` +
-      `Use: kind-beacon audit urls.csv --device mobile`
-    );
-  }
+  const devices = parseDevices(config.device, config.deviceProfiles);
+
+  // Credentials for pages behind login (values are never logged)
+  const auth = {
+    headers: config.headers,
+    cookies: config.cookies ? loadCookies(resolve(config.cookies)) : [],
+    loginScript: config.loginScript ? validateLoginScript(resolve(config.loginScript)) : undefined
+  };
 
   return {
-    ...options,
-    concurrency,
-    timeout,
-    device
+    ...config,
+    device: devices[0],
+    devices,
+    // Choosing the SQLite store means saving data, with or without --json
+    json: config.outputFormats.includes('json') || config.storage === 'sqlite',
+    // Resolved once so workers and checkpoints get plain settings instead of profile names
+    throttling: resolveThrottlingProfile(config.throttling, config.throttlingProfiles, config.throttlingMethod),
+    lighthouseSettings: {
+      categories: config.categories,
+      onlyAudits: config.onlyAudits,
+      skipAudits: config.skipAudits,
+      configPath: config.lighthouseConfig ? validateLighthouseConfigPath(resolve(config.lighthouseConfig)) : null
+    },
+    auth,
+    resume: options.resume
   };
 }
 
+/**
+ * Reads URLs from a CSV file or a sitemap (URL or local file)
+ *
+ * @param {string} source - CSV path, sitemap URL, or sitemap file path
+ * @param {Array<string>} [deviceNames] - Devices a CSV device column may name
+ * @returns {Promise<Object>} - { urls, metadata }
+ */
+async function readUrlSource(source, deviceNames) {
+  if (isSitemapSource(source)) {
+    const local = !/^https?:\/\//i.test(source);
+    const sitemapResult = await readSitemap(local ? resolve(source) : source);
+    logInfo(`Read ${sitemapResult.metadata.totalUrls} URLs from ${sitemapResult.metadata.sitemapsRead} sitemap${sitemapResult.metadata.sitemapsRead === 1 ? '' : 's'}`);
+    return sitemapResult;
+  }
+
+  return await readCsv(resolve(source), { deviceNames });
+}
+
 /**
  * Audit command implementation
  *
- * @param {string} csvPath - Path to CSV file
+ * @param {string} [source] - Path to CSV file, sitemap URL, or path to a sitemap file (omitted with --resume)
  * @param {Object} options - Command options
+ * @param {string} [options.resume] - Run ID of an interrupted run to resume
  */
-export async function auditCommand(csvPath, options) {
+export async function auditCommand(source, options) {
   try {
-    // Validate options
+    if (Boolean(source) === Boolean(options.resume)) {
+      throw new Error(
+        `Specify either a URL source or --resume <run-id>\n\n` +
+        `Use: kind-beacon audit urls.csv\n` +
+        `  or: kind-beacon audit --resume <run-id>`
+      );
+    }
+
+    // Validate options and load the config file (including performance budgets)
     const validatedOptions = validateOptions(options);
+    const { budgets } = validatedOptions;
+
+    if (options.resume) {
+      await resumeAudits(options.resume, validatedOptions, budgets);
+      return;
+    }
 
-    // Check if CSV file exists
-    const absoluteCsvPath = resolve(csvPath);
-    if (!existsSync(absoluteCsvPath)) {
-      console.error(`\nError: CSV file not found: ${csvPath}`);
-      console.error('\nUsage: kind-beacon audit <csv-file>');
+    // Check if the input file exists (remote sitemaps are checked when fetched)
+    const isRemote = /^https?:\/\//i.test(source);
+    if (!isRemote && !existsSync(resolve(source))) {
+      console.error(`\nError: Input file not found: ${source}`);
+      console.error('\nUsage: kind-beacon audit <csv-file | sitemap.xml | sitemap-url>');
       console.error('\nMake sure the file exists and the path is correct.\n');
-      process.exit(3); // Exit code 3: CSV file not found
+      process.exit(3); // Exit code 3: Input file not found
     }
 
-    logInfo(`Reading URLs from ${csvPath}...`);
+    logInfo(`Reading URLs from ${source}...`);
 
-    // Read CSV file
-    const csvResult = await readCsv(absoluteCsvPath);
+    // Read CSV file or sitemap
+    let sourceResult;
+    try {
+      sourceResult = await readUrlSource(source, getDeviceNames(validatedOptions.deviceProfiles));
+    } catch (error) {
+      console.error(`\nError: ${error.message}\n`);
+      process.exit(3); // Exit code 3: Invalid input
+    }
 
-    if (!csvResult.urls || csvResult.urls.length === 0) {
-      console.error('\nError: No valid URLs found in CSV file.');
-      console.error('Make sure the CSV contains URLs starting with http:// or https://\n');
+    if (!sourceResult.urls || sourceResult.urls.length === 0) {
+      console.error(`\nError: No valid URLs found in ${isSitemapSource(source) ? 'sitemap' : 'CSV file'}.`);
+      console.error('Make sure the input contains URLs starting with http:// or https://\n');
       process.exit(3); // Exit code 3: Invalid input file
     }
 
-    // Validate URLs
-    const { valid, invalid } = validateUrls(csvResult.urls);
+    // CSV rows may carry per-URL options (device, timeout, runs, label, tags, budget)
+    const entries = sourceResult.entries || sourceResult.urls.map(url => ({ url }));
+    validateBudgetReferences(entries, budgets);
 
-    // Log invalid URLs as warnings
-    if (invalid.length > 0) {
-      invalid.forEach(({ url, reason }) => {
-        logWarning(`Skipping invalid URL: ${url} - ${reason}`);
-      });
+    // Apply --include/--exclude/--limit/--sample
+    const selectedEntries = selectUrls(entries, validatedOptions);
+    if (selectedEntries.length < entries.length) {
+      logInfo(`Selected ${selectedEntries.length} of ${entries.length} URLs`);
     }
 
-    if (valid.length === 0) {
-      console.error('\nError: No valid URLs to audit after validation.\n');
-      process.exit(3);
-    }
+    await runAudits(selectedEntries, validatedOptions, budgets, { source });
+
+  } catch (error) {
+    // Re-throw validation errors and other errors to be caught by CLI
+    throw error;
+  }
+}
+
+/**
+ * Resumes an interrupted run from its checkpoint
+ * URLs and audit settings (devices, timeout, runs, output directories) come from the
+ * checkpoint; credentials are never stored, so they are taken from the current options
+ *
+ * @param {string} runId - Run ID printed when the run started
+ * @param {Object} validatedOptions - Options from validateOptions
+ * @param {Array<Object>} budgets - Validated performance budgets
+ */
+async function resumeAudits(runId, validatedOptions, budgets) {
+  let checkpoint;
+  try {
+    checkpoint = loadCheckpoint(resolve(validatedOptions.dataDir), runId);
+  } catch (error) {
+    console.error(`\nError: ${error.message}\n`);
+    process.exit(3); // Exit code 3: Checkpoint not found or invalid
+  }
+
+  logInfo(
+    `Resuming run ${runId} (started ${checkpoint.startedAt}): ` +
+    `${checkpoint.successful.length} audit${checkpoint.successful.length === 1 ? '' : 's'} succeeded, ` +
+    `${checkpoint.failed.length} failed`
+  );
+
+  const { devices, ...savedOptions } = checkpoint.options;
+  await runAudits(
+    checkpoint.urls,
+    { ...validatedOptions, ...savedOptions, devices, device: devices[0] },
+    budgets,
+    { runId, previousResults: checkpoint.successful }
+  );
+}
+
+/**
+ * Audits a list of URLs, reports the results, and exits with the matching code
+ * Shared by the audit command and crawl --audit
+ *
+ * @param {Array<string|Object>} urls - URLs or entries with per-URL options to audit
+ * @param {Object} validatedOptions - Options from validateOptions
+ * @param {Array<Object>} budgets - Validated performance budgets
+ * @param {Object} [run] - Run settings
+ * @param {string} [run.runId] - Run ID (a new one is created when omitted)
+ * @param {Array<Object>} [run.previousResults] - Successful results carried over from an interrupted run
+ * @param {string} [run.source] - CSV path, sitemap, or crawl start URL, recorded in the run manifest
+ */
+async function runAudits(urls, validatedOptions, budgets, run = {}) {
+  const { runId = createRunId(), previousResults = [], source } = run;
+
+  // Validate URLs
+  const { valid, invalid } = validateUrls(urls);
 
-    logInfo(`Found ${valid.length} valid URL${valid.length > 1 ? 's' : ''} to audit`);
+  // Log invalid URLs as warnings
+  if (invalid.length > 0) {
+    invalid.forEach(({ url, reason }) => {
+      logWarning(`Skipping invalid URL: ${url} - ${reason}`);
+    });
+  }
 
-    // Run audits with orchestrator
-    const results = await orchestrateAudits(
+  if (valid.length === 0) {
+    console.error('\nError: No valid URLs to audit after validation.\n');
+    process.exit(3);
+  }
+
+  logInfo(`Found ${valid.length} valid URL${valid.length > 1 ? 's' : ''} to audit`);
+
+  // Load a custom Lighthouse config up front, so a broken file fails before any audit runs
+  if (validatedOptions.lighthouseSettings?.configPath) {
+    await loadLighthouseConfig(validatedOptions.lighthouseSettings.configPath);
+  }
+
+  // Same for the SQLite store: a missing better-sqlite3 fails before any audit runs
+  const databasePath = validatedOptions.storage === 'sqlite' ? getDatabasePath(validatedOptions.dataDir) : null;
+  if (databasePath) {
+    await openDatabase(databasePath);
+  }
+
+  logInfo(`Run ID: ${runId} (if interrupted, continue with: ${resumeCommand(runId, validatedOptions.dataDir)})`);
+
+  // The manifest is written as the run starts and completed when it ends;
+  // a resumed run keeps its original start time and source
+  const directories = getRunDirectories(validatedOptions, runId);
+  const previousManifest = await loadRunManifest(directories.dataDir);
+  const manifest = createRunManifest({
+    runId,
+    source: source ?? previousManifest?.source ?? null,
+    options: getManifestOptions(validatedOptions),
+    versions: await getDependencyInfo(),
+    directories,
+    startedAt: previousManifest?.startedAt
+  });
+  await saveRunManifest(manifest);
+
+  // One long-lived worker (and Chrome) per concurrent audit
+  const pool = createWorkerPool({
+    size: validatedOptions.concurrency,
+    recycleAfter: validatedOptions.recycleAfter
+  });
+
+  // Ctrl-C / SIGTERM: stop scheduling audits, kill running workers and their Chrome,
+  // then report what finished. A second signal exits immediately.
+  const controller = new AbortController();
+  const onSignal = (signal) => {
+    if (controller.signal.aborted) {
+      process.exit(130);
+    }
+    logWarning(`Received ${signal}: cancelling the run (press Ctrl-C again to exit immediately)`);
+    controller.abort();
+    pool.destroy({ force: true });
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  // Run audits with orchestrator
+  let results;
+  try {
+    results = await orchestrateAudits(
       valid,
       runLighthouseAudit,
-      validatedOptions
+      { ...validatedOptions, pool, runId, previousResults, signal: controller.signal }
     );
+  } finally {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+    await pool.destroy();
+    if (databasePath) {
+      await closeDatabase(databasePath);
+    }
+  }
 
-    // Log summary
-    logSummary(results.summary);
+  // A failed manifest write must not hide the results
+  try {
+    results.summary.manifestPath = await saveRunManifest(
+      completeRunManifest(manifest, results, controller.signal.aborted)
+    );
+  } catch (error) {
+    logWarning(`Failed to save run manifest: ${error.message}`);
+  }
 
-    // Set exit code based on results
-    if (results.summary.failed > 0) {
-      process.exit(1); // Exit code 1: Some audits failed
-    } else {
-      process.exit(0); // Exit code 0: All successful
+  // Spreadsheet exports of the run (--output-format csv/xlsx), next to its index report
+  results.summary.exportPaths = [];
+  for (const format of validatedOptions.outputFormats.filter(format => EXPORT_FORMATS.includes(format))) {
+    try {
+      results.summary.exportPaths.push(
+        await saveExport(resultsToRows(results), join(directories.reportsDir, `results.${format}`), format)
+      );
+    } catch (error) {
+      logWarning(`Failed to export results as ${format}: ${error.message}`);
     }
+  }
 
-  } catch (error) {
-    // Re-throw validation errors and other errors to be caught by CLI
-    throw error;
+  if (validatedOptions.outputFormats.includes('junit')) {
+    try {
+      results.summary.junitPath = await saveJUnitReport(results, budgets, directories.reportsDir);
+    } catch (error) {
+      logWarning(`Failed to save JUnit report: ${error.message}`);
+    }
+  }
+
+  // Log summary
+  logSummary(results.summary);
+
+  if (results.summary.devices.length > 1) {
+    logDeviceComparison(results, results.summary.devices);
+  }
+
+  // Check performance budgets
+  const budgetFailures = checkBudgets(results, budgets);
+  if (budgetFailures.length > 0) {
+    logBudgetViolations(budgetFailures);
+  } else if (countBudgetedAudits(results, budgets) > 0) {
+    console.log('\n✓ All performance budgets met');
+  } else if (budgets.length > 0) {
+    logWarning('Performance budgets could not be evaluated: no successful audit was checked against a budget');
   }
+
+  if (controller.signal.aborted) {
+    logInfo(`Run cancelled. Continue it with: ${resumeCommand(runId, validatedOptions.dataDir)}`);
+    process.exit(130); // Exit code 130: Cancelled (SIGINT/SIGTERM)
+  }
+
+  if (results.summary.failed > 0) {
+    logInfo(`Retry the failed audits with: ${resumeCommand(runId, validatedOptions.dataDir)}`);
+  }
+
+  // Set exit code based on results
+  if (results.summary.failed > 0) {
+    process.exit(1); // Exit code 1: Some audits failed
+  } else if (budgetFailures.length > 0) {
+    process.exit(6); // Exit code 6: Performance budgets exceeded
+  } else {
+    process.exit(0); // Exit code 0: All successful
+  }
+}
+
+/**
+ * Builds the command that resumes a run
+ *
+ * @param {string} runId - Run ID
+ * @param {string} dataDir - Data directory the checkpoint is written to
+ * @returns {string} - Command line to show to the user
+ */
+function resumeCommand(runId, dataDir) {
+  const dataDirOption = dataDir && dataDir !== './data' ? ` --data-dir ${dataDir}` : '';
+  return `kind-beacon audit --resume ${runId}${dataDirOption}`;
+}
+
+/**
+ * Crawl command implementation
+ * Discovers same-origin pages from a start URL, then writes them to CSV and/or audits them
+ *
+ * @param {string} startUrl - Page to start crawling from
+ * @param {Object} options - Command options (audit options apply with --audit)
+ * @param {string} [options.maxDepth='2'] - Link hops to follow from the start page
+ * @param {string} [options.maxPages='50'] - Maximum pages to discover
+ * @param {boolean} [options.robots=true] - Honour robots.txt (false with --ignore-robots)
+ * @param {string} [options.output] - CSV file to write the discovered URLs to
+ * @param {boolean} [options.audit=false] - Audit the discovered URLs
+ */
+export async function crawlCommand(startUrl, options) {
+  const maxDepth = Number(options.maxDepth);
+  if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+    throw new Error(
+      `Max depth must be a non-negative integer (got: ${options.maxDepth})\n\n` +
+      `Use: kind-beacon crawl https://example.com --max-depth 3`
+    );
+  }
+
+  const maxPages = Number(options.maxPages);
+  if (!Number.isInteger(maxPages) || maxPages < 1) {
+    throw new Error(
+      `Max pages must be a positive integer (got: ${options.maxPages})\n\n` +
+      `Use: kind-beacon crawl https://example.com --max-pages 200`
+    );
+  }
+
+  // Validate audit options before crawling so a typo does not waste the crawl
+  let validatedOptions;
+  let budgets = [];
+  if (options.audit) {
+    validatedOptions = validateOptions(options);
+    budgets = validatedOptions.budgets;
+  }
+
+  logInfo(`Crawling ${startUrl} (depth ${maxDepth}, up to ${maxPages} pages)...`);
+
+  const { urls, metadata } = await crawlSite(startUrl, {
+    maxDepth,
+    maxPages,
+    respectRobots: options.robots !== false
+  });
+
+  logInfo(`Discovered ${urls.length} page${urls.length === 1 ? '' : 's'} (${metadata.skippedByRobots} skipped by robots.txt, ${metadata.failed.length} failed)`);
+
+  if (urls.length === 0) {
+    console.error('\nError: No pages found. Check that the start URL returns an HTML page.\n');
+    process.exit(3); // Exit code 3: Invalid input
+  }
+
+  if (options.output) {
+    const csvPath = await writeUrlsCsv(urls, options.output);
+    console.log(`📄 URL list saved to: ${csvPath}`);
+  }
+
+  if (options.audit) {
+    await runAudits(urls, validatedOptions, budgets, { source: startUrl });
+  } else if (!options.output) {
+    urls.forEach(url => console.log(url));
+  }
+}
+
+/**
+ * Compare command implementation
+ * Pairs saved JSON audits from two runs by URL and device and reports every change
+ *
+ * @param {string} runRefA - Run ID, or directory with JSON audit data, of the baseline run
+ * @param {string} runRefB - Run ID, or directory with JSON audit data, of the run to compare
+ * @param {Object} options - Command options
+ * @param {string} [options.dataDir='./data'] - Data directory that run IDs are looked up in
+ * @param {string} [options.reportsDir='./reports'] - Output directory for the HTML diff report
+ */
+export async function compareCommand(runRefA, runRefB, options = {}) {
+  const { dataDir = './data', reportsDir = './reports' } = options;
+
+  const runPaths = [];
+  for (const ref of [runRefA, runRefB]) {
+    const runPath = await resolveRunDirectory(ref, dataDir);
+    if (!runPath) {
+      console.error(`\nError: Run not found: ${ref} (neither a directory nor a run ID in ${dataDir})`);
+      console.error('\nUsage: kind-beacon compare <run-a> <run-b>');
+      console.error('\nPass two run IDs (see kind-beacon runs) or directories written with --json (e.g., ./data).\n');
+      process.exit(3); // Exit code 3: Input not found
+    }
+    runPaths.push(runPath);
+  }
+  const [runA, runB] = runPaths;
+
+  logInfo(`Comparing ${runA} → ${runB}...`);
+
+  const comparison = await compareRuns(runA, runB);
+
+  if (comparison.pairs.length === 0) {
+    if (comparison.throttlingMismatches.length > 0) {
+      console.log(formatComparisonText(comparison));
+      console.error('\nError: The runs used different throttling, so none of their audits can be compared.');
+      console.error('Re-run one of them with the same --throttling profile and --throttling-method.\n');
+      process.exit(3);
+    }
+    console.error('\nError: No audits with the same URL and device found in both runs.');
+    console.error('Make sure both runs were audited with the --json flag.\n');
+    process.exit(3);
+  }
+
+  console.log(formatComparisonText(comparison));
+
+  const counts = getComparisonCounts(comparison);
+  const reportPath = await generateAndSaveComparisonReport(comparison, reportsDir);
+
+  console.log('\nSummary:');
+  console.log(`✓ ${counts.improved} improved`);
+  console.log(`✗ ${counts.regressed} regressed`);
+  console.log(`= ${counts.unchanged} unchanged`);
+  console.log(`📊 Comparison report saved to: ${reportPath}`);
+}
+
+/**
+ * Checks the filters of commands that read stored audit data (trends, export)
+ * Exits with code 3 when the data directory or a run does not exist
+ *
+ * @param {string} command - Command name, for the usage hint
+ * @param {Object} filters - Filters given on the command line
+ * @param {string} filters.dataDir - Directory with stored audit data
+ * @param {string} [filters.from] - Start date (YYYY-MM-DD)
+ * @param {string} [filters.to] - End date (YYYY-MM-DD)
+ * @param {Array<string>} [filters.runIds] - Run IDs
+ * @throws {Error} - If a date is not in YYYY-MM-DD format
+ */
+async function checkStoredDataFilters(command, { dataDir, from, to, runIds = [] }) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  for (const [flag, value] of [['--from', from], ['--to', to]]) {
+    if (value !== undefined && !datePattern.test(value)) {
+      throw new Error(
+        `${flag} must be a date in YYYY-MM-DD format (got: ${value})\n\n` +
+        `Use: kind-beacon ${command} ${flag} 2025-10-01`
+      );
+    }
+  }
+
+  if (!existsSync(resolve(dataDir))) {
+    console.error(`\nError: Data directory not found: ${dataDir}`);
+    console.error('\nRun audits with --json first to collect historical data.\n');
+    process.exit(3); // Exit code 3: Input not found
+  }
+
+  for (const runId of runIds) {
+    if (!(await loadRunManifest(join(dataDir, runId)))) {
+      console.error(`\nError: Run not found: ${runId} (no ${join(dataDir, runId, RUN_MANIFEST_FILENAME)})`);
+      console.error('\nList the stored runs with: kind-beacon runs\n');
+      process.exit(3); // Exit code 3: Input not found
+    }
+  }
+}
+
+/**
+ * Trends command implementation
+ * Builds one HTML page of time-series charts per URL (or domain) from stored JSON data
+ *
+ * @param {Object} options - Command options
+ * @param {string} [options.dataDir='./data'] - Directory with stored JSON audit data
+ * @param {string} [options.reportsDir='./reports'] - Reports directory (pages go into its trends/ folder)
+ * @param {string} [options.groupBy='url'] - Group series by 'url' or 'domain'
+ * @param {string} [options.domain] - Only include audits for this domain
+ * @param {string} [options.from] - Start date (YYYY-MM-DD)
+ * @param {string} [options.to] - End date (YYYY-MM-DD)
+ * @param {string} [options.device] - Only include audits for this device mode
+ * @param {Array<string>} [options.run] - Only include audits of these run IDs
+ */
+export async function trendsCommand(options = {}) {
+  const { dataDir = './data', reportsDir = './reports', groupBy = 'url', domain, from, to, device, run: runIds = [] } = options;
+
+  await checkStoredDataFilters('trends', { dataDir, from, to, runIds });
+
+  if (groupBy !== 'url' && groupBy !== 'domain') {
+    throw new Error(
+      `Group must be 'url' or 'domain' (got: ${groupBy})\n\n` +
+      `Use: kind-beacon trends --group-by domain`
+    );
+  }
+
+  logInfo(`Loading audit data from ${dataDir}...`);
+
+  const series = await loadTrendSeries(dataDir, {
+    domain,
+    startDate: from,
+    endDate: to,
+    runs: runIds,
+    groupBy,
+    device: device?.toLowerCase()
+  });
+
+  if (series.length === 0) {
+    console.error('\nError: No successful audits found matching the given filters.');
+    console.error('Make sure audits were run with the --json flag.\n');
+    process.exit(3);
+  }
+
+  const filePaths = await generateAndSaveTrendReports(series, join(reportsDir, TRENDS_SUBDIR));
+
+  for (const [i, item] of series.entries()) {
+    const throttling = item.throttling.profile === 'default' && item.throttling.method === 'simulate'
+      ? '' : `, ${item.throttling.profile} ${item.throttling.method}`;
+    console.log(`✓ ${item.key} (${item.device}${throttling}) - ${item.points.length} point${item.points.length === 1 ? '' : 's'} → ${filePaths[i]}`);
+  }
+
+  console.log(`\n📈 ${filePaths.length} trend report${filePaths.length === 1 ? '' : 's'} saved to: ${join(reportsDir, TRENDS_SUBDIR)}`);
+}
+
+/**
+ * Export command implementation
+ * Writes stored audits (JSON files or the SQLite store) as one CSV or XLSX row each, oldest first
+ *
+ * @param {Object} options - Command options
+ * @param {string} [options.dataDir='./data'] - Directory with stored audit data
+ * @param {string} [options.reportsDir='./reports'] - Directory the export is saved to without --output
+ * @param {string} [options.output] - Output file (default: <reportsDir>/export_{timestamp}.{format})
+ * @param {string} [options.format] - 'csv' or 'xlsx' (default: from the --output extension, else csv)
+ * @param {string} [options.domain] - Only include audits for this domain
+ * @param {string} [options.from] - Start date (YYYY-MM-DD)
+ * @param {string} [options.to] - End date (YYYY-MM-DD)
+ * @param {string} [options.device] - Only include audits for this device mode
+ * @param {Array<string>} [options.run] - Only include audits of these run IDs
+ */
+export async function exportCommand(options = {}) {
+  const { dataDir = './data', reportsDir = './reports', output, domain, from, to, device, run: runIds = [] } = options;
+  const format = (options.format ?? (output?.toLowerCase().endsWith('.xlsx') ? 'xlsx' : 'csv')).toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(
+      `Export format must be one of: ${EXPORT_FORMATS.join(', ')} (got: ${options.format})\n\n` +
+      `Use: kind-beacon export --format xlsx`
+    );
+  }
+
+  await checkStoredDataFilters('export', { dataDir, from, to, runIds });
+
+  logInfo(`Loading audit data from ${dataDir}...`);
+
+  const records = (await loadAuditDataBatch(dataDir, { domain, startDate: from, endDate: to, runs: runIds }))
+    .filter(record => (record?.audit?.requestedUrl || record?.audit?.url) && (!device || record.audit.deviceMode === device.toLowerCase()))
+    .sort((a, b) => String(a.audit.timestamp).localeCompare(String(b.audit.timestamp)));
+
+  if (records.length === 0) {
+    console.error('\nError: No stored audits found matching the given filters.');
+    console.error('Make sure audits were run with the --json flag.\n');
+    process.exit(3);
+  }
+
+  const filePath = await saveExport(
+    records.map(recordToRow),
+    output ?? join(reportsDir, `export_${generateTimestamp()}.${format}`),
+    format
+  );
+
+  console.log(`\n📄 ${records.length} audit${records.length === 1 ? '' : 's'} exported to: ${filePath}`);
+}
+
+/**
+ * Runs command implementation
+ * Lists the runs stored in the data directory, oldest first
+ *
+ * @param {Object} options - Command options
+ * @param {string} [options.dataDir='./data'] - Data directory the runs are stored in
+ */
+export async function runsCommand(options = {}) {
+  const { dataDir = './data' } = options;
+
+  const runs = await listRuns(dataDir);
+  if (runs.length === 0) {
+    console.log(`No runs found in ${dataDir}`);
+    return;
+  }
+
+  for (const run of runs) {
+    const counts = run.summary
+      ? `${run.summary.successful} successful, ${run.summary.failed} failed`
+      : 'no results yet';
+    console.log(`${run.runId}  ${run.status.padEnd(9)}  ${counts}  ${run.source ?? ''}`.trimEnd());
+  }
+
+  console.log(`\n${runs.length} run${runs.length === 1 ? '' : 's'} in ${dataDir}`);
+}
+
+/**
+ * Migrate-filenames command implementation
+ * Renames reports and data files from before per-page filenames to the current scheme
+ *
+ * @param {Object} options - Command options
+ * @param {string} [options.dataDir='./data'] - Directory with stored JSON audit data
+ * @param {string} [options.reportsDir='./reports'] - Directory with HTML reports
+ * @param {boolean} [options.dryRun=false] - Only print the renames
+ */
+export async function migrateFilenamesCommand(options = {}) {
+  const { dataDir = './data', reportsDir = './reports', dryRun = false } = options;
+
+  const dirs = [...new Set([dataDir, reportsDir])].filter(dir => existsSync(resolve(dir)));
+  if (dirs.length === 0) {
+    console.error(`\nError: Neither ${dataDir} nor ${reportsDir} exists.`);
+    console.error('\nUse: kind-beacon migrate-filenames --data-dir ./data --reports-dir ./reports\n');
+    process.exit(3); // Exit code 3: Input not found
+  }
+
+  logInfo(`Looking for files to rename in ${dirs.join(' and ')}...`);
+
+  const { renames, skipped } = await planFilenameMigration(dirs);
+
+  for (const { dir, file, reason } of skipped) {
+    logWarning(`Skipped ${join(dir, file)}: ${reason}`);
+  }
+
+  if (renames.length === 0) {
+    console.log('\n✓ All filenames are up to date');
+    return;
+  }
+
+  for (const { dir, from, to } of renames) {
+    console.log(`${dryRun ? '→' : '✓'} ${join(dir, from)} → ${to}`);
+  }
+
+  if (dryRun) {
+    console.log(`\n${renames.length} file${renames.length === 1 ? '' : 's'} would be renamed (dry run, nothing changed)`);
+    return;
+  }
+
+  const count = await applyFilenameMigration(renames);
+  console.log(`\n✓ ${count} file${count === 1 ? '' : 's'} renamed`);
+}
+
+/**
+ * Import command implementation
+ * Loads the JSON data files of the data directory (and its run directories) into <dataDir>/kind-beacon.db
+ *
+ * @param {Object} options - Command options
+ * @param {string} [options.dataDir='./data'] - Directory with stored JSON audit data
+ */
+export async function importCommand(options = {}) {
+  const { dataDir = './data' } = options;
+
+  if (!existsSync(resolve(dataDir))) {
+    console.error(`\nError: Data directory not found: ${dataDir}`);
+    console.error('\nUse: kind-beacon import --data-dir ./data\n');
+    process.exit(3); // Exit code 3: Input not found
+  }
+
+  logInfo(`Importing JSON audit data from ${dataDir}...`);
+
+  const { databasePath, imported, existing, skipped } = await importAuditData(dataDir);
+  await closeDatabase(databasePath);
+
+  for (const { file, reason } of skipped) {
+    logWarning(`Skipped ${join(dataDir, file)}: ${reason}`);
+  }
+
+  const already = existing > 0 ? ` (${existing} imported before)` : '';
+  console.log(`\n✓ ${imported} audit${imported === 1 ? '' : 's'} imported into ${databasePath}${already}`);
+}
+
+/**
+ * Parsers for init answers - each throws a user-facing message for invalid input
+ */
+const INIT_PARSERS = {
+  format: (value) => {
+    const format = value.trim().toLowerCase();
+    if (!INIT_FORMATS.includes(format)) {
+      throw new Error(`Config format must be one of: ${INIT_FORMATS.join(', ')} (got: ${value})`);
+    }
+    return format;
+  },
+  device: (value) => {
+    const device = value.trim().toLowerCase();
+    buildInitConfig({ device });
+    return device;
+  },
+  concurrency: (value) => {
+    const concurrency = Number(value);
+    buildInitConfig({ concurrency });
+    return concurrency;
+  },
+  timeout: (value) => {
+    const timeout = Number(value);
+    buildInitConfig({ timeout });
+    return timeout;
+  },
+  urls: (value) => {
+    const urls = value.split(/[\s,]+/).filter(Boolean);
+    const isValid = (url) => {
+      try {
+        new URL(url);
+        return /^https?:\/\//i.test(url);
+      } catch {
+        return false;
+      }
+    };
+    const invalid = urls.find(url => !isValid(url));
+    if (urls.length === 0 || invalid) {
+      throw new Error(`URLs must start with http:// or https:// (got: ${invalid || value})`);
+    }
+    return urls;
+  },
+  budgets: (value) => /^y(es)?$/i.test(value.trim())
+};
+
+/**
+ * Init command implementation
+ * Asks for the main options (or takes them from flags) and writes a config file and urls.csv
+ *
+ * @param {Object} options - Command options
+ * @param {boolean} [options.yes=false] - Use defaults for anything not given as a flag, without asking
+ * @param {string} [options.format] - Config format: 'json' (.kindbeaconrc.json) or 'js' (kindbeacon.config.js)
+ * @param {string} [options.device] - Device option for the config
+ * @param {string} [options.concurrency] - Concurrency for the config
+ * @param {string} [options.timeout] - Timeout for the config
+ * @param {string} [options.urls] - Comma-separated URLs for urls.csv
+ * @param {boolean} [options.budgets] - Include starter budgets (--budgets / --no-budgets)
+ * @param {string} [options.dir='.'] - Directory to write the files to
+ * @param {boolean} [options.force=false] - Overwrite existing files
+ */
+export async function initCommand(options = {}) {
+  const questions = [
+    { key: 'format', prompt: `Config file format (${INIT_FORMATS.join('/')})`, defaultValue: 'json' },
+    { key: 'device', prompt: 'Device to audit (mobile/desktop/both)', defaultValue: DEFAULT_CONFIG.device },
+    { key: 'concurrency', prompt: 'Simultaneous audits (1-10)', defaultValue: String(DEFAULT_CONFIG.concurrency) },
+    { key: 'timeout', prompt: 'Timeout per audit in seconds', defaultValue: String(DEFAULT_CONFIG.timeout) },
+    { key: 'urls', prompt: 'URLs to audit (comma-separated)', defaultValue: STARTER_URLS.join(', ') },
+    { key: 'budgets', prompt: 'Add starter performance budgets? (y/N)', defaultValue: 'n' }
+  ];
+
+  // Flags answer their question; with --yes (or no terminal) the rest take their defaults
+  const interactive = !options.yes && process.stdin.isTTY;
+  const answers = {};
+  const rl = interactive ? createInterface({ input: process.stdin, output: process.stdout }) : null;
+  const lines = rl?.[Symbol.asyncIterator]();
+
+  try {
+    for (const { key, prompt, defaultValue } of questions) {
+      if (options[key] !== undefined) {
+        answers[key] = typeof options[key] === 'boolean' ? options[key] : INIT_PARSERS[key](options[key]);
+        continue;
+      }
+
+      if (!rl) {
+        answers[key] = INIT_PARSERS[key](defaultValue);
+        continue;
+      }
+
+      // Ask again until the answer is valid
+      while (answers[key] === undefined) {
+        process.stdout.write(`${prompt} [${defaultValue}]: `);
+        const { value, done } = await lines.next();
+        if (done) {
+          throw new Error('Input closed before all questions were answered - no files were written');
+        }
+
+        const reply = value.trim() || defaultValue;
+        try {
+          answers[key] = INIT_PARSERS[key](reply);
+        } catch (error) {
+          console.log(`  ${error.message}`);
+        }
+      }
+    }
+  } finally {
+    rl?.close();
+  }
+
+  const config = buildInitConfig(answers);
+  const files = writeInitFiles({
+    dir: options.dir || '.',
+    format: answers.format,
+    config,
+    urls: answers.urls,
+    force: options.force
+  });
+
+  console.log('');
+  for (const file of files) {
+    if (file.written) {
+      console.log(`✓ Created ${file.path}`);
+    } else {
+      logWarning(`${file.path} already exists - left unchanged (use --force to overwrite)`);
+    }
+  }
+
+  // The config file is found by searching from the current directory, so audit from the init directory
+  const dir = options.dir || '.';
+  const cdPrefix = resolve(dir) === process.cwd() ? '' : `cd ${dir} && `;
+  console.log(`\nNext: add your URLs to urls.csv, then run: ${cdPrefix}kind-beacon audit urls.csv`);
 }
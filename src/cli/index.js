@@ -12,7 +12,21 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { checkLighthouseDependency, getDependencyInfo } from '../lib/dependency-checker.js';
-import { auditCommand } from './commands.js';
+import {
+  auditCommand,
+  crawlCommand,
+  compareCommand,
+  trendsCommand,
+  runsCommand,
+  initCommand,
+  migrateFilenamesCommand,
+  importCommand,
+  exportCommand
+} from './commands.js';
+import { DEFAULT_CONFIG, OUTPUT_FORMATS, STORAGE_BACKENDS } from '../models/config.js';
+import { THROTTLING_METHODS, THROTTLING_PRESETS } from '../models/throttling.js';
+import { LIGHTHOUSE_CATEGORIES } from '../services/lighthouse-config.js';
+import { EXPORT_FORMATS } from '../services/result-export.js';
 
 // Get package.json for version
 const __filename = fileURLToPath(import.meta.url);
@@ -21,6 +35,17 @@ const packageJson = JSON.parse(
   readFileSync(join(__dirname, '../../package.json'), 'utf-8')
 );
 
+/**
+ * Collects a repeatable option into an array
+ *
+ * @param {string} value - Value of this occurrence
+ * @param {Array<string>} previous - Values collected so far
+ * @returns {Array<string>} - All values
+ */
+function collect(value, previous) {
+  return previous.concat(value);
+}
+
 /**
  * Main CLI function
  * Sets up Commander.js and handles command routing
@@ -42,9 +67,29 @@ export default async function main() {
     .description('Kind Beacon - Core Web Vitals Auditing Tool')
     .addHelpText('after', `
 Examples:
+  $ kind-beacon init
   $ kind-beacon audit urls.csv
   $ kind-beacon audit urls.csv --device desktop --concurrency 5
   $ kind-beacon audit urls.csv -c 3 -t 90 -d mobile
+  $ kind-beacon audit urls.csv --runs 5
+  $ kind-beacon audit urls.csv --device both
+  $ kind-beacon audit urls.csv --throttling slow-4g --throttling-method devtools
+  $ kind-beacon audit urls.csv --categories performance
+  $ kind-beacon audit https://example.com/sitemap.xml --include "/blog/" --sample 20
+  $ kind-beacon crawl https://example.com --max-depth 3 --output urls.csv
+  $ kind-beacon crawl https://example.com --max-pages 100 --audit
+  $ kind-beacon audit urls.csv --header "Authorization: Bearer $TOKEN" --cookies cookies.json
+  $ kind-beacon audit --resume 20251022-143052-a1b2c3
+  $ kind-beacon audit urls.csv --config ci.kindbeaconrc.json --verbose
+  $ kind-beacon compare ./before/data ./after/data
+  $ kind-beacon compare 20251021-020000-9f8e7d 20251022-020000-a1b2c3
+  $ kind-beacon trends --group-by domain --from 2025-10-01
+  $ kind-beacon migrate-filenames --dry-run
+  $ kind-beacon audit urls.csv --storage sqlite
+  $ kind-beacon import --data-dir ./data
+  $ kind-beacon audit urls.csv --output-format csv,xlsx
+  $ kind-beacon audit urls.csv --output-format junit
+  $ kind-beacon export --from 2025-10-01 --output october.xlsx
 
 For more information: https://github.com/kind-beacon/kind-beacon
     `);
@@ -52,16 +97,35 @@ For more information: https://github.com/kind-beacon/kind-beacon
   // Audit command
   program
     .command('audit')
-    .description('Run Core Web Vitals audit on URLs from CSV file')
-    .argument('<csv-file>', 'path to CSV file containing URLs')
-    .option('-c, --concurrency <number>', 'max simultaneous audits (1-10)', '3')
-    .option('-t, --timeout <seconds>', 'audit timeout in seconds', '60')
-    .option('-d, --device <type>', 'device emulation: mobile or desktop', 'mobile')
-    .option('--json', 'generate JSON reports in addition to HTML (Feature 002)', false)
-    .option('--data-dir <path>', 'output directory for JSON data', './data')
-    .option('--reports-dir <path>', 'output directory for HTML reports', './reports')
-    .option('--config <file>', 'path to config file')
-    .action(async (csvFile, options) => {
+    .description('Run Core Web Vitals audit on URLs from a CSV file or sitemap')
+    .argument('[source]', 'CSV file, sitemap URL, or local sitemap.xml / sitemap index')
+    .option('-c, --concurrency <number>', `max simultaneous audits (1-10, default: ${DEFAULT_CONFIG.concurrency})`)
+    .option('-t, --timeout <seconds>', `audit timeout in seconds (default: ${DEFAULT_CONFIG.timeout})`)
+    .option('-d, --device <type>', `device emulation: mobile, desktop, both, a device profile from the config, or a list (mobile,tablet) (default: ${DEFAULT_CONFIG.device})`)
+    .option('-r, --runs <number>', `Lighthouse runs per URL; the median run is reported (1-10, default: ${DEFAULT_CONFIG.runs})`)
+    .option('--recycle-after <audits>', `restart each Chrome instance after this many audits (default: ${DEFAULT_CONFIG.recycleAfter})`)
+    .option('--throttling <profile>', `throttling profile: ${Object.keys(THROTTLING_PRESETS).join(', ')}, or one from the config (default: default)`)
+    .option('--throttling-method <method>', `throttling method: ${THROTTLING_METHODS.join(' or ')} (default: simulate)`)
+    .option('--categories <list>', `Lighthouse categories to audit, comma-separated (default: ${LIGHTHOUSE_CATEGORIES.join(',')})`)
+    .option('--only-audits <list>', 'only run these Lighthouse audits, comma-separated (e.g. largest-contentful-paint,total-blocking-time)')
+    .option('--skip-audits <list>', 'skip these Lighthouse audits, comma-separated')
+    .option('--lighthouse-config <file>', 'custom Lighthouse config (JSON or ES module with a default export)')
+    .option('-H, --header <header>', 'extra HTTP header "Name: value" sent with every request (repeatable)', collect, [])
+    .option('--cookies <file>', 'cookies to set before each audit (JSON or Netscape cookies.txt)')
+    .option('--login-script <file>', 'ES module run in the browser before each audit to log in')
+    .option('--include <regex>', 'only audit URLs matching this regular expression')
+    .option('--exclude <regex>', 'skip URLs matching this regular expression')
+    .option('--limit <number>', 'audit at most the first n URLs')
+    .option('--sample <number>', 'audit n URLs chosen at random')
+    .option('--json', 'generate JSON reports in addition to HTML (Feature 002)')
+    .option('--output-format <list>', `extra output formats, comma-separated: ${OUTPUT_FORMATS.join(', ')} (csv/xlsx export the run's results, junit writes JUnit XML)`)
+    .option('--data-dir <path>', `output directory for JSON data (default: ${DEFAULT_CONFIG.dataDir})`)
+    .option('--storage <type>', `where audit data is saved: ${STORAGE_BACKENDS.join(' or ')} (sqlite implies --json; default: ${DEFAULT_CONFIG.storage})`)
+    .option('--reports-dir <path>', `output directory for HTML reports (default: ${DEFAULT_CONFIG.reportsDir})`)
+    .option('--config <file>', 'path to config file (default: search for .kindbeaconrc)')
+    .option('--verbose', 'print the effective configuration before auditing')
+    .option('--resume <run-id>', 'resume an interrupted run: skip audits that succeeded, retry the rest')
+    .action(async (source, options) => {
       try {
         // Check Lighthouse dependency before running audit
         const lighthouseAvailable = await checkLighthouseDependency();
@@ -72,7 +136,179 @@ For more information: https://github.com/kind-beacon/kind-beacon
         }
 
         // Run audit command
-        await auditCommand(csvFile, options);
+        await auditCommand(source, options);
+      } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(5); // Exit code 5: Fatal error
+      }
+    });
+
+  // Crawl command
+  program
+    .command('crawl')
+    .description('Discover pages on the same origin by following links, then save or audit them')
+    .argument('<start-url>', 'page to start crawling from')
+    .option('--max-depth <number>', 'link hops to follow from the start page', '2')
+    .option('--max-pages <number>', 'maximum pages to discover', '50')
+    .option('--ignore-robots', 'crawl paths disallowed by robots.txt')
+    .option('-o, --output <file>', 'write discovered URLs to a CSV file')
+    .option('--audit', 'audit the discovered URLs', false)
+    .option('-c, --concurrency <number>', `max simultaneous audits (1-10, default: ${DEFAULT_CONFIG.concurrency})`)
+    .option('-t, --timeout <seconds>', `audit timeout in seconds (default: ${DEFAULT_CONFIG.timeout})`)
+    .option('-d, --device <type>', `device emulation: mobile, desktop, both, a device profile from the config, or a list (mobile,tablet) (default: ${DEFAULT_CONFIG.device})`)
+    .option('-r, --runs <number>', `Lighthouse runs per URL; the median run is reported (1-10, default: ${DEFAULT_CONFIG.runs})`)
+    .option('--recycle-after <audits>', `restart each Chrome instance after this many audits (default: ${DEFAULT_CONFIG.recycleAfter})`)
+    .option('--throttling <profile>', `throttling profile: ${Object.keys(THROTTLING_PRESETS).join(', ')}, or one from the config (default: default)`)
+    .option('--throttling-method <method>', `throttling method: ${THROTTLING_METHODS.join(' or ')} (default: simulate)`)
+    .option('--categories <list>', `Lighthouse categories to audit, comma-separated (default: ${LIGHTHOUSE_CATEGORIES.join(',')})`)
+    .option('--only-audits <list>', 'only run these Lighthouse audits, comma-separated')
+    .option('--skip-audits <list>', 'skip these Lighthouse audits, comma-separated')
+    .option('--lighthouse-config <file>', 'custom Lighthouse config (JSON or ES module with a default export)')
+    .option('--json', 'generate JSON reports in addition to HTML')
+    .option('--output-format <list>', `extra output formats, comma-separated: ${OUTPUT_FORMATS.join(', ')} (csv/xlsx export the run's results, junit writes JUnit XML)`)
+    .option('--data-dir <path>', `output directory for JSON data (default: ${DEFAULT_CONFIG.dataDir})`)
+    .option('--storage <type>', `where audit data is saved: ${STORAGE_BACKENDS.join(' or ')} (sqlite implies --json; default: ${DEFAULT_CONFIG.storage})`)
+    .option('--reports-dir <path>', `output directory for HTML reports (default: ${DEFAULT_CONFIG.reportsDir})`)
+    .option('--config <file>', 'path to config file (default: search for .kindbeaconrc)')
+    .option('--verbose', 'print the effective configuration before auditing')
+    .action(async (startUrl, options) => {
+      try {
+        // --ignore-robots is exposed to commands as robots: false
+        const crawlOptions = { ...options, robots: !options.ignoreRobots };
+
+        if (crawlOptions.audit && !(await checkLighthouseDependency())) {
+          console.error('\nCannot proceed without Lighthouse.');
+          process.exit(4); // Exit code 4: Dependency missing
+        }
+
+        await crawlCommand(startUrl, crawlOptions);
+      } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(5); // Exit code 5: Fatal error
+      }
+    });
+
+  // Compare command
+  program
+    .command('compare')
+    .description('Compare two runs of saved JSON audit data (written with --json)')
+    .argument('<run-a>', 'run ID or directory with JSON data of the baseline run')
+    .argument('<run-b>', 'run ID or directory with JSON data of the run to compare')
+    .option('--data-dir <path>', 'directory the run IDs are stored in', './data')
+    .option('--reports-dir <path>', 'output directory for the HTML diff report', './reports')
+    .action(async (runA, runB, options) => {
+      try {
+        await compareCommand(runA, runB, options);
+      } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(5); // Exit code 5: Fatal error
+      }
+    });
+
+  // Trends command
+  program
+    .command('trends')
+    .description('Build historical trend charts from stored JSON audit data')
+    .option('--data-dir <path>', 'directory with stored JSON data', './data')
+    .option('--reports-dir <path>', 'output directory for HTML reports (pages go into trends/)', './reports')
+    .option('-g, --group-by <type>', 'one page per url or per domain', 'url')
+    .option('--domain <domain>', 'only include audits for this domain')
+    .option('--from <date>', 'only include audits on or after this date (YYYY-MM-DD)')
+    .option('--to <date>', 'only include audits on or before this date (YYYY-MM-DD)')
+    .option('-d, --device <type>', 'only include audits for this device')
+    .option('--run <run-id>', 'only include audits of this run (repeatable)', collect, [])
+    .action(async (options) => {
+      try {
+        await trendsCommand(options);
+      } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(5); // Exit code 5: Fatal error
+      }
+    });
+
+  // Export command
+  program
+    .command('export')
+    .description('Export stored audit data as a CSV or XLSX spreadsheet (one row per audit)')
+    .option('--data-dir <path>', 'directory with stored JSON data', './data')
+    .option('--reports-dir <path>', 'directory the export is saved to without --output', './reports')
+    .option('-o, --output <file>', 'output file (default: <reports-dir>/export_<timestamp>.<format>)')
+    .option('-f, --format <type>', `${EXPORT_FORMATS.join(' or ')} (default: from the --output extension, else csv)`)
+    .option('--domain <domain>', 'only include audits for this domain')
+    .option('--from <date>', 'only include audits on or after this date (YYYY-MM-DD)')
+    .option('--to <date>', 'only include audits on or before this date (YYYY-MM-DD)')
+    .option('-d, --device <type>', 'only include audits for this device')
+    .option('--run <run-id>', 'only include audits of this run (repeatable)', collect, [])
+    .action(async (options) => {
+      try {
+        await exportCommand(options);
+      } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(5); // Exit code 5: Fatal error
+      }
+    });
+
+  // Runs command
+  program
+    .command('runs')
+    .description('List stored audit runs (IDs for compare and trends --run)')
+    .option('--data-dir <path>', 'directory the runs are stored in', './data')
+    .action(async (options) => {
+      try {
+        await runsCommand(options);
+      } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(5); // Exit code 5: Fatal error
+      }
+    });
+
+  // Import command
+  program
+    .command('import')
+    .description('Load stored JSON data files into the SQLite store (<data-dir>/kind-beacon.db)')
+    .option('--data-dir <path>', 'directory with stored JSON data', './data')
+    .action(async (options) => {
+      try {
+        await importCommand(options);
+      } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(5); // Exit code 5: Fatal error
+      }
+    });
+
+  // Migrate-filenames command
+  program
+    .command('migrate-filenames')
+    .description('Rename reports and data files from older versions to per-page filenames')
+    .option('--data-dir <path>', 'directory with stored JSON data', './data')
+    .option('--reports-dir <path>', 'directory with HTML reports', './reports')
+    .option('--dry-run', 'only print the renames', false)
+    .action(async (options) => {
+      try {
+        await migrateFilenamesCommand(options);
+      } catch (error) {
+        console.error(`\nError: ${error.message}`);
+        process.exit(5); // Exit code 5: Fatal error
+      }
+    });
+
+  // Init command
+  program
+    .command('init')
+    .description('Create a config file and a starter urls.csv (asks questions unless --yes)')
+    .option('-y, --yes', 'do not ask: use flags and defaults', false)
+    .option('--format <type>', 'config file format: json (.kindbeaconrc.json) or js (kindbeacon.config.js)')
+    .option('-d, --device <type>', 'device to audit: mobile, desktop, or both')
+    .option('-c, --concurrency <number>', 'max simultaneous audits (1-10)')
+    .option('-t, --timeout <seconds>', 'audit timeout in seconds')
+    .option('--urls <urls>', 'comma-separated URLs for urls.csv')
+    .option('--budgets', 'add starter performance budgets')
+    .option('--no-budgets', 'do not add performance budgets')
+    .option('--dir <path>', 'directory to write the files to', '.')
+    .option('--force', 'overwrite existing files', false)
+    .action(async (options) => {
+      try {
+        await initCommand(options);
       } catch (error) {
         console.error(`\nError: ${error.message}`);
         process.exit(5); // Exit code 5: Fatal error
@@ -3,11 +3,70 @@
  *
  * Generates standardized filenames for reports and data files.
  * Feature 002: Updated format to include timestamps for chronological sorting
- * Format: {domain}_{YYYY-MM-DD-HHmmss}_{device}.{extension}
+ * Format: {domain}_{page}_{YYYY-MM-DD-HHmmss}_{device}.{extension}
  * Uses domain from domain-extractor and ISO 8601 timestamp format (UTC).
+ * {page} is a slug of the path and query plus a short hash of them, so pages of
+ * the same domain audited in the same second get different files.
+ * {device} is 'mobile', 'desktop' or the name of a configured device profile.
+ *
+ * Files named before {page} was added ({domain}_{timestamp}_{device}) are still
+ * parsed; `kind-beacon migrate-filenames` renames them.
  */
 
+import crypto from 'crypto';
 import { extractDomain } from './domain-extractor.js';
+import { DEVICE_NAME_PATTERN } from '../models/device.js';
+
+/**
+ * Matches per-page filenames: {domain}_{slug}-{hash}_{YYYY-MM-DD-HHmmss}_{device}.{extension}
+ * Domains never contain '_', and slugs and device names are lowercase letters, digits and '-'
+ */
+export const PAGE_FILENAME_PATTERN = /^([^_]+)_([a-z0-9-]+-[0-9a-f]{8})_(\d{4}-\d{2}-\d{2})-(\d{6})_([a-z0-9][a-z0-9-]*)\.(\w+)$/;
+
+/**
+ * Matches timestamped filenames without a page: {domain}_{YYYY-MM-DD-HHmmss}_{device}.{extension}
+ * Device names are lowercase letters, digits and '-', so the last '_' separates the device
+ */
+export const TIMESTAMPED_FILENAME_PATTERN = /^(.+)_(\d{4}-\d{2}-\d{2})-(\d{6})_([a-z0-9][a-z0-9-]*)\.(\w+)$/;
+
+/**
+ * Longest path-and-query slug kept in a filename (the hash keeps longer ones unique)
+ */
+const MAX_SLUG_LENGTH = 40;
+
+/**
+ * Builds the {page} part of a filename from a URL's path and query
+ * The slug keeps names readable; the hash of the exact path and query keeps them
+ * unique when slugs collide (case, punctuation, truncation). Fragments are ignored.
+ *
+ * @param {string} url - The URL that was audited
+ * @returns {string|null} - Page identifier '{slug}-{hash}', or null if the URL is invalid
+ *
+ * @example
+ * getPageSlug('https://example.com/blog/post?id=7')
+ * // returns 'blog-post-id-7-' + 8 hex characters
+ *
+ * getPageSlug('https://example.com/')
+ * // returns 'index-' + 8 hex characters
+ */
+export function getPageSlug(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const page = `${parsed.pathname}${parsed.search}`;
+  const slug = page
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '') || 'index';
+  const hash = crypto.createHash('sha256').update(page).digest('hex').slice(0, 8);
+
+  return `${slug}-${hash}`;
+}
 
 /**
  * T025: Generates an ISO 8601 timestamp for filename (UTC timezone)
@@ -33,21 +92,22 @@ export function generateTimestamp(date = new Date()) {
 }
 
 /**
- * T026, T027: Generates a filename with timestamp and device mode (Feature 002)
- * Format: {domain}_{timestamp}_{device}.{extension}
+ * T026, T027: Generates a filename with page, timestamp and device mode (Feature 002)
+ * Format: {domain}_{page}_{timestamp}_{device}.{extension}
  *
  * @param {string} url - The URL that was audited
  * @param {string} extension - File extension (e.g., 'json', 'html')
- * @param {string} [device='mobile'] - Device mode ('mobile' or 'desktop')
+ * @param {string} [device='mobile'] - Device mode ('mobile', 'desktop' or a device profile name)
  * @param {Date} [date=new Date()] - Optional date to use (defaults to now)
- * @returns {string} - Filename in format: {domain}_{YYYY-MM-DD-HHmmss}_{device}.{extension}
+ * @returns {string} - Filename in format: {domain}_{page}_{YYYY-MM-DD-HHmmss}_{device}.{extension}
+ * @throws {Error} - If the URL has no domain or the device name is not filename-safe
  *
  * @example
- * generateFilename('https://example.com', 'html', 'mobile', new Date('2025-10-22T14:30:52.000Z'))
- * // returns 'example-com_2025-10-22-143052_mobile.html'
+ * generateFilename('https://example.com/pricing', 'html', 'mobile', new Date('2025-10-22T14:30:52.000Z'))
+ * // returns 'example.com_pricing-{hash}_2025-10-22-143052_mobile.html'
  *
  * generateFilename('https://192.168.1.1', 'json', 'desktop')
- * // returns '192-168-1-1_2025-10-22-143052_desktop.json'
+ * // returns '192-168-1-1_index-{hash}_2025-10-22-143052_desktop.json'
  */
 export function generateFilename(url, extension, device = 'mobile', date = new Date()) {
   const domain = extractDomain(url);
@@ -56,6 +116,10 @@ export function generateFilename(url, extension, device = 'mobile', date = new D
     throw new Error(`Invalid URL: ${url}`);
   }
 
+  if (!DEVICE_NAME_PATTERN.test(device)) {
+    throw new Error(`Invalid device name for filename: ${device} (lowercase letters, digits and '-' only)`);
+  }
+
   // T025: Generate timestamp
   const timestamp = generateTimestamp(date);
 
@@ -63,7 +127,7 @@ export function generateFilename(url, extension, device = 'mobile', date = new D
   const ext = extension.startsWith('.') ? extension.slice(1) : extension;
 
   // T027: Updated filename format with timestamp
-  return `${domain}_${timestamp}_${device}.${ext}`;
+  return `${domain}_${getPageSlug(url)}_${timestamp}_${device}.${ext}`;
 }
 
 /**
@@ -88,13 +152,13 @@ export function formatDateForFilename(date) {
  * T028: Generates a JSON data filename with timestamp and device mode (Feature 002)
  *
  * @param {string} url - The URL that was audited
- * @param {string} [device='mobile'] - Device mode ('mobile' or 'desktop')
+ * @param {string} [device='mobile'] - Device mode ('mobile', 'desktop' or a device profile name)
  * @param {Date} [date=new Date()] - Optional date to use (defaults to now)
- * @returns {string} - Filename in format: {domain}_{YYYY-MM-DD-HHmmss}_{device}.json
+ * @returns {string} - Filename in format: {domain}_{page}_{YYYY-MM-DD-HHmmss}_{device}.json
  *
  * @example
  * generateDataFilename('https://example.com', 'mobile', new Date('2025-10-22T14:30:52.000Z'))
- * // returns 'example-com_2025-10-22-143052_mobile.json'
+ * // returns 'example.com_index-{hash}_2025-10-22-143052_mobile.json'
  */
 export function generateDataFilename(url, device = 'mobile', date = new Date()) {
   return generateFilename(url, 'json', device, date);
@@ -104,30 +168,60 @@ export function generateDataFilename(url, device = 'mobile', date = new Date())
  * T028: Generates an HTML report filename with timestamp and device mode (Feature 002)
  *
  * @param {string} url - The URL that was audited
- * @param {string} [device='mobile'] - Device mode ('mobile' or 'desktop')
+ * @param {string} [device='mobile'] - Device mode ('mobile', 'desktop' or a device profile name)
  * @param {Date} [date=new Date()] - Optional date to use (defaults to now)
- * @returns {string} - Filename in format: {domain}_{YYYY-MM-DD-HHmmss}_{device}.html
+ * @returns {string} - Filename in format: {domain}_{page}_{YYYY-MM-DD-HHmmss}_{device}.html
  *
  * @example
  * generateReportFilename('https://example.com', 'mobile', new Date('2025-10-22T14:30:52.000Z'))
- * // returns 'example-com_2025-10-22-143052_mobile.html'
+ * // returns 'example.com_index-{hash}_2025-10-22-143052_mobile.html'
  */
 export function generateReportFilename(url, device = 'mobile', date = new Date()) {
   return generateFilename(url, 'html', device, date);
 }
 
 /**
- * Parses a report filename to extract metadata
+ * Parses a report or data filename to extract metadata
+ * Timestamped filenames also yield the timestamp and device, per-page filenames the page
  *
  * @param {string} filename - Filename to parse
- * @returns {Object|null} - Object with domain, date, and extension, or null if invalid
+ * @returns {Object|null} - Object with domain, date, and extension (plus page, timestamp and device), or null if invalid
  *
  * @example
  * parseFilename('example.com-2025-10-22-report.json')
  * // returns { domain: 'example.com', date: '2025-10-22', extension: 'json' }
+ *
+ * parseFilename('example.com_2025-10-22-143052_low-end-android.html')
+ * // returns { domain: 'example.com', date: '2025-10-22', timestamp: '2025-10-22-143052', device: 'low-end-android', extension: 'html' }
+ *
+ * parseFilename('example.com_pricing-1a2b3c4d_2025-10-22-143052_mobile.html')
+ * // returns { domain: 'example.com', page: 'pricing-1a2b3c4d', date: '2025-10-22', timestamp: '2025-10-22-143052', device: 'mobile', extension: 'html' }
  */
 export function parseFilename(filename) {
-  // Pattern: {domain}-{YYYY-MM-DD}-report.{extension}
+  const perPage = filename.match(PAGE_FILENAME_PATTERN);
+  if (perPage) {
+    return {
+      domain: perPage[1],
+      page: perPage[2],
+      date: perPage[3],
+      timestamp: `${perPage[3]}-${perPage[4]}`,
+      device: perPage[5],
+      extension: perPage[6]
+    };
+  }
+
+  const timestamped = filename.match(TIMESTAMPED_FILENAME_PATTERN);
+  if (timestamped) {
+    return {
+      domain: timestamped[1],
+      date: timestamped[2],
+      timestamp: `${timestamped[2]}-${timestamped[3]}`,
+      device: timestamped[4],
+      extension: timestamped[5]
+    };
+  }
+
+  // Legacy pattern: {domain}-{YYYY-MM-DD}-report.{extension}
   const pattern = /^(.+)-(\d{4}-\d{2}-\d{2})-report\.(\w+)$/;
   const match = filename.match(pattern);
 
@@ -55,6 +55,61 @@ export function logSuccess(current, total, url, metrics, duration) {
   console.log(message);
 }
 
+/**
+ * Logs the spread of metrics across multiple runs of one URL
+ *
+ * @param {Object} runs - Multi-run summary from runLighthouseAudit
+ * @param {number} runs.count - Number of successful runs
+ * @param {number} runs.representativeRun - 1-based index of the median run
+ * @param {Object} runs.statistics - Per-metric { median, min, max, stdDev }
+ *
+ * @example
+ * logRunStatistics({ count: 3, representativeRun: 2, statistics: { lcp: { median: 2100, min: 1800, max: 2600, stdDev: 330 } } })
+ * // outputs:
+ * //     3 runs (median run: #2)
+ * //     LCP: 2.10s median (min 1.80s, max 2.60s, σ 0.33s)
+ */
+export function logRunStatistics(runs) {
+  const formats = {
+    lcp: { label: 'LCP', format: (v) => `${(v / 1000).toFixed(2)}s` },
+    cls: { label: 'CLS', format: (v) => v.toFixed(3) },
+    tbt: { label: 'TBT', format: (v) => `${Math.round(v)}ms` },
+    performanceScore: { label: 'Performance', format: (v) => `${Math.round(v)}` }
+  };
+
+  console.log(`    ${runs.count} runs (median run: #${runs.representativeRun})`);
+
+  for (const [field, { label, format }] of Object.entries(formats)) {
+    const stats = runs.statistics?.[field];
+    if (stats) {
+      console.log(`    ${label}: ${format(stats.median)} median (min ${format(stats.min)}, max ${format(stats.max)}, σ ${format(stats.stdDev)})`);
+    }
+  }
+}
+
+/**
+ * Logs the elements behind a poor LCP or CLS rating under an audit's completion line
+ *
+ * @param {Object} metrics - Metrics object with lcpElement and layoutShiftElements
+ *
+ * @example
+ * logCulprits(metrics)
+ * // outputs:
+ * //     LCP 5.20s (poor): main > img.hero → https://example.com/hero.jpg
+ * //     CLS 0.310 (poor): div.cookie-banner (0.210), footer (0.080)
+ */
+export function logCulprits(metrics) {
+  if (metrics?.lcpScore === 'poor' && metrics.lcpElement) {
+    const resource = metrics.lcpElement.url ? ` → ${metrics.lcpElement.url}` : '';
+    console.log(`    LCP ${(metrics.lcp / 1000).toFixed(2)}s (poor): ${metrics.lcpElement.selector}${resource}`);
+  }
+
+  if (metrics?.clsScore === 'poor' && metrics.layoutShiftElements?.length > 0) {
+    const elements = metrics.layoutShiftElements.map(item => `${item.selector} (${item.score.toFixed(3)})`);
+    console.log(`    CLS ${metrics.cls.toFixed(3)} (poor): ${elements.join(', ')}`);
+  }
+}
+
 /**
  * Logs an error to stderr
  *
@@ -102,9 +157,14 @@ export function logInfo(message) {
  * @param {Object} summary - Summary object
  * @param {number} summary.successful - Number of successful audits
  * @param {number} summary.failed - Number of failed audits
+ * @param {number} [summary.cancelled] - Number of audits not run because the batch was cancelled
  * @param {number} summary.duration - Total duration in milliseconds
  * @param {string} summary.reportsDir - Directory where reports were saved
  * @param {string} summary.dataDir - Directory where data was saved
+ * @param {string} [summary.indexPath] - Path to the batch index report
+ * @param {string} [summary.manifestPath] - Path to the run manifest (run.json)
+ * @param {Array<string>} [summary.exportPaths] - CSV/XLSX exports of the run's results
+ * @param {string} [summary.junitPath] - Path to the JUnit XML report
  *
  * @example
  * logSummary({ successful: 48, failed: 2, duration: 512000, reportsDir: './reports', dataDir: './data' })
@@ -117,6 +177,10 @@ export function logSummary(summary) {
     console.log(`✗ ${summary.failed} failed audits`);
   }
 
+  if (summary.cancelled > 0) {
+    console.log(`⊘ ${summary.cancelled} cancelled audits`);
+  }
+
   const totalMinutes = Math.floor(summary.duration / 60000);
   const totalSeconds = Math.floor((summary.duration % 60000) / 1000);
   console.log(`⏱  Total time: ${totalMinutes}m ${totalSeconds}s`);
@@ -128,6 +192,119 @@ export function logSummary(summary) {
   if (summary.dataDir) {
     console.log(`💾 Data saved to: ${summary.dataDir}`);
   }
+
+  if (summary.indexPath) {
+    console.log(`📋 Index report: ${summary.indexPath}`);
+  }
+
+  if (summary.manifestPath) {
+    console.log(`🗂  Run manifest: ${summary.manifestPath}`);
+  }
+
+  for (const exportPath of summary.exportPaths || []) {
+    console.log(`📄 Results exported to: ${exportPath}`);
+  }
+
+  if (summary.junitPath) {
+    console.log(`🧪 JUnit report: ${summary.junitPath}`);
+  }
+}
+
+/**
+ * Logs the effective configuration (for --verbose)
+ *
+ * @param {Object} summary - Labelled values from getConfigSummary
+ * @param {string|null} [configPath] - Config file the values were loaded from
+ *
+ * @example
+ * logConfigSummary({ 'Concurrency': 3, 'Timeout': '60s' }, '.kindbeaconrc.json')
+ */
+export function logConfigSummary(summary, configPath = null) {
+  console.log(`\nEffective configuration (${configPath ? `config file: ${configPath}` : 'no config file'}):`);
+
+  const width = Math.max(...Object.keys(summary).map(label => label.length));
+  for (const [label, value] of Object.entries(summary)) {
+    console.log(`  ${label.padEnd(width)}  ${value}`);
+  }
+  console.log('');
+}
+
+/**
+ * Logs key results for each URL with one column per device, side by side
+ *
+ * @param {Object} results - Results object from orchestrateAudits
+ * @param {Array<string>} devices - Devices in column order
+ *
+ * @example
+ * logDeviceComparison(results, ['mobile', 'desktop'])
+ * // outputs:
+ * // https://example.com
+ * //                      mobile     desktop
+ * //   Performance            72          95
+ * //   LCP                 3.10s       1.20s
+ */
+export function logDeviceComparison(results, devices) {
+  const rows = [
+    { label: 'Performance', format: (m) => m.performanceScore ?? '—' },
+    { label: 'LCP', format: (m) => typeof m.lcp === 'number' ? `${(m.lcp / 1000).toFixed(2)}s` : '—' },
+    { label: 'CLS', format: (m) => typeof m.cls === 'number' ? m.cls.toFixed(3) : '—' },
+    { label: 'TTFB', format: (m) => typeof m.ttfb === 'number' ? `${Math.round(m.ttfb)}ms` : '—' },
+    { label: 'TBT', format: (m) => typeof m.tbt === 'number' ? `${Math.round(m.tbt)}ms` : '—' }
+  ];
+
+  // Group results by requested URL, then by device
+  const byUrl = new Map();
+  const add = (url, device, value) => {
+    if (!byUrl.has(url)) {
+      byUrl.set(url, {});
+    }
+    byUrl.get(url)[device] = value;
+  };
+  results.successful.forEach(entry => add(entry.requestedUrl || entry.url, entry.device, entry.metrics));
+  results.failed.forEach(entry => add(entry.url, entry.device, null));
+
+  console.log('\nMobile vs desktop:');
+
+  for (const [url, byDevice] of byUrl) {
+    console.log(url);
+    console.log(`  ${''.padEnd(14)}${devices.map(d => d.padStart(10)).join('')}`);
+
+    for (const row of rows) {
+      const cells = devices.map(d => {
+        // null marks a failed audit; undefined means the device was not audited
+        const metrics = byDevice[d];
+        const cell = metrics ? row.format(metrics) : (metrics === null ? '✗' : '—');
+        return String(cell).padStart(10);
+      });
+      console.log(`  ${row.label.padEnd(14)}${cells.join('')}`);
+    }
+  }
+}
+
+/**
+ * Logs performance budget violations after all audits complete
+ *
+ * @param {Array<Object>} failures - Budget failures: { url, device, violations }
+ *
+ * @example
+ * logBudgetViolations([{ url: 'https://example.com', device: 'mobile', violations: [...] }])
+ * // outputs:
+ * // Budget violations:
+ * // ✗ https://example.com (mobile)
+ * //     LCP 3120ms exceeds budget of 2500ms
+ */
+export function logBudgetViolations(failures) {
+  const total = failures.reduce((sum, failure) => sum + failure.violations.length, 0);
+  console.log(`\nBudget violations (${total}):`);
+
+  for (const failure of failures) {
+    const device = failure.device ? ` (${failure.device})` : '';
+    console.log(`✗ ${failure.url}${device}`);
+
+    for (const violation of failure.violations) {
+      console.log(`    ${violation.message}`);
+    }
+  }
 }
 
 /**
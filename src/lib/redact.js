@@ -0,0 +1,117 @@
+/**
+ * Secret Redaction Utility
+ *
+ * Removes credentials (header values, cookie values) from anything that is saved
+ * or printed: Lighthouse results, error messages, and log lines.
+ */
+
+/**
+ * Placeholder written in place of a secret
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Secrets shorter than this are not replaced inside free text
+ * (replacing e.g. "1" or "en" everywhere would corrupt the report)
+ */
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Collects the secret values of an authenticated audit
+ *
+ * @param {Object} auth - Authentication options
+ * @param {Object} [auth.headers] - Extra HTTP headers ({ name: value })
+ * @param {Array<Object>} [auth.cookies] - Cookies ({ name, value, ... })
+ * @returns {Array<string>} - Secret values, longest first
+ *
+ * @example
+ * collectSecrets({ headers: { Authorization: 'Bearer abc123' }, cookies: [{ name: 'sid', value: 'xyz789' }] })
+ * // returns ['Bearer abc123', 'xyz789', 'abc123']
+ */
+export function collectSecrets({ headers = {}, cookies = [] } = {}) {
+  const secrets = new Set();
+
+  for (const value of Object.values(headers)) {
+    if (typeof value === 'string') {
+      secrets.add(value);
+      // Also catch the token alone, e.g. when a server echoes it without the scheme
+      const token = value.match(/^(?:Bearer|Basic|Token)\s+(.+)$/i);
+      if (token) {
+        secrets.add(token[1]);
+      }
+    }
+  }
+
+  for (const cookie of cookies) {
+    if (typeof cookie?.value === 'string') {
+      secrets.add(cookie.value);
+    }
+  }
+
+  return [...secrets]
+    .filter(secret => secret.length >= MIN_SECRET_LENGTH)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Replaces every occurrence of the secrets in a string
+ *
+ * @param {string} text - Text that may contain secrets
+ * @param {Array<string>} secrets - Secrets from collectSecrets
+ * @returns {string} - Text with secrets replaced by REDACTED
+ */
+export function redactText(text, secrets) {
+  if (typeof text !== 'string' || secrets.length === 0) {
+    return text;
+  }
+
+  return secrets.reduce((result, secret) => result.split(secret).join(REDACTED), text);
+}
+
+/**
+ * Replaces header values with REDACTED, keeping the header names
+ *
+ * @param {Object} headers - Headers object ({ name: value })
+ * @returns {Object} - Copy with every value redacted
+ *
+ * @example
+ * redactHeaders({ Authorization: 'Bearer abc123' }) // returns { Authorization: '[REDACTED]' }
+ */
+export function redactHeaders(headers) {
+  return Object.fromEntries(Object.keys(headers || {}).map(name => [name, REDACTED]));
+}
+
+/**
+ * Removes secrets from a Lighthouse result before it is saved
+ * Header values in configSettings are always redacted by name, even when every value
+ * is too short to be collected as a secret; any other occurrence of a secret
+ * (e.g., in warnings or request URLs) is replaced as text
+ *
+ * @param {Object} lhr - Lighthouse Result object
+ * @param {Array<string>} secrets - Secrets from collectSecrets
+ * @returns {Object} - Redacted copy of the LHR
+ */
+export function redactLhr(lhr, secrets) {
+  const redacted = secrets.length > 0
+    ? JSON.parse(redactText(JSON.stringify(lhr), secrets.map(escapeForJson)))
+    : { ...lhr };
+
+  if (redacted.configSettings?.extraHeaders) {
+    redacted.configSettings = {
+      ...redacted.configSettings,
+      extraHeaders: redactHeaders(redacted.configSettings.extraHeaders)
+    };
+  }
+
+  return redacted;
+}
+
+/**
+ * Escapes a secret the way JSON.stringify would, so it can be found in serialized JSON
+ *
+ * @param {string} secret - Secret value
+ * @returns {string} - JSON-escaped secret (without surrounding quotes)
+ */
+function escapeForJson(secret) {
+  return JSON.stringify(secret).slice(1, -1);
+}
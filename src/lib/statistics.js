@@ -0,0 +1,75 @@
+/**
+ * Statistics Utility
+ *
+ * Small helpers for summarising repeated measurements (e.g., multiple Lighthouse
+ * runs of the same URL): median, min, max, and standard deviation.
+ */
+
+/**
+ * Calculates the median of a list of numbers
+ *
+ * @param {number[]} values - Values to summarise
+ * @returns {number|null} - Median or null if the list is empty
+ *
+ * @example
+ * median([3, 1, 2]) // returns 2
+ * median([1, 2, 3, 4]) // returns 2.5
+ */
+export function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Calculates the population standard deviation of a list of numbers
+ *
+ * @param {number[]} values - Values to summarise
+ * @returns {number|null} - Standard deviation or null if the list is empty
+ *
+ * @example
+ * standardDeviation([2, 4, 4, 4, 5, 5, 7, 9]) // returns 2
+ */
+export function standardDeviation(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+
+  return Math.sqrt(variance);
+}
+
+/**
+ * Summarises a list of numbers
+ * Non-numeric entries (null/undefined) are ignored
+ *
+ * @param {Array<number|null|undefined>} values - Values to summarise
+ * @returns {Object|null} - { median, min, max, stdDev } or null if there are no numbers
+ *
+ * @example
+ * summarize([1800, 2100, 2600])
+ * // returns { median: 2100, min: 1800, max: 2600, stdDev: 329.98 }
+ */
+export function summarize(values) {
+  const numbers = values.filter(v => typeof v === 'number' && !Number.isNaN(v));
+
+  if (numbers.length === 0) {
+    return null;
+  }
+
+  return {
+    median: median(numbers),
+    min: Math.min(...numbers),
+    max: Math.max(...numbers),
+    stdDev: standardDeviation(numbers)
+  };
+}
@@ -6,6 +6,7 @@
  */
 
 import { extractDomain } from '../lib/domain-extractor.js';
+import { DEVICE_NAME_PATTERN } from './device.js';
 
 /**
  * Valid audit statuses
@@ -17,7 +18,7 @@ export const AuditStatus = {
 };
 
 /**
- * Valid device modes
+ * Built-in device modes (the config can add more, see models/device.js)
  */
 export const DeviceMode = {
   MOBILE: 'mobile',
@@ -33,12 +34,16 @@ export const DeviceMode = {
  * @param {string} [data.timestamp] - ISO 8601 timestamp (defaults to now)
  * @param {string} [data.domain] - Domain extracted from URL (auto-extracted if not provided)
  * @param {string} data.lighthouseVersion - Lighthouse version used
- * @param {string} data.deviceMode - Device emulation mode ('mobile' or 'desktop')
+ * @param {string} data.deviceMode - Device emulation mode ('mobile', 'desktop' or a configured device name)
  * @param {number} data.auditDuration - Audit duration in milliseconds
  * @param {string} data.status - Audit status ('success', 'failed', or 'timeout')
  * @param {string} [data.error] - Error message if status is not 'success'
  * @param {number} [data.retryAttempt=0] - Retry attempt number (0 or 1)
  * @param {Object} [data.categories] - Category scores for full WCV support (feature 002)
+ * @param {Object} [data.runs] - Multi-run summary when a URL was audited more than once
+ * @param {string} [data.label] - Page label from the CSV (e.g., 'product page')
+ * @param {Array<string>} [data.tags] - Page tags from the CSV (e.g., ['shop', 'checkout'])
+ * @param {Object} [data.throttling] - Applied throttling: { profile, method, ...Lighthouse settings }
  * @returns {Object} - Validated audit object
  */
 export function createAudit(data) {
@@ -60,7 +65,11 @@ export function createAudit(data) {
     error: data.error || null,
     retryAttempt: data.retryAttempt || 0,
     // Extended metrics for full WCV support (feature 002)
-    categories: data.categories
+    categories: data.categories,
+    runs: data.runs,
+    label: data.label,
+    tags: data.tags,
+    throttling: data.throttling
   };
 
   // Validate the audit
@@ -125,9 +134,12 @@ export function validateAudit(audit) {
     throw new Error(`Invalid timestamp format: ${audit.timestamp}`);
   }
 
-  // Validate device mode
-  if (!Object.values(DeviceMode).includes(audit.deviceMode)) {
-    throw new Error(`Invalid deviceMode: ${audit.deviceMode}. Must be 'mobile' or 'desktop'`);
+  // Validate device mode - any device profile name, since profiles come from the config
+  if (typeof audit.deviceMode !== 'string' || !DEVICE_NAME_PATTERN.test(audit.deviceMode)) {
+    throw new Error(
+      `Invalid deviceMode: ${audit.deviceMode}. Must be 'mobile', 'desktop' or a device profile name ` +
+      `(lowercase letters, digits and '-')`
+    );
   }
 
   // Validate status
@@ -156,6 +168,32 @@ export function validateAudit(audit) {
       throw new Error('categories must be an object');
     }
   }
+
+  // Validate optional multi-run summary
+  if (audit.runs !== undefined && audit.runs !== null) {
+    if (typeof audit.runs !== 'object' || typeof audit.runs.count !== 'number' || audit.runs.count < 1) {
+      throw new Error('runs must be an object with a positive count');
+    }
+  }
+
+  // Validate optional grouping fields from the CSV
+  if (audit.label !== undefined && audit.label !== null && typeof audit.label !== 'string') {
+    throw new Error('label must be a string');
+  }
+
+  if (audit.tags !== undefined && audit.tags !== null) {
+    if (!Array.isArray(audit.tags) || audit.tags.some(tag => typeof tag !== 'string')) {
+      throw new Error('tags must be an array of strings');
+    }
+  }
+
+  // Validate optional throttling record (runs are only comparable with the same throttling)
+  if (audit.throttling !== undefined && audit.throttling !== null) {
+    if (typeof audit.throttling !== 'object' || typeof audit.throttling.profile !== 'string' ||
+        typeof audit.throttling.method !== 'string') {
+      throw new Error('throttling must be an object with a profile and method');
+    }
+  }
 }
 
 /**
@@ -227,7 +265,11 @@ export function auditToJSON(audit) {
       ...(audit.error && { error: audit.error }),
       retryAttempt: audit.retryAttempt,
       // Extended metrics for full WCV support (feature 002)
-      ...(audit.categories && { categories: audit.categories })
+      ...(audit.categories && { categories: audit.categories }),
+      ...(audit.runs && { runs: audit.runs }),
+      ...(audit.label && { label: audit.label }),
+      ...(audit.tags?.length > 0 && { tags: audit.tags }),
+      ...(audit.throttling && { throttling: audit.throttling })
     }
   };
 }
@@ -0,0 +1,262 @@
+/**
+ * Budget Model
+ *
+ * Performance budgets declared in the config file and checked after each audit run.
+ * Budgets without a `match` pattern apply to every URL; budgets with a `match`
+ * regular expression apply to matching URLs and override global limits per metric.
+ * Budgets with a `name` only apply to CSV rows that reference them in a `budget` column,
+ * and override both.
+ *
+ * @example
+ * // .kindbeaconrc.json
+ * {
+ *   "budgets": [
+ *     { "lcp": 2500, "performance": 85, "accessibility": 95 },
+ *     { "match": "/checkout", "lcp": 2000 },
+ *     { "name": "landing", "lcp": 1800, "performance": 95 }
+ *   ]
+ * }
+ */
+
+/**
+ * Keys of a budget definition that select URLs rather than set limits
+ */
+const SELECTOR_KEYS = ['match', 'name'];
+
+/**
+ * Budgetable metrics
+ * 'max' limits fail when the value is above the limit, 'min' limits when it is below
+ */
+export const BudgetMetrics = {
+  lcp: { field: 'lcp', label: 'LCP', unit: 'ms', type: 'max' },
+  inp: { field: 'inp', label: 'INP', unit: 'ms', type: 'max' },
+  cls: { field: 'cls', label: 'CLS', unit: '', type: 'max' },
+  ttfb: { field: 'ttfb', label: 'TTFB', unit: 'ms', type: 'max' },
+  tbt: { field: 'tbt', label: 'TBT', unit: 'ms', type: 'max' },
+  performance: { field: 'performanceScore', label: 'Performance score', unit: 'score', type: 'min' },
+  accessibility: { field: 'accessibilityScore', label: 'Accessibility score', unit: 'score', type: 'min' },
+  seo: { field: 'seoScore', label: 'SEO score', unit: 'score', type: 'min' },
+  bestPractices: { field: 'bestPracticesScore', label: 'Best Practices score', unit: 'score', type: 'min' }
+};
+
+/**
+ * Validates a list of budget definitions
+ *
+ * @param {Array<Object>} budgets - Budget definitions from config
+ * @throws {Error} - If validation fails
+ */
+export function validateBudgets(budgets) {
+  if (!Array.isArray(budgets)) {
+    throw new Error('budgets must be an array');
+  }
+
+  const names = new Set();
+
+  budgets.forEach((budget, index) => {
+    const where = `budgets[${index}]`;
+
+    if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+      throw new Error(`${where} must be an object`);
+    }
+
+    if (budget.match !== undefined) {
+      if (typeof budget.match !== 'string' || budget.match.length === 0) {
+        throw new Error(`${where}.match must be a non-empty string`);
+      }
+      try {
+        new RegExp(budget.match);
+      } catch (error) {
+        throw new Error(`${where}.match is not a valid regular expression: ${error.message}`);
+      }
+    }
+
+    if (budget.name !== undefined) {
+      if (typeof budget.name !== 'string' || budget.name.trim().length === 0) {
+        throw new Error(`${where}.name must be a non-empty string`);
+      }
+      if (names.has(budget.name)) {
+        throw new Error(`${where}.name "${budget.name}" is used by more than one budget`);
+      }
+      names.add(budget.name);
+    }
+
+    const limits = Object.keys(budget).filter(key => !SELECTOR_KEYS.includes(key));
+    if (limits.length === 0) {
+      throw new Error(`${where} must define at least one limit (${Object.keys(BudgetMetrics).join(', ')})`);
+    }
+
+    for (const key of limits) {
+      const metric = BudgetMetrics[key];
+      if (!metric) {
+        throw new Error(`${where}.${key} is not a budgetable metric. Use one of: ${Object.keys(BudgetMetrics).join(', ')}`);
+      }
+
+      const limit = budget[key];
+      if (typeof limit !== 'number' || limit < 0) {
+        throw new Error(`${where}.${key} must be a non-negative number`);
+      }
+      if (metric.unit === 'score' && limit > 100) {
+        throw new Error(`${where}.${key} must be between 0 and 100`);
+      }
+    }
+  });
+}
+
+/**
+ * Checks that every budget name referenced by an entry is defined
+ *
+ * @param {Array<Object>} entries - URL entries ({ url, budget? }), e.g., from readCsv
+ * @param {Array<Object>} budgets - Validated budget definitions
+ * @throws {Error} - If an entry references an unknown budget name
+ */
+export function validateBudgetReferences(entries, budgets) {
+  const names = budgets.filter(budget => budget.name !== undefined).map(budget => budget.name);
+
+  for (const entry of entries) {
+    if (entry.budget && !names.includes(entry.budget)) {
+      const hint = names.length > 0
+        ? `Named budgets: ${names.join(', ')}`
+        : `Add a budget with "name": "${entry.budget}"`;
+      throw new Error(`Budget "${entry.budget}" (used by ${entry.url}) is not defined in the config file. ${hint}`);
+    }
+  }
+}
+
+/**
+ * Resolves the effective limits for a URL
+ * Global budgets apply first, then matching pattern budgets in declaration order,
+ * then the named budget the URL references (if any)
+ *
+ * @param {string} url - Audited URL
+ * @param {Array<Object>} budgets - Validated budget definitions
+ * @param {string} [budgetName] - Named budget referenced by the URL's CSV row
+ * @returns {Object} - Limits keyed by metric: { lcp: { limit, match, name } }
+ */
+export function resolveBudgetForUrl(url, budgets, budgetName) {
+  const limits = {};
+  const unnamed = budgets.filter(budget => budget.name === undefined);
+  const ordered = [
+    ...unnamed.filter(budget => budget.match === undefined),
+    ...unnamed.filter(budget => budget.match !== undefined && new RegExp(budget.match).test(url)),
+    ...budgets.filter(budget => budgetName !== undefined && budget.name === budgetName &&
+      (budget.match === undefined || new RegExp(budget.match).test(url)))
+  ];
+
+  for (const budget of ordered) {
+    for (const [key, limit] of Object.entries(budget)) {
+      if (!SELECTOR_KEYS.includes(key)) {
+        limits[key] = { limit, match: budget.match || null, name: budget.name || null };
+      }
+    }
+  }
+
+  return limits;
+}
+
+/**
+ * Evaluates metrics against resolved limits
+ * Metrics missing from the audit (e.g., a category that was not run) are not counted as violations
+ *
+ * @param {Object} metrics - Metrics object
+ * @param {Object} limits - Limits from resolveBudgetForUrl
+ * @returns {Array<Object>} - Violations: { metric, label, unit, type, limit, actual, match, name, message }
+ */
+export function evaluateBudget(metrics, limits) {
+  const violations = [];
+
+  for (const [key, { limit, match, name }] of Object.entries(limits)) {
+    const metric = BudgetMetrics[key];
+    const actual = metrics?.[metric.field];
+
+    if (typeof actual !== 'number') {
+      continue;
+    }
+
+    const violated = metric.type === 'max' ? actual > limit : actual < limit;
+    if (violated) {
+      const violation = { metric: key, label: metric.label, unit: metric.unit, type: metric.type, limit, actual, match, name };
+      violations.push({ ...violation, message: formatViolation(violation) });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Checks every successful audit against the budgets
+ *
+ * @param {Object} results - Results object from orchestrateAudits
+ * @param {Array<Object>} budgets - Validated budget definitions
+ * @returns {Array<Object>} - One entry per URL with violations: { url, device, violations }
+ *
+ * @example
+ * const failures = checkBudgets(results, [{ lcp: 2500 }]);
+ * // => [{ url: 'https://example.com', device: 'mobile', violations: [{ metric: 'lcp', limit: 2500, actual: 3100, ... }] }]
+ */
+export function checkBudgets(results, budgets) {
+  if (!budgets || budgets.length === 0) {
+    return [];
+  }
+
+  const failures = [];
+
+  for (const entry of results.successful || []) {
+    const url = entry.requestedUrl || entry.url;
+    const violations = evaluateBudget(entry.metrics, resolveBudgetForUrl(url, budgets, entry.budget));
+
+    if (violations.length > 0) {
+      failures.push({ url, device: entry.device || null, violations });
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Counts the successful audits that were checked against at least one budget limit
+ * Failed audits, and audits that measured none of their budgeted metrics, are not counted
+ *
+ * @param {Object} results - Results object from orchestrateAudits
+ * @param {Array<Object>} budgets - Validated budget definitions
+ * @returns {number} - Number of audits checked
+ *
+ * @example
+ * if (checkBudgets(results, budgets).length === 0 && countBudgetedAudits(results, budgets) > 0) {
+ *   console.log('✓ All performance budgets met');
+ * }
+ */
+export function countBudgetedAudits(results, budgets) {
+  if (!budgets || budgets.length === 0) {
+    return 0;
+  }
+
+  return (results.successful || []).filter(entry => {
+    const limits = resolveBudgetForUrl(entry.requestedUrl || entry.url, budgets, entry.budget);
+    return Object.keys(limits).some(key => typeof entry.metrics?.[BudgetMetrics[key].field] === 'number');
+  }).length;
+}
+
+/**
+ * Formats a budget violation for display
+ *
+ * @param {Object} violation - Violation from evaluateBudget
+ * @returns {string} - Human-readable description
+ *
+ * @example
+ * formatViolation({ label: 'LCP', unit: 'ms', type: 'max', limit: 2500, actual: 3120 })
+ * // returns 'LCP 3120ms exceeds budget of 2500ms'
+ */
+export function formatViolation(violation) {
+  const format = (value) => {
+    if (violation.unit === 'ms') return `${Math.round(value)}ms`;
+    if (violation.unit === 'score') return String(Math.round(value));
+    return value.toFixed(3);
+  };
+
+  const comparison = violation.type === 'max' ? 'exceeds budget of' : 'is below budget of';
+  const scope = violation.name
+    ? ` (budget: ${violation.name})`
+    : (violation.match ? ` (match: ${violation.match})` : '');
+
+  return `${violation.label} ${format(violation.actual)} ${comparison} ${format(violation.limit)}${scope}`;
+}
@@ -4,10 +4,41 @@
  * Manages configuration with cosmiconfig.
  * Supports CLI args > config file > defaults precedence.
  * Based on data-model.md "Configuration" entity and contracts/cli-interface.md.
+ *
+ * Every audit option can be set in the config file under its camelCase name
+ * (e.g. --recycle-after → "recycleAfter", --header → "headers").
+ *
+ * @example
+ * // .kindbeaconrc.json
+ * {
+ *   "concurrency": 5,
+ *   "device": "both",
+ *   "runs": 3,
+ *   "headers": { "X-Preview": "1" },
+ *   "throttling": "slow-4g",
+ *   "throttlingMethod": "devtools",
+ *   "categories": ["performance"],
+ *   "outputFormats": ["json"],
+ *   "storage": "sqlite",
+ *   "budgets": [{ "lcp": 2500 }]
+ * }
  */
 
 import { cosmiconfigSync } from 'cosmiconfig';
 import { DeviceMode } from './audit.js';
+import { validateBudgets } from './budget.js';
+import { DEVICE_NAME_PATTERN, validateDeviceProfile, getDeviceNames, resolveDeviceProfile } from './device.js';
+import {
+  THROTTLING_METHODS,
+  THROTTLING_PRESETS,
+  validateThrottlingProfile,
+  resolveThrottlingProfile,
+  describeThrottlingProfile
+} from './throttling.js';
+import { parseHeaders } from '../services/authentication.js';
+import { LIGHTHOUSE_CATEGORIES } from '../services/lighthouse-config.js';
+import { DEFAULT_RECYCLE_AFTER } from '../services/worker-pool.js';
+import { getDatabasePath } from '../services/sqlite-storage.js';
 
 /**
  * Default configuration values
@@ -16,60 +47,160 @@ export const DEFAULT_CONFIG = {
   concurrency: 3,
   timeout: 60,
   device: DeviceMode.MOBILE,
+  deviceProfiles: {},
+  runs: 1,
+  recycleAfter: DEFAULT_RECYCLE_AFTER,
+  headers: {},
+  cookies: null,
+  loginScript: null,
+  include: null,
+  exclude: null,
+  limit: null,
+  sample: null,
+  throttling: null,
+  throttlingMethod: null,
+  throttlingProfiles: {},
+  categories: null,
+  onlyAudits: null,
+  skipAudits: null,
+  lighthouseConfig: null,
+  outputFormats: [],
+  storage: 'json',
   dataDir: './data',
-  reportsDir: './reports'
+  reportsDir: './reports',
+  budgets: []
 };
 
+/**
+ * Output formats written in addition to the HTML report (which is always written)
+ * json saves the audit data; csv and xlsx export the run's results as one spreadsheet;
+ * junit writes the run's thresholds and budgets as JUnit XML test results
+ */
+export const OUTPUT_FORMATS = ['json', 'csv', 'xlsx', 'junit'];
+
+/**
+ * Where audit data is saved: one JSON file per audit, or a SQLite database in the data directory
+ */
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
 /**
  * Loads configuration from file using cosmiconfig
  *
  * @param {string} [configPath] - Optional path to config file
  * @returns {Object|null} - Config from file or null if not found
+ * @throws {Error} - If an explicit config file is missing, or a config file cannot be parsed
  */
-function loadConfigFile(configPath) {
+export function loadConfigFile(configPath) {
   const explorer = cosmiconfigSync('kindbeacon');
 
-  try {
-    if (configPath) {
-      // Load from specific path
-      const result = explorer.load(configPath);
-      return result?.config || null;
-    } else {
-      // Search for config file
-      const result = explorer.search();
-      return result?.config || null;
+  if (configPath) {
+    // Load from specific path - the user asked for this file, so failures are errors
+    let result;
+    try {
+      result = explorer.load(configPath);
+    } catch (error) {
+      if (error?.code === 'ENOENT') {
+        throw new Error(`Config file not found: ${configPath}`);
+      }
+      throw new Error(`Invalid config file ${configPath}: ${error.message}`);
     }
+    return result?.config || null;
+  }
+
+  // Search for config file - none found is fine, a broken one is not
+  try {
+    const result = explorer.search();
+    return result?.config || null;
   } catch (error) {
-    // Config file not found or invalid - return null
-    return null;
+    throw new Error(`Invalid config file: ${error.message}`);
   }
 }
 
 /**
  * Creates a configuration object with proper precedence:
  * CLI args > config file > defaults
+ * Headers from the CLI are added to the file's headers, and CLI output formats to the file's formats
  *
- * @param {Object} [cliOptions={}] - Options from CLI arguments
+ * @param {Object} [cliOptions={}] - Options from CLI arguments (see parseCliOptions)
  * @param {string} [configPath] - Optional path to config file
  * @returns {Object} - Merged configuration
+ * @throws {Error} - If the config file cannot be loaded or the merged config is invalid
  */
 export function createConfig(cliOptions = {}, configPath = null) {
   // Load config file
-  const fileConfig = loadConfigFile(configPath);
+  const fileConfig = { ...(loadConfigFile(configPath) || {}) };
+
+  // --limit and --sample are alternatives: choosing one on the CLI replaces the other from the file
+  if (cliOptions.limit !== undefined || cliOptions.sample !== undefined) {
+    delete fileConfig.limit;
+    delete fileConfig.sample;
+  }
 
   // Merge with precedence: CLI > file > defaults
   const config = {
     ...DEFAULT_CONFIG,
-    ...(fileConfig || {}),
+    ...fileConfig,
     ...cliOptions
   };
 
+  if (cliOptions.headers) {
+    config.headers = { ...(fileConfig.headers || {}), ...cliOptions.headers };
+  }
+
+  if (cliOptions.outputFormats) {
+    config.outputFormats = [...new Set([...(fileConfig.outputFormats || []), ...cliOptions.outputFormats])];
+  }
+
   // Validate the config
   validateConfig(config);
 
   return config;
 }
 
+/**
+ * Parses a device option into the list of devices to audit
+ *
+ * @param {string|Array<string>} device - Device names ('mobile', 'desktop' or a configured profile),
+ *   'both', a comma-separated list, or an array
+ * @param {Object} [profiles={}] - Custom device profiles from the config (see models/device.js)
+ * @returns {Array<string>} - Unique devices in the order given
+ * @throws {Error} - If any device is unknown
+ *
+ * @example
+ * parseDevices('both')            // ['mobile', 'desktop']
+ * parseDevices('desktop,mobile')  // ['desktop', 'mobile']
+ * parseDevices('tablet', { tablet: { width: 820, height: 1180 } })  // ['tablet']
+ */
+export function parseDevices(device, profiles = {}) {
+  const values = Array.isArray(device) ? device : String(device ?? '').split(',');
+  const requested = values.map(value => String(value).trim().toLowerCase()).filter(Boolean);
+  const devices = [...new Set(requested.flatMap(value =>
+    value === 'both' ? [DeviceMode.MOBILE, DeviceMode.DESKTOP] : [value]
+  ))];
+
+  const known = getDeviceNames(profiles);
+  if (devices.length === 0 || devices.some(value => !known.includes(value))) {
+    throw new Error(
+      `device must be ${known.map(name => `'${name}'`).join(', ')}, 'both', or a list of them (got: ${device})`
+    );
+  }
+
+  return devices;
+}
+
+/**
+ * Checks that an optional value is a positive integer
+ *
+ * @param {*} value - Value to check
+ * @param {string} name - Option name for the error message
+ * @throws {Error} - If the value is set and not a positive integer
+ */
+function validateCount(value, name) {
+  if (value !== null && value !== undefined && (!Number.isInteger(value) || value < 1)) {
+    throw new Error(`${name} must be a positive integer (got: ${value})`);
+  }
+}
+
 /**
  * Validates a configuration object
  *
@@ -77,13 +208,22 @@ export function createConfig(cliOptions = {}, configPath = null) {
  * @throws {Error} - If validation fails
  */
 export function validateConfig(config) {
+  // Catch typos: an unknown option would otherwise be ignored silently
+  const unknown = Object.keys(config).filter(key => !(key in DEFAULT_CONFIG));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown config option${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}\n` +
+      `Known options: ${Object.keys(DEFAULT_CONFIG).join(', ')}`
+    );
+  }
+
   // Validate concurrency
   if (typeof config.concurrency !== 'number') {
     throw new Error('concurrency must be a number');
   }
 
   if (config.concurrency < 1 || config.concurrency > 10) {
-    throw new Error('concurrency must be between 1 and 10');
+    throw new Error(`concurrency must be between 1 and 10 (got: ${config.concurrency})`);
   }
 
   // Validate timeout
@@ -92,12 +232,117 @@ export function validateConfig(config) {
   }
 
   if (config.timeout <= 0) {
-    throw new Error('timeout must be positive');
+    throw new Error(`timeout must be positive (got: ${config.timeout})`);
   }
 
-  // Validate device mode
-  if (!Object.values(DeviceMode).includes(config.device)) {
-    throw new Error(`device must be '${DeviceMode.MOBILE}' or '${DeviceMode.DESKTOP}'`);
+  // Validate device profiles and device mode(s)
+  if (!config.deviceProfiles || typeof config.deviceProfiles !== 'object' || Array.isArray(config.deviceProfiles)) {
+    throw new Error('deviceProfiles must be an object of "name": { ...settings } pairs');
+  }
+  for (const [name, profile] of Object.entries(config.deviceProfiles)) {
+    if (!DEVICE_NAME_PATTERN.test(name) || name === 'both') {
+      throw new Error(`deviceProfiles.${name}: device names may only use lowercase letters, digits and '-' (and not 'both')`);
+    }
+    if (getDeviceNames().includes(name)) {
+      throw new Error(`deviceProfiles.${name}: ${name} is a built-in device - choose another name or use "extends": "${name}"`);
+    }
+    validateDeviceProfile(profile, `deviceProfiles.${name}`);
+    resolveDeviceProfile(name, config.deviceProfiles);
+  }
+  parseDevices(config.device, config.deviceProfiles);
+
+  // Validate runs and worker recycling
+  if (!Number.isInteger(config.runs) || config.runs < 1 || config.runs > 10) {
+    throw new Error(`runs must be an integer between 1 and 10 (got: ${config.runs})`);
+  }
+  validateCount(config.recycleAfter, 'recycleAfter');
+
+  // Validate credentials (header values are never echoed - they are likely secrets)
+  if (!config.headers || typeof config.headers !== 'object' || Array.isArray(config.headers)) {
+    throw new Error('headers must be an object of "Name": "value" pairs');
+  }
+  for (const [name, value] of Object.entries(config.headers)) {
+    if (typeof value !== 'string') {
+      throw new Error(`headers.${name} must be a string`);
+    }
+    parseHeaders([`${name}: ${value}`]);
+  }
+
+  for (const name of ['cookies', 'loginScript']) {
+    if (config[name] !== null && (typeof config[name] !== 'string' || config[name].length === 0)) {
+      throw new Error(`${name} must be a file path`);
+    }
+  }
+
+  // Validate URL selection
+  for (const name of ['include', 'exclude']) {
+    if (config[name] === null) {
+      continue;
+    }
+    try {
+      new RegExp(config[name]);
+    } catch (error) {
+      throw new Error(`${name} is not a valid regular expression (got: ${config[name]}): ${error.message}`);
+    }
+  }
+
+  validateCount(config.limit, 'limit');
+  validateCount(config.sample, 'sample');
+  if (config.limit && config.sample) {
+    throw new Error('Use either limit or sample, not both');
+  }
+
+  // Validate throttling: a profile name or an inline profile, plus custom profiles
+  if (!config.throttlingProfiles || typeof config.throttlingProfiles !== 'object' ||
+      Array.isArray(config.throttlingProfiles)) {
+    throw new Error('throttlingProfiles must be an object of "name": { ...settings } pairs');
+  }
+  for (const [name, profile] of Object.entries(config.throttlingProfiles)) {
+    if (Object.hasOwn(THROTTLING_PRESETS, name) || name === 'custom') {
+      throw new Error(`throttlingProfiles.${name}: ${name} is a built-in profile name - choose another name or use "extends": "${name}"`);
+    }
+    validateThrottlingProfile(profile, `throttlingProfiles.${name}`);
+  }
+
+  if (config.throttling !== null && typeof config.throttling !== 'string') {
+    validateThrottlingProfile(config.throttling, 'throttling');
+  }
+
+  if (config.throttlingMethod !== null && !THROTTLING_METHODS.includes(config.throttlingMethod)) {
+    throw new Error(`throttlingMethod must be one of: ${THROTTLING_METHODS.join(', ')} (got: ${config.throttlingMethod})`);
+  }
+
+  // Unknown profile names and extends loops
+  resolveThrottlingProfile(config.throttling, config.throttlingProfiles, config.throttlingMethod);
+
+  // Validate the Lighthouse category and audit selection
+  for (const name of ['categories', 'onlyAudits', 'skipAudits']) {
+    if (config[name] !== null &&
+        (!Array.isArray(config[name]) || config[name].some(id => typeof id !== 'string' || id.length === 0))) {
+      throw new Error(`${name} must be a list of Lighthouse ${name === 'categories' ? 'category' : 'audit'} IDs`);
+    }
+  }
+
+  // A custom Lighthouse config may define its own categories
+  if (config.lighthouseConfig !== null && (typeof config.lighthouseConfig !== 'string' || config.lighthouseConfig.length === 0)) {
+    throw new Error('lighthouseConfig must be a file path');
+  }
+  const unknownCategories = (config.categories || []).filter(id => !LIGHTHOUSE_CATEGORIES.includes(id));
+  if (config.lighthouseConfig === null && unknownCategories.length > 0) {
+    throw new Error(
+      `Unknown categor${unknownCategories.length > 1 ? 'ies' : 'y'}: ${unknownCategories.join(', ')} ` +
+      `(use: ${LIGHTHOUSE_CATEGORIES.join(', ')}, or define more in a lighthouseConfig)`
+    );
+  }
+
+  // Validate output formats
+  if (!Array.isArray(config.outputFormats) ||
+      config.outputFormats.some(format => !OUTPUT_FORMATS.includes(format))) {
+    throw new Error(`outputFormats must be a list of: ${OUTPUT_FORMATS.join(', ')} (HTML reports are always written)`);
+  }
+
+  if (!STORAGE_BACKENDS.includes(config.storage)) {
+    throw new Error(`storage must be one of: ${STORAGE_BACKENDS.join(', ')} (got: ${config.storage})`);
   }
 
   // Validate directory paths (basic validation)
@@ -108,33 +353,51 @@ export function validateConfig(config) {
   if (typeof config.reportsDir !== 'string' || config.reportsDir.length === 0) {
     throw new Error('reportsDir must be a non-empty string');
   }
+
+  // Validate performance budgets
+  if (config.budgets !== undefined) {
+    validateBudgets(config.budgets);
+  }
+}
+
+/**
+ * Parses an optional numeric CLI option
+ *
+ * @param {string|undefined} value - Raw option value
+ * @param {string} name - Option name for the error message
+ * @returns {number|undefined} - Parsed number or undefined if not set
+ * @throws {Error} - If the value is not a number
+ */
+function parseNumber(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (value === '' || isNaN(number)) {
+    throw new Error(`Invalid ${name} value: ${value}`);
+  }
+
+  return number;
 }
 
 /**
  * Parses CLI options and converts them to the correct types
+ * Only options given on the command line are returned, so the config file fills in the rest
  *
  * @param {Object} rawOptions - Raw options from Commander.js
- * @returns {Object} - Parsed options with correct types
+ * @returns {Object} - Parsed options with correct types, keyed like DEFAULT_CONFIG
  */
 export function parseCliOptions(rawOptions) {
   const parsed = {};
 
-  // Parse concurrency
-  if (rawOptions.concurrency !== undefined) {
-    const concurrency = parseInt(rawOptions.concurrency, 10);
-    if (isNaN(concurrency)) {
-      throw new Error(`Invalid concurrency value: ${rawOptions.concurrency}`);
-    }
-    parsed.concurrency = concurrency;
-  }
-
-  // Parse timeout
-  if (rawOptions.timeout !== undefined) {
-    const timeout = parseInt(rawOptions.timeout, 10);
-    if (isNaN(timeout)) {
-      throw new Error(`Invalid timeout value: ${rawOptions.timeout}`);
+  // Parse numeric options
+  const numericOptions = ['concurrency', 'timeout', 'runs', 'recycleAfter', 'limit', 'sample'];
+  for (const name of numericOptions) {
+    const value = parseNumber(rawOptions[name], name);
+    if (value !== undefined) {
+      parsed[name] = value;
     }
-    parsed.timeout = timeout;
   }
 
   // Parse device
@@ -142,13 +405,41 @@ export function parseCliOptions(rawOptions) {
     parsed.device = rawOptions.device.toLowerCase();
   }
 
-  // Parse directories
-  if (rawOptions.dataDir !== undefined) {
-    parsed.dataDir = rawOptions.dataDir;
+  // Parse credentials (repeated --header options become one headers object)
+  if (rawOptions.header?.length > 0) {
+    parsed.headers = parseHeaders(rawOptions.header);
+  }
+
+  // Parse throttling (method names are case-insensitive, profile names are not)
+  if (rawOptions.throttlingMethod !== undefined) {
+    parsed.throttlingMethod = rawOptions.throttlingMethod.toLowerCase();
+  }
+
+  // Parse category and audit lists (comma-separated)
+  for (const name of ['categories', 'onlyAudits', 'skipAudits']) {
+    if (rawOptions[name] !== undefined) {
+      parsed[name] = rawOptions[name].split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+    }
+  }
+
+  // Parse paths, filters and profile names
+  for (const name of ['cookies', 'loginScript', 'include', 'exclude', 'throttling', 'lighthouseConfig', 'dataDir', 'reportsDir']) {
+    if (rawOptions[name] !== undefined) {
+      parsed[name] = rawOptions[name];
+    }
+  }
+
+  if (rawOptions.storage !== undefined) {
+    parsed.storage = rawOptions.storage.toLowerCase();
   }
 
-  if (rawOptions.reportsDir !== undefined) {
-    parsed.reportsDir = rawOptions.reportsDir;
+  // Parse output formats (--json is short for --output-format json)
+  const outputFormats = [
+    ...(rawOptions.json ? ['json'] : []),
+    ...(rawOptions.outputFormat ?? '').split(',').map(format => format.trim().toLowerCase()).filter(Boolean)
+  ];
+  if (outputFormats.length > 0) {
+    parsed.outputFormats = [...new Set(outputFormats)];
   }
 
   return parsed;
@@ -156,17 +447,38 @@ export function parseCliOptions(rawOptions) {
 
 /**
  * Gets the effective configuration for display/logging
+ * Header values are hidden: only their names are shown
  *
  * @param {Object} config - Configuration object
  * @returns {Object} - Configuration formatted for display
  */
 export function getConfigSummary(config) {
+  const headerNames = Object.keys(config.headers || {});
+  const throttling = resolveThrottlingProfile(config.throttling, config.throttlingProfiles, config.throttlingMethod);
+
   return {
     'Concurrency': config.concurrency,
     'Timeout': `${config.timeout}s`,
     'Device': config.device,
+    'Device Profiles': Object.keys(config.deviceProfiles).join(', ') || 'none',
+    'Runs': config.runs,
+    'Recycle After': `${config.recycleAfter} audits`,
+    'Headers': headerNames.length > 0 ? headerNames.join(', ') : 'none',
+    'Cookies': config.cookies || 'none',
+    'Login Script': config.loginScript || 'none',
+    'Include': config.include || 'all URLs',
+    'Exclude': config.exclude || 'none',
+    'Limit': config.limit ? `first ${config.limit} URLs` : (config.sample ? `random sample of ${config.sample}` : 'none'),
+    'Throttling': describeThrottlingProfile(throttling),
+    'Categories': config.categories?.join(', ') || (config.lighthouseConfig ? 'from Lighthouse config' : LIGHTHOUSE_CATEGORIES.join(', ')),
+    'Only Audits': config.onlyAudits?.join(', ') || 'all',
+    'Skip Audits': config.skipAudits?.join(', ') || 'none',
+    'Lighthouse Config': config.lighthouseConfig || 'default',
+    'Output Formats': ['html', ...config.outputFormats].join(', '),
+    'Storage': config.storage === 'sqlite' ? `sqlite (${getDatabasePath(config.dataDir)})` : 'json files',
     'Data Directory': config.dataDir,
-    'Reports Directory': config.reportsDir
+    'Reports Directory': config.reportsDir,
+    'Budgets': config.budgets.length
   };
 }
 
@@ -0,0 +1,122 @@
+/**
+ * Device Model
+ *
+ * Named device emulation profiles. `mobile` and `desktop` are built in; the config
+ * file can define more under "deviceProfiles" (e.g. a tablet or a low-end Android phone).
+ * Each profile sets the viewport, device scale factor, user agent, mobile flag and CPU slowdown.
+ * The profile name is used wherever a device is named: --device, the CSV device
+ * column, the saved audit (deviceMode) and the report filenames.
+ *
+ * @example
+ * // .kindbeaconrc.json
+ * {
+ *   "device": "mobile,tablet",
+ *   "deviceProfiles": {
+ *     "tablet": { "mobile": true, "width": 820, "height": 1180, "deviceScaleFactor": 2, "cpuSlowdownMultiplier": 2 },
+ *     "low-end-android": { "extends": "mobile", "width": 360, "height": 640, "cpuSlowdownMultiplier": 6 }
+ *   }
+ * }
+ */
+
+/**
+ * Device names become part of filenames, so only lowercase letters, digits and '-' are accepted
+ */
+export const DEVICE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Settings a device profile can set
+ * width, height, deviceScaleFactor and mobile map to Lighthouse's screenEmulation
+ */
+export const DEVICE_SETTINGS = ['width', 'height', 'deviceScaleFactor', 'mobile', 'userAgent', 'cpuSlowdownMultiplier'];
+
+/**
+ * Built-in profiles
+ * A null userAgent keeps Lighthouse's default user agent for the form factor
+ */
+export const DEVICE_PROFILES = {
+  mobile: { mobile: true, width: 375, height: 667, deviceScaleFactor: 2.625, userAgent: null, cpuSlowdownMultiplier: 4 },
+  desktop: { mobile: false, width: 1350, height: 940, deviceScaleFactor: 1, userAgent: null, cpuSlowdownMultiplier: 1 }
+};
+
+/**
+ * Validates one device profile definition from the config's "deviceProfiles"
+ *
+ * @param {Object} profile - Profile definition
+ * @param {string} where - Config path for error messages (e.g., 'deviceProfiles.tablet')
+ * @throws {Error} - If validation fails
+ */
+export function validateDeviceProfile(profile, where) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`${where} must be an object with any of: extends, ${DEVICE_SETTINGS.join(', ')}`);
+  }
+
+  for (const [key, value] of Object.entries(profile)) {
+    if (key === 'extends' || key === 'userAgent') {
+      if (typeof value !== 'string' || value.length === 0) {
+        throw new Error(`${where}.${key} must be a non-empty string`);
+      }
+    } else if (key === 'mobile') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`${where}.mobile must be true or false`);
+      }
+    } else if (key === 'width' || key === 'height') {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${where}.${key} must be a positive integer (got: ${value})`);
+      }
+    } else if (DEVICE_SETTINGS.includes(key)) {
+      if (typeof value !== 'number' || value <= 0) {
+        throw new Error(`${where}.${key} must be a positive number (got: ${value})`);
+      }
+    } else {
+      throw new Error(`Unknown device setting: ${key} (use: extends, ${DEVICE_SETTINGS.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Lists the device names that can be audited
+ *
+ * @param {Object} [profiles={}] - Custom profiles from the config, keyed by name
+ * @returns {Array<string>} - Built-in and custom device names
+ */
+export function getDeviceNames(profiles = {}) {
+  return [...Object.keys(DEVICE_PROFILES), ...Object.keys(profiles || {})];
+}
+
+/**
+ * Resolves a device name to its full emulation settings
+ * Custom profiles fill missing settings from `extends`, or from the built-in
+ * profile matching their `mobile` flag (mobile unless `"mobile": false`)
+ *
+ * @param {string} name - Device name
+ * @param {Object} [profiles={}] - Custom profiles from the config, keyed by name
+ * @returns {Object} - { name, formFactor, width, height, deviceScaleFactor, mobile, userAgent, cpuSlowdownMultiplier }
+ * @throws {Error} - If the device is unknown or `extends` loops
+ *
+ * @example
+ * resolveDeviceProfile('tablet', { tablet: { width: 820, height: 1180 } })
+ * // => { name: 'tablet', formFactor: 'mobile', width: 820, height: 1180, deviceScaleFactor: 2.625, ... }
+ */
+export function resolveDeviceProfile(name, profiles = {}) {
+  const custom = profiles || {};
+
+  const lookup = (current, seen) => {
+    if (seen.includes(current)) {
+      throw new Error(`Device profile ${current} extends itself (${[...seen, current].join(' → ')})`);
+    }
+
+    if (Object.hasOwn(DEVICE_PROFILES, current)) {
+      return DEVICE_PROFILES[current];
+    }
+    if (!Object.hasOwn(custom, current)) {
+      throw new Error(`Unknown device: ${current}\nKnown devices: ${getDeviceNames(custom).join(', ')}`);
+    }
+
+    const { extends: parent, ...own } = custom[current];
+    const base = parent || (own.mobile === false ? 'desktop' : 'mobile');
+    return { ...lookup(base, [...seen, current]), ...own };
+  };
+
+  const settings = lookup(name, []);
+  return { name, formFactor: settings.mobile ? 'mobile' : 'desktop', ...settings };
+}
@@ -6,6 +6,8 @@
  * Includes threshold calculation logic per Google's Core Web Vitals guidelines.
  */
 
+import { summarize } from '../lib/statistics.js';
+
 /**
  * Threshold definitions per Google's Core Web Vitals
  */
@@ -25,9 +27,55 @@ export const Thresholds = {
   TTFB: {
     GOOD: 800,            // < 800ms
     NEEDS_IMPROVEMENT: 1800  // 800-1800ms, > 1800ms is poor
+  },
+  TBT: {
+    GOOD: 200,            // < 200ms (Lighthouse lab proxy for INP)
+    NEEDS_IMPROVEMENT: 600   // 200-600ms, > 600ms is poor
+  },
+  FCP: {
+    GOOD: 1800,           // < 1800ms
+    NEEDS_IMPROVEMENT: 3000  // 1800-3000ms, > 3000ms is poor
+  },
+  SPEED_INDEX: {
+    GOOD: 3400,           // < 3400ms (Lighthouse mobile scoring)
+    NEEDS_IMPROVEMENT: 5800  // 3400-5800ms, > 5800ms is poor
+  },
+  TTI: {
+    GOOD: 3800,           // < 3800ms (Lighthouse mobile scoring)
+    NEEDS_IMPROVEMENT: 7300  // 3800-7300ms, > 7300ms is poor
+  },
+  MAX_POTENTIAL_FID: {
+    GOOD: 100,            // < 100ms (the former FID thresholds)
+    NEEDS_IMPROVEMENT: 300   // 100-300ms, > 300ms is poor
   }
 };
 
+/**
+ * LCP breakdown fields, keyed by the subpart names of Lighthouse's lcp-breakdown-insight audit
+ * The phases add up to LCP, so they have no thresholds of their own
+ */
+export const LCP_BREAKDOWN_FIELDS = {
+  timeToFirstByte: 'lcpTtfb',
+  resourceLoadDelay: 'lcpLoadDelay',
+  resourceLoadDuration: 'lcpLoadTime',
+  elementRenderDelay: 'lcpRenderDelay'
+};
+
+/**
+ * Number of layout-shift elements kept per audit (largest shifts first)
+ */
+export const MAX_LAYOUT_SHIFT_ELEMENTS = 5;
+
+/**
+ * Phase names used by the largest-contentful-paint-element audit of Lighthouse 10-12
+ */
+const LEGACY_LCP_PHASES = {
+  'TTFB': 'lcpTtfb',
+  'Load Delay': 'lcpLoadDelay',
+  'Load Time': 'lcpLoadTime',
+  'Render Delay': 'lcpRenderDelay'
+};
+
 /**
  * Score labels
  */
@@ -40,12 +88,14 @@ export const ScoreLabel = {
 /**
  * Calculates the score label for a metric based on thresholds
  *
- * @param {number} value - Metric value
+ * @param {number|null} value - Metric value (null when the audit was not run)
  * @param {Object} threshold - Threshold object with GOOD and NEEDS_IMPROVEMENT values
- * @returns {string} - Score label ('good', 'needs-improvement', or 'poor')
+ * @returns {string|null} - Score label ('good', 'needs-improvement', or 'poor'), or null without a value
  */
-function calculateScore(value, threshold) {
-  if (value < threshold.GOOD) {
+export function calculateScore(value, threshold) {
+  if (typeof value !== 'number') {
+    return null;
+  } else if (value < threshold.GOOD) {
     return ScoreLabel.GOOD;
   } else if (value < threshold.NEEDS_IMPROVEMENT) {
     return ScoreLabel.NEEDS_IMPROVEMENT;
@@ -57,6 +107,8 @@ function calculateScore(value, threshold) {
 /**
  * Creates a Metrics object from raw metric values
  *
+ * Metrics whose audits were not run (e.g. with --categories accessibility) are null
+ *
  * @param {Object} data - Metric values
  * @param {number} data.lcp - Largest Contentful Paint (milliseconds)
  * @param {number} [data.fid] - First Input Delay (milliseconds) - deprecated
@@ -64,7 +116,17 @@ function calculateScore(value, threshold) {
  * @param {number} data.cls - Cumulative Layout Shift (unitless)
  * @param {number} data.ttfb - Time to First Byte (milliseconds)
  * @param {number} data.tbt - Total Blocking Time (milliseconds)
- * @param {number} data.performanceScore - Overall Lighthouse performance score (0-100)
+ * @param {number} [data.fcp] - First Contentful Paint (milliseconds)
+ * @param {number} [data.speedIndex] - Speed Index (milliseconds)
+ * @param {number} [data.tti] - Time to Interactive (milliseconds)
+ * @param {number} [data.maxPotentialFid] - Max Potential First Input Delay (milliseconds)
+ * @param {number} [data.lcpTtfb] - LCP breakdown: time to first byte (milliseconds)
+ * @param {number} [data.lcpLoadDelay] - LCP breakdown: resource load delay (milliseconds)
+ * @param {number} [data.lcpLoadTime] - LCP breakdown: resource load time (milliseconds)
+ * @param {number} [data.lcpRenderDelay] - LCP breakdown: element render delay (milliseconds)
+ * @param {Object} [data.lcpElement] - LCP element: { selector, snippet, url } (url is the LCP resource, if any)
+ * @param {Array<Object>} [data.layoutShiftElements] - Elements that shifted most: [{ selector, snippet, score }]
+ * @param {number|null} data.performanceScore - Overall Lighthouse performance score (0-100), null if not audited
  * @param {number} [data.accessibilityScore] - Accessibility score (0-100)
  * @param {number} [data.seoScore] - SEO score (0-100)
  * @param {number} [data.bestPracticesScore] - Best practices score (0-100)
@@ -83,6 +145,21 @@ export function createMetrics(data) {
     ttfb: data.ttfb,
     ttfbScore: calculateScore(data.ttfb, Thresholds.TTFB),
     tbt: data.tbt,
+    tbtScore: calculateScore(data.tbt, Thresholds.TBT),
+    fcp: data.fcp ?? null,
+    fcpScore: calculateScore(data.fcp, Thresholds.FCP),
+    speedIndex: data.speedIndex ?? null,
+    speedIndexScore: calculateScore(data.speedIndex, Thresholds.SPEED_INDEX),
+    tti: data.tti ?? null,
+    ttiScore: calculateScore(data.tti, Thresholds.TTI),
+    maxPotentialFid: data.maxPotentialFid ?? null,
+    maxPotentialFidScore: calculateScore(data.maxPotentialFid, Thresholds.MAX_POTENTIAL_FID),
+    lcpTtfb: data.lcpTtfb ?? null,
+    lcpLoadDelay: data.lcpLoadDelay ?? null,
+    lcpLoadTime: data.lcpLoadTime ?? null,
+    lcpRenderDelay: data.lcpRenderDelay ?? null,
+    lcpElement: data.lcpElement ?? null,
+    layoutShiftElements: data.layoutShiftElements ?? [],
     performanceScore: data.performanceScore,
     // Extended metrics for full WCV support (feature 002)
     accessibilityScore: data.accessibilityScore,
@@ -104,12 +181,16 @@ export function createMetrics(data) {
  * @throws {Error} - If validation fails
  */
 export function validateMetrics(metrics) {
-  // Required fields
+  // Required fields (null when the audit or category was not run)
   const requiredFields = ['lcp', 'inp', 'cls', 'ttfb', 'tbt', 'performanceScore'];
 
   for (const field of requiredFields) {
+    if (metrics[field] === null) {
+      continue;
+    }
+
     if (typeof metrics[field] !== 'number') {
-      throw new Error(`${field} must be a number`);
+      throw new Error(`${field} must be a number or null`);
     }
 
     if (metrics[field] < 0) {
@@ -117,8 +198,17 @@ export function validateMetrics(metrics) {
     }
   }
 
+  // Lab metrics and LCP breakdown (optional: older saved data does not have them)
+  const labFields = ['fcp', 'speedIndex', 'tti', 'maxPotentialFid', ...Object.values(LCP_BREAKDOWN_FIELDS)];
+  for (const field of labFields) {
+    if (metrics[field] !== undefined && metrics[field] !== null &&
+        (typeof metrics[field] !== 'number' || metrics[field] < 0)) {
+      throw new Error(`${field} must be a non-negative number or null`);
+    }
+  }
+
   // Validate performance score range
-  if (metrics.performanceScore < 0 || metrics.performanceScore > 100) {
+  if (metrics.performanceScore !== null && (metrics.performanceScore < 0 || metrics.performanceScore > 100)) {
     throw new Error('performanceScore must be between 0 and 100');
   }
 
@@ -135,12 +225,27 @@ export function validateMetrics(metrics) {
     }
   }
 
+  // Culprits (optional: older saved data does not have them)
+  if (metrics.lcpElement !== undefined && metrics.lcpElement !== null &&
+      (typeof metrics.lcpElement !== 'object' || typeof metrics.lcpElement.selector !== 'string')) {
+    throw new Error('lcpElement must be an object with a selector, or null');
+  }
+  if (metrics.layoutShiftElements !== undefined &&
+      (!Array.isArray(metrics.layoutShiftElements) ||
+       metrics.layoutShiftElements.some(item => typeof item?.selector !== 'string' || typeof item.score !== 'number'))) {
+    throw new Error('layoutShiftElements must be a list of { selector, snippet, score }');
+  }
+
   // Validate score labels
-  const scoreFields = ['lcpScore', 'inpScore', 'clsScore', 'ttfbScore'];
+  const scoreFields = ['lcpScore', 'inpScore', 'clsScore', 'ttfbScore', 'tbtScore'];
+  const labScoreFields = ['fcpScore', 'speedIndexScore', 'ttiScore', 'maxPotentialFidScore'];
   const validScores = Object.values(ScoreLabel);
 
-  for (const field of scoreFields) {
-    if (!validScores.includes(metrics[field])) {
+  for (const field of [...scoreFields, ...labScoreFields]) {
+    if (metrics[field] === undefined && labScoreFields.includes(field)) {
+      continue;
+    }
+    if (metrics[field] !== null && !validScores.includes(metrics[field])) {
       throw new Error(`${field} must be one of: ${validScores.join(', ')}`);
     }
   }
@@ -337,9 +442,11 @@ export function extractCategoryDetailsFromLHR(lhr, categoryName) {
 /**
  * Extracts extended metrics (all four categories with ALL audit details) from LHR
  * Per clarifications: comprehensive reporting with ALL audits (200+ total)
+ * Categories left out of the run (--categories, or a custom Lighthouse config) have
+ * an undefined score and no details, so they are omitted from the saved data
  *
  * @param {Object} lhr - Lighthouse Result object
- * @returns {Object} - Extended metrics object with all category scores and details
+ * @returns {Object} - Extended metrics object with the category scores and details that were audited
  */
 export function extractExtendedMetricsFromLHR(lhr) {
   // Extract category scores
@@ -370,6 +477,137 @@ export function extractExtendedMetricsFromLHR(lhr) {
   };
 }
 
+/**
+ * Extracts the LCP breakdown phases from a Lighthouse Result (LHR) object
+ * Reads the lcp-breakdown-insight audit (Lighthouse 13), falling back to the
+ * largest-contentful-paint-element audit of Lighthouse 10-12
+ *
+ * @param {Object} lhr - Lighthouse Result object
+ * @returns {Object} - { lcpTtfb, lcpLoadDelay, lcpLoadTime, lcpRenderDelay } in milliseconds (null if not available)
+ *
+ * @example
+ * extractLcpBreakdown(lhr)
+ * // => { lcpTtfb: 610, lcpLoadDelay: 120, lcpLoadTime: 480, lcpRenderDelay: 90 }
+ */
+export function extractLcpBreakdown(lhr) {
+  const breakdown = Object.fromEntries(Object.values(LCP_BREAKDOWN_FIELDS).map(field => [field, null]));
+
+  const insight = lhr?.audits?.['lcp-breakdown-insight']?.details?.items?.find(item => item.type === 'table');
+  if (insight) {
+    // Text LCP elements load no resource: Lighthouse leaves those phases out
+    breakdown.lcpLoadDelay = 0;
+    breakdown.lcpLoadTime = 0;
+    for (const item of insight.items || []) {
+      const field = LCP_BREAKDOWN_FIELDS[item.subpart];
+      if (field && typeof item.duration === 'number') {
+        breakdown[field] = item.duration;
+      }
+    }
+    return breakdown;
+  }
+
+  const legacyTables = lhr?.audits?.['largest-contentful-paint-element']?.details?.items || [];
+  for (const table of legacyTables) {
+    for (const item of table.items || []) {
+      const field = LEGACY_LCP_PHASES[item.phase];
+      if (field && typeof item.timing === 'number') {
+        breakdown[field] = item.timing;
+      }
+    }
+  }
+
+  return breakdown;
+}
+
+/**
+ * Converts a Lighthouse node item to the element fields saved with the metrics
+ *
+ * @param {Object} node - Node item from audit details ({ type: 'node', selector, snippet, ... })
+ * @returns {Object|null} - { selector, snippet } or null without a selector
+ */
+function toElement(node) {
+  if (!node?.selector) {
+    return null;
+  }
+
+  return { selector: node.selector, snippet: node.snippet || '' };
+}
+
+/**
+ * Finds the LCP resource URL
+ * Uses the LCP image audits of older Lighthouse versions, otherwise the element's src attribute
+ *
+ * @param {Object} lhr - Lighthouse Result object
+ * @param {string} snippet - HTML snippet of the LCP element
+ * @returns {string|null} - Absolute resource URL, or null for text or CSS background elements
+ */
+function findLcpResourceUrl(lhr, snippet) {
+  for (const id of ['prioritize-lcp-image', 'lcp-lazy-loaded']) {
+    const url = lhr.audits[id]?.details?.items?.find(item => typeof item.url === 'string')?.url;
+    if (url) {
+      return url;
+    }
+  }
+
+  const src = snippet.match(/\ssrc="([^"]+)"/)?.[1];
+  if (!src) {
+    return null;
+  }
+
+  try {
+    return new URL(src.replaceAll('&amp;', '&'), lhr.finalDisplayedUrl || lhr.finalUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extracts the elements behind LCP and CLS from a Lighthouse Result (LHR) object
+ * The LCP element comes from the largest-contentful-paint-element audit (Lighthouse 10-12)
+ * or the LCP insight audits (Lighthouse 13); layout shifts from the layout-shifts audit
+ * (layout-shift-elements before Lighthouse 12)
+ *
+ * @param {Object} lhr - Lighthouse Result object
+ * @returns {Object} - { lcpElement, layoutShiftElements }: lcpElement is { selector, snippet, url } or null,
+ *   layoutShiftElements the MAX_LAYOUT_SHIFT_ELEMENTS largest shifts as [{ selector, snippet, score }]
+ *
+ * @example
+ * extractCulpritsFromLHR(lhr)
+ * // => { lcpElement: { selector: 'main > img.hero', snippet: '<img class="hero" src="/hero.jpg">',
+ * //      url: 'https://example.com/hero.jpg' }, layoutShiftElements: [{ selector: 'div.banner', snippet: '<div class="banner">', score: 0.21 }] }
+ */
+export function extractCulpritsFromLHR(lhr) {
+  const audits = lhr?.audits || {};
+
+  // Node items may sit directly in a table, or in a table/node inside a list
+  const findNode = (id) => {
+    for (const item of audits[id]?.details?.items || []) {
+      if (item.type === 'node') {
+        return item;
+      }
+      const node = item.node?.type === 'node' ? item.node : item.items?.find(row => row.node)?.node;
+      if (node) {
+        return node;
+      }
+    }
+    return null;
+  };
+
+  const element = toElement(
+    findNode('largest-contentful-paint-element') || findNode('lcp-breakdown-insight') || findNode('lcp-discovery-insight')
+  );
+  const lcpElement = element ? { ...element, url: findLcpResourceUrl({ ...lhr, audits }, element.snippet) } : null;
+
+  const shifts = audits['layout-shifts']?.details?.items || audits['layout-shift-elements']?.details?.items || [];
+  const layoutShiftElements = shifts
+    .map(item => ({ ...toElement(item.node), score: item.score }))
+    .filter(item => item.selector && typeof item.score === 'number')
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_LAYOUT_SHIFT_ELEMENTS);
+
+  return { lcpElement, layoutShiftElements };
+}
+
 /**
  * Extracts metrics from a Lighthouse Result (LHR) object
  *
@@ -387,18 +625,29 @@ export function extractMetricsFromLHR(lhr) {
 
   const audits = lhr.audits;
 
+  // Audits skipped by --categories, --only-audits or --skip-audits are missing from the LHR: null, not 0
+  const value = (...ids) => {
+    const ran = ids.filter(id => audits[id]);
+    return ran.length > 0 ? ran.map(id => audits[id].numericValue).find(Boolean) || 0 : null;
+  };
+
   // Extract metric values from Lighthouse audits
   // Note: Lighthouse stores values in different formats, normalize to milliseconds
-  const lcp = audits['largest-contentful-paint']?.numericValue || 0;
-  const inp = audits['interaction-to-next-paint']?.numericValue ||
-              audits['max-potential-fid']?.numericValue || 0; // Fallback for older Lighthouse versions
-  const cls = audits['cumulative-layout-shift']?.numericValue || 0;
-  const ttfb = audits['server-response-time']?.numericValue || 0;
-  const tbt = audits['total-blocking-time']?.numericValue || 0;
+  const lcp = value('largest-contentful-paint');
+  const inp = value('interaction-to-next-paint', 'max-potential-fid'); // Fallback for older Lighthouse versions
+  const cls = value('cumulative-layout-shift');
+  const ttfb = value('server-response-time');
+  const tbt = value('total-blocking-time');
   const fid = audits['first-input-delay']?.numericValue || null;
+  const fcp = value('first-contentful-paint');
+  const speedIndex = value('speed-index');
+  const tti = value('interactive');
+  const maxPotentialFid = value('max-potential-fid');
 
-  // Extract performance score (0-1 in LHR, convert to 0-100)
-  const performanceScore = Math.round((lhr.categories?.performance?.score || 0) * 100);
+  // Extract performance score (0-1 in LHR, convert to 0-100); null when the category was not run
+  const performanceScore = lhr.categories?.performance
+    ? Math.round((lhr.categories.performance.score || 0) * 100)
+    : null;
 
   return createMetrics({
     lcp,
@@ -407,6 +656,12 @@ export function extractMetricsFromLHR(lhr) {
     cls,
     ttfb,
     tbt,
+    fcp,
+    speedIndex,
+    tti,
+    maxPotentialFid,
+    ...extractLcpBreakdown(lhr),
+    ...extractCulpritsFromLHR(lhr),
     performanceScore
   });
 }
@@ -418,15 +673,38 @@ export function extractMetricsFromLHR(lhr) {
  * @returns {Object} - Human-readable metrics
  */
 export function metricsToHumanReadable(metrics) {
+  // Metrics whose audits were not run are shown as 'not audited'
+  const show = (value, format) => typeof value === 'number' ? format(value) : 'not audited';
+
   const readable = {
-    'Largest Contentful Paint (LCP)': `${(metrics.lcp / 1000).toFixed(2)}s (${metrics.lcpScore})`,
-    'Interaction to Next Paint (INP)': `${metrics.inp}ms (${metrics.inpScore})`,
-    'Cumulative Layout Shift (CLS)': `${metrics.cls.toFixed(3)} (${metrics.clsScore})`,
-    'Time to First Byte (TTFB)': `${metrics.ttfb}ms (${metrics.ttfbScore})`,
-    'Total Blocking Time (TBT)': `${metrics.tbt}ms`,
-    'Performance Score': `${metrics.performanceScore}/100`
+    'Largest Contentful Paint (LCP)': show(metrics.lcp, v => `${(v / 1000).toFixed(2)}s (${metrics.lcpScore})`),
+    'Interaction to Next Paint (INP)': show(metrics.inp, v => `${v}ms (${metrics.inpScore})`),
+    'Cumulative Layout Shift (CLS)': show(metrics.cls, v => `${v.toFixed(3)} (${metrics.clsScore})`),
+    'Time to First Byte (TTFB)': show(metrics.ttfb, v => `${v}ms (${metrics.ttfbScore})`),
+    'Total Blocking Time (TBT)': show(metrics.tbt, v => `${v}ms (${metrics.tbtScore})`),
+    'First Contentful Paint (FCP)': show(metrics.fcp, v => `${(v / 1000).toFixed(2)}s (${metrics.fcpScore})`),
+    'Speed Index (SI)': show(metrics.speedIndex, v => `${(v / 1000).toFixed(2)}s (${metrics.speedIndexScore})`),
+    'Time to Interactive (TTI)': show(metrics.tti, v => `${(v / 1000).toFixed(2)}s (${metrics.ttiScore})`),
+    'Max Potential FID': show(metrics.maxPotentialFid, v => `${v}ms (${metrics.maxPotentialFidScore})`),
+    'LCP Breakdown': show(metrics.lcpTtfb, () => [
+      `TTFB ${Math.round(metrics.lcpTtfb)}ms`,
+      `load delay ${Math.round(metrics.lcpLoadDelay ?? 0)}ms`,
+      `load time ${Math.round(metrics.lcpLoadTime ?? 0)}ms`,
+      `render delay ${Math.round(metrics.lcpRenderDelay ?? 0)}ms`
+    ].join(', ')),
+    'Performance Score': show(metrics.performanceScore, v => `${v}/100`)
   };
 
+  // Elements behind LCP and CLS
+  if (metrics.lcpElement) {
+    readable['LCP Element'] = [metrics.lcpElement.selector, metrics.lcpElement.url].filter(Boolean).join(' → ');
+  }
+  if (metrics.layoutShiftElements?.length > 0) {
+    readable['Layout Shift Elements'] = metrics.layoutShiftElements
+      .map(item => `${item.selector} (${item.score.toFixed(3)})`)
+      .join(', ');
+  }
+
   // Add extended category scores if present (feature 002)
   if (metrics.accessibilityScore !== undefined) {
     readable['Accessibility Score'] = `${metrics.accessibilityScore}/100`;
@@ -441,6 +719,47 @@ export function metricsToHumanReadable(metrics) {
   return readable;
 }
 
+/**
+ * Metric fields summarised across multiple runs of the same URL
+ */
+export const RUN_STAT_FIELDS = [
+  'lcp',
+  'inp',
+  'cls',
+  'ttfb',
+  'tbt',
+  'fcp',
+  'speedIndex',
+  'tti',
+  'performanceScore',
+  'accessibilityScore',
+  'seoScore',
+  'bestPracticesScore'
+];
+
+/**
+ * Summarises metrics from multiple runs of the same URL
+ *
+ * @param {Array<Object>} metricsList - Metrics objects, one per run
+ * @returns {Object} - Per-field { median, min, max, stdDev } (fields without values are omitted)
+ *
+ * @example
+ * summarizeMetricRuns([run1.metrics, run2.metrics, run3.metrics])
+ * // returns { lcp: { median: 2100, min: 1800, max: 2600, stdDev: 329.98 }, ... }
+ */
+export function summarizeMetricRuns(metricsList) {
+  const statistics = {};
+
+  for (const field of RUN_STAT_FIELDS) {
+    const summary = summarize(metricsList.map(metrics => metrics?.[field]));
+    if (summary) {
+      statistics[field] = summary;
+    }
+  }
+
+  return statistics;
+}
+
 /**
  * Checks if all Core Web Vitals metrics are "good"
  *
@@ -495,6 +814,21 @@ export function metricsToJSON(metrics) {
       ttfb: metrics.ttfb,
       ttfbScore: metrics.ttfbScore,
       tbt: metrics.tbt,
+      tbtScore: metrics.tbtScore,
+      fcp: metrics.fcp,
+      fcpScore: metrics.fcpScore,
+      speedIndex: metrics.speedIndex,
+      speedIndexScore: metrics.speedIndexScore,
+      tti: metrics.tti,
+      ttiScore: metrics.ttiScore,
+      maxPotentialFid: metrics.maxPotentialFid,
+      maxPotentialFidScore: metrics.maxPotentialFidScore,
+      lcpTtfb: metrics.lcpTtfb,
+      lcpLoadDelay: metrics.lcpLoadDelay,
+      lcpLoadTime: metrics.lcpLoadTime,
+      lcpRenderDelay: metrics.lcpRenderDelay,
+      lcpElement: metrics.lcpElement,
+      layoutShiftElements: metrics.layoutShiftElements,
       performanceScore: metrics.performanceScore,
       // Extended metrics for full WCV support (feature 002)
       ...(metrics.accessibilityScore !== undefined && { accessibilityScore: metrics.accessibilityScore }),
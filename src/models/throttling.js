@@ -0,0 +1,227 @@
+/**
+ * Throttling Model
+ *
+ * Named throttling profiles applied to Lighthouse audits. Built-in presets cover
+ * common networks; the config file can define more under "throttlingProfiles".
+ * A profile sets network values and optionally a CPU slowdown and method - when it
+ * does not set cpuSlowdownMultiplier, the device profile's slowdown is used (4x mobile, 1x desktop).
+ *
+ * The applied profile is saved with every audit, so runs with different
+ * throttling are not compared or charted together.
+ *
+ * @example
+ * // .kindbeaconrc.json
+ * {
+ *   "throttling": "office-wifi",
+ *   "throttlingMethod": "devtools",
+ *   "throttlingProfiles": {
+ *     "office-wifi": { "extends": "cable", "rttMs": 60, "cpuSlowdownMultiplier": 2 }
+ *   }
+ * }
+ */
+
+import { DEVICE_PROFILES } from './device.js';
+
+/**
+ * Throttling methods that can be chosen
+ * - simulate: load unthrottled, then model the slower network and CPU (Lighthouse default, fast and stable)
+ * - devtools: throttle the browser while the page loads (slower, closer to a real connection)
+ */
+export const THROTTLING_METHODS = ['simulate', 'devtools'];
+
+/**
+ * Lighthouse throttling settings a profile can set
+ * rttMs and throughputKbps drive simulated throttling; the request latency and
+ * download/upload throughput values drive DevTools throttling
+ */
+export const THROTTLING_SETTINGS = [
+  'rttMs',
+  'throughputKbps',
+  'requestLatencyMs',
+  'downloadThroughputKbps',
+  'uploadThroughputKbps',
+  'cpuSlowdownMultiplier'
+];
+
+/**
+ * Profile used when none is configured
+ */
+export const DEFAULT_THROTTLING_PROFILE = 'default';
+
+/**
+ * Built-in presets
+ * DevTools values follow Lighthouse's conventions: latency is 3.75x the RTT and
+ * throughput is 90% of the simulated value, to account for real-world overhead
+ */
+export const THROTTLING_PRESETS = {
+  default: {
+    rttMs: 40,
+    throughputKbps: 10 * 1024,
+    requestLatencyMs: 40 * 3.75,
+    downloadThroughputKbps: 10 * 1024 * 0.9,
+    uploadThroughputKbps: 10 * 1024 * 0.9
+  },
+  'slow-4g': {
+    rttMs: 150,
+    throughputKbps: 1638.4,
+    requestLatencyMs: 150 * 3.75,
+    downloadThroughputKbps: 1474.56,
+    uploadThroughputKbps: 750 * 0.9
+  },
+  'fast-3g': {
+    rttMs: 300,
+    throughputKbps: 700,
+    requestLatencyMs: 300 * 3.75,
+    downloadThroughputKbps: 700 * 0.9,
+    uploadThroughputKbps: 700 * 0.9
+  },
+  cable: {
+    rttMs: 28,
+    throughputKbps: 5 * 1024,
+    requestLatencyMs: 28 * 3.75,
+    downloadThroughputKbps: 5 * 1024 * 0.9,
+    uploadThroughputKbps: 1024 * 0.9
+  },
+  none: {
+    method: 'provided',
+    rttMs: 0,
+    throughputKbps: 0,
+    requestLatencyMs: 0,
+    downloadThroughputKbps: 0,
+    uploadThroughputKbps: 0,
+    cpuSlowdownMultiplier: 1
+  }
+};
+
+/**
+ * Keys of a profile definition that are not Lighthouse settings
+ */
+const PROFILE_KEYS = ['extends', 'method'];
+
+/**
+ * Validates one profile definition (a config "throttlingProfiles" entry or an inline "throttling" object)
+ *
+ * @param {Object} profile - Profile definition
+ * @param {string} where - Config path for error messages (e.g., 'throttlingProfiles.office')
+ * @throws {Error} - If validation fails
+ */
+export function validateThrottlingProfile(profile, where) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`${where} must be an object with any of: ${[...PROFILE_KEYS, ...THROTTLING_SETTINGS].join(', ')}`);
+  }
+
+  for (const [key, value] of Object.entries(profile)) {
+    if (key === 'extends') {
+      if (typeof value !== 'string' || value.length === 0) {
+        throw new Error(`${where}.extends must be a profile name`);
+      }
+    } else if (key === 'method') {
+      if (!THROTTLING_METHODS.includes(value)) {
+        throw new Error(`${where}.method must be one of: ${THROTTLING_METHODS.join(', ')} (got: ${value})`);
+      }
+    } else if (!THROTTLING_SETTINGS.includes(key)) {
+      throw new Error(`Unknown throttling setting: ${key} (use: ${THROTTLING_SETTINGS.join(', ')})`);
+    } else if (typeof value !== 'number' || value < 0) {
+      throw new Error(`${where}.${key} must be a non-negative number (got: ${value})`);
+    }
+  }
+}
+
+/**
+ * Resolves the configured throttling to a profile
+ * Profiles are looked up in the config's custom profiles first, then the presets;
+ * `extends` chains are followed, with later profiles overriding earlier values
+ *
+ * @param {string|Object|null} throttling - Profile name, inline profile, or null for the default
+ * @param {Object} [profiles={}] - Custom profiles from the config, keyed by name
+ * @param {string|null} [method=null] - Throttling method, overriding the profile's own
+ * @returns {Object} - Resolved profile: { name, method, settings }
+ * @throws {Error} - If a profile name is unknown or `extends` loops
+ *
+ * @example
+ * resolveThrottlingProfile('slow-4g')
+ * // => { name: 'slow-4g', method: 'simulate', settings: { rttMs: 150, throughputKbps: 1638.4, ... } }
+ */
+export function resolveThrottlingProfile(throttling, profiles = {}, method = null) {
+  const custom = profiles || {};
+  const known = () => [...Object.keys(THROTTLING_PRESETS), ...Object.keys(custom)].join(', ');
+
+  const lookup = (name, seen) => {
+    if (seen.includes(name)) {
+      throw new Error(`Throttling profile ${name} extends itself (${[...seen, name].join(' → ')})`);
+    }
+
+    const definition = Object.hasOwn(custom, name) ? custom[name]
+      : Object.hasOwn(THROTTLING_PRESETS, name) ? THROTTLING_PRESETS[name]
+        : null;
+    if (!definition) {
+      throw new Error(`Unknown throttling profile: ${name}\nKnown profiles: ${known()}`);
+    }
+
+    return expand(definition, [...seen, name]);
+  };
+
+  const expand = (definition, seen) => {
+    const { extends: parent, ...own } = definition;
+    return parent ? { ...lookup(parent, seen), ...own } : own;
+  };
+
+  const name = typeof throttling === 'string' ? throttling
+    : throttling ? 'custom'
+      : DEFAULT_THROTTLING_PROFILE;
+
+  // Inline objects keep the old behavior of overriding the default profile
+  const { method: profileMethod, ...settings } = typeof throttling === 'object' && throttling
+    ? expand({ extends: DEFAULT_THROTTLING_PROFILE, ...throttling }, [])
+    : lookup(name, []);
+
+  return { name, method: method || profileMethod || THROTTLING_METHODS[0], settings };
+}
+
+/**
+ * Returns the Lighthouse throttling settings of a profile for one device
+ *
+ * @param {Object|null} profile - Resolved profile from resolveThrottlingProfile (null for the default)
+ * @param {string|Object} device - Built-in device name, or a device profile from resolveDeviceProfile
+ * @returns {Object} - Applied throttling, as saved with the audit: { profile, method, ...settings }
+ *
+ * @example
+ * getThrottlingSettings(resolveThrottlingProfile('cable'), 'desktop')
+ * // => { profile: 'cable', method: 'simulate', rttMs: 28, ..., cpuSlowdownMultiplier: 1 }
+ */
+export function getThrottlingSettings(profile, device) {
+  const { name, method, settings } = profile || resolveThrottlingProfile(null);
+  const deviceCpu = typeof device === 'object' ? device.cpuSlowdownMultiplier : DEVICE_PROFILES[device]?.cpuSlowdownMultiplier;
+
+  return {
+    profile: name,
+    method,
+    ...settings,
+    cpuSlowdownMultiplier: settings.cpuSlowdownMultiplier ?? deviceCpu ?? DEVICE_PROFILES.mobile.cpuSlowdownMultiplier
+  };
+}
+
+/**
+ * Builds a key identifying the throttling an audit ran with
+ * Audits saved before throttling was recorded ran with the default profile
+ *
+ * @param {Object} audit - Saved audit ({ deviceMode, throttling })
+ * @returns {string} - Method and settings, independent of the profile name
+ */
+export function getThrottlingKey(audit) {
+  const { profile, ...applied } = audit.throttling || getThrottlingSettings(null, audit.deviceMode);
+  return ['method', ...THROTTLING_SETTINGS].map(key => `${key}=${applied[key] ?? ''}`).join(',');
+}
+
+/**
+ * Describes a profile for display
+ *
+ * @param {Object} profile - Resolved profile from resolveThrottlingProfile
+ * @returns {string} - Description such as 'slow-4g (simulate)' or 'custom: rttMs=150, ... (devtools)'
+ */
+export function describeThrottlingProfile(profile) {
+  const settings = profile.name === 'custom'
+    ? `: ${Object.entries(profile.settings).map(([key, value]) => `${key}=${value}`).join(', ')}`
+    : '';
+  return `${profile.name}${settings} (${profile.method})`;
+}
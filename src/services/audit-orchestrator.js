@@ -9,24 +9,48 @@
  * - Progress tracking with logger utility
  * - Graceful error handling - continues on failure per FR-009
  * - Tracks successful vs failed audits
+ * - Writes a sortable index.html summarising the batch into the reports directory
+ * - Gives every run with a run ID its own report and data directories (see services/run-manifest.js)
+ * - Records each completed audit in a JSONL checkpoint so interrupted runs can be resumed
+ * - Cancellable: an aborted signal drops queued audits and keeps the results that finished
  */
 
 import pLimit from 'p-limit';
-import { logProgress, logSuccess, logError, logInfo, createProgressBar } from '../lib/logger.js';
+import { logProgress, logSuccess, logError, logInfo, logRunStatistics, logCulprits, createProgressBar } from '../lib/logger.js';
+import { generateAndSaveIndexReport } from './index-report.js';
+import { getCheckpointPath, getTaskKey, startCheckpoint, recordCheckpoint } from './checkpoint.js';
+import { getRunDirectories } from './run-manifest.js';
+import { getDatabasePath } from './sqlite-storage.js';
 
 /**
  * Orchestrates concurrent audits for multiple URLs
  *
- * @param {Array<string>} urls - Array of URLs to audit
+ * @param {Array<string|Object>} urls - URLs to audit, or entries { url, devices?, timeout?, runs?, label?, tags?, budget? }
+ *   whose fields override the global options for that URL (e.g., per-row CSV columns)
  * @param {Function} auditFunction - Function that performs single audit (url, options) => Promise<result>
  * @param {Object} options - Orchestration options
  * @param {number} [options.concurrency=3] - Maximum concurrent audits (1-10)
  * @param {number} [options.timeout=60] - Timeout per audit in seconds
  * @param {string} [options.device='mobile'] - Device emulation (mobile/desktop)
+ * @param {Array<string>} [options.devices] - Audit every URL once per device (overrides device)
+ * @param {Object} [options.deviceProfiles] - Custom device profiles from the config, keyed by device name
+ * @param {number} [options.runs=1] - Number of Lighthouse runs per URL (median run is reported)
+ * @param {Object} [options.throttling] - Throttling profile from resolveThrottlingProfile (default profile if omitted)
+ * @param {Object} [options.lighthouseSettings] - Categories, audits and config file to run (see services/lighthouse-config.js)
+ * @param {Object} [options.auth] - Credentials for pages behind login: { headers, cookies, loginScript }
+ * @param {Object} [options.pool] - Worker pool passed through to the audit function (reuses Chrome)
  * @param {string} [options.dataDir='./data'] - Data output directory
  * @param {string} [options.reportsDir='./reports'] - Reports output directory
+ * @param {string} [options.storage='json'] - 'sqlite' saves data to <dataDir>/kind-beacon.db instead of JSON files
+ * @param {string} [options.runId] - Run ID; reports and data are written to <reportsDir>/<runId> and <dataDir>/<runId>,
+ *   and completed audits are appended to <dataDir>/.checkpoints/<runId>.jsonl
+ * @param {Array<Object>} [options.previousResults] - Successful results from an interrupted run (see loadCheckpoint);
+ *   matching URL/device pairs are not audited again and their results are included in the summary
+ * @param {AbortSignal} [options.signal] - Cancels the batch: queued audits are dropped, running audits are
+ *   passed the signal, and the index is written for the audits that finished (summary.cancelled counts the rest)
  *
  * @returns {Promise<Object>} - Results object with successful, failed, and summary
+ *   (summary.reportsDir and summary.dataDir are the directories written to, summary.indexPath the generated index.html)
  *
  * @example
  * const results = await orchestrateAudits(
@@ -48,20 +72,55 @@ export async function orchestrateAudits(urls, auditFunction, options = {}) {
     device = 'mobile',
     dataDir = './data',
     reportsDir = './reports',
-    json = false  // T033: Support --json flag in batch mode
+    json = false,  // T033: Support --json flag in batch mode
+    storage = 'json',
+    runs = 1,
+    throttling,
+    deviceProfiles,
+    lighthouseSettings,
+    auth,
+    pool,
+    runId,
+    previousResults = [],
+    signal
   } = options;
 
+  // Each URL is scheduled once per form factor; entries may choose their own devices
+  const defaultDevices = options.devices?.length > 0 ? options.devices : [device];
+  const entries = urls.map(item => typeof item === 'string' ? { url: item } : item);
+  const tasks = entries.flatMap(entry =>
+    (entry.devices || defaultDevices).map(taskDevice => ({ entry, device: taskDevice }))
+  );
+  const devices = [...new Set(tasks.map(task => task.device))];
+  const describe = (url, taskDevice) => devices.length > 1 ? `${url} (${taskDevice})` : url;
+
+  // Audits that already succeeded in an interrupted run are carried over, not repeated
+  const carriedOver = new Map(
+    previousResults.map(result => [getTaskKey(result.requestedUrl || result.url, result.device), result])
+  );
+  const carriedResults = tasks
+    .map(({ entry, device: taskDevice }) => carriedOver.get(getTaskKey(entry.url, taskDevice)))
+    .filter(Boolean);
+  const pendingTasks = tasks.filter(({ entry, device: taskDevice }) => !carriedOver.has(getTaskKey(entry.url, taskDevice)));
+
+  // Runs write into directories of their own; the checkpoint stays in the data directory
+  const output = runId ? getRunDirectories({ reportsDir, dataDir }, runId) : { reportsDir, dataDir };
+  // The database holds every run, so it lives in the top-level data directory
+  const database = storage === 'sqlite' ? getDatabasePath(dataDir) : null;
+
   const startTime = Date.now();
-  const total = urls.length;
+  const total = tasks.length;
   const results = {
-    successful: [],
+    successful: [...carriedResults],
     failed: [],
     summary: {
-      successful: 0,
+      successful: carriedResults.length,
       failed: 0,
       duration: 0,
-      reportsDir,
-      dataDir
+      devices,
+      reportsDir: output.reportsDir,
+      dataDir: output.dataDir,
+      ...(runId && { runId })
     }
   };
 
@@ -70,64 +129,203 @@ export async function orchestrateAudits(urls, auditFunction, options = {}) {
     return results;
   }
 
-  logInfo(`Starting audit of ${total} URL${total > 1 ? 's' : ''} with concurrency ${concurrency}`);
+  // The checkpoint lists the run's URLs and settings first, so --resume can restore them
+  const checkpointPath = runId ? getCheckpointPath(dataDir, runId) : null;
+  if (checkpointPath) {
+    startCheckpoint(checkpointPath, {
+      runId,
+      urls: entries,
+      options: { timeout, runs, devices: defaultDevices, deviceProfiles, throttling, lighthouseSettings, json, storage, dataDir, reportsDir }
+    });
+  }
+
+  /**
+   * Appends a completed audit to the checkpoint - a failed write must not stop the batch
+   */
+  const checkpoint = (url, taskDevice, status, result) => {
+    if (!checkpointPath) {
+      return;
+    }
+    try {
+      recordCheckpoint(checkpointPath, { url, device: taskDevice, status, result });
+    } catch (error) {
+      logError(url, `Failed to update checkpoint: ${error.message}`);
+    }
+  };
+
+  if (devices.length > 1) {
+    logInfo(`Starting audit of ${entries.length} URL${entries.length > 1 ? 's' : ''} on ${devices.join(', ')} (${total} audits) with concurrency ${concurrency}`);
+  } else {
+    logInfo(`Starting audit of ${total} URL${total > 1 ? 's' : ''} with concurrency ${concurrency}`);
+  }
+
+  if (carriedResults.length > 0) {
+    logInfo(`Resuming: ${carriedResults.length} of ${total} audits already completed, ${pendingTasks.length} remaining`);
+  }
 
   // Create concurrency limiter using p-limit
   const limit = pLimit(concurrency);
-  let completed = 0;
+  let completed = carriedResults.length;
+
+  // Audits that have started, so a cancelled batch can wait for them without the queued ones
+  const active = new Set();
+  const trackActive = (task) => () => {
+    const running = task();
+    active.add(running);
+    running.then(() => active.delete(running));
+    return running;
+  };
 
   // Create audit tasks with progress tracking
-  const auditTasks = urls.map((url, index) => {
-    return limit(async () => {
+  const auditTasks = pendingTasks.map(({ entry, device }) => {
+    const { url } = entry;
+    // Label, tags and budget name travel with every result for this URL
+    const details = {
+      ...(entry.label && { label: entry.label }),
+      ...(entry.tags?.length > 0 && { tags: entry.tags }),
+      ...(entry.budget && { budget: entry.budget })
+    };
+
+    return limit(trackActive(async () => {
+      if (signal?.aborted) {
+        return;
+      }
+
       const auditStartTime = Date.now();
 
       try {
         // Log start with clean console output
-        console.log(`[${completed + 1}/${total}] Starting audit: ${url}`);
+        console.log(`[${completed + 1}/${total}] Starting audit: ${describe(url, device)}`);
 
         // CRITICAL FIX #4: Wrap audit function in Promise.resolve to catch synchronous throws
         const result = await Promise.resolve(
           auditFunction(url, {
-            timeout,
+            timeout: entry.timeout || timeout,
             device,
-            dataDir,
-            reportsDir,
-            json  // Pass through json flag
+            dataDir: output.dataDir,
+            reportsDir: output.reportsDir,
+            json,  // Pass through json flag
+            database,
+            runId,
+            runs: entry.runs || runs,
+            label: entry.label,
+            tags: entry.tags,
+            throttling,
+            deviceProfiles,
+            lighthouseSettings,
+            auth,
+            pool,
+            signal
           })
         );
 
+        // Audits interrupted by cancellation are neither failures nor checkpointed, so --resume reruns them
+        if (signal?.aborted && result?.success === false) {
+          console.log(`⊘ Cancelled: ${describe(url, device)}`);
+          return;
+        }
+
         const duration = Date.now() - auditStartTime;
         completed++;
 
+        // Audit functions report handled failures (with an error report) instead of throwing
+        if (result && result.success === false) {
+          const message = result.error?.message || 'Unknown error';
+          console.log(`[${completed}/${total}] ✗ Failed: ${describe(url, device)} - ${message}`);
+
+          const failure = {
+            url,
+            device,
+            ...details,
+            error: message,
+            status: result.status || 'failed',
+            errorReportPath: result.errorReportPath || null,
+            dataPath: result.dataPath || null,
+            dataId: result.dataId ?? null,
+            timestamp: new Date().toISOString()
+          };
+          results.failed.push(failure);
+          results.summary.failed++;
+          checkpoint(url, device, 'failed', failure);
+          return;
+        }
+
         // Log completion with clean console output
         const durationSec = Math.round(duration / 1000);
-        console.log(`[${completed}/${total}] ✓ Completed: ${url} (${durationSec}s)`);
+        console.log(`[${completed}/${total}] ✓ Completed: ${describe(url, device)} (${durationSec}s)`);
 
-        results.successful.push({
+        if (result?.runs) {
+          logRunStatistics(result.runs);
+        }
+        logCulprits(result?.metrics);
+
+        const success = {
           url,
+          device,
+          ...details,
           ...result,
-          duration
-        });
+          duration,
+          timestamp: new Date().toISOString()
+        };
+        results.successful.push(success);
         results.summary.successful++;
+        checkpoint(url, device, 'successful', success);
 
       } catch (error) {
+        if (signal?.aborted) {
+          console.log(`⊘ Cancelled: ${describe(url, device)}`);
+          return;
+        }
+
         completed++;
 
         // Log error with clean console output
-        console.log(`[${completed}/${total}] ✗ Failed: ${url} - ${error.message}`);
+        console.log(`[${completed}/${total}] ✗ Failed: ${describe(url, device)} - ${error.message}`);
 
-        results.failed.push({
+        const failure = {
           url,
+          device,
+          ...details,
           error: error.message || String(error),
           timestamp: new Date().toISOString()
-        });
+        };
+        results.failed.push(failure);
         results.summary.failed++;
+        checkpoint(url, device, 'failed', failure);
       }
-    });
+    }));
   });
 
   // Execute all audits with concurrency limit
-  await Promise.all(auditTasks);
+  // On cancellation the queue is cleared (its tasks never settle) and only running audits are awaited
+  await new Promise((resolve) => {
+    const cancel = () => {
+      limit.clearQueue();
+      Promise.all([...active]).then(resolve);
+    };
+
+    Promise.all(auditTasks).then(() => {
+      signal?.removeEventListener('abort', cancel);
+      resolve();
+    });
+
+    if (signal?.aborted) {
+      cancel();
+    } else {
+      signal?.addEventListener('abort', cancel, { once: true });
+    }
+  });
+
+  if (signal?.aborted) {
+    results.summary.cancelled = total - results.summary.successful - results.summary.failed;
+  }
+
+  // Write batch index linking every report - a failure here must not lose the results
+  try {
+    results.summary.indexPath = await generateAndSaveIndexReport(results, output.reportsDir);
+  } catch (error) {
+    logError('index', `Failed to save index report: ${error.message}`);
+  }
 
   // Calculate total duration
   results.summary.duration = Date.now() - startTime;
@@ -139,7 +337,7 @@ export async function orchestrateAudits(urls, auditFunction, options = {}) {
  * Validates URLs before auditing
  * Filters out invalid URLs and returns validation results
  *
- * @param {Array<string>} urls - Array of URLs to validate
+ * @param {Array<string|Object>} urls - URLs or entries ({ url, ... }) to validate
  * @returns {Object} - Validation results with valid and invalid arrays
  *
  * @example
@@ -150,7 +348,10 @@ export function validateUrls(urls) {
   const valid = [];
   const invalid = [];
 
-  for (const url of urls) {
+  // Entries ({ url, ...options }) are validated by their url and returned as-is
+  for (const item of urls) {
+    const url = typeof item === 'string' ? item : item?.url;
+
     // Check if URL is empty or not a string
     if (!url || typeof url !== 'string') {
       invalid.push({
@@ -172,7 +373,7 @@ export function validateUrls(urls) {
     // Try to parse URL
     try {
       new URL(url);
-      valid.push(url);
+      valid.push(item);
     } catch (error) {
       invalid.push({
         url,
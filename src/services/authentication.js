@@ -0,0 +1,211 @@
+/**
+ * Authentication Service
+ *
+ * Prepares credentials for audits of pages behind login:
+ * - Extra HTTP headers ("Name: value" CLI options)
+ * - Cookies from a JSON export or a Netscape cookies.txt file
+ * - A login script (ES module) that runs in the browser before each audit
+ *
+ * Parsing runs in the main thread; prepareAuthenticatedPage runs in the worker.
+ */
+
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+
+/**
+ * Parses repeated --header options into a headers object
+ *
+ * @param {Array<string>} [values=[]] - Header options in "Name: value" format
+ * @returns {Object} - Headers keyed by name
+ * @throws {Error} - If a header is not in "Name: value" format
+ *
+ * @example
+ * parseHeaders(['Authorization: Bearer abc123', 'X-Preview: 1'])
+ * // returns { Authorization: 'Bearer abc123', 'X-Preview': '1' }
+ */
+export function parseHeaders(values = []) {
+  const headers = {};
+
+  for (const value of values) {
+    const separator = value.indexOf(':');
+    const name = separator > 0 ? value.slice(0, separator).trim() : '';
+
+    if (!name || !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+      // Only the name is echoed back: the value is likely a secret
+      throw new Error(
+        `Header must be in "Name: value" format (got header named: ${name || '(none)'})\n\n` +
+        `Use: kind-beacon audit urls.csv --header "Authorization: Bearer <token>"`
+      );
+    }
+
+    headers[name] = value.slice(separator + 1).trim();
+  }
+
+  return headers;
+}
+
+/**
+ * Parses a Netscape cookies.txt file (as exported by curl and browser extensions)
+ *
+ * @param {string} text - File content
+ * @returns {Array<Object>} - Cookies
+ */
+function parseNetscapeCookies(text) {
+  const cookies = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    // #HttpOnly_ prefixes mark HttpOnly cookies; other # lines are comments
+    const httpOnly = rawLine.startsWith('#HttpOnly_');
+    const line = httpOnly ? rawLine.slice('#HttpOnly_'.length) : rawLine;
+    if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      throw new Error('Invalid cookies.txt line: expected 7 tab-separated fields');
+    }
+
+    const [domain, , cookiePath, secure, expires, name, value] = fields;
+    const expiresAt = Number(expires);
+    cookies.push({
+      name,
+      value: value.trim(),
+      domain,
+      path: cookiePath || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+      ...(expiresAt > 0 && { expires: expiresAt })
+    });
+  }
+
+  return cookies;
+}
+
+/**
+ * Browser-extension sameSite values mapped to the values Chrome accepts
+ */
+const SAME_SITE_VALUES = { no_restriction: 'None', none: 'None', lax: 'Lax', strict: 'Strict' };
+
+/**
+ * Normalizes a cookie from any supported export format to the fields Chrome accepts
+ *
+ * @param {Object} cookie - Cookie as read from the file
+ * @returns {Object} - Cookie with name, value and any of domain, path, secure, httpOnly, sameSite, expires
+ */
+function normalizeCookie(cookie) {
+  const expires = cookie.expires ?? cookie.expirationDate;
+  const sameSite = SAME_SITE_VALUES[String(cookie.sameSite || '').toLowerCase()];
+
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    ...(cookie.domain && { domain: cookie.domain }),
+    ...(cookie.path && { path: cookie.path }),
+    ...(cookie.secure !== undefined && { secure: Boolean(cookie.secure) }),
+    ...(cookie.httpOnly !== undefined && { httpOnly: Boolean(cookie.httpOnly) }),
+    ...(sameSite && { sameSite }),
+    ...(typeof expires === 'number' && expires > 0 && { expires })
+  };
+}
+
+/**
+ * Loads cookies from a file
+ * Accepts a JSON array of cookies (DevTools / Puppeteer format), a JSON object
+ * with a `cookies` array (Playwright storage state), or a Netscape cookies.txt file
+ *
+ * @param {string} filePath - Path to the cookie file
+ * @returns {Array<Object>} - Cookies: { name, value, domain?, path?, secure?, httpOnly?, expires? }
+ * @throws {Error} - If the file is missing or not a supported format
+ *
+ * @example
+ * loadCookies('./cookies.json')
+ * // returns [{ name: 'session', value: '...', domain: '.example.com', path: '/' }]
+ */
+export function loadCookies(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Cookie file not found: ${filePath}`);
+  }
+
+  const text = fs.readFileSync(filePath, 'utf-8');
+  let cookies;
+
+  if (/^\s*[[{]/.test(text)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Cookie file is not valid JSON: ${error.message}`);
+    }
+    cookies = Array.isArray(parsed) ? parsed : parsed.cookies;
+  } else {
+    cookies = parseNetscapeCookies(text);
+  }
+
+  if (!Array.isArray(cookies)) {
+    throw new Error('Cookie file must contain an array of cookies or an object with a "cookies" array');
+  }
+
+  cookies.forEach((cookie, index) => {
+    if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+      throw new Error(`Cookie ${index + 1} in ${filePath} must have a string name and value`);
+    }
+  });
+
+  return cookies.map(normalizeCookie);
+}
+
+/**
+ * Checks that a login script exists
+ *
+ * @param {string} filePath - Absolute path to the login script
+ * @returns {string} - The same path
+ * @throws {Error} - If the file does not exist
+ */
+export function validateLoginScript(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(
+      `Login script not found: ${filePath}\n\n` +
+      `The script must be an ES module whose default export receives { page, browser, url }`
+    );
+  }
+
+  return filePath;
+}
+
+/**
+ * Prepares a browser page with cookies, headers, and the login script before an audit
+ * Runs inside the Lighthouse worker
+ *
+ * @param {Object} page - Puppeteer page the audit will run in
+ * @param {Object} context - Authentication context
+ * @param {string} context.url - URL that will be audited
+ * @param {Object} [context.headers] - Extra HTTP headers
+ * @param {Array<Object>} [context.cookies] - Cookies to set
+ * @param {string} [context.loginScript] - Absolute path to the login script
+ * @param {Object} [context.browser] - Puppeteer browser (passed to the login script)
+ * @throws {Error} - If the login script fails or has no default export
+ */
+export async function prepareAuthenticatedPage(page, { url, headers = {}, cookies = [], loginScript, browser }) {
+  if (Object.keys(headers).length > 0) {
+    await page.setExtraHTTPHeaders(headers);
+  }
+
+  if (cookies.length > 0) {
+    // Cookies without a domain are scoped to the audited URL
+    await page.setCookie(...cookies.map(cookie => (cookie.domain ? cookie : { ...cookie, url })));
+  }
+
+  if (loginScript) {
+    const module = await import(pathToFileURL(loginScript).href);
+    if (typeof module.default !== 'function') {
+      throw new Error('Login script must export a default async function ({ page, browser, url })');
+    }
+
+    try {
+      await module.default({ page, browser, url });
+    } catch (error) {
+      throw new Error(`Login script failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Checkpoint Service
+ *
+ * Records batch progress in a JSONL file so an interrupted run can be resumed.
+ * The first line describes the run (URLs and audit settings); every completed
+ * audit appends one line. Files live in <dataDir>/.checkpoints/<runId>.jsonl
+ *
+ * Records:
+ * - { type: 'run', runId, startedAt, urls, options }
+ * - { type: 'resume', resumedAt }
+ * - { type: 'result', url, device, status: 'successful' | 'failed', result }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+/**
+ * Directory inside the data directory that holds checkpoint files
+ */
+export const CHECKPOINT_SUBDIR = '.checkpoints';
+
+/**
+ * Run IDs are used as file names, so only these characters are accepted
+ */
+export const RUN_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Creates a sortable, unique run ID
+ *
+ * @param {Date} [date] - Run start time (defaults to now)
+ * @returns {string} - Run ID such as '20251022-143052-a1b2c3'
+ *
+ * @example
+ * createRunId(new Date('2025-10-22T14:30:52Z'))
+ * // returns: '20251022-143052-a1b2c3' (random suffix)
+ */
+export function createRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Returns the checkpoint file path for a run
+ *
+ * @param {string} dataDir - Data output directory
+ * @param {string} runId - Run ID
+ * @returns {string} - Path to <dataDir>/.checkpoints/<runId>.jsonl
+ * @throws {Error} - If the run ID contains characters other than letters, digits, '-' and '_'
+ */
+export function getCheckpointPath(dataDir, runId) {
+  if (!RUN_ID_PATTERN.test(runId)) {
+    throw new Error(`Invalid run ID: ${runId} (letters, digits, '-' and '_' only)`);
+  }
+
+  return path.join(dataDir, CHECKPOINT_SUBDIR, `${runId}.jsonl`);
+}
+
+/**
+ * Identifies one audit of a batch (a URL on one device)
+ *
+ * @param {string} url - Requested URL
+ * @param {string} device - Device the URL was audited on
+ * @returns {string} - Task key
+ */
+export function getTaskKey(url, device) {
+  return `${device} ${url}`;
+}
+
+/**
+ * Appends one record to a checkpoint file
+ * Writes synchronously so a record is on disk before the next audit starts,
+ * even if the process is killed right after
+ *
+ * @param {string} filePath - Checkpoint file
+ * @param {Object} record - Record to append
+ */
+function appendRecord(filePath, record) {
+  fs.appendFileSync(filePath, JSON.stringify(record) + '\n', 'utf-8');
+}
+
+/**
+ * Starts a checkpoint file, or marks an existing one as resumed
+ *
+ * @param {string} filePath - Checkpoint file
+ * @param {Object} run - Run description: { runId, urls, options }
+ */
+export function startCheckpoint(filePath, run) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  if (fs.existsSync(filePath)) {
+    // Close a line truncated by a killed process so it cannot swallow the next record
+    const content = fs.readFileSync(filePath, 'utf-8');
+    if (content && !content.endsWith('\n')) {
+      fs.appendFileSync(filePath, '\n', 'utf-8');
+    }
+
+    appendRecord(filePath, { type: 'resume', resumedAt: new Date().toISOString() });
+    return;
+  }
+
+  appendRecord(filePath, { type: 'run', startedAt: new Date().toISOString(), ...run });
+}
+
+/**
+ * Records a completed audit
+ * The Lighthouse result (lhr) is left out: reports and data files already hold it
+ *
+ * @param {string} filePath - Checkpoint file
+ * @param {Object} completion - Completed audit
+ * @param {string} completion.url - Requested URL (results may carry the final URL after redirects)
+ * @param {string} completion.device - Device the URL was audited on
+ * @param {string} completion.status - 'successful' or 'failed'
+ * @param {Object} completion.result - Orchestrator result entry
+ */
+export function recordCheckpoint(filePath, { url, device, status, result }) {
+  const { lhr, ...entry } = result;
+  appendRecord(filePath, { type: 'result', url, device, status, result: entry });
+}
+
+/**
+ * Loads a run's checkpoint
+ * When a URL was audited more than once (e.g., retried on resume) the latest result wins.
+ * Truncated lines, left by a process killed mid-write, are ignored
+ *
+ * @param {string} dataDir - Data directory the run wrote to
+ * @param {string} runId - Run ID to load
+ * @returns {Object} - { runId, startedAt, urls, options, successful, failed }
+ * @throws {Error} - If the checkpoint does not exist or is not a run checkpoint
+ *
+ * @example
+ * const checkpoint = loadCheckpoint('./data', '20251022-143052-a1b2c3');
+ * // => { runId, urls: [...], options: {...}, successful: [...], failed: [...] }
+ */
+export function loadCheckpoint(dataDir, runId) {
+  const filePath = getCheckpointPath(dataDir, runId);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(
+      `No checkpoint found for run ${runId} in ${path.join(dataDir, CHECKPOINT_SUBDIR)}\n\n` +
+      `Use the same --data-dir as the interrupted run: kind-beacon audit --resume ${runId} --data-dir ./data`
+    );
+  }
+
+  // Lines truncated by a killed process (at the end, or before a resume record) are skipped
+  const lines = fs.readFileSync(filePath, 'utf-8').split('\n').filter(line => line.trim());
+  const records = [];
+  for (const line of lines) {
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // Incomplete record - the audit it described is simply run again
+    }
+  }
+
+  const run = records[0];
+  if (run?.type !== 'run') {
+    throw new Error(`Checkpoint ${filePath} does not start with a run record`);
+  }
+
+  const latest = new Map();
+  for (const record of records) {
+    if (record.type === 'result') {
+      latest.set(getTaskKey(record.url, record.device), record);
+    }
+  }
+
+  const completed = [...latest.values()];
+  return {
+    runId: run.runId,
+    startedAt: run.startedAt,
+    urls: run.urls,
+    options: run.options,
+    // Successful results carry the final URL after redirects; keep the requested one for matching
+    successful: completed
+      .filter(record => record.status === 'successful')
+      .map(record => ({ requestedUrl: record.url, ...record.result })),
+    failed: completed.filter(record => record.status === 'failed').map(record => record.result)
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * Comparison Report Service
+ *
+ * Generates a self-contained HTML diff report for two audit runs.
+ * Each URL/device pair gets a table of before/after values and deltas,
+ * coloured by whether the change is an improvement or a regression.
+ */
+
+import { escapeHtml, saveReport } from './report-generator.js';
+import { formatComparedValue, formatDelta, getComparisonCounts } from './run-comparator.js';
+import { generateTimestamp } from '../lib/file-namer.js';
+
+/**
+ * Renders the diff table for one URL/device pair
+ *
+ * @param {Object} pair - Pair from the comparison result
+ * @returns {string} - HTML section
+ */
+function renderPair(pair) {
+  const rows = pair.changes
+    .filter(change => change.before !== null || change.after !== null)
+    .map(change => `
+          <tr class="${change.direction || 'missing'}">
+            <td>${escapeHtml(change.label)}</td>
+            <td>${escapeHtml(formatComparedValue(change, change.before))}</td>
+            <td>${escapeHtml(formatComparedValue(change, change.after))}</td>
+            <td class="delta">${escapeHtml(formatDelta(change))}</td>
+          </tr>`)
+    .join('');
+
+  const statusNote = pair.statusA !== 'success' || pair.statusB !== 'success'
+    ? `<p class="status">Status: ${escapeHtml(pair.statusA)} → ${escapeHtml(pair.statusB)}</p>`
+    : '';
+
+  return `
+    <section>
+      <h2>${escapeHtml(pair.url)} <span class="device">${escapeHtml(pair.device)}</span></h2>
+      <p class="timestamps">${escapeHtml(pair.timestampA)} → ${escapeHtml(pair.timestampB)} · Throttling: ${escapeHtml(pair.throttling)}</p>
+      ${statusNote}
+      <table>
+        <thead>
+          <tr><th>Metric</th><th>Before</th><th>After</th><th>Change</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </section>`;
+}
+
+/**
+ * Renders a list of unpaired audits
+ *
+ * @param {string} title - Section title
+ * @param {Array<Object>} entries - Unpaired { url, device } entries, optionally with throttlingA/throttlingB
+ * @returns {string} - HTML section or empty string
+ */
+function renderUnpaired(title, entries) {
+  if (entries.length === 0) {
+    return '';
+  }
+
+  const items = entries
+    .map(({ url, device, throttlingA, throttlingB }) => {
+      const throttling = throttlingA ? ` - ${escapeHtml(throttlingA)} → ${escapeHtml(throttlingB)}` : '';
+      return `<li>${escapeHtml(url)} (${escapeHtml(device)})${throttling}</li>`;
+    })
+    .join('\n        ');
+
+  return `
+    <section class="unpaired">
+      <h2>${escapeHtml(title)}</h2>
+      <ul>
+        ${items}
+      </ul>
+    </section>`;
+}
+
+/**
+ * Generates the HTML for a run comparison
+ *
+ * @param {Object} comparison - Comparison result from compareRuns
+ * @returns {string} - Self-contained HTML document
+ *
+ * @example
+ * const html = generateComparisonReport(await compareRuns('./before', './after'));
+ */
+export function generateComparisonReport(comparison) {
+  const counts = getComparisonCounts(comparison);
+  const runA = comparison.runA || 'Run A';
+  const runB = comparison.runB || 'Run B';
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Kind Beacon - Run Comparison</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      max-width: 900px;
+      margin: 40px auto;
+      padding: 0 20px;
+      background: #f5f5f5;
+      color: #212121;
+    }
+    .meta {
+      color: #666;
+      margin-bottom: 30px;
+    }
+    section {
+      background: white;
+      border-radius: 8px;
+      padding: 20px;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+    }
+    h2 {
+      font-size: 18px;
+      margin: 0 0 5px;
+      word-break: break-all;
+    }
+    .device {
+      font-size: 13px;
+      font-weight: normal;
+      color: #666;
+      background: #eee;
+      border-radius: 4px;
+      padding: 2px 6px;
+    }
+    .timestamps, .status {
+      color: #666;
+      font-size: 13px;
+      margin: 0 0 10px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 14px;
+    }
+    th, td {
+      padding: 6px 10px;
+      border-bottom: 1px solid #e0e0e0;
+      text-align: left;
+    }
+    tr.improved .delta { color: #0c7c3f; font-weight: 600; }
+    tr.regressed .delta { color: #d32f2f; font-weight: 600; }
+    tr.unchanged .delta, tr.missing td { color: #999; }
+  </style>
+</head>
+<body>
+  <h1>Run Comparison</h1>
+  <div class="meta">
+    ${escapeHtml(runA)} → ${escapeHtml(runB)}<br>
+    ${comparison.pairs.length} paired audits ·
+    ${counts.improved} improved · ${counts.regressed} regressed · ${counts.unchanged} unchanged
+  </div>
+  ${comparison.pairs.map(renderPair).join('\n')}
+  ${renderUnpaired(`Only in ${runA}`, comparison.onlyInA)}
+  ${renderUnpaired(`Only in ${runB}`, comparison.onlyInB)}
+  ${renderUnpaired('Not compared: throttling differs', comparison.throttlingMismatches || [])}
+</body>
+</html>
+  `;
+
+  return html.trim();
+}
+
+/**
+ * Generates and saves a comparison report with a timestamped filename
+ *
+ * @param {Object} comparison - Comparison result from compareRuns
+ * @param {string} outputDir - Directory to save the report (e.g., './reports')
+ * @param {Date} [date] - Date to use for filename (defaults to now)
+ * @returns {Promise<string>} - Full path to the saved file
+ *
+ * @example
+ * const filePath = await generateAndSaveComparisonReport(comparison, './reports');
+ * // returns: '/absolute/path/to/reports/compare_2025-10-22-143052.html'
+ */
+export async function generateAndSaveComparisonReport(comparison, outputDir, date = new Date()) {
+  const html = generateComparisonReport(comparison);
+  const filename = `compare_${generateTimestamp(date)}.html`;
+  return await saveReport(html, outputDir, filename);
+}
@@ -0,0 +1,325 @@
+/**
+ * Crawler Service
+ *
+ * Discovers pages on the same origin as a start URL by following links breadth-first.
+ * Honours robots.txt, normalises and deduplicates URLs, and stops at a depth limit
+ * and a page limit. Only HTML pages that load successfully are reported.
+ */
+
+import { logInfo, logWarning } from '../lib/logger.js';
+
+/**
+ * User agent sent with crawl requests and matched against robots.txt groups
+ */
+export const CRAWLER_USER_AGENT = 'kind-beacon';
+
+/**
+ * Timeout for fetching a single page, in milliseconds
+ */
+const FETCH_TIMEOUT_MS = 15000;
+
+/**
+ * Query parameters that only track campaigns and never change the page
+ */
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|gclid|fbclid|msclkid)$/i;
+
+/**
+ * File extensions that are never HTML pages (skipped without fetching)
+ */
+const NON_HTML_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|svg|ico|css|js|mjs|json|xml|txt|pdf|zip|gz|mp4|webm|mp3|woff2?|ttf|eot)$/i;
+
+/**
+ * Normalises a URL so the same page is only crawled once
+ * Resolves relative links, drops the fragment and tracking parameters,
+ * and sorts the remaining query parameters
+ *
+ * @param {string} href - Link target (absolute or relative)
+ * @param {string} [base] - URL the link was found on
+ * @returns {string|null} - Normalised URL or null if not an http(s) URL
+ *
+ * @example
+ * normalizeUrl('/about/?utm_source=x#team', 'https://Example.com/')
+ * // returns 'https://example.com/about/'
+ */
+export function normalizeUrl(href, base) {
+  let url;
+  try {
+    url = new URL(href, base);
+  } catch {
+    return null;
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+
+  url.hash = '';
+  for (const key of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAM_PATTERN.test(key)) {
+      url.searchParams.delete(key);
+    }
+  }
+  url.searchParams.sort();
+
+  // URL already lowercases the host and drops default ports
+  return url.href.replace(/\?$/, '');
+}
+
+/**
+ * Extracts link targets from an HTML document
+ * Honours <base href> and ignores rel="nofollow" links
+ *
+ * @param {string} html - HTML document
+ * @param {string} pageUrl - URL the document was loaded from
+ * @returns {Array<string>} - Normalised absolute URLs
+ */
+export function extractLinks(html, pageUrl) {
+  const baseMatch = html.match(/<base\s[^>]*href\s*=\s*["']([^"']+)["']/i);
+  const base = (baseMatch && normalizeUrl(baseMatch[1], pageUrl)) || pageUrl;
+
+  const links = [];
+  const anchorPattern = /<a\s([^>]*)>/gi;
+  let match;
+  while ((match = anchorPattern.exec(html)) !== null) {
+    const attributes = match[1];
+    if (/\brel\s*=\s*["'][^"']*\bnofollow\b/i.test(attributes)) {
+      continue;
+    }
+
+    const hrefMatch = attributes.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const href = hrefMatch && (hrefMatch[1] ?? hrefMatch[2] ?? hrefMatch[3]).replace(/&amp;/g, '&').trim();
+    if (!href) {
+      continue;
+    }
+
+    const normalized = normalizeUrl(href, base);
+    if (normalized) {
+      links.push(normalized);
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Parses robots.txt into the rules that apply to a user agent
+ * Uses the most specific matching group, falling back to the '*' group
+ *
+ * @param {string} text - robots.txt content
+ * @param {string} [userAgent=CRAWLER_USER_AGENT] - User agent to match
+ * @returns {Array<Object>} - Rules: { allow: boolean, path: string }
+ */
+export function parseRobotsTxt(text, userAgent = CRAWLER_USER_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) {
+      continue;
+    }
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value !== '') {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    }
+  }
+
+  const agent = userAgent.toLowerCase();
+  const specific = groups.filter(group => group.agents.some(a => a !== '*' && agent.includes(a)));
+  const matching = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+
+  return matching.flatMap(group => group.rules);
+}
+
+/**
+ * Checks a path against robots.txt rules
+ * The longest matching rule wins; Allow wins ties. Supports '*' and '$' wildcards.
+ *
+ * @param {string} pathWithQuery - URL path plus query string
+ * @param {Array<Object>} rules - Rules from parseRobotsTxt
+ * @returns {boolean} - True if crawling the path is allowed
+ *
+ * @example
+ * isAllowedByRobots('/admin/users', [{ allow: false, path: '/admin' }]) // returns false
+ */
+export function isAllowedByRobots(pathWithQuery, rules) {
+  let best = null;
+
+  for (const rule of rules) {
+    const anchored = rule.path.endsWith('$');
+    const pattern = (anchored ? rule.path.slice(0, -1) : rule.path)
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    if (!new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(pathWithQuery)) {
+      continue;
+    }
+
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetches robots.txt rules for an origin
+ * A missing or unreachable robots.txt allows everything
+ *
+ * @param {string} origin - Site origin (e.g., 'https://example.com')
+ * @returns {Promise<Array<Object>>} - Rules from parseRobotsTxt
+ */
+async function loadRobotsRules(origin) {
+  try {
+    const response = await fetch(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': CRAWLER_USER_AGENT },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      return [];
+    }
+    return parseRobotsTxt(await response.text());
+  } catch (error) {
+    logWarning(`Could not read ${origin}/robots.txt (${error.message}); crawling without robots rules`);
+    return [];
+  }
+}
+
+/**
+ * Crawls a site breadth-first from a start URL, staying on its origin
+ * The origin is the start page's final one, so http→https and bare-domain→www redirects are followed
+ *
+ * @param {string} startUrl - Page to start from
+ * @param {Object} [options] - Crawl options
+ * @param {number} [options.maxDepth=2] - Link hops to follow from the start page (0 = start page only)
+ * @param {number} [options.maxPages=50] - Maximum pages to report
+ * @param {boolean} [options.respectRobots=true] - Skip paths disallowed by robots.txt, including redirect targets
+ * @returns {Promise<Object>} - { urls, metadata: { startUrl, pagesFetched, skippedByRobots, failed } }
+ * @throws {Error} - If the start URL is not a valid http(s) URL
+ *
+ * @example
+ * const { urls } = await crawlSite('https://example.com', { maxDepth: 3, maxPages: 200 });
+ */
+export async function crawlSite(startUrl, options = {}) {
+  const { maxDepth = 2, maxPages = 50, respectRobots = true } = options;
+
+  const start = normalizeUrl(startUrl);
+  if (!start) {
+    throw new Error(`Start URL must be an http:// or https:// URL (got: ${startUrl})`);
+  }
+
+  let origin = new URL(start).origin;
+  let rules = respectRobots ? await loadRobotsRules(origin) : [];
+
+  const urls = [];
+  const seen = new Set([start]);
+  const queue = [{ url: start, depth: 0 }];
+  const metadata = { startUrl: start, pagesFetched: 0, skippedByRobots: 0, failed: [] };
+  const isAllowedUrl = (url) => {
+    const { pathname, search } = new URL(url);
+    return isAllowedByRobots(pathname + search, rules);
+  };
+
+  while (queue.length > 0 && urls.length < maxPages) {
+    const { url, depth } = queue.shift();
+
+    if (!isAllowedUrl(url)) {
+      metadata.skippedByRobots++;
+      continue;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: { 'User-Agent': CRAWLER_USER_AGENT, Accept: 'text/html' },
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+      });
+    } catch (error) {
+      metadata.failed.push({ url, reason: error.message });
+      continue;
+    }
+    metadata.pagesFetched++;
+
+    // The start page's redirect decides the site's origin and robots.txt
+    const finalUrl = normalizeUrl(response.url || url);
+    if (depth === 0 && response.ok && new URL(finalUrl).origin !== origin) {
+      origin = new URL(finalUrl).origin;
+      rules = respectRobots ? await loadRobotsRules(origin) : [];
+    }
+
+    // Later redirects that leave the origin are not part of the site
+    if (!response.ok || new URL(finalUrl).origin !== origin) {
+      metadata.failed.push({ url, reason: response.ok ? `Redirected off-origin to ${finalUrl}` : `HTTP ${response.status}` });
+      await response.body?.cancel();
+      continue;
+    }
+
+    // A redirect can land on a path the link itself did not match
+    if (finalUrl !== url && !isAllowedUrl(finalUrl)) {
+      metadata.skippedByRobots++;
+      await response.body?.cancel();
+      continue;
+    }
+
+    // Non-HTML responses and redirects onto an already reported page are skipped
+    const isHtml = (response.headers.get('content-type') || '').includes('text/html');
+    if (!isHtml || (finalUrl !== url && urls.includes(finalUrl))) {
+      await response.body?.cancel();
+      continue;
+    }
+
+    // The body can still time out or be cut off after the headers arrived
+    let html = null;
+    if (depth < maxDepth) {
+      try {
+        html = await response.text();
+      } catch (error) {
+        metadata.failed.push({ url, reason: error.message });
+        continue;
+      }
+    } else {
+      await response.body?.cancel();
+    }
+
+    seen.add(finalUrl);
+    urls.push(finalUrl);
+    logInfo(`[${urls.length}/${maxPages}] Found ${finalUrl}`);
+
+    if (html === null) {
+      continue;
+    }
+
+    for (const link of extractLinks(html, finalUrl)) {
+      if (seen.has(link) || new URL(link).origin !== origin || NON_HTML_EXTENSIONS.test(new URL(link).pathname)) {
+        continue;
+      }
+      seen.add(link);
+      queue.push({ url: link, depth: depth + 1 });
+    }
+  }
+
+  return { urls, metadata };
+}
@@ -3,12 +3,15 @@
  *
  * Parses CSV files containing URLs using PapaParse.
  * Handles both header and no-header formats, validates URLs,
- * and provides metadata about the CSV input.
+ * and provides metadata about the CSV input. Also writes URL lists
+ * (e.g., from the crawler) in the same format.
  */
 
 import Papa from 'papaparse';
 import fs from 'fs';
+import path from 'path';
 import { logWarning } from '../lib/logger.js';
+import { getDeviceNames } from '../models/device.js';
 
 /**
  * Validates if a string is a valid HTTP/HTTPS URL
@@ -56,14 +59,93 @@ function extractUrlFromRow(row) {
   return null;
 }
 
+/**
+ * Optional per-row columns that override the global CLI options
+ */
+export const ROW_OPTION_COLUMNS = ['device', 'timeout', 'label', 'tags', 'runs', 'budget'];
+
+/**
+ * Extracts per-row audit options from a CSV row
+ * Column names are case-insensitive; empty cells fall back to the CLI options.
+ * Invalid values are reported and ignored so the row still runs with the defaults.
+ *
+ * @param {Object} row - Parsed CSV row object
+ * @param {number} rowNumber - Row number for warnings
+ * @param {Array<string>} [deviceNames] - Devices a row may ask for (default: 'mobile' and 'desktop')
+ * @returns {Object} - Options: { devices, timeout, label, tags, runs, budget } (only the columns set)
+ *
+ * @example
+ * extractOptionsFromRow({ url: 'https://example.com', device: 'desktop', tags: 'shop; checkout' }, 2)
+ * // returns { devices: ['desktop'], tags: ['shop', 'checkout'] }
+ */
+export function extractOptionsFromRow(row, rowNumber, deviceNames = getDeviceNames()) {
+  const cells = {};
+  for (const [key, value] of Object.entries(row)) {
+    const column = key.trim().toLowerCase();
+    if (ROW_OPTION_COLUMNS.includes(column) && typeof value === 'string' && value.trim() !== '') {
+      cells[column] = value.trim();
+    }
+  }
+
+  const options = {};
+  const ignore = (column, reason) => logWarning(`Ignoring ${column} on row ${rowNumber}: ${reason} (got: ${cells[column]})`);
+
+  if (cells.device) {
+    const device = cells.device.toLowerCase();
+    const devices = device === 'both'
+      ? ['mobile', 'desktop']
+      : [...new Set(device.split(/[,;|]/).map(d => d.trim()).filter(Boolean))];
+    if (devices.length > 0 && devices.every(d => deviceNames.includes(d))) {
+      options.devices = devices;
+    } else {
+      ignore('device', `must be ${deviceNames.map(name => `'${name}'`).join(', ')} or 'both'`);
+    }
+  }
+
+  if (cells.timeout) {
+    const timeout = Number(cells.timeout);
+    if (Number.isInteger(timeout) && timeout > 0) {
+      options.timeout = timeout;
+    } else {
+      ignore('timeout', 'must be a positive whole number of seconds');
+    }
+  }
+
+  if (cells.runs) {
+    const runs = Number(cells.runs);
+    if (Number.isInteger(runs) && runs >= 1 && runs <= 10) {
+      options.runs = runs;
+    } else {
+      ignore('runs', 'must be between 1 and 10');
+    }
+  }
+
+  if (cells.label) {
+    options.label = cells.label;
+  }
+
+  if (cells.tags) {
+    options.tags = [...new Set(cells.tags.split(/[,;|]/).map(tag => tag.trim()).filter(Boolean))];
+  }
+
+  if (cells.budget) {
+    options.budget = cells.budget;
+  }
+
+  return options;
+}
+
 /**
  * Reads and parses a CSV file containing URLs
+ * Besides the URL column, optional columns (see ROW_OPTION_COLUMNS) are read into `entries`
  *
  * @param {string} filePath - Path to the CSV file
- * @returns {Promise<Object>} - Object containing urls array and metadata
+ * @param {Object} [options] - Parsing options
+ * @param {Array<string>} [options.deviceNames] - Devices the device column may name (default: 'mobile' and 'desktop')
+ * @returns {Promise<Object>} - Object containing urls array, entries array ({ url, ...rowOptions }) and metadata
  * @throws {Error} - If file cannot be read or parsed
  */
-export async function readCsv(filePath) {
+export async function readCsv(filePath, options = {}) {
   return new Promise((resolve, reject) => {
     // Check if file exists
     if (!fs.existsSync(filePath)) {
@@ -73,6 +155,7 @@ export async function readCsv(filePath) {
 
     const file = fs.createReadStream(filePath);
     const urls = [];
+    const entries = [];
     const invalidUrls = [];
     let totalRows = 0;
     let hasHeaders = false;
@@ -108,6 +191,7 @@ export async function readCsv(filePath) {
         // Validate URL (T016)
         if (isValidUrl(urlString)) {
           urls.push(urlString);
+          entries.push({ url: urlString, ...(hasHeaders && extractOptionsFromRow(result.data, totalRows, options.deviceNames)) });
 
           // Detect URL column name on first valid URL
           if (!urlColumn && hasHeaders && result.meta.fields) {
@@ -143,6 +227,7 @@ export async function readCsv(filePath) {
 
         resolve({
           urls,
+          entries,
           metadata
         });
       },
@@ -180,3 +265,23 @@ export async function validateCsvFile(filePath) {
     return false;
   }
 }
+
+/**
+ * Writes URLs to a CSV file with a `url` header, readable by readCsv
+ *
+ * @param {Array<string>} urls - URLs to write
+ * @param {string} filePath - Output CSV path (parent directories are created)
+ * @returns {Promise<string>} - Absolute path of the written file
+ *
+ * @example
+ * await writeUrlsCsv(['https://example.com/', 'https://example.com/about'], './urls.csv');
+ */
+export async function writeUrlsCsv(urls, filePath) {
+  const absolutePath = path.resolve(filePath);
+  const csv = Papa.unparse({ fields: ['url'], data: urls.map(url => [url]) });
+
+  await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.promises.writeFile(absolutePath, `${csv}\n`, 'utf-8');
+
+  return absolutePath;
+}
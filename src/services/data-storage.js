@@ -3,12 +3,28 @@
  *
  * Manages JSON data file persistence for historical audit tracking.
  * Writes structured audit results with metadata (timestamp, URL, domain, metrics)
- * following the naming convention: {domain}-{YYYY-MM-DD}-report.json
+ * following the naming convention: {domain}_{page}_{YYYY-MM-DD-HHmmss}_{device}.json
+ * Runs write into run directories (<dataDir>/<runId>/, next to their run.json);
+ * listing and loading cover both those and files directly in the data directory.
+ *
+ * With the SQLite backend (see sqlite-storage.js) audits are saved to <dataDir>/kind-beacon.db
+ * instead; loading reads the database plus any JSON files not imported into it.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { generateDataFilename } from '../lib/file-namer.js';
+import { generateDataFilename, generateTimestamp, getPageSlug, parseFilename } from '../lib/file-namer.js';
+import { extractDomain } from '../lib/domain-extractor.js';
+import { RUN_MANIFEST_FILENAME } from './run-manifest.js';
+import {
+  databaseExists,
+  getDatabasePath,
+  getImportedFiles,
+  hasAuditRecord,
+  insertAuditRecord,
+  openDatabase,
+  queryAuditRecords
+} from './sqlite-storage.js';
 import { auditToJSON } from '../models/audit.js';
 import { metricsToJSON } from '../models/metrics.js';
 
@@ -50,19 +66,17 @@ function validateOutputPath(outputPath) {
  * @param {string} outputDir - Directory to save the data file (e.g., './data')
  * @param {string} [device='mobile'] - Device mode ('mobile' or 'desktop')
  * @param {Date} [date] - Date to use for filename (defaults to now)
- * @returns {Promise<string>} - Full path to the saved file
+ * @param {Object} [store] - Where to save instead of a JSON file
+ * @param {string} [store.database] - SQLite database to insert the audit into (see sqlite-storage.js)
+ * @param {string} [store.runId] - Run the audit belongs to, recorded in the database
+ * @returns {Promise<string|number|null>} - Full path to the saved file; with store.database, the audit's
+ *   row ID in the database instead (see insertAuditRecord)
  *
  * @example
  * const filePath = await saveAuditData(audit, metrics, './data', 'mobile');
- * // returns: '/absolute/path/to/data/example-com_2025-10-22-143052_mobile.json'
+ * // returns: '/absolute/path/to/data/example.com_index-8a5edab2_2025-10-22-143052_mobile.json'
  */
-export async function saveAuditData(audit, metrics, outputDir, device = 'mobile', date = new Date()) {
-  // CRITICAL FIX #3: Validate output path to prevent path traversal
-  const validatedDir = validateOutputPath(outputDir);
-
-  // Ensure output directory exists
-  await fs.mkdir(validatedDir, { recursive: true });
-
+export async function saveAuditData(audit, metrics, outputDir, device = 'mobile', date = new Date(), store = {}) {
   // Build JSON structure per data-model.md
   const auditJson = auditToJSON(audit);
   const data = {
@@ -70,6 +84,17 @@ export async function saveAuditData(audit, metrics, outputDir, device = 'mobile'
     metrics: metrics ? metricsToJSON(metrics).metrics : null
   };
 
+  if (store.database) {
+    const databasePath = validateOutputPath(store.database);
+    return insertAuditRecord(await openDatabase(databasePath), data, { runId: store.runId });
+  }
+
+  // CRITICAL FIX #3: Validate output path to prevent path traversal
+  const validatedDir = validateOutputPath(outputDir);
+
+  // Ensure output directory exists
+  await fs.mkdir(validatedDir, { recursive: true });
+
   // T028: Generate filename with timestamp and device
   const filename = generateDataFilename(audit.requestedUrl, device, date);
   const filePath = path.join(validatedDir, filename);
@@ -105,25 +130,20 @@ export async function loadAuditData(filePath) {
 }
 
 /**
- * Lists all audit data files in a directory
+ * Lists all audit data files in a directory and its run directories
+ * Files of a run directory are returned as '<runId>/<filename>'
  *
  * @param {string} dataDir - Directory containing audit data files
- * @returns {Promise<string[]>} - Array of filenames
+ * @returns {Promise<string[]>} - Array of filenames, relative to dataDir
  *
  * @example
  * const files = await listAuditDataFiles('./data');
- * // returns: ['example.com-2025-10-22-report.json', 'another.com-2025-10-22-report.json']
+ * // returns: ['example.com-2025-10-22-report.json', '20251022-143052-a1b2c3/example.com_index-8a5edab2_2025-10-22-143052_mobile.json']
  */
 export async function listAuditDataFiles(dataDir) {
+  let entries;
   try {
-    const files = await fs.readdir(dataDir);
-    // HIGH FIX #28: Update filter to match both old and new naming patterns
-    // Old: example.com-2025-10-22-report.json
-    // New: example-com_2025-10-22-143052_mobile.json
-    return files.filter(file =>
-      file.endsWith('-report.json') || // Old format
-      file.match(/_\d{4}-\d{2}-\d{2}-\d{6}_(mobile|desktop)\.json$/) // New format
-    );
+    entries = await fs.readdir(dataDir, { withFileTypes: true });
   } catch (error) {
     // HIGH FIX #12: Use optional chaining for error code check
     if (error?.code === 'ENOENT') {
@@ -132,41 +152,74 @@ export async function listAuditDataFiles(dataDir) {
     }
     throw error;
   }
+
+  const files = entries.filter(entry => !entry.isDirectory()).map(entry => entry.name);
+
+  // Run directories are recognised by their manifest
+  for (const entry of entries.filter(entry => entry.isDirectory())) {
+    const runFiles = await fs.readdir(path.join(dataDir, entry.name));
+    if (runFiles.includes(RUN_MANIFEST_FILENAME)) {
+      files.push(...runFiles.map(file => `${entry.name}/${file}`));
+    }
+  }
+
+  // HIGH FIX #28: Update filter to match all naming patterns
+  // Old: example.com-2025-10-22-report.json
+  // Timestamped: example.com_2025-10-22-143052_mobile.json (any device profile name)
+  // Per page: example.com_pricing-1a2b3c4d_2025-10-22-143052_mobile.json
+  return files.filter(file => {
+    const name = path.basename(file);
+    return name.endsWith('-report.json') || // Old format
+      parseFilename(name)?.extension === 'json'; // Timestamped formats
+  });
 }
 
 /**
  * Loads multiple audit data files from a directory
+ * A SQLite database in the directory is read too; JSON files imported into it are not loaded twice
  *
  * @param {string} dataDir - Directory containing audit data files
  * @param {Object} [filters] - Optional filters
  * @param {string} [filters.domain] - Filter by domain
  * @param {string} [filters.startDate] - Filter by start date (YYYY-MM-DD)
  * @param {string} [filters.endDate] - Filter by end date (YYYY-MM-DD)
+ * @param {Array<string>} [filters.runs] - Only load files of these run IDs
  * @returns {Promise<Object[]>} - Array of parsed audit data
  *
  * @example
  * const audits = await loadAuditDataBatch('./data', { domain: 'example.com' });
  */
 export async function loadAuditDataBatch(dataDir, filters = {}) {
-  const files = await listAuditDataFiles(dataDir);
+  let stored = [];
+  let imported = new Set();
+  if (databaseExists(dataDir)) {
+    const db = await openDatabase(getDatabasePath(dataDir));
+    stored = queryAuditRecords(db, filters);
+    imported = getImportedFiles(db);
+  }
+
+  const files = (await listAuditDataFiles(dataDir)).filter(file => !imported.has(file));
 
   // Apply filters
   let filteredFiles = files;
   if (filters.domain) {
-    filteredFiles = filteredFiles.filter(file => file.startsWith(filters.domain));
+    filteredFiles = filteredFiles.filter(file => path.basename(file).startsWith(filters.domain));
   }
   if (filters.startDate) {
     filteredFiles = filteredFiles.filter(file => {
-      const match = file.match(/(\d{4}-\d{2}-\d{2})/);
+      const match = path.basename(file).match(/(\d{4}-\d{2}-\d{2})/);
       return match && match[1] >= filters.startDate;
     });
   }
   if (filters.endDate) {
     filteredFiles = filteredFiles.filter(file => {
-      const match = file.match(/(\d{4}-\d{2}-\d{2})/);
+      const match = path.basename(file).match(/(\d{4}-\d{2}-\d{2})/);
       return match && match[1] <= filters.endDate;
     });
   }
+  if (filters.runs?.length > 0) {
+    filteredFiles = filteredFiles.filter(file => filters.runs.includes(path.dirname(file)));
+  }
 
   // Load all files
   const results = await Promise.all(
@@ -174,28 +227,77 @@ export async function loadAuditDataBatch(dataDir, filters = {}) {
   );
 
   // Filter out null results (files that couldn't be loaded)
-  return results.filter(result => result !== null);
+  return [...stored, ...results.filter(result => result !== null)];
 }
 
 /**
- * Checks if a data file exists for a given URL and date
+ * Checks if a data file (or database row) exists for a given URL and date
+ * Only per-page filenames identify the URL; files named before pages were part
+ * of the name do not count (run `kind-beacon migrate-filenames` to rename them)
  *
  * @param {string} url - URL to check
  * @param {string} dataDir - Directory containing audit data files
- * @param {Date} [date] - Date to check (defaults to today)
- * @returns {Promise<boolean>} - True if file exists
+ * @param {Date} [date] - Date to check (defaults to today, UTC like the filenames)
+ * @param {string} [device] - Device to check (defaults to any device)
+ * @returns {Promise<boolean>} - True if a file exists
  *
  * @example
- * const exists = await auditDataExists('https://example.com', './data');
+ * const exists = await auditDataExists('https://example.com/pricing', './data', new Date(), 'mobile');
  */
-export async function auditDataExists(url, dataDir, date = new Date()) {
-  const filename = generateDataFilename(url, date);
-  const filePath = path.join(dataDir, filename);
+export async function auditDataExists(url, dataDir, date = new Date(), device) {
+  const domain = extractDomain(url);
+  const page = getPageSlug(url);
+  const day = generateTimestamp(date).slice(0, 10);
 
-  try {
-    await fs.access(filePath);
+  if (databaseExists(dataDir) && hasAuditRecord(await openDatabase(getDatabasePath(dataDir)), url, day, device)) {
     return true;
-  } catch {
-    return false;
   }
+
+  const files = await listAuditDataFiles(dataDir);
+  return files.some(file => {
+    const parsed = parseFilename(path.basename(file));
+    return parsed?.page === page &&
+      parsed.domain === domain &&
+      parsed.date === day &&
+      (!device || parsed.device === device);
+  });
+}
+
+/**
+ * Imports the JSON audit data files of a directory into its SQLite database
+ * Files of run directories keep their run ID; files imported before are not imported again
+ *
+ * @param {string} dataDir - Directory containing audit data files
+ * @returns {Promise<Object>} - { databasePath, imported, existing, skipped: [{ file, reason }] }
+ *
+ * @example
+ * const { imported } = await importAuditData('./data');
+ * // ./data/kind-beacon.db now holds every audit of ./data
+ */
+export async function importAuditData(dataDir) {
+  const databasePath = validateOutputPath(getDatabasePath(dataDir));
+  const db = await openDatabase(databasePath);
+  const done = getImportedFiles(db);
+
+  let imported = 0;
+  let existing = 0;
+  const skipped = [];
+
+  for (const file of await listAuditDataFiles(dataDir)) {
+    if (done.has(file)) {
+      existing++;
+      continue;
+    }
+
+    const runDir = path.dirname(file);
+    try {
+      const record = await loadAuditData(path.join(dataDir, file));
+      insertAuditRecord(db, record, { runId: runDir === '.' ? null : runDir, sourceFile: file });
+      imported++;
+    } catch (error) {
+      skipped.push({ file, reason: error.message });
+    }
+  }
+
+  return { databasePath, imported, existing, skipped };
 }
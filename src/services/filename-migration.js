@@ -0,0 +1,143 @@
+/**
+ * Filename Migration Service
+ *
+ * Renames reports and data files written before the page was part of the filename
+ * ({domain}_{timestamp}_{device} and the older {domain}-{date}-report) to the
+ * per-page scheme {domain}_{page}_{timestamp}_{device}, so they sort, list and
+ * load together with new audits.
+ *
+ * The audited URL is read from the file itself: `audit.requestedUrl` in JSON data,
+ * the embedded Lighthouse result or the error report title in HTML reports.
+ * Files whose URL cannot be found are skipped; existing files are never overwritten.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { generateFilename, parseFilename } from '../lib/file-namer.js';
+
+/**
+ * Reads the audited URL from an HTML report
+ * Lighthouse reports embed the result as JSON; error reports name the URL in the title
+ *
+ * @param {string} html - Report contents
+ * @returns {string|null} - Requested URL, or null if not found
+ */
+function readReportUrl(html) {
+  const lhrUrl = html.match(/"requestedUrl":("(?:[^"\\]|\\.)*")/);
+  if (lhrUrl) {
+    return JSON.parse(lhrUrl[1]);
+  }
+
+  const errorTitle = html.match(/<title>Audit Failed - (.*?)<\/title>/);
+  if (errorTitle) {
+    return errorTitle[1].replace(/&(amp|lt|gt|quot|#39);/g, (match, entity) => ({
+      amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'"
+    })[entity]);
+  }
+
+  return null;
+}
+
+/**
+ * Reads the audited URL, time and device of a file
+ * Timestamped names keep their timestamp and device; legacy daily names take them
+ * from the file contents (JSON data) or fall back to midnight and mobile
+ *
+ * @param {string} filePath - Full path to the file
+ * @param {Object} parsed - Result of parseFilename
+ * @returns {Promise<Object>} - { url, date, device }, with url null if not found
+ */
+async function readFileDetails(filePath, parsed) {
+  const content = await fs.readFile(filePath, 'utf-8');
+
+  let url;
+  let recorded = {};
+  if (parsed.extension === 'json') {
+    try {
+      recorded = JSON.parse(content)?.audit || {};
+    } catch {
+      recorded = {};
+    }
+    url = recorded.requestedUrl || recorded.url || null;
+  } else {
+    url = readReportUrl(content);
+  }
+
+  const date = parsed.timestamp
+    ? new Date(parsed.timestamp.replace(/^(\d{4}-\d{2}-\d{2})-(\d{2})(\d{2})(\d{2})$/, '$1T$2:$3:$4Z'))
+    : new Date(recorded.timestamp || `${parsed.date}T00:00:00Z`);
+
+  return { url, date, device: parsed.device || recorded.deviceMode || 'mobile' };
+}
+
+/**
+ * Plans the renames for one or more directories
+ * Only the top level of each directory is scanned (trend pages live in a subfolder)
+ *
+ * @param {Array<string>} dirs - Directories with reports or data files
+ * @returns {Promise<Object>} - { renames: [{ dir, from, to, url }], skipped: [{ dir, file, reason }] }
+ *
+ * @example
+ * const plan = await planFilenameMigration(['./data', './reports']);
+ * // plan.renames[0] => { dir: './data', from: 'example.com_2025-10-22-143052_mobile.json',
+ * //   to: 'example.com_pricing-1a2b3c4d_2025-10-22-143052_mobile.json', url: 'https://example.com/pricing' }
+ */
+export async function planFilenameMigration(dirs) {
+  const renames = [];
+  const skipped = [];
+
+  for (const dir of dirs) {
+    let files;
+    try {
+      files = (await fs.readdir(dir)).sort();
+    } catch (error) {
+      if (error?.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    const taken = new Set(files);
+    for (const file of files) {
+      const parsed = parseFilename(file);
+      if (!parsed || parsed.page || !['json', 'html'].includes(parsed.extension)) {
+        continue;
+      }
+
+      const { url, date, device } = await readFileDetails(path.join(dir, file), parsed);
+      if (!url) {
+        skipped.push({ dir, file, reason: 'audited URL not found in the file' });
+        continue;
+      }
+
+      let to;
+      try {
+        to = generateFilename(url, parsed.extension, device, date);
+      } catch (error) {
+        skipped.push({ dir, file, reason: error.message });
+        continue;
+      }
+
+      if (taken.has(to)) {
+        skipped.push({ dir, file, reason: `${to} already exists` });
+        continue;
+      }
+
+      taken.add(to);
+      renames.push({ dir, from: file, to, url });
+    }
+  }
+
+  return { renames, skipped };
+}
+
+/**
+ * Renames the files of a plan
+ *
+ * @param {Array<Object>} renames - Renames from planFilenameMigration
+ * @returns {Promise<number>} - Number of files renamed
+ */
+export async function applyFilenameMigration(renames) {
+  for (const { dir, from, to } of renames) {
+    await fs.rename(path.join(dir, from), path.join(dir, to));
+  }
+  return renames.length;
+}
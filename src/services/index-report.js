@@ -0,0 +1,454 @@
+/**
+ * Index Report Service
+ *
+ * Generates a single self-contained index.html summarising every URL in a batch run.
+ * The index is a sortable table of category scores and Core Web Vitals ratings,
+ * with links to each per-URL Lighthouse report and each error report.
+ * When a batch covers several devices, each URL gets one row with the devices side by side.
+ * Categories and metrics that no audit measured (e.g. a --categories performance run has
+ * no accessibility score) are left out of the table.
+ */
+
+import path from 'path';
+import { escapeHtml, saveReport } from './report-generator.js';
+import { ScoreLabel } from '../models/metrics.js';
+
+/**
+ * Filename used for the batch index inside the reports directory
+ */
+export const INDEX_FILENAME = 'index.html';
+
+/**
+ * Category score columns shown in the index (key on metrics object, column label)
+ */
+const CATEGORY_COLUMNS = [
+  { key: 'performanceScore', label: 'Performance' },
+  { key: 'accessibilityScore', label: 'Accessibility' },
+  { key: 'seoScore', label: 'SEO' },
+  { key: 'bestPracticesScore', label: 'Best Practices' }
+];
+
+/**
+ * Metric columns shown in the index with their rating field and display formatter
+ * culprit names the element behind a poor rating: { selector, title }
+ */
+const METRIC_COLUMNS = [
+  {
+    key: 'lcp', scoreKey: 'lcpScore', label: 'LCP', format: (v) => `${(v / 1000).toFixed(2)}s`,
+    culprit: (metrics) => metrics.lcpElement && {
+      selector: metrics.lcpElement.selector,
+      title: [metrics.lcpElement.snippet, metrics.lcpElement.url].filter(Boolean).join('\n')
+    }
+  },
+  {
+    key: 'cls', scoreKey: 'clsScore', label: 'CLS', format: (v) => v.toFixed(3),
+    culprit: (metrics) => metrics.layoutShiftElements?.length > 0 && {
+      selector: metrics.layoutShiftElements[0].selector,
+      title: metrics.layoutShiftElements.map(item => `${item.selector} (${item.score.toFixed(3)})`).join('\n')
+    }
+  },
+  { key: 'ttfb', scoreKey: 'ttfbScore', label: 'TTFB', format: (v) => `${Math.round(v)}ms` },
+  { key: 'tbt', scoreKey: 'tbtScore', label: 'TBT', format: (v) => `${Math.round(v)}ms` }
+];
+
+/**
+ * Maps a 0-100 Lighthouse category score to a rating label
+ * Uses Lighthouse's own bands: 90-100 good, 50-89 needs improvement, 0-49 poor
+ *
+ * @param {number} score - Category score (0-100)
+ * @returns {string} - Score label ('good', 'needs-improvement', or 'poor')
+ */
+export function rateCategoryScore(score) {
+  if (score >= 90) {
+    return ScoreLabel.GOOD;
+  } else if (score >= 50) {
+    return ScoreLabel.NEEDS_IMPROVEMENT;
+  }
+  return ScoreLabel.POOR;
+}
+
+/**
+ * Picks the columns to show: those with a value in at least one successful row
+ * When no audit succeeded every column is kept, so the table layout stays the same
+ *
+ * @param {Array<Object>} columns - Column definitions keyed by metrics field
+ * @param {Array<Object>} rows - Rows from buildIndexRows
+ * @returns {Array<Object>} - Columns to render
+ */
+export function selectIndexColumns(columns, rows) {
+  const measured = rows.filter(row => row.metrics);
+  if (measured.length === 0) {
+    return columns;
+  }
+
+  return columns.filter(col => measured.some(row => typeof row.metrics[col.key] === 'number'));
+}
+
+/**
+ * Builds a link to a report relative to the directory the index is written to
+ *
+ * @param {string|null} reportPath - Absolute or relative path to the report
+ * @param {string} reportsDir - Directory the index is written to
+ * @returns {string|null} - Relative href or null if no report was saved
+ */
+function toRelativeHref(reportPath, reportsDir) {
+  if (!reportPath) {
+    return null;
+  }
+
+  const relative = path.relative(path.resolve(reportsDir), path.resolve(reportPath));
+  return relative.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Converts orchestrator results into flat index rows
+ *
+ * @param {Object} results - Results object from orchestrateAudits
+ * @param {string} reportsDir - Directory the index is written to
+ * @returns {Array<Object>} - Index rows sorted by URL
+ */
+export function buildIndexRows(results, reportsDir) {
+  const rows = [];
+
+  for (const entry of results.successful || []) {
+    rows.push({
+      url: entry.requestedUrl || entry.url,
+      device: entry.device || null,
+      label: entry.label || null,
+      tags: entry.tags || [],
+      status: 'success',
+      metrics: entry.metrics || null,
+      href: toRelativeHref(entry.reportPath, reportsDir),
+      error: null
+    });
+  }
+
+  for (const entry of results.failed || []) {
+    rows.push({
+      url: entry.url,
+      device: entry.device || null,
+      label: entry.label || null,
+      tags: entry.tags || [],
+      status: entry.status || 'failed',
+      metrics: null,
+      href: toRelativeHref(entry.errorReportPath, reportsDir),
+      error: entry.error || 'Unknown error'
+    });
+  }
+
+  return rows.sort((a, b) => a.url.localeCompare(b.url));
+}
+
+/**
+ * Groups index rows by URL for the side-by-side device layout
+ *
+ * @param {Array<Object>} rows - Rows from buildIndexRows
+ * @returns {Array<Object>} - One entry per URL: { url, label, tags, byDevice: { mobile: row, desktop: row } }
+ */
+export function groupIndexRowsByUrl(rows) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    if (!groups.has(row.url)) {
+      groups.set(row.url, { url: row.url, label: row.label, tags: row.tags, byDevice: {} });
+    }
+    groups.get(row.url).byDevice[row.device] = row;
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Renders a table cell for a category score
+ *
+ * @param {number|undefined|null} score - Category score (0-100)
+ * @returns {string} - HTML table cell
+ */
+function renderScoreCell(score) {
+  if (typeof score !== 'number') {
+    return '<td class="empty" data-sort="">—</td>';
+  }
+
+  return `<td class="${rateCategoryScore(score)}" data-sort="${score}">${score}</td>`;
+}
+
+/**
+ * Renders a table cell for a metric value with its threshold rating
+ * Poor LCP and CLS values name the element behind them (details in the tooltip)
+ *
+ * @param {Object|null} metrics - Metrics object
+ * @param {Object} column - Metric column definition
+ * @returns {string} - HTML table cell
+ */
+function renderMetricCell(metrics, column) {
+  const value = metrics?.[column.key];
+  if (typeof value !== 'number') {
+    return '<td class="empty" data-sort="">—</td>';
+  }
+
+  const rating = metrics[column.scoreKey] || '';
+  const culprit = rating === ScoreLabel.POOR && column.culprit ? column.culprit(metrics) : null;
+  if (culprit) {
+    return `<td class="${escapeHtml(rating)}" data-sort="${value}" title="${escapeHtml(`${rating}\n${culprit.title}`)}">` +
+      `${column.format(value)}<span class="culprit">${escapeHtml(culprit.selector)}</span></td>`;
+  }
+
+  return `<td class="${escapeHtml(rating)}" data-sort="${value}" title="${escapeHtml(rating)}">${column.format(value)}</td>`;
+}
+
+/**
+ * Generates the HTML for the batch index report
+ *
+ * @param {Object} results - Results object from orchestrateAudits
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.reportsDir='./reports'] - Directory the index is written to (for relative links)
+ * @param {Date} [options.generatedAt] - Generation time shown in the header (defaults to now)
+ * @returns {string} - Self-contained HTML document
+ *
+ * @example
+ * const html = generateIndexReport(results, { reportsDir: './reports' });
+ */
+export function generateIndexReport(results, options = {}) {
+  const { reportsDir = './reports', generatedAt = new Date() } = options;
+  const rows = buildIndexRows(results, reportsDir);
+  const successCount = rows.filter(row => row.status === 'success').length;
+  const failedCount = rows.length - successCount;
+
+  const devices = [...new Set(rows.map(row => row.device).filter(Boolean))];
+  const sideBySide = devices.length > 1;
+  const showLabels = rows.some(row => row.label || row.tags.length > 0);
+  const categoryColumns = selectIndexColumns(CATEGORY_COLUMNS, rows);
+  const metricColumns = selectIndexColumns(METRIC_COLUMNS, rows);
+
+  // Columns repeated for every device; data-column keeps sorting aligned across header rows
+  let column = 0;
+  const rowspan = sideBySide ? ' rowspan="2"' : '';
+  const urlHeaders = [
+    `<th data-type="text" data-column="${column++}"${rowspan}>URL</th>`,
+    ...(showLabels ? [`<th data-type="text" data-column="${column++}"${rowspan}>Label</th>`] : [])
+  ];
+  const renderResultHeaders = () => [
+    `<th data-type="text" data-column="${column++}">Status</th>`,
+    ...categoryColumns.map(col => `<th data-type="number" data-column="${column++}">${col.label}</th>`),
+    ...metricColumns.map(col => `<th data-type="number" data-column="${column++}">${col.label}</th>`),
+    `<th data-type="text" data-column="${column++}">Report</th>`
+  ];
+  const resultColumnCount = 2 + categoryColumns.length + metricColumns.length;
+
+  let headerRows;
+  if (sideBySide) {
+    const groupCells = devices.map(device => `<th class="device-group" colspan="${resultColumnCount}">${escapeHtml(device)}</th>`);
+    const columnCells = devices.flatMap(() => renderResultHeaders());
+    headerRows = `
+      <tr>
+          ${[...urlHeaders, ...groupCells].join('\n          ')}
+      </tr>
+      <tr>
+          ${columnCells.join('\n          ')}
+      </tr>`;
+  } else {
+    const cells = [
+      ...urlHeaders,
+      `<th data-type="text" data-column="${column++}">Device</th>`,
+      ...renderResultHeaders()
+    ];
+    headerRows = `
+      <tr>
+          ${cells.join('\n          ')}
+      </tr>`;
+  }
+
+  const renderResultCells = (row) => {
+    if (!row) {
+      return Array.from({ length: resultColumnCount }, () => '<td class="empty" data-sort="">—</td>');
+    }
+
+    const reportLink = row.href
+      ? `<a href="${escapeHtml(row.href)}">${row.status === 'success' ? 'Lighthouse report' : 'Error report'}</a>`
+      : '—';
+    const statusCell = row.status === 'success'
+      ? '<td class="status-success" data-sort="success">✓ success</td>'
+      : `<td class="status-failed" data-sort="${escapeHtml(row.status)}" title="${escapeHtml(row.error)}">✗ ${escapeHtml(row.status)}</td>`;
+
+    return [
+      statusCell,
+      ...categoryColumns.map(col => renderScoreCell(row.metrics?.[col.key])),
+      ...metricColumns.map(col => renderMetricCell(row.metrics, col)),
+      `<td data-sort="">${reportLink}</td>`
+    ];
+  };
+
+  // URL cell plus the Label cell (label with tag chips) when any row has one
+  const renderUrlCells = (row) => {
+    const cells = [`<td class="url" data-sort="${escapeHtml(row.url)}">${escapeHtml(row.url)}</td>`];
+    if (showLabels) {
+      const tags = row.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+      const sortKey = [row.label || '', ...row.tags].join(' ');
+      cells.push(`<td data-sort="${escapeHtml(sortKey)}">${escapeHtml(row.label || '')}${tags}</td>`);
+    }
+    return cells;
+  };
+
+  const bodyRows = sideBySide
+    ? groupIndexRowsByUrl(rows).map(group => `
+        <tr>
+          ${[...renderUrlCells(group), ...devices.flatMap(device => renderResultCells(group.byDevice[device]))].join('\n          ')}
+        </tr>`).join('')
+    : rows.map(row => `
+        <tr>
+          ${[
+            ...renderUrlCells(row),
+            `<td data-sort="${escapeHtml(row.device || '')}">${escapeHtml(row.device || '—')}</td>`,
+            ...renderResultCells(row)
+          ].join('\n          ')}
+        </tr>`).join('');
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Kind Beacon - Audit Index</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      margin: 40px auto;
+      padding: 0 20px;
+      max-width: 1400px;
+      background: #f5f5f5;
+      color: #212121;
+    }
+    h1 {
+      margin-bottom: 5px;
+    }
+    .meta {
+      color: #666;
+      margin-bottom: 20px;
+    }
+    .table-wrap {
+      overflow-x: auto;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      background: white;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+      font-size: 14px;
+    }
+    th, td {
+      padding: 8px 10px;
+      border-bottom: 1px solid #e0e0e0;
+      text-align: left;
+      white-space: nowrap;
+    }
+    th {
+      background: #fafafa;
+      cursor: pointer;
+      user-select: none;
+    }
+    th.device-group {
+      text-align: center;
+      cursor: default;
+      text-transform: capitalize;
+      border-left: 2px solid #e0e0e0;
+    }
+    th.sorted-asc::after { content: ' ▲'; }
+    th.sorted-desc::after { content: ' ▼'; }
+    td.url {
+      white-space: normal;
+      word-break: break-all;
+      max-width: 420px;
+    }
+    td.good { color: #0c7c3f; font-weight: 600; }
+    td.needs-improvement { color: #c77700; font-weight: 600; }
+    td.poor { color: #d32f2f; font-weight: 600; }
+    td.empty { color: #999; }
+    .culprit {
+      display: block;
+      max-width: 180px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      font-family: monospace;
+      font-size: 11px;
+      font-weight: normal;
+    }
+    .tag {
+      display: inline-block;
+      margin-left: 6px;
+      padding: 1px 6px;
+      border-radius: 10px;
+      background: #e8eaf6;
+      color: #3949ab;
+      font-size: 12px;
+    }
+    td.status-success { color: #0c7c3f; }
+    td.status-failed { color: #d32f2f; }
+  </style>
+</head>
+<body>
+  <h1>Audit Index</h1>
+  <div class="meta">
+    Generated ${escapeHtml(generatedAt.toISOString())} ·
+    ${successCount} successful · ${failedCount} failed
+  </div>
+  <div class="table-wrap">
+  <table id="index">
+    <thead>
+${headerRows}
+    </thead>
+    <tbody>${bodyRows}
+    </tbody>
+  </table>
+  </div>
+  <script>
+    (function () {
+      var table = document.getElementById('index');
+      var headers = table.querySelectorAll('th[data-column]');
+      headers.forEach(function (th) {
+        var column = Number(th.getAttribute('data-column'));
+        th.addEventListener('click', function () {
+          var ascending = !th.classList.contains('sorted-asc');
+          var numeric = th.getAttribute('data-type') === 'number';
+          var tbody = table.tBodies[0];
+          var rows = Array.prototype.slice.call(tbody.rows);
+          rows.sort(function (a, b) {
+            var x = a.cells[column].getAttribute('data-sort');
+            var y = b.cells[column].getAttribute('data-sort');
+            if (numeric) {
+              // Rows without a value always sort last
+              if (x === '' || y === '') return x === y ? 0 : (x === '' ? 1 : -1);
+              return ascending ? x - y : y - x;
+            }
+            return ascending ? x.localeCompare(y) : y.localeCompare(x);
+          });
+          rows.forEach(function (row) { tbody.appendChild(row); });
+          headers.forEach(function (h) { h.classList.remove('sorted-asc', 'sorted-desc'); });
+          th.classList.add(ascending ? 'sorted-asc' : 'sorted-desc');
+        });
+      });
+    })();
+  </script>
+</body>
+</html>
+  `;
+
+  return html.trim();
+}
+
+/**
+ * Generates and saves the batch index report into the reports directory
+ *
+ * @param {Object} results - Results object from orchestrateAudits
+ * @param {string} reportsDir - Directory to save the index (e.g., './reports')
+ * @returns {Promise<string>} - Full path to the saved index file
+ *
+ * @example
+ * const indexPath = await generateAndSaveIndexReport(results, './reports');
+ * // returns: '/absolute/path/to/reports/index.html'
+ */
+export async function generateAndSaveIndexReport(results, reportsDir) {
+  const html = generateIndexReport(results, { reportsDir });
+  return await saveReport(html, reportsDir, INDEX_FILENAME);
+}
@@ -0,0 +1,244 @@
+/**
+ * JUnit Report Service
+ *
+ * Writes the results of a run as JUnit XML for CI test reporters
+ * (`audit --output-format junit` → reports/<runId>/junit.xml).
+ *
+ * Each URL and device pair is a test suite. Its test cases are the Core Web Vitals
+ * thresholds (failing when the metric is rated poor) and every budget limit that
+ * applies to the URL (failing when it is broken). Metrics the audit did not measure
+ * are skipped, and so is INP for navigation runs: their `inp` metric is Max Potential FID
+ * (see extractMetricsFromLHR), which the INP thresholds would misgrade. An audit that crashed or timed out is one errored test case carrying
+ * the error message.
+ *
+ * @example
+ * <testsuites name="kind-beacon" tests="4" failures="1" errors="0" skipped="1" time="12.3">
+ *   <testsuite name="https://example.com/ (mobile)" tests="4" failures="1" errors="0" skipped="1" ...>
+ *     <testcase classname="https://example.com/ (mobile)" name="Core Web Vitals: LCP">
+ *       <failure message="LCP 4520ms is rated poor (good below 2500ms, poor from 4000ms)" type="poor">...</failure>
+ *     </testcase>
+ *     <testcase classname="https://example.com/ (mobile)" name="Budget: Performance score ≥ 85"/>
+ *     ...
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { escapeHtml } from './report-generator.js';
+import { BudgetMetrics, evaluateBudget, resolveBudgetForUrl } from '../models/budget.js';
+import { calculateScore, ScoreLabel, Thresholds } from '../models/metrics.js';
+
+/**
+ * Name of the JUnit file inside the run's reports directory
+ */
+export const JUNIT_FILENAME = 'junit.xml';
+
+/**
+ * Core Web Vitals checked in every suite
+ */
+const CORE_WEB_VITALS = [
+  { field: 'lcp', label: 'LCP', unit: 'ms', threshold: Thresholds.LCP },
+  { field: 'inp', label: 'INP', unit: 'ms', threshold: Thresholds.INP },
+  { field: 'cls', label: 'CLS', unit: '', threshold: Thresholds.CLS }
+];
+
+/**
+ * Escapes text for XML, dropping control characters XML does not allow (e.g. terminal colours in errors)
+ *
+ * @param {*} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return escapeHtml(String(text ?? '').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+}
+
+/**
+ * Formats a metric value with its unit
+ *
+ * @param {number} value - Metric value
+ * @param {string} unit - 'ms', 'score' or '' (CLS)
+ * @returns {string} - Formatted value
+ */
+function formatValue(value, unit) {
+  if (unit === 'ms') return `${Math.round(value)}ms`;
+  if (unit === 'score') return String(Math.round(value));
+  return value.toFixed(3);
+}
+
+/**
+ * Builds the Core Web Vitals test cases of a successful audit
+ *
+ * @param {Object} result - Successful result from orchestrateAudits (metrics and LHR)
+ * @returns {Array<Object>} - Test cases: { name, failure?, skipped? }
+ */
+function buildVitalsCases(result) {
+  const { metrics } = result;
+  const measuredInp = Boolean(result.lhr?.audits?.['interaction-to-next-paint']);
+
+  return CORE_WEB_VITALS.map(({ field, label, unit, threshold }) => {
+    const name = `Core Web Vitals: ${label}`;
+    const value = metrics?.[field];
+
+    if (field === 'inp' && !measuredInp) {
+      return { name, skipped: 'INP is not measured in lab navigation runs (see the TBT budget)' };
+    }
+    if (typeof value !== 'number') {
+      return { name, skipped: `${label} was not measured` };
+    }
+
+    const rating = metrics[`${field}Score`] || calculateScore(value, threshold);
+    if (rating !== ScoreLabel.POOR) {
+      return { name };
+    }
+
+    return {
+      name,
+      failure: {
+        type: 'poor',
+        message: `${label} ${formatValue(value, unit)} is rated poor ` +
+          `(good below ${formatValue(threshold.GOOD, unit)}, poor from ${formatValue(threshold.NEEDS_IMPROVEMENT, unit)})`
+      }
+    };
+  });
+}
+
+/**
+ * Builds one test case per budget limit that applies to a successful audit
+ *
+ * @param {Object} result - Successful result from orchestrateAudits
+ * @param {Array<Object>} budgets - Validated budget definitions
+ * @returns {Array<Object>} - Test cases: { name, failure?, skipped? }
+ */
+function buildBudgetCases(result, budgets) {
+  const url = result.requestedUrl || result.url;
+  const limits = resolveBudgetForUrl(url, budgets, result.budget);
+
+  return Object.entries(limits).map(([key, limitInfo]) => {
+    const metric = BudgetMetrics[key];
+    const name = `Budget: ${metric.label} ${metric.type === 'max' ? '≤' : '≥'} ${formatValue(limitInfo.limit, metric.unit)}`;
+
+    if (typeof result.metrics?.[metric.field] !== 'number') {
+      return { name, skipped: `${metric.label} was not measured` };
+    }
+
+    const [violation] = evaluateBudget(result.metrics, { [key]: limitInfo });
+    return violation ? { name, failure: { type: 'budget', message: violation.message } } : { name };
+  });
+}
+
+/**
+ * Builds the test suites of a run
+ *
+ * @param {Object} results - Results from orchestrateAudits
+ * @param {Array<Object>} [budgets=[]] - Validated budget definitions
+ * @returns {Array<Object>} - Suites: { name, timestamp, time, cases: [{ name, failure?, error?, skipped? }] }
+ */
+export function buildJUnitSuites(results, budgets = []) {
+  const suiteName = (result) => `${result.requestedUrl || result.url} (${result.device || 'mobile'})`;
+  const seconds = (ms) => typeof ms === 'number' ? ms / 1000 : 0;
+
+  const passed = results.successful.map(result => ({
+    name: suiteName(result),
+    timestamp: result.timestamp || null,
+    time: seconds(result.duration),
+    cases: [...buildVitalsCases(result), ...buildBudgetCases(result, budgets)]
+  }));
+
+  const errored = results.failed.map(result => ({
+    name: suiteName(result),
+    timestamp: result.timestamp || null,
+    time: 0,
+    cases: [{
+      name: 'Lighthouse audit',
+      error: { type: result.status || 'failed', message: result.error || 'Unknown error' }
+    }]
+  }));
+
+  return [...passed, ...errored];
+}
+
+/**
+ * Counts the test cases of suites
+ *
+ * @param {Array<Object>} suites - Suites from buildJUnitSuites
+ * @returns {Object} - { tests, failures, errors, skipped }
+ */
+function countCases(suites) {
+  const cases = suites.flatMap(suite => suite.cases);
+  return {
+    tests: cases.length,
+    failures: cases.filter(testCase => testCase.failure).length,
+    errors: cases.filter(testCase => testCase.error).length,
+    skipped: cases.filter(testCase => testCase.skipped).length
+  };
+}
+
+/**
+ * Renders one test case
+ *
+ * @param {Object} testCase - Test case from buildJUnitSuites
+ * @param {string} classname - Suite name, used as the class name
+ * @returns {string} - <testcase> element
+ */
+function renderCase(testCase, classname) {
+  const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(testCase.name)}"`;
+  const outcome = testCase.failure || testCase.error;
+
+  if (outcome) {
+    const tag = testCase.failure ? 'failure' : 'error';
+    return `${open}>\n      <${tag} message="${escapeXml(outcome.message)}" type="${escapeXml(outcome.type)}">${escapeXml(outcome.message)}</${tag}>\n    </testcase>`;
+  }
+  if (testCase.skipped) {
+    return `${open}>\n      <skipped message="${escapeXml(testCase.skipped)}"/>\n    </testcase>`;
+  }
+  return `${open}/>`;
+}
+
+/**
+ * Generates the JUnit XML of a run
+ *
+ * @param {Object} results - Results from orchestrateAudits
+ * @param {Array<Object>} [budgets=[]] - Validated budget definitions
+ * @returns {string} - JUnit XML document
+ *
+ * @example
+ * const xml = generateJUnitReport(results, config.budgets);
+ */
+export function generateJUnitReport(results, budgets = []) {
+  const suites = buildJUnitSuites(results, budgets);
+  const totals = countCases(suites);
+  const time = (seconds) => seconds.toFixed(3);
+  const counts = ({ tests, failures, errors, skipped }) =>
+    `tests="${tests}" failures="${failures}" errors="${errors}" skipped="${skipped}"`;
+
+  const renderedSuites = suites.map(suite => {
+    const timestamp = suite.timestamp ? ` timestamp="${escapeXml(suite.timestamp.replace(/(\.\d+)?Z$/, ''))}"` : '';
+    return [
+      `  <testsuite name="${escapeXml(suite.name)}" ${counts(countCases([suite]))} time="${time(suite.time)}"${timestamp}>`,
+      ...suite.cases.map(testCase => renderCase(testCase, suite.name)),
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="kind-beacon" ${counts(totals)} time="${time(suites.reduce((sum, suite) => sum + suite.time, 0))}">`,
+    ...renderedSuites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generates and writes the JUnit XML of a run
+ *
+ * @param {Object} results - Results from orchestrateAudits
+ * @param {Array<Object>} budgets - Validated budget definitions
+ * @param {string} outputDir - Run's reports directory
+ * @returns {Promise<string>} - Absolute path of the written file
+ */
+export async function saveJUnitReport(results, budgets, outputDir) {
+  const filePath = path.resolve(outputDir, JUNIT_FILENAME);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, generateJUnitReport(results, budgets), 'utf-8');
+  return filePath;
+}
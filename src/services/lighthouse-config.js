@@ -0,0 +1,123 @@
+/**
+ * Lighthouse Config Service
+ *
+ * Chooses what Lighthouse audits: the default four categories, a subset of them
+ * (--categories performance), individual audits (--only-audits / --skip-audits),
+ * or a full custom Lighthouse config file (--lighthouse-config).
+ *
+ * A custom config decides its own categories and audits unless --categories,
+ * --only-audits or --skip-audits are also given. Device emulation and throttling
+ * always come from --device and --throttling.
+ *
+ * @example
+ * // lighthouse.config.js
+ * export default {
+ *   extends: 'lighthouse:default',
+ *   settings: { onlyCategories: ['performance'], skipAudits: ['uses-http2'] }
+ * };
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Categories of the default Lighthouse config, audited when nothing else is chosen
+ */
+export const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'seo', 'best-practices'];
+
+/**
+ * Config files loaded once per worker, keyed by absolute path
+ */
+const loadedConfigs = new Map();
+
+/**
+ * Checks that a Lighthouse config file exists and has a supported extension
+ *
+ * @param {string} filePath - Absolute path to the config file
+ * @returns {string} - The same path
+ * @throws {Error} - If the file does not exist or is not JSON or JavaScript
+ */
+export function validateLighthouseConfigPath(filePath) {
+  if (!['.json', '.js', '.mjs', '.cjs'].includes(path.extname(filePath))) {
+    throw new Error(
+      `Lighthouse config must be a .json or .js file (got: ${filePath})\n\n` +
+      `Use: kind-beacon audit urls.csv --lighthouse-config lighthouse.config.js`
+    );
+  }
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(
+      `Lighthouse config not found: ${filePath}\n\n` +
+      `The file must be JSON or a module whose default export is a Lighthouse config object`
+    );
+  }
+
+  return filePath;
+}
+
+/**
+ * Loads a Lighthouse config file
+ * JSON files are parsed; JavaScript files are imported and their default export is used
+ * Each file is read once, so workers do not reload it for every audit
+ *
+ * @param {string} filePath - Absolute path to the config file
+ * @returns {Promise<Object>} - Lighthouse config object
+ * @throws {Error} - If the file cannot be read or does not contain a config object
+ */
+export async function loadLighthouseConfig(filePath) {
+  if (loadedConfigs.has(filePath)) {
+    return loadedConfigs.get(filePath);
+  }
+
+  let config;
+  try {
+    config = path.extname(filePath) === '.json'
+      ? JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+      : (await import(pathToFileURL(filePath).href)).default;
+  } catch (error) {
+    throw new Error(`Invalid Lighthouse config ${filePath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid Lighthouse config ${filePath}: expected a config object (e.g. { extends: 'lighthouse:default' })`);
+  }
+
+  loadedConfigs.set(filePath, config);
+  return config;
+}
+
+/**
+ * Builds the Lighthouse flags that select categories and audits
+ * Without a selection or a config file, the default four categories are audited
+ *
+ * @param {Object} [settings={}] - Selection from the config model
+ * @param {Array<string>|null} [settings.categories] - Category IDs to audit
+ * @param {Array<string>|null} [settings.onlyAudits] - Audit IDs to run (plus the audits they depend on)
+ * @param {Array<string>|null} [settings.skipAudits] - Audit IDs to leave out
+ * @param {string|null} [settings.configPath] - Custom Lighthouse config file
+ * @returns {Object} - Flags for lighthouse(): any of onlyCategories, onlyAudits, skipAudits
+ *
+ * @example
+ * getCategoryFlags({ categories: ['performance'], skipAudits: ['uses-http2'] })
+ * // => { onlyCategories: ['performance'], skipAudits: ['uses-http2'] }
+ */
+export function getCategoryFlags({ categories, onlyAudits, skipAudits, configPath } = {}) {
+  const flags = {};
+
+  if (categories?.length > 0) {
+    flags.onlyCategories = categories;
+  } else if (!configPath && !(onlyAudits?.length > 0)) {
+    flags.onlyCategories = LIGHTHOUSE_CATEGORIES;
+  }
+
+  if (onlyAudits?.length > 0) {
+    flags.onlyAudits = onlyAudits;
+  }
+
+  if (skipAudits?.length > 0) {
+    flags.skipAudits = skipAudits;
+  }
+
+  return flags;
+}
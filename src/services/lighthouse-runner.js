@@ -6,30 +6,18 @@
  * and extraction of Core Web Vitals metrics from Lighthouse results.
  */
 
-import { Worker } from 'worker_threads';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import pRetry, { AbortError } from 'p-retry';
 import { logError } from '../lib/logger.js';
 import { generateAndSaveReport, generateAndSaveErrorReport } from './report-generator.js';
 import { saveAuditData } from './data-storage.js';
+import { createWorkerPool } from './worker-pool.js';
 import { createAuditFromLighthouseResult, createFailedAudit } from '../models/audit.js';
+import { getThrottlingSettings } from '../models/throttling.js';
+import { resolveDeviceProfile } from '../models/device.js';
+import { summarizeMetricRuns, RUN_STAT_FIELDS } from '../models/metrics.js';
+import { median } from '../lib/statistics.js';
 import lighthouse from 'lighthouse';
 
-// Get current directory for worker path
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-/**
- * Runs Lighthouse audit in a worker thread
- * This allows parallel execution of multiple audits
- *
- * @param {string} url - URL to audit
- * @param {Object} options - Audit options
- * @param {string} [options.device='mobile'] - Device type: 'mobile' or 'desktop'
- * @param {number} [options.timeout=60] - Timeout in seconds
- * @returns {Promise<Object>} - Audit result with metrics and LHR
- */
 // Network error codes that should trigger retry
 const NETWORK_ERROR_CODES = [
   'ECONNREFUSED',
@@ -40,107 +28,176 @@ const NETWORK_ERROR_CODES = [
   'PROTOCOL_TIMEOUT'
 ];
 
-function runLighthouseInWorker(url, options = {}) {
-  return new Promise((resolve, reject) => {
-    const workerPath = join(__dirname, '../workers/lighthouse-worker.js');
+/**
+ * Runs Lighthouse audit on a pooled worker thread
+ * Without a pool, a single-use pool is created and destroyed around the audit
+ *
+ * @param {string} url - URL to audit
+ * @param {Object} options - Audit options
+ * @param {string} [options.device='mobile'] - Device name (recorded in the result)
+ * @param {Object} [options.emulation] - Device emulation settings from resolveDeviceProfile
+ * @param {number} [options.timeout=60] - Timeout in seconds
+ * @param {Object} [options.pool] - Worker pool from createWorkerPool
+ * @returns {Promise<Object>} - Audit result with metrics and LHR
+ */
+async function runLighthouseInWorker(url, options = {}) {
+  // The pool and abort signal stay in this thread; the rest is cloned to the worker
+  const { pool: sharedPool, signal, ...workerOptions } = options;
+  const pool = sharedPool || createWorkerPool({ size: 1 });
 
-    const worker = new Worker(workerPath, {
-      workerData: { url, options }
-    });
+  // CRITICAL FIX #14: Ensure timeout is a number before calculation
+  const timeoutSeconds = typeof options.timeout === 'number' ? options.timeout : 60;
+  const workerTimeout = (timeoutSeconds + 10) * 1000;
 
-    // CRITICAL FIX #1: Track if promise has been settled to prevent race conditions
-    let settled = false;
-
-    // CRITICAL FIX #14: Ensure timeout is a number before calculation
-    const timeoutSeconds = typeof options.timeout === 'number' ? options.timeout : 60;
-    const workerTimeout = (timeoutSeconds + 10) * 1000;
-
-    const timeoutId = setTimeout(() => {
-      if (settled) return;
-      settled = true;
-      worker.terminate();
-      reject(new AbortError(`Worker timeout after ${timeoutSeconds}s`));
-    }, workerTimeout);
-
-    worker.on('message', (result) => {
-      if (settled) return;
-      settled = true;
-      clearTimeout(timeoutId);
-      worker.terminate();
-
-      if (result.success) {
-        resolve(result);
-      } else {
-        // Determine if error is retryable
-        const error = new Error(result.error.message);
-        error.code = result.error.code;
-
-        if (NETWORK_ERROR_CODES.includes(error.code)) {
-          reject(error); // Will be retried by p-retry
-        } else {
-          // Non-network errors should not be retried
-          reject(new AbortError(error.message));
-        }
-      }
-    });
+  let result;
+  try {
+    result = await pool.run(url, workerOptions, workerTimeout);
+  } catch (error) {
+    // Worker crashes and timeouts are typically fatal
+    throw new AbortError(error.message);
+  } finally {
+    if (!sharedPool) {
+      await pool.destroy();
+    }
+  }
 
-    worker.on('error', (error) => {
-      if (settled) return;
-      settled = true;
-      clearTimeout(timeoutId);
-      worker.terminate();
+  if (result.success) {
+    return result;
+  }
 
-      // Worker errors are typically fatal
-      reject(new AbortError(`Worker error: ${error.message}`));
-    });
+  // Determine if error is retryable
+  const error = new Error(result.error.message);
+  error.code = result.error.code;
 
-    worker.on('exit', (code) => {
-      if (settled) return;
-      clearTimeout(timeoutId);
+  if (NETWORK_ERROR_CODES.includes(error.code)) {
+    throw error; // Will be retried by p-retry
+  }
 
-      if (code !== 0) {
-        settled = true;
-        reject(new AbortError(`Worker exited with code ${code}`));
-      }
+  // Non-network errors should not be retried
+  throw new AbortError(error.message);
+}
+
+/**
+ * Picks the representative run out of several runs of the same URL
+ * Same selection as Lighthouse's median run: the run closest to the median FCP and TTI
+ * (Euclidean distance, ties going to the lower TTI). When a run is missing FCP or TTI,
+ * the run closest to the median LCP is used instead
+ *
+ * @param {Array<Object>} runResults - Successful worker results
+ * @returns {Object} - The representative worker result
+ */
+export function selectRepresentativeRun(runResults) {
+  if (runResults.length === 1) {
+    return runResults[0];
+  }
+
+  const hasMetric = (field) => runResults.every(run => Number.isFinite(run.metrics[field]));
+
+  if (hasMetric('fcp') && hasMetric('tti')) {
+    const medianFcp = median(runResults.map(run => run.metrics.fcp));
+    const medianTti = median(runResults.map(run => run.metrics.tti));
+    const distance = (run) => (run.metrics.fcp - medianFcp) ** 2 + (run.metrics.tti - medianTti) ** 2;
+
+    return runResults.reduce((closest, run) => {
+      const difference = distance(run) - distance(closest);
+      return difference < 0 || (difference === 0 && run.metrics.tti < closest.metrics.tti) ? run : closest;
     });
-  });
+  }
+
+  const medianLcp = median(runResults.map(run => run.metrics.lcp));
+  return runResults.reduce((closest, run) =>
+    Math.abs(run.metrics.lcp - medianLcp) < Math.abs(closest.metrics.lcp - medianLcp) ? run : closest
+  );
 }
 
 /**
  * Runs a Lighthouse audit with retry logic
  * Retries network errors once, fails immediately for other errors
+ * With runs > 1 the URL is audited repeatedly and the median run is reported,
+ * along with per-metric median, min, max, and standard deviation
  *
  * @param {string} url - URL to audit
  * @param {Object} options - Audit options
- * @param {string} [options.device='mobile'] - Device type: 'mobile' or 'desktop'
+ * @param {string} [options.device='mobile'] - Device: 'mobile', 'desktop' or a name from options.deviceProfiles
+ * @param {Object} [options.deviceProfiles] - Custom device profiles from the config (see models/device.js)
  * @param {number} [options.timeout=60] - Timeout in seconds
+ * @param {number} [options.runs=1] - Number of times to audit the URL
+ * @param {string} [options.label] - Page label recorded in the saved audit data
+ * @param {Array<string>} [options.tags] - Page tags recorded in the saved audit data
+ * @param {Object} [options.throttling] - Throttling profile from resolveThrottlingProfile (default profile if omitted);
+ *   the settings applied for the device are saved with the audit
+ * @param {Object} [options.lighthouseSettings] - Categories, audits and config file to run (default: the four
+ *   standard categories); categories that were not run are null in the result's categories
+ * @param {Object} [options.auth] - Credentials: { headers, cookies, loginScript } (redacted from results)
+ * @param {Object} [options.pool] - Worker pool shared across audits (see createWorkerPool)
+ * @param {AbortSignal} [options.signal] - Cancels the audit: no further runs or retries, and no error report
+ * @param {string} [options.database] - SQLite database to save data to instead of JSON files (with options.json)
+ * @param {string} [options.runId] - Run the audit belongs to, recorded in the database
  * @returns {Promise<Object>} - Audit result
+ * @throws {Error} - Only when the audit was cancelled through options.signal
  */
 export async function runLighthouseAudit(url, options = {}) {
   // HIGH FIX #8: Validate options using validateAuditOptions
   const validatedOptions = validateAuditOptions(options);
   const { reportsDir = './reports', dataDir = './data', json = false } = options;
-  const { device, timeout } = validatedOptions;
+  const store = { database: options.database, runId: options.runId };
+  const { device, emulation, timeout, runs } = validatedOptions;
+  const throttling = getThrottlingSettings(options.throttling, emulation);
 
   const startTime = Date.now();
 
   try {
-    // T021: Implement retry logic using p-retry
-    // Retry network errors once, fail immediately for other errors
-    const result = await pRetry(
-      async () => {
-        // HIGH FIX #8: Pass validated options to worker
-        return await runLighthouseInWorker(url, { ...options, device, timeout });
-      },
-      {
-        retries: 1,  // Per spec: retry once
-        onFailedAttempt: (error) => {
-          if (error.retriesLeft > 0) {
-            logError(url, `Attempt ${error.attemptNumber} failed: ${error.message}. Retrying...`);
+    const runResults = [];
+    let lastError = null;
+
+    for (let run = 1; run <= runs && !options.signal?.aborted; run++) {
+      try {
+        // T021: Implement retry logic using p-retry
+        // Retry network errors once, fail immediately for other errors
+        const runResult = await pRetry(
+          async () => {
+            // HIGH FIX #8: Pass validated options to worker
+            return await runLighthouseInWorker(url, { ...options, device, emulation, timeout, throttling });
+          },
+          {
+            retries: 1,  // Per spec: retry once
+            signal: options.signal,
+            onFailedAttempt: (error) => {
+              if (error.retriesLeft > 0) {
+                logError(url, `Attempt ${error.attemptNumber} failed: ${error.message}. Retrying...`);
+              }
+            }
           }
+        );
+        runResults.push(runResult);
+      } catch (error) {
+        lastError = error;
+        if (runs > 1) {
+          logError(url, `Run ${run}/${runs} failed: ${error.message}`);
         }
       }
-    );
+    }
+
+    // A cancelled audit keeps none of its runs
+    options.signal?.throwIfAborted();
+
+    // Only fail the audit when every run failed
+    if (runResults.length === 0) {
+      throw lastError;
+    }
+
+    const result = selectRepresentativeRun(runResults);
+
+    // Record every run's metrics so variance is visible in the saved data
+    const runSummary = runs > 1 ? {
+      count: runResults.length,
+      requested: runs,
+      representativeRun: runResults.indexOf(result) + 1,
+      statistics: summarizeMetricRuns(runResults.map(run => run.metrics)),
+      values: runResults.map(run =>
+        Object.fromEntries(RUN_STAT_FIELDS.map(field => [field, run.metrics[field] ?? null]))
+      )
+    } : null;
 
     // T010: Create audit object with category scores
     // T036: Generate and save HTML report for successful audit
@@ -151,15 +208,14 @@ export async function runLighthouseAudit(url, options = {}) {
     const auditDate = new Date();
 
     // Extract category scores for audit metadata (Feature 002)
+    // Categories left out with --categories or a custom Lighthouse config are null
+    const categoryScore = (id) => result.lhr.categories?.[id]
+      ? Math.round((result.lhr.categories[id].score || 0) * 100) : null;
     const categories = {
-      performance: result.lhr.categories?.performance?.score
-        ? Math.round(result.lhr.categories.performance.score * 100) : 0,
-      accessibility: result.lhr.categories?.accessibility?.score
-        ? Math.round(result.lhr.categories.accessibility.score * 100) : 0,
-      seo: result.lhr.categories?.seo?.score
-        ? Math.round(result.lhr.categories.seo.score * 100) : 0,
-      bestPractices: result.lhr.categories?.['best-practices']?.score
-        ? Math.round(result.lhr.categories['best-practices'].score * 100) : 0
+      performance: categoryScore('performance'),
+      accessibility: categoryScore('accessibility'),
+      seo: categoryScore('seo'),
+      bestPractices: categoryScore('best-practices')
     };
 
     // Create audit object
@@ -173,22 +229,42 @@ export async function runLighthouseAudit(url, options = {}) {
 
     // Add category scores to audit (Feature 002)
     audit.categories = categories;
+    audit.throttling = throttling;
+
+    if (runSummary) {
+      audit.runs = runSummary;
+    }
+
+    // Grouping fields from the CSV row (e.g., page type)
+    audit.label = options.label;
+    audit.tags = options.tags;
 
     // T020, T028: Generate HTML report (always) and JSON report (optional with --json flag)
     // T023: Update data-storage to handle conditional JSON generation
     // T028: Use timestamped filenames with device mode
     // HIGH FIX #10: Use consistent date for all file operations
     // Handle errors gracefully - log but don't crash if save fails
+    let reportPath = null;
+    let dataPath = null;
+    let dataId = null;
     const savePromises = [
       // Always save HTML report with timestamped filename
       generateAndSaveReport(result.lhr, result.requestedUrl, reportsDir, device, auditDate)
+        .then(filePath => { reportPath = filePath; })
         .catch(err => logError(url, `Failed to save report: ${err.message}`))
     ];
 
     // T020: Only save JSON data if --json flag is provided
     if (json) {
       savePromises.push(
-        saveAuditData(audit, result.metrics, dataDir, device, auditDate)
+        saveAuditData(audit, result.metrics, dataDir, device, auditDate, store)
+          .then(saved => {
+            if (store.database) {
+              dataId = saved;
+            } else {
+              dataPath = saved;
+            }
+          })
           .catch(err => logError(url, `Failed to save data: ${err.message}`))
       );
     }
@@ -200,13 +276,24 @@ export async function runLighthouseAudit(url, options = {}) {
       url: result.url,
       requestedUrl: result.requestedUrl,
       metrics: result.metrics,
+      categories,
       lhr: result.lhr,
+      reportPath,
+      dataPath,
+      dataId,
+      runs: runSummary,
+      throttling,
       auditDuration,
       lighthouseVersion: result.lighthouseVersion,
       retryAttempt: result.retryAttempt || 0
     };
 
   } catch (error) {
+    // Cancelled audits are not failures: the caller reports them as cancelled
+    if (options.signal?.aborted) {
+      throw error;
+    }
+
     // T036: Generate and save error report for failed audit
     // T045: Save failed audit data to JSON
     const auditDuration = Date.now() - startTime;
@@ -228,22 +315,36 @@ export async function runLighthouseAudit(url, options = {}) {
       error.attemptNumber || 1,
       status
     );
+    failedAudit.label = options.label;
+    failedAudit.tags = options.tags;
+    failedAudit.throttling = throttling;
 
     // T020, T030: Generate error report HTML (always) and JSON (optional with --json flag)
     // T030: Use timestamped filenames with device mode for error reports
     // HIGH FIX #10: Use consistent date for error reports
     // Handle errors gracefully - log but don't crash if save fails
     const errorDate = new Date();
+    let errorReportPath = null;
+    let dataPath = null;
+    let dataId = null;
     const savePromises = [
       // Always save HTML error report with timestamped filename
       generateAndSaveErrorReport(failedAudit, reportsDir, device, errorDate)
+        .then(filePath => { errorReportPath = filePath; })
         .catch(err => logError(url, `Failed to save error report: ${err.message}`))
     ];
 
     // Only save JSON error data if --json flag is provided
     if (json) {
       savePromises.push(
-        saveAuditData(failedAudit, null, dataDir, device, errorDate)
+        saveAuditData(failedAudit, null, dataDir, device, errorDate, store)
+          .then(saved => {
+            if (store.database) {
+              dataId = saved;
+            } else {
+              dataPath = saved;
+            }
+          })
           .catch(err => logError(url, `Failed to save error data: ${err.message}`))
       );
     }
@@ -260,6 +361,10 @@ export async function runLighthouseAudit(url, options = {}) {
         message: error.message,
         code: error.code || 'UNKNOWN_ERROR'
       },
+      status,
+      errorReportPath,
+      dataPath,
+      dataId,
       retryAttempt: error.attemptNumber || 1
     };
   }
@@ -269,23 +374,27 @@ export async function runLighthouseAudit(url, options = {}) {
  * Validates audit options
  *
  * @param {Object} options - Options to validate
- * @returns {Object} - Validated options with defaults
+ * @returns {Object} - Validated options with defaults, plus the device's emulation settings
  */
 export function validateAuditOptions(options = {}) {
   const validated = {
     device: options.device || 'mobile',
-    timeout: options.timeout || 60
+    timeout: options.timeout || 60,
+    runs: options.runs || 1
   };
 
-  // Validate device
-  if (!['mobile', 'desktop'].includes(validated.device)) {
-    throw new Error('Device must be "mobile" or "desktop"');
-  }
+  // Validate device (throws for devices without a profile)
+  validated.emulation = resolveDeviceProfile(validated.device, options.deviceProfiles);
 
   // Validate timeout
   if (typeof validated.timeout !== 'number' || validated.timeout <= 0) {
     throw new Error('Timeout must be a positive number');
   }
 
+  // Validate runs
+  if (!Number.isInteger(validated.runs) || validated.runs < 1) {
+    throw new Error('Runs must be a positive integer');
+  }
+
   return validated;
 }
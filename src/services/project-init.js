@@ -0,0 +1,172 @@
+/**
+ * Project Init Service
+ *
+ * Builds and writes the starter files for `kind-beacon init`:
+ * - A config file (.kindbeaconrc.json or kindbeacon.config.js) with every DEFAULT_CONFIG option
+ * - A urls.csv in the format readCsv accepts
+ * - Optional performance budgets based on the "good" Core Web Vitals thresholds
+ *
+ * Prompting lives in the CLI; everything here is non-interactive so it can be tested.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Papa from 'papaparse';
+import { DEFAULT_CONFIG, validateConfig } from '../models/config.js';
+
+/**
+ * Config file formats `init` can write
+ */
+export const INIT_FORMATS = ['json', 'js'];
+
+/**
+ * Starter budgets: the "good" Core Web Vitals thresholds plus a performance score floor
+ */
+export const STARTER_BUDGETS = [
+  { lcp: 2500, inp: 200, cls: 0.1, performance: 90 }
+];
+
+/**
+ * URLs written to the starter urls.csv when none are given
+ */
+export const STARTER_URLS = ['https://example.com', 'https://example.com/about'];
+
+/**
+ * Builds a complete config from init answers
+ *
+ * @param {Object} [answers] - Values chosen by the user
+ * @param {number} [answers.concurrency] - Max simultaneous audits
+ * @param {number} [answers.timeout] - Audit timeout in seconds
+ * @param {string} [answers.device] - Device option ('mobile', 'desktop', 'both', or a list)
+ * @param {boolean} [answers.budgets=false] - Include the starter budgets
+ * @returns {Object} - Config with every DEFAULT_CONFIG key
+ * @throws {Error} - If an answer is not a valid config value
+ *
+ * @example
+ * buildInitConfig({ device: 'both', budgets: true })
+ * // => { concurrency: 3, timeout: 60, device: 'both', ..., budgets: [{ lcp: 2500, ... }] }
+ */
+export function buildInitConfig(answers = {}) {
+  const config = structuredClone(DEFAULT_CONFIG);
+
+  for (const key of ['concurrency', 'timeout', 'device']) {
+    if (answers[key] !== undefined) {
+      config[key] = answers[key];
+    }
+  }
+
+  if (answers.budgets) {
+    config.budgets = structuredClone(STARTER_BUDGETS);
+  }
+
+  validateConfig(config);
+  return config;
+}
+
+/**
+ * Chooses the config filename for a format
+ * JS configs are CommonJS (cosmiconfig loads them with require), so inside a
+ * package with "type": "module" a .cjs file is written instead
+ *
+ * @param {string} format - 'json' or 'js'
+ * @param {string} dir - Directory the file is written to
+ * @returns {string} - Filename
+ */
+export function getConfigFilename(format, dir) {
+  if (format === 'json') {
+    return '.kindbeaconrc.json';
+  }
+
+  // Node uses the nearest package.json to decide whether .js files are ES modules
+  let current = path.resolve(dir);
+  while (true) {
+    const packagePath = path.join(current, 'package.json');
+    if (fs.existsSync(packagePath)) {
+      try {
+        const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+        return packageJson.type === 'module' ? 'kindbeacon.config.cjs' : 'kindbeacon.config.js';
+      } catch {
+        return 'kindbeacon.config.js';
+      }
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return 'kindbeacon.config.js';
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Renders a config file
+ *
+ * @param {Object} config - Config from buildInitConfig
+ * @param {string} format - 'json' or 'js'
+ * @returns {string} - File content
+ */
+export function renderConfigFile(config, format) {
+  const json = JSON.stringify(config, null, 2);
+
+  if (format === 'json') {
+    return json + '\n';
+  }
+
+  return (
+    '// Kind Beacon configuration - CLI options override these values.\n' +
+    '// Every option is listed; see the README for what each one does.\n' +
+    `module.exports = ${json};\n`
+  );
+}
+
+/**
+ * Renders the starter URL list
+ *
+ * @param {Array<string>} [urls=STARTER_URLS] - URLs to include
+ * @returns {string} - CSV content with `url` and `label` columns ('home' for the root, otherwise the path)
+ */
+export function renderUrlsCsv(urls = STARTER_URLS) {
+  const rows = urls.map(url => {
+    const { pathname } = new URL(url);
+    return { url, label: pathname === '/' ? 'home' : pathname.replace(/^\/|\/$/g, '') };
+  });
+
+  return Papa.unparse(rows, { columns: ['url', 'label'] }) + '\n';
+}
+
+/**
+ * Writes the starter files, leaving existing files alone unless `force` is set
+ *
+ * @param {Object} options - Init options
+ * @param {string} [options.dir='.'] - Directory to write to
+ * @param {string} [options.format='json'] - Config format: 'json' or 'js'
+ * @param {Object} options.config - Config from buildInitConfig
+ * @param {Array<string>} [options.urls] - URLs for urls.csv
+ * @param {boolean} [options.force=false] - Overwrite existing files
+ * @returns {Array<Object>} - One entry per file: { path, written }
+ *
+ * @example
+ * writeInitFiles({ config: buildInitConfig(), format: 'json' })
+ * // => [{ path: '.kindbeaconrc.json', written: true }, { path: 'urls.csv', written: true }]
+ */
+export function writeInitFiles({ dir = '.', format = 'json', config, urls, force = false }) {
+  if (!INIT_FORMATS.includes(format)) {
+    throw new Error(`Config format must be one of: ${INIT_FORMATS.join(', ')} (got: ${format})`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const files = [
+    { path: path.join(dir, getConfigFilename(format, dir)), content: renderConfigFile(config, format) },
+    { path: path.join(dir, 'urls.csv'), content: renderUrlsCsv(urls) }
+  ];
+
+  return files.map(file => {
+    if (!force && fs.existsSync(file.path)) {
+      return { path: file.path, written: false };
+    }
+
+    fs.writeFileSync(file.path, file.content, 'utf-8');
+    return { path: file.path, written: true };
+  });
+}
@@ -47,7 +47,7 @@ function validateOutputPath(outputPath) {
  * @param {string} text - Text to escape
  * @returns {string} - HTML-escaped text
  */
-function escapeHtml(text) {
+export function escapeHtml(text) {
   if (typeof text !== 'string') return '';
   return text.replace(/[&<>"']/g, (match) => ({
     '&': '&amp;',
@@ -192,6 +192,18 @@ export function generateErrorReport(audit) {
         <dt>Audit Duration:</dt>
         <dd>${Math.round(audit.auditDuration / 1000)}s</dd>
       </dl>
+      ${audit.label ? `
+      <dl>
+        <dt>Label:</dt>
+        <dd>${escapeHtml(audit.label)}</dd>
+      </dl>
+      ` : ''}
+      ${audit.tags?.length > 0 ? `
+      <dl>
+        <dt>Tags:</dt>
+        <dd>${escapeHtml(audit.tags.join(', '))}</dd>
+      </dl>
+      ` : ''}
       ${audit.retryAttempt > 0 ? `
       <dl>
         <dt>Retry Attempt:</dt>
@@ -0,0 +1,181 @@
+/**
+ * Result Export Service
+ *
+ * Flattens audits into spreadsheet rows - one row per audit with the URL, device,
+ * timestamp, every metric and its rating, the four category scores, status and error -
+ * and writes them as CSV or XLSX. Rows come from live run results
+ * (`audit --output-format csv`) or from stored audit data (`kind-beacon export`).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import Papa from 'papaparse';
+import { createXlsx } from '../lib/xlsx-writer.js';
+import { calculateScore, Thresholds } from '../models/metrics.js';
+
+/**
+ * Spreadsheet formats that can be exported
+ */
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Exported metrics, in column order
+ * Each metric gets a value column and a rating column; ratings missing from older data are calculated
+ */
+const EXPORTED_METRICS = [
+  { key: 'lcp', label: 'LCP (ms)', rating: 'lcpScore', threshold: Thresholds.LCP },
+  { key: 'inp', label: 'INP (ms)', rating: 'inpScore', threshold: Thresholds.INP },
+  { key: 'cls', label: 'CLS', rating: 'clsScore', threshold: Thresholds.CLS, decimals: 3 },
+  { key: 'ttfb', label: 'TTFB (ms)', rating: 'ttfbScore', threshold: Thresholds.TTFB },
+  { key: 'tbt', label: 'TBT (ms)', rating: 'tbtScore', threshold: Thresholds.TBT },
+  { key: 'fcp', label: 'FCP (ms)', rating: 'fcpScore', threshold: Thresholds.FCP },
+  { key: 'speedIndex', label: 'Speed Index (ms)', rating: 'speedIndexScore', threshold: Thresholds.SPEED_INDEX },
+  { key: 'tti', label: 'TTI (ms)', rating: 'ttiScore', threshold: Thresholds.TTI },
+  { key: 'maxPotentialFid', label: 'Max Potential FID (ms)', rating: 'maxPotentialFidScore', threshold: Thresholds.MAX_POTENTIAL_FID }
+];
+
+/**
+ * Exported category scores: score field of the metrics, with the audit.categories key as a fallback
+ */
+const EXPORTED_CATEGORIES = [
+  { key: 'performanceScore', label: 'Performance', category: 'performance' },
+  { key: 'accessibilityScore', label: 'Accessibility', category: 'accessibility' },
+  { key: 'seoScore', label: 'SEO', category: 'seo' },
+  { key: 'bestPracticesScore', label: 'Best Practices', category: 'bestPractices' }
+];
+
+/**
+ * Columns of an exported row: { key, header }
+ */
+export const EXPORT_COLUMNS = [
+  { key: 'url', header: 'URL' },
+  { key: 'device', header: 'Device' },
+  { key: 'timestamp', header: 'Timestamp' },
+  ...EXPORTED_METRICS.flatMap(metric => [
+    { key: metric.key, header: metric.label },
+    { key: metric.rating, header: `${metric.label.replace(/ \(ms\)$/, '')} Rating` }
+  ]),
+  ...EXPORTED_CATEGORIES.map(category => ({ key: category.key, header: category.label })),
+  { key: 'status', header: 'Status' },
+  { key: 'error', header: 'Error' }
+];
+
+/**
+ * Builds one row from the fields shared by live results and stored data
+ *
+ * @param {Object} audit - Flattened audit: { url, device, timestamp, metrics, categories, status, error }
+ * @returns {Object} - Row keyed by EXPORT_COLUMNS keys (missing values are null)
+ */
+function buildRow({ url, device, timestamp, metrics, categories, status, error }) {
+  const row = {
+    url: url || null,
+    device: device || null,
+    timestamp: timestamp || null
+  };
+
+  for (const metric of EXPORTED_METRICS) {
+    const value = metrics?.[metric.key];
+    const hasValue = typeof value === 'number';
+    const factor = 10 ** (metric.decimals || 0);
+    row[metric.key] = hasValue ? Math.round(value * factor) / factor : null;
+    row[metric.rating] = hasValue ? (metrics[metric.rating] || calculateScore(value, metric.threshold)) : null;
+  }
+
+  for (const category of EXPORTED_CATEGORIES) {
+    row[category.key] = metrics?.[category.key] ?? categories?.[category.category] ?? null;
+  }
+
+  row.status = status || null;
+  row.error = (typeof error === 'object' ? error?.message : error) || null;
+  return row;
+}
+
+/**
+ * Flattens a live result from orchestrateAudits (successful or failed)
+ *
+ * @param {Object} result - Entry of results.successful or results.failed
+ * @returns {Object} - Export row
+ */
+export function resultToRow(result) {
+  return buildRow({
+    url: result.requestedUrl || result.url,
+    device: result.device,
+    timestamp: result.timestamp,
+    metrics: result.metrics,
+    categories: result.categories,
+    status: result.status || (result.error ? 'failed' : 'success'),
+    error: result.error
+  });
+}
+
+/**
+ * Flattens a stored audit record (as loaded by loadAuditDataBatch)
+ *
+ * @param {Object} record - Saved record: { audit, metrics }
+ * @returns {Object} - Export row
+ */
+export function recordToRow({ audit, metrics }) {
+  return buildRow({
+    url: audit?.requestedUrl || audit?.url,
+    device: audit?.deviceMode,
+    timestamp: audit?.timestamp,
+    metrics,
+    categories: audit?.categories,
+    status: audit?.status,
+    error: audit?.error
+  });
+}
+
+/**
+ * Flattens the results of a run: successful audits first, then failures
+ *
+ * @param {Object} results - Results from orchestrateAudits
+ * @returns {Array<Object>} - Export rows
+ */
+export function resultsToRows(results) {
+  return [...results.successful, ...results.failed].map(resultToRow);
+}
+
+/**
+ * Formats rows as a spreadsheet
+ * CSV cells that spreadsheets would run as formulas (=, +, -, @) are escaped
+ *
+ * @param {Array<Object>} rows - Export rows
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {string|Buffer} - CSV text or XLSX file contents
+ * @throws {Error} - If the format is unknown
+ */
+export function formatExport(rows, format) {
+  const headers = EXPORT_COLUMNS.map(column => column.header);
+  const values = rows.map(row => EXPORT_COLUMNS.map(column => row[column.key] ?? null));
+
+  if (format === 'csv') {
+    return `${Papa.unparse({ fields: headers, data: values }, { escapeFormulae: true })}\n`;
+  }
+  if (format === 'xlsx') {
+    return createXlsx([headers, ...values], 'Audit Results');
+  }
+
+  throw new Error(`Export format must be one of: ${EXPORT_FORMATS.join(', ')} (got: ${format})`);
+}
+
+/**
+ * Writes rows to a CSV or XLSX file
+ *
+ * @param {Array<Object>} rows - Export rows
+ * @param {string} filePath - Output file (parent directories are created)
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<string>} - Absolute path of the written file
+ *
+ * @example
+ * await saveExport(resultsToRows(results), './reports/20251022-143052-a1b2c3/results.csv', 'csv');
+ */
+export async function saveExport(rows, filePath, format) {
+  const content = formatExport(rows, format);
+  const absolutePath = path.resolve(filePath);
+
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, content);
+
+  return absolutePath;
+}
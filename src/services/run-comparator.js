@@ -0,0 +1,374 @@
+/**
+ * Run Comparator Service
+ *
+ * Compares two sets of saved JSON audit files (as written by saveAuditData).
+ * Audits are paired by requested URL and device mode, and every metric and
+ * category score is diffed so before/after deploy runs can be compared at a glance.
+ * Audits that ran with different throttling are reported instead of diffed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { loadAuditDataBatch } from './data-storage.js';
+import { loadRunManifest } from './run-manifest.js';
+import { databaseExists } from './sqlite-storage.js';
+import { getThrottlingKey } from '../models/throttling.js';
+
+/**
+ * Fields compared between runs
+ * lowerIsBetter decides whether a negative delta is an improvement
+ */
+export const COMPARED_FIELDS = [
+  { key: 'lcp', label: 'LCP', unit: 'ms', lowerIsBetter: true },
+  { key: 'inp', label: 'INP', unit: 'ms', lowerIsBetter: true },
+  { key: 'cls', label: 'CLS', unit: '', lowerIsBetter: true },
+  { key: 'ttfb', label: 'TTFB', unit: 'ms', lowerIsBetter: true },
+  { key: 'tbt', label: 'TBT', unit: 'ms', lowerIsBetter: true },
+  { key: 'fcp', label: 'FCP', unit: 'ms', lowerIsBetter: true },
+  { key: 'speedIndex', label: 'Speed Index', unit: 'ms', lowerIsBetter: true },
+  { key: 'tti', label: 'TTI', unit: 'ms', lowerIsBetter: true },
+  { key: 'maxPotentialFid', label: 'Max Potential FID', unit: 'ms', lowerIsBetter: true },
+  { key: 'lcpTtfb', label: 'LCP: TTFB', unit: 'ms', lowerIsBetter: true },
+  { key: 'lcpLoadDelay', label: 'LCP: Load Delay', unit: 'ms', lowerIsBetter: true },
+  { key: 'lcpLoadTime', label: 'LCP: Load Time', unit: 'ms', lowerIsBetter: true },
+  { key: 'lcpRenderDelay', label: 'LCP: Render Delay', unit: 'ms', lowerIsBetter: true },
+  { key: 'performanceScore', label: 'Performance', unit: 'score', lowerIsBetter: false },
+  { key: 'accessibilityScore', label: 'Accessibility', unit: 'score', lowerIsBetter: false },
+  { key: 'seoScore', label: 'SEO', unit: 'score', lowerIsBetter: false },
+  { key: 'bestPracticesScore', label: 'Best Practices', unit: 'score', lowerIsBetter: false }
+];
+
+/**
+ * Maps category score fields to the audit.categories keys used as a fallback
+ */
+const CATEGORY_FALLBACKS = {
+  performanceScore: 'performance',
+  accessibilityScore: 'accessibility',
+  seoScore: 'seo',
+  bestPracticesScore: 'bestPractices'
+};
+
+/**
+ * Change directions
+ */
+export const ChangeDirection = {
+  IMPROVED: 'improved',
+  REGRESSED: 'regressed',
+  UNCHANGED: 'unchanged'
+};
+
+/**
+ * Builds the pairing key for an audit record
+ *
+ * @param {Object} record - Saved audit data ({ audit, metrics })
+ * @returns {string} - Key in format {requestedUrl}|{deviceMode}
+ */
+function pairKey(record) {
+  return `${record.audit.requestedUrl}|${record.audit.deviceMode}`;
+}
+
+/**
+ * Indexes audit records by URL and device, keeping the latest audit per pair
+ *
+ * @param {Array<Object>} records - Saved audit data records
+ * @returns {Map<string, Object>} - Records keyed by {requestedUrl}|{deviceMode}
+ */
+export function indexAuditRecords(records) {
+  const index = new Map();
+
+  for (const record of records) {
+    if (!record?.audit?.requestedUrl) {
+      continue;
+    }
+
+    const key = pairKey(record);
+    const existing = index.get(key);
+    if (!existing || existing.audit.timestamp < record.audit.timestamp) {
+      index.set(key, record);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Reads a field value from a saved audit record
+ *
+ * @param {Object} record - Saved audit data ({ audit, metrics })
+ * @param {string} key - Field key from COMPARED_FIELDS
+ * @returns {number|null} - Field value or null if not available
+ */
+function readField(record, key) {
+  const value = record.metrics?.[key];
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const categoryKey = CATEGORY_FALLBACKS[key];
+  const categoryValue = categoryKey ? record.audit.categories?.[categoryKey] : undefined;
+  return typeof categoryValue === 'number' ? categoryValue : null;
+}
+
+/**
+ * Names the throttling a saved audit ran with
+ *
+ * @param {Object} record - Saved audit data ({ audit, metrics })
+ * @returns {string} - Profile and method (e.g., 'slow-4g (simulate)'); 'default' for audits saved before it was recorded
+ */
+function describeRecordThrottling(record) {
+  const throttling = record.audit.throttling;
+  return throttling ? `${throttling.profile} (${throttling.method})` : 'default';
+}
+
+/**
+ * Calculates the change for one field between two audits
+ *
+ * @param {Object} field - Field definition from COMPARED_FIELDS
+ * @param {number|null} before - Value in run A
+ * @param {number|null} after - Value in run B
+ * @returns {Object} - Change with delta, percent and direction
+ */
+export function calculateChange(field, before, after) {
+  if (before === null || after === null) {
+    return { ...field, before, after, delta: null, percent: null, direction: null };
+  }
+
+  const delta = after - before;
+  const percent = before !== 0 ? (delta / before) * 100 : null;
+
+  let direction = ChangeDirection.UNCHANGED;
+  if (delta !== 0) {
+    const improved = field.lowerIsBetter ? delta < 0 : delta > 0;
+    direction = improved ? ChangeDirection.IMPROVED : ChangeDirection.REGRESSED;
+  }
+
+  return { ...field, before, after, delta, percent, direction };
+}
+
+/**
+ * Compares two sets of saved audit records
+ *
+ * @param {Array<Object>} recordsA - Audit records from run A (baseline)
+ * @param {Array<Object>} recordsB - Audit records from run B (candidate)
+ * @returns {Object} - Comparison with pairs, onlyInA, onlyInB and throttlingMismatches
+ *   (audits of the same URL and device that ran with different throttling, which are not diffed)
+ *
+ * @example
+ * const comparison = compareAuditRecords(before, after);
+ * // => { pairs: [{ url, device, throttling, statusA, statusB, changes: [...] }], onlyInA: [], onlyInB: [],
+ * //      throttlingMismatches: [] }
+ */
+export function compareAuditRecords(recordsA, recordsB) {
+  const indexA = indexAuditRecords(recordsA);
+  const indexB = indexAuditRecords(recordsB);
+
+  const pairs = [];
+  const onlyInA = [];
+  const onlyInB = [];
+  const throttlingMismatches = [];
+
+  for (const [key, recordA] of indexA) {
+    const recordB = indexB.get(key);
+    if (!recordB) {
+      onlyInA.push({ url: recordA.audit.requestedUrl, device: recordA.audit.deviceMode });
+      continue;
+    }
+
+    // Metrics measured on different (simulated) networks or CPUs are not comparable
+    if (getThrottlingKey(recordA.audit) !== getThrottlingKey(recordB.audit)) {
+      throttlingMismatches.push({
+        url: recordA.audit.requestedUrl,
+        device: recordA.audit.deviceMode,
+        throttlingA: describeRecordThrottling(recordA),
+        throttlingB: describeRecordThrottling(recordB)
+      });
+      continue;
+    }
+
+    pairs.push({
+      url: recordA.audit.requestedUrl,
+      device: recordA.audit.deviceMode,
+      throttling: describeRecordThrottling(recordA),
+      timestampA: recordA.audit.timestamp,
+      timestampB: recordB.audit.timestamp,
+      statusA: recordA.audit.status,
+      statusB: recordB.audit.status,
+      changes: COMPARED_FIELDS.map(field =>
+        calculateChange(field, readField(recordA, field.key), readField(recordB, field.key))
+      )
+    });
+  }
+
+  for (const [key, recordB] of indexB) {
+    if (!indexA.has(key)) {
+      onlyInB.push({ url: recordB.audit.requestedUrl, device: recordB.audit.deviceMode });
+    }
+  }
+
+  pairs.sort((a, b) => a.url.localeCompare(b.url) || a.device.localeCompare(b.device));
+
+  return { pairs, onlyInA, onlyInB, throttlingMismatches };
+}
+
+/**
+ * Loads the saved audit records of a run
+ * A run directory whose data directory has a SQLite database also loads the run's rows from it
+ *
+ * @param {string} runPath - Directory containing saved JSON audit files, or a run directory
+ * @returns {Promise<Array<Object>>} - Saved audit records
+ * @throws {Error} - If the directory does not exist
+ */
+export async function loadRunRecords(runPath) {
+  try {
+    const stats = await fs.stat(runPath);
+    if (!stats.isDirectory()) {
+      throw new Error(`Not a directory: ${runPath}`);
+    }
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      throw new Error(`Run directory not found: ${runPath}`);
+    }
+    throw error;
+  }
+
+  const manifest = await loadRunManifest(runPath);
+  if (manifest && databaseExists(path.dirname(runPath))) {
+    return await loadAuditDataBatch(path.dirname(runPath), { runs: [manifest.runId] });
+  }
+
+  return await loadAuditDataBatch(runPath);
+}
+
+/**
+ * Loads and compares two runs
+ *
+ * @param {string} runA - Directory of the baseline run
+ * @param {string} runB - Directory of the candidate run
+ * @returns {Promise<Object>} - Comparison result (see compareAuditRecords)
+ *
+ * @example
+ * const comparison = await compareRuns('./before/data', './after/data');
+ */
+export async function compareRuns(runA, runB) {
+  const [recordsA, recordsB] = await Promise.all([
+    loadRunRecords(runA),
+    loadRunRecords(runB)
+  ]);
+
+  return {
+    runA,
+    runB,
+    ...compareAuditRecords(recordsA, recordsB)
+  };
+}
+
+/**
+ * Formats a compared value for display
+ *
+ * @param {Object} field - Field definition from COMPARED_FIELDS
+ * @param {number|null} value - Value to format
+ * @returns {string} - Formatted value
+ */
+export function formatComparedValue(field, value) {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+
+  if (field.unit === 'ms') {
+    return `${Math.round(value)}ms`;
+  }
+  if (field.unit === 'score') {
+    return String(Math.round(value));
+  }
+  return value.toFixed(3);
+}
+
+/**
+ * Formats the delta of a change for display, with sign and percentage
+ *
+ * @param {Object} change - Change from calculateChange
+ * @returns {string} - Formatted delta (e.g., '-300ms (-14.3%)')
+ */
+export function formatDelta(change) {
+  if (change.delta === null) {
+    return '—';
+  }
+
+  const sign = change.delta > 0 ? '+' : '';
+  const value = change.unit === 'ms'
+    ? `${sign}${Math.round(change.delta)}ms`
+    : change.unit === 'score'
+      ? `${sign}${Math.round(change.delta)}`
+      : `${sign}${change.delta.toFixed(3)}`;
+  const percent = change.percent !== null ? ` (${sign}${change.percent.toFixed(1)}%)` : '';
+
+  return `${value}${percent}`;
+}
+
+/**
+ * Formats a comparison as plain text lines for the terminal
+ *
+ * @param {Object} comparison - Comparison result
+ * @returns {string} - Multi-line text table
+ */
+export function formatComparisonText(comparison) {
+  const icons = {
+    [ChangeDirection.IMPROVED]: '✓',
+    [ChangeDirection.REGRESSED]: '✗',
+    [ChangeDirection.UNCHANGED]: '='
+  };
+  const lines = [];
+
+  for (const pair of comparison.pairs) {
+    lines.push('');
+    lines.push(`${pair.url} (${pair.device})`);
+
+    if (pair.statusA !== 'success' || pair.statusB !== 'success') {
+      lines.push(`  Status: ${pair.statusA} → ${pair.statusB}`);
+    }
+
+    for (const change of pair.changes) {
+      if (change.before === null && change.after === null) {
+        continue;
+      }
+
+      const label = change.label.padEnd(18);
+      const before = formatComparedValue(change, change.before).padStart(8);
+      const after = formatComparedValue(change, change.after).padEnd(8);
+      const icon = change.direction ? icons[change.direction] : ' ';
+      lines.push(`  ${label}${before} → ${after} ${formatDelta(change).padEnd(20)} ${icon}`);
+    }
+  }
+
+  for (const { url, device } of comparison.onlyInA) {
+    lines.push(`\n[WARNING] Only in ${comparison.runA || 'run A'}: ${url} (${device})`);
+  }
+  for (const { url, device } of comparison.onlyInB) {
+    lines.push(`\n[WARNING] Only in ${comparison.runB || 'run B'}: ${url} (${device})`);
+  }
+  for (const { url, device, throttlingA, throttlingB } of comparison.throttlingMismatches || []) {
+    lines.push(`\n[WARNING] Not compared, throttling differs: ${url} (${device}) - ${throttlingA} → ${throttlingB}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Counts improvements and regressions across all pairs
+ *
+ * @param {Object} comparison - Comparison result
+ * @returns {Object} - Counts of improved, regressed, and unchanged values
+ */
+export function getComparisonCounts(comparison) {
+  const counts = { improved: 0, regressed: 0, unchanged: 0 };
+
+  for (const pair of comparison.pairs) {
+    for (const change of pair.changes) {
+      if (change.direction) {
+        counts[change.direction]++;
+      }
+    }
+  }
+
+  return counts;
+}
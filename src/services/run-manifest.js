@@ -0,0 +1,251 @@
+/**
+ * Run Manifest Service
+ *
+ * Every audit invocation (including crawl --audit) is a run with directories of its own:
+ * - <reportsDir>/<runId>/ - HTML reports and index.html
+ * - <dataDir>/<runId>/    - JSON data (with --json) and run.json
+ *
+ * run.json records where the URLs came from, the effective options, the Lighthouse and
+ * Node versions, start and end times, and every report and data file the run wrote.
+ * It is written when the run starts (status 'running') and again when it ends
+ * ('completed' or 'cancelled'), so compare and trends can address whole runs by ID.
+ *
+ * @example
+ * // data/20251022-143052-a1b2c3/run.json
+ * {
+ *   "runId": "20251022-143052-a1b2c3",
+ *   "status": "completed",
+ *   "source": "urls.csv",
+ *   "startedAt": "2025-10-22T14:30:52.000Z",
+ *   "finishedAt": "2025-10-22T14:33:10.000Z",
+ *   "versions": { "lighthouse": "13.0.0", "node": "v20.18.0" },
+ *   "options": { "concurrency": 3, "devices": ["mobile"], ... },
+ *   "reportsDir": "reports/20251022-143052-a1b2c3",
+ *   "dataDir": "data/20251022-143052-a1b2c3",
+ *   "summary": { "total": 2, "successful": 2, "failed": 0, "cancelled": 0, "duration": 138000 },
+ *   "indexReport": "index.html",
+ *   "artifacts": [{ "url": "https://example.com", "device": "mobile", "status": "success", "report": "...html", "data": "...json" }]
+ * }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { RUN_ID_PATTERN } from './checkpoint.js';
+import { DEFAULT_CONFIG } from '../models/config.js';
+
+/**
+ * Name of the manifest file inside a run's data directory
+ */
+export const RUN_MANIFEST_FILENAME = 'run.json';
+
+/**
+ * Returns the directories a run writes to
+ *
+ * @param {Object} dirs - Output directories from the config
+ * @param {string} [dirs.reportsDir='./reports'] - Reports output directory
+ * @param {string} [dirs.dataDir='./data'] - Data output directory
+ * @param {string} runId - Run ID
+ * @returns {Object} - { reportsDir, dataDir } of the run
+ *
+ * @example
+ * getRunDirectories({ reportsDir: './reports', dataDir: './data' }, '20251022-143052-a1b2c3')
+ * // => { reportsDir: 'reports/20251022-143052-a1b2c3', dataDir: 'data/20251022-143052-a1b2c3' }
+ */
+export function getRunDirectories({ reportsDir = './reports', dataDir = './data' }, runId) {
+  return {
+    reportsDir: path.join(reportsDir, runId),
+    dataDir: path.join(dataDir, runId)
+  };
+}
+
+/**
+ * Picks the effective options worth recording from the validated audit options
+ * Header values are credentials, so only their names are kept
+ *
+ * @param {Object} options - Options from validateOptions (config keys plus devices and resolved throttling)
+ * @returns {Object} - Options for the manifest
+ */
+export function getManifestOptions(options) {
+  const recorded = Object.fromEntries(
+    Object.keys(DEFAULT_CONFIG)
+      .filter(key => options[key] !== undefined)
+      .map(key => [key, options[key]])
+  );
+
+  return {
+    ...recorded,
+    headers: Object.keys(options.headers || {}),
+    devices: options.devices,
+    throttling: options.throttling
+  };
+}
+
+/**
+ * Creates the manifest of a run that is starting
+ *
+ * @param {Object} run - Run description
+ * @param {string} run.runId - Run ID
+ * @param {string|null} run.source - CSV path, sitemap, or crawl start URL the URLs came from
+ * @param {Object} run.options - Effective options (see getManifestOptions)
+ * @param {Object} run.versions - Versions from getDependencyInfo: { lighthouse, node }
+ * @param {Object} run.directories - Run directories from getRunDirectories
+ * @param {string} [run.startedAt] - Start time (defaults to now; a resumed run keeps its original start)
+ * @returns {Object} - Manifest with status 'running' and no artifacts yet
+ */
+export function createRunManifest({ runId, source, options, versions, directories, startedAt = new Date().toISOString() }) {
+  return {
+    runId,
+    status: 'running',
+    source,
+    startedAt,
+    finishedAt: null,
+    versions,
+    options,
+    reportsDir: directories.reportsDir,
+    dataDir: directories.dataDir,
+    summary: null,
+    indexReport: null,
+    artifacts: []
+  };
+}
+
+/**
+ * Completes a manifest with the results of the run
+ * Artifacts name files relative to the run's reportsDir and dataDir; data saved to the
+ * SQLite store is recorded by its row ID in the database instead of a file name
+ *
+ * @param {Object} manifest - Manifest from createRunManifest
+ * @param {Object} results - Results from orchestrateAudits
+ * @param {boolean} [cancelled=false] - Whether the run was cancelled
+ * @returns {Object} - Manifest with status, finishedAt, summary and artifacts
+ */
+export function completeRunManifest(manifest, results, cancelled = false) {
+  const file = (filePath) => filePath ? path.basename(filePath) : null;
+  const data = (result) => file(result.dataPath) ?? result.dataId ?? null;
+  const { summary } = results;
+
+  const artifacts = [
+    ...results.successful.map(result => ({
+      url: result.requestedUrl || result.url,
+      device: result.device,
+      status: 'success',
+      report: file(result.reportPath),
+      data: data(result)
+    })),
+    ...results.failed.map(result => ({
+      url: result.url,
+      device: result.device,
+      status: result.status || 'failed',
+      error: result.error,
+      report: file(result.errorReportPath),
+      data: data(result)
+    }))
+  ];
+
+  return {
+    ...manifest,
+    status: cancelled ? 'cancelled' : 'completed',
+    finishedAt: new Date().toISOString(),
+    summary: {
+      total: summary.successful + summary.failed + (summary.cancelled || 0),
+      successful: summary.successful,
+      failed: summary.failed,
+      cancelled: summary.cancelled || 0,
+      duration: summary.duration
+    },
+    indexReport: file(summary.indexPath),
+    artifacts
+  };
+}
+
+/**
+ * Writes a manifest to <manifest.dataDir>/run.json
+ *
+ * @param {Object} manifest - Manifest to write
+ * @returns {Promise<string>} - Path to the written file
+ */
+export async function saveRunManifest(manifest) {
+  await fs.mkdir(manifest.dataDir, { recursive: true });
+  const filePath = path.join(manifest.dataDir, RUN_MANIFEST_FILENAME);
+  await fs.writeFile(filePath, JSON.stringify(manifest, null, 2), 'utf-8');
+  return filePath;
+}
+
+/**
+ * Reads a run's manifest
+ *
+ * @param {string} runDir - Run data directory
+ * @returns {Promise<Object|null>} - Manifest, or null if the directory has none
+ * @throws {Error} - If the manifest is not valid JSON
+ */
+export async function loadRunManifest(runDir) {
+  const filePath = path.join(runDir, RUN_MANIFEST_FILENAME);
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error?.code === 'ENOENT' || error?.code === 'ENOTDIR') {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid run manifest ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the runs stored in a data directory, oldest first
+ *
+ * @param {string} dataDir - Data output directory
+ * @returns {Promise<Array<Object>>} - Manifests of every run directory
+ */
+export async function listRuns(dataDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dataDir, { withFileTypes: true });
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const manifests = await Promise.all(
+    entries
+      .filter(entry => entry.isDirectory() && RUN_ID_PATTERN.test(entry.name))
+      .map(entry => loadRunManifest(path.join(dataDir, entry.name)))
+  );
+
+  return manifests.filter(Boolean).sort((a, b) => a.runId.localeCompare(b.runId));
+}
+
+/**
+ * Resolves a run reference given on the command line to a data directory
+ * A path to an existing directory is used as-is; otherwise the reference is a run ID in dataDir
+ *
+ * @param {string} ref - Directory path or run ID
+ * @param {string} [dataDir='./data'] - Data directory the runs are stored in
+ * @returns {Promise<string|null>} - Data directory to load, or null if not found
+ *
+ * @example
+ * await resolveRunDirectory('20251022-143052-a1b2c3', './data')
+ * // => 'data/20251022-143052-a1b2c3'
+ */
+export async function resolveRunDirectory(ref, dataDir = './data') {
+  const isDirectory = async (dir) => (await fs.stat(dir).catch(() => null))?.isDirectory() ?? false;
+
+  if (await isDirectory(ref)) {
+    return ref;
+  }
+
+  const runDir = path.join(dataDir, ref);
+  if (RUN_ID_PATTERN.test(ref) && await isDirectory(runDir)) {
+    return runDir;
+  }
+
+  return null;
+}
@@ -0,0 +1,259 @@
+/**
+ * Sitemap Reader Service
+ *
+ * Reads URLs from a sitemap URL or a local sitemap.xml / sitemap index file.
+ * Follows nested sitemap indexes, decompresses gzipped sitemaps, and provides
+ * include/exclude/limit/sample selection so a subset of a large sitemap can be audited.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { gunzipSync } from 'zlib';
+import { logWarning } from '../lib/logger.js';
+
+/**
+ * Upper bound on sitemaps read for one source (guards against runaway indexes)
+ */
+export const MAX_SITEMAPS = 500;
+
+/**
+ * Timeout for fetching a single remote sitemap, in milliseconds
+ */
+const FETCH_TIMEOUT_MS = 30000;
+
+/**
+ * Checks whether an audit source should be read as a sitemap instead of a CSV file
+ * Remote sources (http/https) and .xml / .xml.gz files are sitemaps
+ *
+ * @param {string} source - CLI source argument
+ * @returns {boolean} - True if the source is a sitemap
+ *
+ * @example
+ * isSitemapSource('https://example.com/sitemap.xml') // returns true
+ * isSitemapSource('./urls.csv') // returns false
+ */
+export function isSitemapSource(source) {
+  return /^https?:\/\//i.test(source) || /\.xml(\.gz)?$/i.test(source);
+}
+
+/**
+ * Decodes the XML entities and CDATA wrapper allowed in <loc> values
+ *
+ * @param {string} value - Raw <loc> content
+ * @returns {string} - Decoded value
+ */
+function decodeLoc(value) {
+  return value
+    .trim()
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Parses sitemap XML into its type and <loc> entries
+ *
+ * @param {string} xml - Sitemap XML document
+ * @returns {Object} - { type: 'urlset' | 'sitemapindex', locations: string[] }
+ * @throws {Error} - If the document is neither a urlset nor a sitemap index
+ *
+ * @example
+ * parseSitemapXml('<urlset><url><loc>https://example.com/</loc></url></urlset>')
+ * // returns { type: 'urlset', locations: ['https://example.com/'] }
+ */
+export function parseSitemapXml(xml) {
+  let type;
+  if (/<(?:\w+:)?sitemapindex[\s>]/i.test(xml)) {
+    type = 'sitemapindex';
+  } else if (/<(?:\w+:)?urlset[\s>]/i.test(xml)) {
+    type = 'urlset';
+  } else {
+    throw new Error('Not a sitemap: expected a <urlset> or <sitemapindex> root element');
+  }
+
+  const locations = [];
+  const locPattern = /<(?:\w+:)?loc>([\s\S]*?)<\/(?:\w+:)?loc>/gi;
+  let match;
+  while ((match = locPattern.exec(xml)) !== null) {
+    const location = decodeLoc(match[1]);
+    if (location) {
+      locations.push(location);
+    }
+  }
+
+  return { type, locations };
+}
+
+/**
+ * Loads the raw XML of a sitemap from a URL or local file
+ * Gzipped content is detected by its magic bytes, not only by extension
+ *
+ * @param {string} location - Sitemap URL or file path
+ * @returns {Promise<string>} - XML text
+ * @throws {Error} - If the sitemap cannot be fetched or read
+ */
+async function loadSitemapXml(location) {
+  let buffer;
+
+  if (/^https?:\/\//i.test(location)) {
+    let response;
+    try {
+      response = await fetch(location, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    } catch (error) {
+      throw new Error(`Failed to fetch sitemap ${location}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch sitemap ${location}: HTTP ${response.status}`);
+    }
+    buffer = Buffer.from(await response.arrayBuffer());
+  } else {
+    try {
+      buffer = await fs.readFile(location);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Sitemap file not found: ${location}`);
+      }
+      throw new Error(`Error reading sitemap file: ${error.message}`);
+    }
+  }
+
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = gunzipSync(buffer);
+  }
+
+  return buffer.toString('utf-8');
+}
+
+/**
+ * Resolves a nested sitemap location against its parent
+ * Relative locations in a local index resolve against the index's directory
+ *
+ * @param {string} location - <loc> value from a sitemap index
+ * @param {string} parent - Location of the index that listed it
+ * @returns {string} - Absolute URL or file path
+ */
+function resolveChildLocation(location, parent) {
+  if (/^https?:\/\//i.test(location)) {
+    return location;
+  }
+  if (/^https?:\/\//i.test(parent)) {
+    return new URL(location, parent).href;
+  }
+  return path.resolve(path.dirname(parent), location);
+}
+
+/**
+ * Reads every page URL from a sitemap, following nested sitemap indexes
+ * The root sitemap must load; nested sitemaps that fail are skipped with a warning
+ *
+ * @param {string} source - Sitemap URL or path to a local sitemap / sitemap index
+ * @returns {Promise<Object>} - { urls, metadata: { source, sitemapsRead, failedSitemaps, totalUrls } }
+ * @throws {Error} - If the root sitemap cannot be read or parsed
+ *
+ * @example
+ * const { urls } = await readSitemap('https://example.com/sitemap_index.xml');
+ */
+export async function readSitemap(source) {
+  const urls = [];
+  const seenUrls = new Set();
+  const visited = new Set();
+  const failedSitemaps = [];
+  const queue = [source];
+
+  while (queue.length > 0) {
+    const location = queue.shift();
+    if (visited.has(location)) {
+      continue;
+    }
+    if (visited.size >= MAX_SITEMAPS) {
+      logWarning(`Stopped after ${MAX_SITEMAPS} sitemaps; remaining nested sitemaps were not read`);
+      break;
+    }
+    visited.add(location);
+
+    let parsed;
+    try {
+      parsed = parseSitemapXml(await loadSitemapXml(location));
+    } catch (error) {
+      if (location === source) {
+        throw error;
+      }
+      logWarning(`Skipping nested sitemap ${location}: ${error.message}`);
+      failedSitemaps.push({ location, reason: error.message });
+      continue;
+    }
+
+    if (parsed.type === 'sitemapindex') {
+      queue.push(...parsed.locations.map(child => resolveChildLocation(child, location)));
+      continue;
+    }
+
+    for (const url of parsed.locations) {
+      if (!seenUrls.has(url)) {
+        seenUrls.add(url);
+        urls.push(url);
+      }
+    }
+  }
+
+  return {
+    urls,
+    metadata: {
+      source,
+      sitemapsRead: visited.size - failedSitemaps.length,
+      failedSitemaps,
+      totalUrls: urls.length
+    }
+  };
+}
+
+/**
+ * Chooses the subset of URLs to audit
+ * Filters apply first, then either a random sample or the first N URLs are kept
+ *
+ * @param {Array<string|Object>} urls - Candidate URLs, or entries ({ url, ... }) from readCsv
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.include] - Regex; only matching URLs are kept
+ * @param {string} [options.exclude] - Regex; matching URLs are dropped
+ * @param {number} [options.limit] - Keep the first N URLs
+ * @param {number} [options.sample] - Keep N URLs chosen at random (original order preserved)
+ * @param {Function} [options.random=Math.random] - Random source for sampling
+ * @returns {Array<string|Object>} - Selected URLs (or entries)
+ *
+ * @example
+ * selectUrls(urls, { include: '/blog/', exclude: '/tag/', sample: 20 })
+ */
+export function selectUrls(urls, options = {}) {
+  const { include, exclude, limit, sample, random = Math.random } = options;
+  const includePattern = include ? new RegExp(include) : null;
+  const excludePattern = exclude ? new RegExp(exclude) : null;
+
+  const urlOf = (item) => typeof item === 'string' ? item : item.url;
+
+  let selected = urls.filter(item =>
+    (!includePattern || includePattern.test(urlOf(item))) &&
+    (!excludePattern || !excludePattern.test(urlOf(item)))
+  );
+
+  if (sample && sample < selected.length) {
+    // Partial Fisher-Yates over indexes, then restore sitemap order
+    const indexes = selected.map((_, i) => i);
+    for (let i = 0; i < sample; i++) {
+      const j = i + Math.floor(random() * (indexes.length - i));
+      [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+    }
+    const picked = new Set(indexes.slice(0, sample));
+    selected = selected.filter((_, i) => picked.has(i));
+  }
+
+  if (limit) {
+    selected = selected.slice(0, limit);
+  }
+
+  return selected;
+}
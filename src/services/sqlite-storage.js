@@ -0,0 +1,286 @@
+/**
+ * SQLite Storage Service
+ *
+ * Optional result store for large histories: audits, metrics and category scores
+ * go into <dataDir>/kind-beacon.db instead of one JSON file per audit.
+ * Enabled with `--storage sqlite` (or "storage": "sqlite" in the config file);
+ * existing JSON files are loaded into it with `kind-beacon import`.
+ *
+ * Each audit row keeps the full record as saved to JSON files, so loading returns
+ * exactly what the JSON backend returns. The metrics and category_scores tables hold
+ * the same values in columns, for querying the database directly:
+ *
+ *   SELECT a.url, a.timestamp, m.lcp FROM audits a JOIN metrics m ON m.audit_id = a.id
+ *   WHERE a.domain = 'example.com' AND a.device = 'mobile' ORDER BY a.timestamp;
+ *
+ * Uses the better-sqlite3 package, an optional dependency that is only loaded
+ * when a database is used.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Name of the database file inside the data directory
+ */
+export const SQLITE_FILENAME = 'kind-beacon.db';
+
+/**
+ * Metric columns of the metrics table, keyed by field of the saved metrics
+ */
+const METRIC_COLUMNS = {
+  lcp: 'lcp',
+  inp: 'inp',
+  cls: 'cls',
+  ttfb: 'ttfb',
+  tbt: 'tbt',
+  fcp: 'fcp',
+  speedIndex: 'speed_index',
+  tti: 'tti',
+  maxPotentialFid: 'max_potential_fid',
+  performanceScore: 'performance_score'
+};
+
+/**
+ * Category IDs stored in category_scores, keyed by field of the saved metrics
+ */
+const CATEGORY_FIELDS = {
+  performanceScore: 'performance',
+  accessibilityScore: 'accessibility',
+  seoScore: 'seo',
+  bestPracticesScore: 'best-practices'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS audits (
+    id INTEGER PRIMARY KEY,
+    run_id TEXT,
+    url TEXT NOT NULL,
+    final_url TEXT,
+    domain TEXT,
+    device TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    status TEXT NOT NULL,
+    lighthouse_version TEXT,
+    source_file TEXT UNIQUE,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS audits_url ON audits (url);
+  CREATE INDEX IF NOT EXISTS audits_domain ON audits (domain);
+  CREATE INDEX IF NOT EXISTS audits_device ON audits (device);
+  CREATE INDEX IF NOT EXISTS audits_timestamp ON audits (timestamp);
+  CREATE INDEX IF NOT EXISTS audits_run_id ON audits (run_id);
+
+  CREATE TABLE IF NOT EXISTS metrics (
+    audit_id INTEGER PRIMARY KEY REFERENCES audits (id) ON DELETE CASCADE,
+    ${Object.values(METRIC_COLUMNS).map(column => `${column} REAL`).join(',\n    ')}
+  );
+
+  CREATE TABLE IF NOT EXISTS category_scores (
+    audit_id INTEGER NOT NULL REFERENCES audits (id) ON DELETE CASCADE,
+    category TEXT NOT NULL,
+    score REAL,
+    PRIMARY KEY (audit_id, category)
+  );
+`;
+
+/**
+ * Open databases, keyed by absolute path (concurrent audits share one connection)
+ */
+const openDatabases = new Map();
+
+/**
+ * Returns the database path of a data directory
+ *
+ * @param {string} dataDir - Data directory
+ * @returns {string} - Path to <dataDir>/kind-beacon.db
+ */
+export function getDatabasePath(dataDir) {
+  return path.join(dataDir, SQLITE_FILENAME);
+}
+
+/**
+ * Checks whether a data directory has a database
+ *
+ * @param {string} dataDir - Data directory
+ * @returns {boolean} - True if <dataDir>/kind-beacon.db exists
+ */
+export function databaseExists(dataDir) {
+  return fs.existsSync(getDatabasePath(dataDir));
+}
+
+/**
+ * Opens (and if needed creates) a database
+ *
+ * @param {string} filePath - Database file
+ * @returns {Promise<Object>} - better-sqlite3 database with the schema applied
+ * @throws {Error} - If better-sqlite3 is not installed
+ */
+export async function openDatabase(filePath) {
+  const key = path.resolve(filePath);
+  if (!openDatabases.has(key)) {
+    openDatabases.set(key, (async () => {
+      let Database;
+      try {
+        Database = (await import('better-sqlite3')).default;
+      } catch {
+        throw new Error(
+          `SQLite storage needs the better-sqlite3 package\n\n` +
+          `Use: npm install better-sqlite3 (in the directory kind-beacon is installed in)`
+        );
+      }
+
+      fs.mkdirSync(path.dirname(key), { recursive: true });
+      const db = new Database(key);
+      db.pragma('journal_mode = WAL');
+      db.pragma('foreign_keys = ON');
+      db.exec(SCHEMA);
+      return db;
+    })());
+  }
+
+  try {
+    return await openDatabases.get(key);
+  } catch (error) {
+    openDatabases.delete(key);
+    throw error;
+  }
+}
+
+/**
+ * Closes a database opened with openDatabase
+ *
+ * @param {string} filePath - Database file
+ */
+export async function closeDatabase(filePath) {
+  const key = path.resolve(filePath);
+  const pending = openDatabases.get(key);
+  if (!pending) {
+    return;
+  }
+
+  openDatabases.delete(key);
+  (await pending.catch(() => null))?.close();
+}
+
+/**
+ * Inserts one saved audit record (the JSON data file structure)
+ *
+ * @param {Object} db - Database from openDatabase
+ * @param {Object} record - Saved record: { audit, metrics }
+ * @param {Object} [origin] - Where the record comes from
+ * @param {string} [origin.runId] - Run the audit belongs to
+ * @param {string} [origin.sourceFile] - JSON file it was imported from (relative to the data directory)
+ * @returns {number|null} - Row ID, or null if the source file was imported before
+ * @throws {Error} - If the record has no URL or timestamp
+ */
+export function insertAuditRecord(db, record, { runId = null, sourceFile = null } = {}) {
+  const { audit, metrics } = record || {};
+  if (!(audit?.requestedUrl || audit?.url) || !audit.timestamp) {
+    throw new Error('Not an audit record (audit.requestedUrl and audit.timestamp are required)');
+  }
+
+  const insert = db.transaction(() => {
+    const { changes, lastInsertRowid } = db.prepare(`
+      INSERT OR IGNORE INTO audits (run_id, url, final_url, domain, device, timestamp, status, lighthouse_version, source_file, record)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      runId,
+      audit.requestedUrl || audit.url,
+      audit.url || null,
+      audit.domain || null,
+      audit.deviceMode || 'mobile',
+      audit.timestamp,
+      audit.status || 'unknown',
+      audit.lighthouseVersion || null,
+      sourceFile,
+      JSON.stringify(record)
+    );
+
+    if (changes === 0) {
+      return null;
+    }
+
+    if (metrics) {
+      const fields = Object.keys(METRIC_COLUMNS);
+      db.prepare(`
+        INSERT INTO metrics (audit_id, ${fields.map(field => METRIC_COLUMNS[field]).join(', ')})
+        VALUES (?, ${fields.map(() => '?').join(', ')})
+      `).run(lastInsertRowid, ...fields.map(field => metrics[field] ?? null));
+
+      const scores = db.prepare('INSERT INTO category_scores (audit_id, category, score) VALUES (?, ?, ?)');
+      for (const [field, category] of Object.entries(CATEGORY_FIELDS)) {
+        if (typeof metrics[field] === 'number') {
+          scores.run(lastInsertRowid, category, metrics[field]);
+        }
+      }
+    }
+
+    return Number(lastInsertRowid);
+  });
+
+  return insert();
+}
+
+/**
+ * Loads saved audit records, oldest first
+ * Filters match the JSON backend: domain prefix, UTC dates of the audit timestamp, run IDs
+ *
+ * @param {Object} db - Database from openDatabase
+ * @param {Object} [filters] - Optional filters (see loadAuditDataBatch)
+ * @returns {Array<Object>} - Saved records: { audit, metrics }
+ */
+export function queryAuditRecords(db, filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.domain) {
+    conditions.push('substr(domain, 1, length(?)) = ?');
+    params.push(filters.domain, filters.domain);
+  }
+  if (filters.startDate) {
+    conditions.push('substr(timestamp, 1, 10) >= ?');
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    conditions.push('substr(timestamp, 1, 10) <= ?');
+    params.push(filters.endDate);
+  }
+  if (filters.runs?.length > 0) {
+    conditions.push(`run_id IN (${filters.runs.map(() => '?').join(', ')})`);
+    params.push(...filters.runs);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`SELECT record FROM audits ${where} ORDER BY timestamp, id`)
+    .all(...params)
+    .map(row => JSON.parse(row.record));
+}
+
+/**
+ * Checks whether an audit of a URL is stored for a day
+ *
+ * @param {Object} db - Database from openDatabase
+ * @param {string} url - Requested URL
+ * @param {string} day - UTC date (YYYY-MM-DD)
+ * @param {string} [device] - Device (defaults to any device)
+ * @returns {boolean} - True if a row exists
+ */
+export function hasAuditRecord(db, url, day, device) {
+  const row = db.prepare(`
+    SELECT 1 FROM audits WHERE url = ? AND substr(timestamp, 1, 10) = ? ${device ? 'AND device = ?' : ''} LIMIT 1
+  `).get(url, day, ...(device ? [device] : []));
+  return Boolean(row);
+}
+
+/**
+ * Lists the JSON files already imported into a database
+ *
+ * @param {Object} db - Database from openDatabase
+ * @returns {Set<string>} - Source files, relative to the data directory
+ */
+export function getImportedFiles(db) {
+  return new Set(
+    db.prepare('SELECT source_file FROM audits WHERE source_file IS NOT NULL').all().map(row => row.source_file)
+  );
+}
@@ -0,0 +1,160 @@
+/**
+ * Trend Analyzer Service
+ *
+ * Builds time series of Core Web Vitals and category scores from stored JSON audit data.
+ * Series are grouped per URL or per domain (always split by device and by throttling,
+ * since numbers from different devices or networks are not comparable) and sorted chronologically.
+ */
+
+import { loadAuditDataBatch } from './data-storage.js';
+import { getThrottlingKey } from '../models/throttling.js';
+
+/**
+ * Fields tracked over time
+ */
+export const TREND_FIELDS = [
+  'lcp',
+  'cls',
+  'ttfb',
+  'tbt',
+  'fcp',
+  'speedIndex',
+  'tti',
+  'performanceScore',
+  'accessibilityScore',
+  'seoScore',
+  'bestPracticesScore'
+];
+
+/**
+ * Supported grouping modes
+ */
+export const TrendGrouping = {
+  URL: 'url',
+  DOMAIN: 'domain'
+};
+
+/**
+ * Extracts a trend point from a saved audit record
+ *
+ * @param {Object} record - Saved audit data ({ audit, metrics })
+ * @returns {Object} - Point with timestamp and one value per TREND_FIELDS entry (null if missing)
+ */
+function toPoint(record) {
+  const point = { timestamp: record.audit.timestamp };
+
+  for (const field of TREND_FIELDS) {
+    const value = record.metrics?.[field];
+    point[field] = typeof value === 'number' ? value : null;
+  }
+
+  return point;
+}
+
+/**
+ * Averages points sharing the same day into one point per day
+ * Used for domain series, where several URLs are audited in each run
+ *
+ * @param {Array<Object>} points - Trend points
+ * @returns {Array<Object>} - One point per day (timestamp at midnight UTC)
+ */
+function averageByDay(points) {
+  const days = new Map();
+
+  for (const point of points) {
+    const day = point.timestamp.slice(0, 10);
+    if (!days.has(day)) {
+      days.set(day, []);
+    }
+    days.get(day).push(point);
+  }
+
+  return [...days.entries()].map(([day, dayPoints]) => {
+    const averaged = { timestamp: `${day}T00:00:00.000Z`, count: dayPoints.length };
+
+    for (const field of TREND_FIELDS) {
+      const values = dayPoints.map(p => p[field]).filter(v => v !== null);
+      averaged[field] = values.length > 0
+        ? values.reduce((sum, v) => sum + v, 0) / values.length
+        : null;
+    }
+
+    return averaged;
+  });
+}
+
+/**
+ * Builds trend series from saved audit records
+ * Failed audits (no metrics) are skipped
+ *
+ * @param {Array<Object>} records - Saved audit data records
+ * @param {Object} [options] - Series options
+ * @param {string} [options.groupBy='url'] - Group by 'url' or 'domain'
+ * @param {string} [options.device] - Only include audits for this device mode
+ * @returns {Array<Object>} - Series sorted by key: { key, groupBy, device, throttling, points }
+ *   (throttling is { profile, method }; audits saved before it was recorded count as the default profile)
+ *
+ * @example
+ * const series = buildTrendSeries(records, { groupBy: 'domain' });
+ * // => [{ key: 'example.com', groupBy: 'domain', device: 'mobile', throttling: { profile: 'default', ... }, points: [...] }]
+ */
+export function buildTrendSeries(records, options = {}) {
+  const { groupBy = TrendGrouping.URL, device } = options;
+
+  if (!Object.values(TrendGrouping).includes(groupBy)) {
+    throw new Error(`groupBy must be '${TrendGrouping.URL}' or '${TrendGrouping.DOMAIN}' (got: ${groupBy})`);
+  }
+
+  const groups = new Map();
+
+  for (const record of records) {
+    if (!record?.audit || !record.metrics || record.audit.status !== 'success') {
+      continue;
+    }
+    if (device && record.audit.deviceMode !== device) {
+      continue;
+    }
+
+    const key = groupBy === TrendGrouping.DOMAIN ? record.audit.domain : record.audit.requestedUrl;
+    const groupKey = `${key}|${record.audit.deviceMode}|${getThrottlingKey(record.audit)}`;
+
+    if (!groups.has(groupKey)) {
+      const { profile = 'default', method = 'simulate' } = record.audit.throttling || {};
+      groups.set(groupKey, { key, groupBy, device: record.audit.deviceMode, throttling: { profile, method }, points: [] });
+    }
+    groups.get(groupKey).points.push(toPoint(record));
+  }
+
+  const series = [...groups.values()].map(group => {
+    const points = groupBy === TrendGrouping.DOMAIN ? averageByDay(group.points) : group.points;
+    points.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    return { ...group, points };
+  });
+
+  return series.sort((a, b) =>
+    a.key.localeCompare(b.key) || a.device.localeCompare(b.device) ||
+    a.throttling.profile.localeCompare(b.throttling.profile) || a.throttling.method.localeCompare(b.throttling.method)
+  );
+}
+
+/**
+ * Loads stored audit data and builds trend series
+ *
+ * @param {string} dataDir - Directory containing audit data files
+ * @param {Object} [options] - Filters and series options
+ * @param {string} [options.domain] - Filter by domain
+ * @param {string} [options.startDate] - Filter by start date (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Filter by end date (YYYY-MM-DD)
+ * @param {Array<string>} [options.runs] - Only include audits of these run IDs
+ * @param {string} [options.groupBy='url'] - Group by 'url' or 'domain'
+ * @param {string} [options.device] - Only include audits for this device mode
+ * @returns {Promise<Array<Object>>} - Trend series (see buildTrendSeries)
+ *
+ * @example
+ * const series = await loadTrendSeries('./data', { domain: 'example.com', groupBy: 'url' });
+ */
+export async function loadTrendSeries(dataDir, options = {}) {
+  const { domain, startDate, endDate, runs, groupBy, device } = options;
+  const records = await loadAuditDataBatch(dataDir, { domain, startDate, endDate, runs });
+  return buildTrendSeries(records, { groupBy, device });
+}
@@ -0,0 +1,271 @@
+/**
+ * Trend Report Service
+ *
+ * Generates self-contained HTML pages with time-series charts for trend series.
+ * Charts are inline SVG (no external scripts), with the good/needs-improvement/poor
+ * bands from Thresholds shaded behind each metric line.
+ */
+
+import { escapeHtml, saveReport } from './report-generator.js';
+import { Thresholds } from '../models/metrics.js';
+
+/**
+ * Default subdirectory of the reports directory for trend pages
+ */
+export const TRENDS_SUBDIR = 'trends';
+
+/**
+ * Score bands for 0-100 category scores (Lighthouse's own colour bands)
+ */
+const CATEGORY_BANDS = { GOOD: 90, NEEDS_IMPROVEMENT: 50 };
+
+/**
+ * Chart definitions, in display order
+ * Metric charts are "lower is better"; category charts are "higher is better"
+ */
+const CHARTS = [
+  { field: 'lcp', title: 'Largest Contentful Paint (LCP)', unit: 'ms', threshold: Thresholds.LCP },
+  { field: 'cls', title: 'Cumulative Layout Shift (CLS)', unit: '', threshold: Thresholds.CLS },
+  { field: 'ttfb', title: 'Time to First Byte (TTFB)', unit: 'ms', threshold: Thresholds.TTFB },
+  { field: 'tbt', title: 'Total Blocking Time (TBT)', unit: 'ms', threshold: Thresholds.TBT },
+  { field: 'fcp', title: 'First Contentful Paint (FCP)', unit: 'ms', threshold: Thresholds.FCP },
+  { field: 'speedIndex', title: 'Speed Index (SI)', unit: 'ms', threshold: Thresholds.SPEED_INDEX },
+  { field: 'tti', title: 'Time to Interactive (TTI)', unit: 'ms', threshold: Thresholds.TTI },
+  { field: 'performanceScore', title: 'Performance Score', unit: 'score', bands: CATEGORY_BANDS },
+  { field: 'accessibilityScore', title: 'Accessibility Score', unit: 'score', bands: CATEGORY_BANDS },
+  { field: 'seoScore', title: 'SEO Score', unit: 'score', bands: CATEGORY_BANDS },
+  { field: 'bestPracticesScore', title: 'Best Practices Score', unit: 'score', bands: CATEGORY_BANDS }
+];
+
+/**
+ * Chart geometry (SVG user units)
+ */
+const CHART = { width: 640, height: 220, left: 60, right: 20, top: 15, bottom: 35 };
+
+/**
+ * Formats a value for axis labels and tooltips
+ *
+ * @param {number} value - Value to format
+ * @param {string} unit - 'ms', 'score', or '' (unitless)
+ * @returns {string} - Formatted value
+ */
+function formatValue(value, unit) {
+  if (unit === 'ms') {
+    return `${Math.round(value)}ms`;
+  }
+  if (unit === 'score') {
+    return String(Math.round(value));
+  }
+  return value.toFixed(3);
+}
+
+/**
+ * Builds the shaded rating bands for a chart
+ *
+ * @param {Object} chart - Chart definition
+ * @param {number} yMax - Top of the y axis
+ * @returns {Array<Object>} - Bands with from, to, and rating class
+ */
+function getBands(chart, yMax) {
+  if (chart.threshold) {
+    return [
+      { from: 0, to: chart.threshold.GOOD, rating: 'good' },
+      { from: chart.threshold.GOOD, to: chart.threshold.NEEDS_IMPROVEMENT, rating: 'needs-improvement' },
+      { from: chart.threshold.NEEDS_IMPROVEMENT, to: yMax, rating: 'poor' }
+    ];
+  }
+
+  return [
+    { from: 0, to: chart.bands.NEEDS_IMPROVEMENT, rating: 'poor' },
+    { from: chart.bands.NEEDS_IMPROVEMENT, to: chart.bands.GOOD, rating: 'needs-improvement' },
+    { from: chart.bands.GOOD, to: yMax, rating: 'good' }
+  ];
+}
+
+/**
+ * Renders one SVG line chart
+ *
+ * @param {Object} chart - Chart definition
+ * @param {Array<Object>} points - Trend points with timestamp and chart.field values
+ * @returns {string} - SVG markup, or empty string if the series has no values
+ */
+export function renderTrendChart(chart, points) {
+  const values = points
+    .filter(point => point[chart.field] !== null && point[chart.field] !== undefined)
+    .map(point => ({ time: Date.parse(point.timestamp), value: point[chart.field], timestamp: point.timestamp }));
+
+  if (values.length === 0) {
+    return '';
+  }
+
+  // Keep the poor band visible even when every value is good
+  const yMax = chart.unit === 'score'
+    ? 100
+    : Math.max(...values.map(v => v.value), chart.threshold.NEEDS_IMPROVEMENT) * 1.15;
+  const minTime = Math.min(...values.map(v => v.time));
+  const maxTime = Math.max(...values.map(v => v.time));
+
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const x = (time) => maxTime === minTime
+    ? CHART.left + plotWidth / 2
+    : CHART.left + ((time - minTime) / (maxTime - minTime)) * plotWidth;
+  const y = (value) => CHART.top + plotHeight - (Math.min(value, yMax) / yMax) * plotHeight;
+
+  const bands = getBands(chart, yMax).map(band => `
+      <rect class="band ${band.rating}" x="${CHART.left}" y="${y(band.to).toFixed(1)}" width="${plotWidth}" height="${(y(band.from) - y(band.to)).toFixed(1)}" />`
+  ).join('');
+
+  const line = values.map(v => `${x(v.time).toFixed(1)},${y(v.value).toFixed(1)}`).join(' ');
+  const dots = values.map(v => `
+      <circle cx="${x(v.time).toFixed(1)}" cy="${y(v.value).toFixed(1)}" r="3.5"><title>${escapeHtml(v.timestamp)}: ${escapeHtml(formatValue(v.value, chart.unit))}</title></circle>`
+  ).join('');
+
+  const firstDate = new Date(minTime).toISOString().slice(0, 10);
+  const lastDate = new Date(maxTime).toISOString().slice(0, 10);
+  const axisBottom = CHART.top + plotHeight;
+
+  return `
+    <svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="${escapeHtml(chart.title)}">${bands}
+      <line class="axis" x1="${CHART.left}" y1="${axisBottom}" x2="${CHART.width - CHART.right}" y2="${axisBottom}" />
+      <line class="axis" x1="${CHART.left}" y1="${CHART.top}" x2="${CHART.left}" y2="${axisBottom}" />
+      <text class="label" x="${CHART.left - 6}" y="${CHART.top + 4}" text-anchor="end">${escapeHtml(formatValue(yMax, chart.unit))}</text>
+      <text class="label" x="${CHART.left - 6}" y="${axisBottom}" text-anchor="end">0</text>
+      <text class="label" x="${CHART.left}" y="${CHART.height - 12}">${escapeHtml(firstDate)}</text>
+      <text class="label" x="${CHART.width - CHART.right}" y="${CHART.height - 12}" text-anchor="end">${escapeHtml(lastDate)}</text>
+      <polyline class="line" points="${line}" />${dots}
+    </svg>`;
+}
+
+/**
+ * Generates the HTML trend page for one series
+ *
+ * @param {Object} series - Trend series from buildTrendSeries
+ * @returns {string} - Self-contained HTML document
+ *
+ * @example
+ * const html = generateTrendReport(series[0]);
+ */
+export function generateTrendReport(series) {
+  const sections = CHARTS
+    .map(chart => ({ chart, svg: renderTrendChart(chart, series.points) }))
+    .filter(({ svg }) => svg !== '')
+    .map(({ chart, svg }) => `
+  <section>
+    <h2>${escapeHtml(chart.title)}</h2>${svg}
+  </section>`)
+    .join('\n');
+
+  const first = series.points[0]?.timestamp || '';
+  const last = series.points[series.points.length - 1]?.timestamp || '';
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Trends - ${escapeHtml(series.key)} (${escapeHtml(series.device)})</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      max-width: 800px;
+      margin: 40px auto;
+      padding: 0 20px;
+      background: #f5f5f5;
+      color: #212121;
+    }
+    h1 {
+      word-break: break-all;
+      margin-bottom: 5px;
+    }
+    .meta {
+      color: #666;
+      margin-bottom: 30px;
+    }
+    section {
+      background: white;
+      border-radius: 8px;
+      padding: 20px;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+    }
+    h2 {
+      font-size: 16px;
+      margin: 0 0 10px;
+    }
+    svg { width: 100%; height: auto; }
+    .band.good { fill: #0c7c3f; fill-opacity: 0.10; }
+    .band.needs-improvement { fill: #c77700; fill-opacity: 0.10; }
+    .band.poor { fill: #d32f2f; fill-opacity: 0.10; }
+    .axis { stroke: #999; stroke-width: 1; }
+    .label { fill: #666; font-size: 11px; }
+    .line { fill: none; stroke: #1a73e8; stroke-width: 2; }
+    circle { fill: #1a73e8; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(series.key)}</h1>
+  <div class="meta">
+    Device: ${escapeHtml(series.device)} ·
+    Throttling: ${escapeHtml(series.throttling ? `${series.throttling.profile} (${series.throttling.method})` : 'default')} ·
+    ${series.points.length} data point${series.points.length === 1 ? '' : 's'}${series.groupBy === 'domain' ? ' (daily average)' : ''} ·
+    ${escapeHtml(first.slice(0, 10))} → ${escapeHtml(last.slice(0, 10))}
+  </div>
+${sections}
+</body>
+</html>
+  `;
+
+  return html.trim();
+}
+
+/**
+ * Builds a filesystem-safe filename for a trend series
+ *
+ * @param {Object} series - Trend series
+ * @returns {string} - Filename in format trend_{key}_{device}.html, with the throttling
+ *   profile and method appended unless the default profile was simulated
+ *
+ * @example
+ * getTrendFilename({ key: 'https://example.com/about', device: 'mobile' })
+ * // returns 'trend_example.com-about_mobile.html'
+ * getTrendFilename({ key: 'https://example.com', device: 'mobile', throttling: { profile: 'slow-4g', method: 'devtools' } })
+ * // returns 'trend_example.com_mobile_slow-4g-devtools.html'
+ */
+export function getTrendFilename(series) {
+  const key = series.key
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-zA-Z0-9.-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100);
+
+  const { profile = 'default', method = 'simulate' } = series.throttling || {};
+  const throttling = profile === 'default' && method === 'simulate'
+    ? ''
+    : `_${profile.replace(/[^a-zA-Z0-9.-]+/g, '-')}${method === 'simulate' ? '' : `-${method}`}`;
+
+  return `trend_${key}_${series.device}${throttling}.html`;
+}
+
+/**
+ * Generates and saves one trend page per series
+ *
+ * @param {Array<Object>} seriesList - Trend series from buildTrendSeries
+ * @param {string} outputDir - Directory to save the pages (e.g., './reports/trends')
+ * @returns {Promise<string[]>} - Full paths to the saved files
+ *
+ * @example
+ * const files = await generateAndSaveTrendReports(series, './reports/trends');
+ */
+export async function generateAndSaveTrendReports(seriesList, outputDir) {
+  const filePaths = [];
+
+  // Sequential writes keep memory flat for large data directories
+  for (const series of seriesList) {
+    const html = generateTrendReport(series);
+    filePaths.push(await saveReport(html, outputDir, getTrendFilename(series)));
+  }
+
+  return filePaths;
+}
@@ -0,0 +1,250 @@
+/**
+ * Worker Pool Service
+ *
+ * Keeps a pool of long-lived Lighthouse workers, each with its own Chrome,
+ * so a batch does not pay Chrome's startup cost for every URL.
+ *
+ * Key features:
+ * - Pool size matches --concurrency; workers are started on demand
+ * - Each worker is recycled after a number of audits to keep Chrome's memory in check
+ * - Crashed or timed-out workers are replaced, and their Chrome is killed by pid
+ * - Every audit runs in a fresh browser context inside the worker
+ */
+
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Default number of audits a worker runs before its Chrome is replaced
+ */
+export const DEFAULT_RECYCLE_AFTER = 25;
+
+/**
+ * Time a retiring worker gets to close Chrome before it is terminated
+ */
+const SHUTDOWN_GRACE_MS = 5000;
+
+/**
+ * Creates a pool of Lighthouse workers
+ *
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.size=3] - Maximum number of workers (and Chrome instances)
+ * @param {number} [options.recycleAfter=DEFAULT_RECYCLE_AFTER] - Audits per worker before it is replaced
+ * @param {string} [options.workerPath] - Worker script (defaults to workers/lighthouse-worker.js)
+ * @returns {Object} - Pool: { run(url, options, timeoutMs), destroy(), getStats() }
+ *
+ * @example
+ * const pool = createWorkerPool({ size: 3 });
+ * const result = await pool.run('https://example.com', { device: 'mobile' }, 70000);
+ * await pool.destroy();
+ */
+export function createWorkerPool(options = {}) {
+  const {
+    size = 3,
+    recycleAfter = DEFAULT_RECYCLE_AFTER,
+    workerPath = join(__dirname, '../workers/lighthouse-worker.js')
+  } = options;
+
+  const slots = [];
+  const queue = [];
+  const exits = new Set();
+  const stats = { started: 0, recycled: 0, crashed: 0 };
+  let nextId = 1;
+  let destroyed = false;
+
+  /**
+   * Kills the Chrome a worker launched (terminating a worker does not)
+   */
+  function killChrome(slot) {
+    if (slot.chromePid) {
+      try {
+        process.kill(slot.chromePid, 'SIGKILL');
+      } catch {
+        // Chrome already exited
+      }
+      slot.chromePid = null;
+    }
+  }
+
+  /**
+   * Removes a slot from the pool so no new audits are assigned to it
+   */
+  function removeSlot(slot) {
+    const index = slots.indexOf(slot);
+    if (index !== -1) {
+      slots.splice(index, 1);
+    }
+  }
+
+  /**
+   * Settles the slot's current task and clears its timer
+   */
+  function finishTask(slot, settle) {
+    const task = slot.task;
+    slot.task = null;
+    if (task) {
+      clearTimeout(task.timeoutId);
+      settle(task);
+    }
+  }
+
+  /**
+   * Starts a worker and wires its events
+   */
+  function spawn() {
+    const slot = { worker: new Worker(workerPath), chromePid: null, audits: 0, task: null, retired: false };
+    stats.started++;
+
+    // Resolves once the worker thread has exited, so destroy() can wait for it
+    const exited = new Promise(resolve => slot.worker.once('exit', resolve));
+    exits.add(exited);
+    exited.then(() => exits.delete(exited));
+
+    slot.worker.on('message', (message) => {
+      if (message.type === 'chrome') {
+        slot.chromePid = message.pid;
+      } else if (message.type === 'result' && slot.task?.id === message.id) {
+        slot.audits++;
+        finishTask(slot, task => task.resolve(message.result));
+
+        if (slot.audits >= recycleAfter) {
+          stats.recycled++;
+          retire(slot);
+        }
+        dispatch();
+      }
+    });
+
+    slot.worker.on('error', (error) => replace(slot, new Error(`Worker error: ${error.message}`)));
+    slot.worker.on('exit', (code) => {
+      if (!slot.retired) {
+        replace(slot, new Error(`Worker exited with code ${code}`));
+      }
+    });
+
+    slots.push(slot);
+    return slot;
+  }
+
+  /**
+   * Shuts a worker down gracefully, terminating it if it does not exit in time
+   */
+  function retire(slot) {
+    if (slot.retired) {
+      return;
+    }
+    slot.retired = true;
+    removeSlot(slot);
+
+    const forceTimer = setTimeout(() => {
+      killChrome(slot);
+      slot.worker.terminate();
+    }, SHUTDOWN_GRACE_MS);
+    forceTimer.unref();
+    slot.worker.once('exit', () => clearTimeout(forceTimer));
+
+    slot.worker.postMessage({ type: 'shutdown' });
+  }
+
+  /**
+   * Drops a crashed or stuck worker, failing its current audit
+   */
+  function replace(slot, error) {
+    if (slot.retired) {
+      return;
+    }
+    slot.retired = true;
+    stats.crashed++;
+    removeSlot(slot);
+    killChrome(slot);
+    slot.worker.terminate();
+
+    finishTask(slot, task => task.reject(error));
+    dispatch();
+  }
+
+  /**
+   * Assigns queued audits to idle workers, starting workers up to the pool size
+   */
+  function dispatch() {
+    while (queue.length > 0 && !destroyed) {
+      const slot = slots.find(s => !s.task) || (slots.length < size ? spawn() : null);
+      if (!slot) {
+        return;
+      }
+
+      const task = queue.shift();
+      slot.task = task;
+      task.timeoutId = setTimeout(() => {
+        replace(slot, new Error(`Worker timeout after ${Math.round(task.timeoutMs / 1000)}s`));
+      }, task.timeoutMs);
+
+      slot.worker.postMessage({ type: 'audit', id: task.id, url: task.url, options: task.options });
+    }
+  }
+
+  return {
+    /**
+     * Runs one audit on the next free worker
+     *
+     * @param {string} url - URL to audit
+     * @param {Object} auditOptions - Worker options (must be structured-cloneable)
+     * @param {number} timeoutMs - Time after which the worker is considered stuck
+     * @returns {Promise<Object>} - Worker result ({ success, ... })
+     */
+    run(url, auditOptions, timeoutMs) {
+      if (destroyed) {
+        return Promise.reject(new Error('Worker pool has been destroyed'));
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, url, options: auditOptions, timeoutMs, resolve, reject });
+        dispatch();
+      });
+    },
+
+    /**
+     * Stops every worker and its Chrome; queued and running audits are rejected
+     *
+     * @param {Object} [destroyOptions] - Destroy options
+     * @param {boolean} [destroyOptions.force=false] - Kill Chrome and terminate workers immediately
+     *   instead of letting them close Chrome (used when a run is cancelled mid-audit)
+     * @returns {Promise<void>} - Resolves when all workers have exited
+     */
+    async destroy({ force = false } = {}) {
+      destroyed = true;
+
+      for (const task of queue.splice(0)) {
+        task.reject(new Error('Worker pool has been destroyed'));
+      }
+
+      for (const slot of [...slots]) {
+        finishTask(slot, task => task.reject(new Error('Worker pool has been destroyed')));
+
+        if (force) {
+          slot.retired = true;
+          removeSlot(slot);
+          killChrome(slot);
+          slot.worker.terminate();
+        } else {
+          retire(slot);
+        }
+      }
+
+      await Promise.all([...exits]);
+    },
+
+    /**
+     * Returns pool counters: workers started, recycled and crashed
+     *
+     * @returns {Object} - { started, recycled, crashed, active }
+     */
+    getStats() {
+      return { ...stats, active: slots.length };
+    }
+  };
+}
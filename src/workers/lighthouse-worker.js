@@ -1,71 +1,154 @@
 /**
  * Lighthouse Worker Script
  *
- * Worker Thread script for parallel Lighthouse audit execution.
+ * Long-lived Worker Thread that runs Lighthouse audits for the worker pool.
  * Isolates Lighthouse execution to prevent blocking the main thread.
- * Enables concurrent processing of multiple URLs.
+ * Each worker keeps one Chrome instance across audits and gives every audit
+ * a fresh browser context, so cookies, storage and cache never leak between URLs.
+ *
+ * Message protocol (see services/worker-pool.js):
+ * - parent → worker: { type: 'audit', id, url, options } | { type: 'shutdown' }
+ * - worker → parent: { type: 'chrome', pid } | { type: 'result', id, result }
  *
  * This file is executed as a Worker Thread, not imported directly.
  */
 
-import { parentPort, workerData } from 'worker_threads';
+import { parentPort } from 'worker_threads';
 import lighthouse from 'lighthouse';
+import puppeteer from 'puppeteer-core';
 import * as chromeLauncher from 'chrome-launcher';
 import { extractMetricsFromLHR, extractExtendedMetricsFromLHR } from '../models/metrics.js';
+import { userAgents } from 'lighthouse/core/config/constants.js';
+import { getThrottlingSettings } from '../models/throttling.js';
+import { resolveDeviceProfile } from '../models/device.js';
+import { prepareAuthenticatedPage } from '../services/authentication.js';
+import { loadLighthouseConfig, getCategoryFlags } from '../services/lighthouse-config.js';
+import { collectSecrets, redactLhr, redactText } from '../lib/redact.js';
+
+let chrome = null;
+let browser = null;
+
+/**
+ * Returns a connected browser, launching Chrome if needed
+ * A Chrome that crashed or disconnected is replaced on the next audit
+ *
+ * @returns {Promise<Object>} - Puppeteer browser
+ */
+async function ensureBrowser() {
+  if (browser?.connected) {
+    return browser;
+  }
+
+  await closeChrome();
+
+  // Launch Chrome
+  chrome = await chromeLauncher.launch({
+    chromeFlags: ['--headless', '--disable-gpu', '--no-sandbox']
+  });
+
+  // The pool kills this pid if the worker itself has to be terminated
+  parentPort.postMessage({ type: 'chrome', pid: chrome.pid });
+
+  browser = await puppeteer.connect({ browserURL: `http://127.0.0.1:${chrome.port}`, defaultViewport: null });
+  return browser;
+}
+
+/**
+ * Disconnects Puppeteer and kills Chrome, ignoring cleanup errors
+ */
+async function closeChrome() {
+  if (browser) {
+    try {
+      await browser.disconnect();
+    } catch (disconnectError) {
+      // Ignore cleanup errors - Chrome is about to be killed
+    }
+    browser = null;
+  }
+
+  if (chrome) {
+    try {
+      await chrome.kill();
+    } catch (killError) {
+      // Ignore cleanup errors - Chrome may already be gone
+    }
+    chrome = null;
+  }
+}
 
 /**
- * Executes a Lighthouse audit in a worker thread
- * Receives URL and options via workerData
- * Posts result back to parent thread
+ * Executes one Lighthouse audit in a fresh browser context
+ *
+ * @param {string} url - URL to audit
+ * @param {Object} options - Audit options (device, emulation, timeout, throttling, lighthouseSettings, auth);
+ *   emulation is the device profile from resolveDeviceProfile,
+ *   throttling holds the applied settings from getThrottlingSettings and
+ *   lighthouseSettings the categories, audits and config file to run
+ * @returns {Promise<Object>} - Result posted back to the parent thread
  */
-async function runAuditInWorker() {
-  const { url, options = {} } = workerData;
-  let chrome = null;
+async function runAudit(url, options = {}) {
+  const auth = options.auth || {};
+  const secrets = collectSecrets(auth);
+  let context = null;
 
   try {
-    // Launch Chrome
-    chrome = await chromeLauncher.launch({
-      chromeFlags: ['--headless', '--disable-gpu', '--no-sandbox']
-    });
+    const connectedBrowser = await ensureBrowser();
+    context = await connectedBrowser.createBrowserContext();
+    const page = await context.newPage();
+    const emulation = options.emulation || resolveDeviceProfile(options.device || 'mobile');
+    const { profile, method, ...throttling } = options.throttling || getThrottlingSettings(null, emulation);
+    const lighthouseSettings = options.lighthouseSettings || {};
+    const config = lighthouseSettings.configPath ? await loadLighthouseConfig(lighthouseSettings.configPath) : undefined;
 
     // Configure Lighthouse options
     const lighthouseOptions = {
-      port: chrome.port,
-      // Feature 002: Extract all four categories for full WCV support
-      onlyCategories: ['performance', 'accessibility', 'seo', 'best-practices'],
-      formFactor: options.device || 'mobile',
+      // Feature 002: all four categories unless --categories, --only-audits/--skip-audits or a custom config choose
+      ...getCategoryFlags(lighthouseSettings),
+      // Device profile chosen with --device (see models/device.js)
+      formFactor: emulation.formFactor,
       screenEmulation: {
-        mobile: options.device !== 'desktop',
-        width: options.device === 'desktop' ? 1350 : 375,
-        height: options.device === 'desktop' ? 940 : 667,
-        deviceScaleFactor: options.device === 'desktop' ? 1 : 2.625,
+        mobile: emulation.mobile,
+        width: emulation.width,
+        height: emulation.height,
+        deviceScaleFactor: emulation.deviceScaleFactor,
         disabled: false
       },
-      throttling: {
-        rttMs: 40,
-        throughputKbps: 10 * 1024,
-        cpuSlowdownMultiplier: options.device === 'desktop' ? 1 : 4,
-        requestLatencyMs: 0,
-        downloadThroughputKbps: 0,
-        uploadThroughputKbps: 0
-      },
+      emulatedUserAgent: emulation.userAgent || userAgents[emulation.formFactor],
+      // Throttling profile chosen in the config or with --throttling (see models/throttling.js)
+      throttlingMethod: method,
+      throttling,
       // Timeout configuration (T020)
       maxWaitForLoad: (options.timeout || 60) * 1000
     };
 
+    if (auth.headers && Object.keys(auth.headers).length > 0) {
+      lighthouseOptions.extraHeaders = auth.headers;
+    }
+
+    // Cookies and login scripts prepare the page before Lighthouse navigates
+    if (auth.cookies?.length > 0 || auth.loginScript) {
+      await prepareAuthenticatedPage(page, { ...auth, url, browser: connectedBrowser });
+
+      // Keep the session cookies and storage set up above
+      lighthouseOptions.disableStorageReset = true;
+    }
+
     const startTime = Date.now();
 
     // Run Lighthouse audit
-    const result = await lighthouse(url, lighthouseOptions);
+    const result = await lighthouse(url, lighthouseOptions, config, page);
 
     const endTime = Date.now();
     const auditDuration = endTime - startTime;
 
+    // Credentials never leave the worker: reports, data and metrics (element snippets, URLs) use this LHR
+    const lhr = redactLhr(result.lhr, secrets);
+
     // Extract core metrics from LHR
-    const coreMetrics = extractMetricsFromLHR(result.lhr);
+    const coreMetrics = extractMetricsFromLHR(lhr);
 
-    // Extract extended metrics (all four categories) from LHR (Feature 002)
-    const extendedMetrics = extractExtendedMetricsFromLHR(result.lhr);
+    // Extract extended metrics (the categories that ran) from LHR (Feature 002)
+    const extendedMetrics = extractExtendedMetricsFromLHR(lhr);
 
     // Merge core and extended metrics
     const metrics = {
@@ -73,51 +156,44 @@ async function runAuditInWorker() {
       ...extendedMetrics
     };
 
-    // CRITICAL FIX #2: Post successful result BEFORE cleanup
-    parentPort.postMessage({
+    return {
       success: true,
-      url: result.lhr.finalUrl || url,
+      url: lhr.finalUrl || url,
       requestedUrl: url,
-      lhr: result.lhr,
+      lhr,
       metrics,
       auditDuration,
-      lighthouseVersion: result.lhr.lighthouseVersion
-    });
-
-    // Cleanup happens after message is sent (see below)
+      lighthouseVersion: lhr.lighthouseVersion
+    };
 
   } catch (error) {
-    // CRITICAL FIX #2: Post error message BEFORE cleanup to avoid race condition
-    parentPort.postMessage({
+    return {
       success: false,
       url,
       error: {
-        message: error.message,
+        message: redactText(error.message, secrets),
         code: error.code || 'UNKNOWN_ERROR',
-        stack: error.stack
+        stack: redactText(error.stack, secrets)
       }
-    });
-
-    // Cleanup Chrome after posting message
-    if (chrome) {
+    };
+  } finally {
+    // Closing the context discards its cookies, storage and cache
+    if (context) {
       try {
-        await chrome.kill();
-      } catch (killError) {
-        // Ignore cleanup errors - worker is terminating anyway
+        await context.close();
+      } catch (closeError) {
+        // Ignore cleanup errors - a crashed Chrome is replaced on the next audit
       }
     }
-    return; // Exit early to prevent finally block
-  }
-
-  // CRITICAL FIX #2: Cleanup Chrome only after successful message posting
-  if (chrome) {
-    try {
-      await chrome.kill();
-    } catch (killError) {
-      // Ignore cleanup errors in success case
-    }
   }
 }
 
-// Execute the audit when worker starts
-runAuditInWorker();
+parentPort.on('message', async (message) => {
+  if (message.type === 'audit') {
+    const result = await runAudit(message.url, message.options);
+    parentPort.postMessage({ type: 'result', id: message.id, result });
+  } else if (message.type === 'shutdown') {
+    await closeChrome();
+    process.exit(0);
+  }
+});
@@ -0,0 +1,38 @@
+/**
+ * Fake Lighthouse worker used by tests/test-worker-pool.js
+ * Speaks the worker pool protocol without launching Chrome: a `sleep` process
+ * stands in for Chrome so the test can check it is killed.
+ */
+
+import { parentPort, threadId } from 'worker_threads';
+import { spawn } from 'child_process';
+
+let fakeChrome = null;
+let audits = 0;
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'shutdown') {
+    fakeChrome?.kill('SIGKILL');
+    process.exit(0);
+  }
+
+  if (!fakeChrome) {
+    fakeChrome = spawn('sleep', ['60'], { stdio: 'ignore' });
+    parentPort.postMessage({ type: 'chrome', pid: fakeChrome.pid });
+  }
+
+  if (message.url.includes('crash')) {
+    process.exit(1);
+  }
+  if (message.url.includes('hang')) {
+    return;
+  }
+
+  audits++;
+  await new Promise(resolve => setTimeout(resolve, 20));
+  parentPort.postMessage({
+    type: 'result',
+    id: message.id,
+    result: { success: true, url: message.url, threadId, audits, chromePid: fakeChrome.pid }
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * Example login script used by tests/test-authentication.js
+ * Receives the Puppeteer page before Lighthouse audits the URL.
+ */
+export default async function login({ page, url }) {
+  await page.goto(new URL('/login', url).href);
+  await page.type('#email', 'user@example.com');
+  await page.type('#password', process.env.TEST_PASSWORD || 'correct-horse');
+  await Promise.all([page.waitForNavigation(), page.click('button[type=submit]')]);
+}
@@ -0,0 +1,118 @@
+/**
+ * Simple test script to verify authenticated audit options and secret redaction
+ * Run with: node tests/test-authentication.js
+ */
+
+import assert from 'assert/strict';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseHeaders, loadCookies, prepareAuthenticatedPage } from '../src/services/authentication.js';
+import { collectSecrets, redactLhr, redactText, REDACTED } from '../src/lib/redact.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Records the calls a login flow makes instead of driving a real browser
+function createFakePage() {
+  const calls = [];
+  const record = (name) => async (...args) => { calls.push([name, ...args]); };
+  return {
+    calls,
+    setExtraHTTPHeaders: record('setExtraHTTPHeaders'),
+    setCookie: record('setCookie'),
+    goto: record('goto'),
+    type: record('type'),
+    click: record('click'),
+    waitForNavigation: record('waitForNavigation')
+  };
+}
+
+async function testAuthentication() {
+  console.log('Testing authentication...\n');
+
+  try {
+    // Test 1: Header options
+    console.log('Test 1: Parses --header options');
+    assert.deepEqual(
+      parseHeaders(['Authorization: Bearer abc:123', 'X-Preview:1']),
+      { Authorization: 'Bearer abc:123', 'X-Preview': '1' }
+    );
+    assert.throws(() => parseHeaders(['no separator secret']), /"Name: value" format/);
+    assert.throws(() => parseHeaders(['no separator secret']), error => !error.message.includes('secret'));
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Cookie files
+    console.log('Test 2: Loads JSON and cookies.txt files');
+    const jsonCookies = loadCookies(join(__dirname, 'fixtures/cookies.json'));
+    assert.deepEqual(jsonCookies[0], {
+      name: 'session',
+      value: 's3cr3t-session-id',
+      domain: '.example.com',
+      path: '/',
+      secure: true,
+      httpOnly: true,
+      sameSite: 'None',
+      expires: 1893456000
+    });
+    assert.deepEqual(jsonCookies[1], { name: 'locale', value: 'en-GB' });
+
+    const txtCookies = loadCookies(join(__dirname, 'fixtures/cookies.txt'));
+    assert.equal(txtCookies.length, 2);
+    assert.equal(txtCookies[1].httpOnly, true);
+    assert.equal(txtCookies[1].path, '/cart');
+    assert.equal(txtCookies[0].expires, undefined, 'session cookie has no expiry');
+    assert.throws(() => loadCookies('/nonexistent/cookies.json'), /Cookie file not found/);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Page preparation and login script
+    console.log('Test 3: Prepares the page and runs the login script');
+    const page = createFakePage();
+    await prepareAuthenticatedPage(page, {
+      url: 'https://example.com/account',
+      headers: { 'X-Preview': '1' },
+      cookies: jsonCookies,
+      loginScript: join(__dirname, 'fixtures/login-script.js')
+    });
+    const callNames = page.calls.map(([name]) => name);
+    assert.deepEqual(callNames.slice(0, 3), ['setExtraHTTPHeaders', 'setCookie', 'goto']);
+    assert.equal(page.calls[1][2].url, 'https://example.com/account', 'cookie without domain is scoped to the URL');
+    assert.equal(page.calls[2][1], 'https://example.com/login');
+    assert.ok(callNames.includes('waitForNavigation'));
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Redaction
+    console.log('Test 4: Redacts secrets from results and messages');
+    const secrets = collectSecrets({
+      headers: { Authorization: 'Bearer abc123token', 'X-Preview': '1' },
+      cookies: jsonCookies
+    });
+    assert.ok(secrets.includes('abc123token'));
+    assert.ok(!secrets.includes('1'), 'short values are not treated as secrets');
+
+    const lhr = {
+      configSettings: { extraHeaders: { Authorization: 'Bearer abc123token', 'X-Preview': '1' } },
+      runWarnings: ['Request to https://example.com/?sid=s3cr3t-session-id was blocked'],
+      finalUrl: 'https://example.com/account'
+    };
+    const redacted = redactLhr(lhr, secrets);
+    assert.deepEqual(redacted.configSettings.extraHeaders, { Authorization: REDACTED, 'X-Preview': REDACTED });
+    assert.equal(redacted.runWarnings[0], `Request to https://example.com/?sid=${REDACTED} was blocked`);
+    assert.equal(redacted.finalUrl, lhr.finalUrl);
+    assert.equal(lhr.configSettings.extraHeaders.Authorization, 'Bearer abc123token', 'original is not mutated');
+    assert.equal(redactText('401 with token abc123token', secrets), `401 with token ${REDACTED}`);
+
+    const shortHeaders = { configSettings: { extraHeaders: { 'X-Env': 'qa', 'X-Key': 'k1' } }, finalUrl: 'https://example.com/' };
+    assert.deepEqual(collectSecrets({ headers: shortHeaders.configSettings.extraHeaders }), []);
+    assert.deepEqual(redactLhr(shortHeaders, []).configSettings.extraHeaders, { 'X-Env': REDACTED, 'X-Key': REDACTED },
+      'headers are redacted by name even without secrets to replace');
+    assert.equal(shortHeaders.configSettings.extraHeaders['X-Key'], 'k1', 'original is not mutated');
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exit(1);
+  }
+}
+
+testAuthentication();
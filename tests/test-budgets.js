@@ -0,0 +1,107 @@
+/**
+ * Simple test script to verify performance budgets
+ * Run with: node tests/test-budgets.js
+ */
+
+import assert from 'assert/strict';
+import { validateBudgets, validateBudgetReferences, resolveBudgetForUrl, checkBudgets, countBudgetedAudits } from '../src/models/budget.js';
+
+const budgets = [
+  { lcp: 2500, performance: 85, accessibility: 95 },
+  { match: '/checkout', lcp: 2000 }
+];
+
+const results = {
+  successful: [
+    {
+      url: 'https://shop.example.com/',
+      requestedUrl: 'https://shop.example.com/',
+      device: 'mobile',
+      metrics: { lcp: 2300, performanceScore: 90, accessibilityScore: 96 }
+    },
+    {
+      url: 'https://shop.example.com/checkout',
+      requestedUrl: 'https://shop.example.com/checkout',
+      device: 'mobile',
+      // accessibilityScore missing: category not run, so not a violation
+      metrics: { lcp: 2300, performanceScore: 80 }
+    }
+  ],
+  failed: []
+};
+
+function testBudgets() {
+  console.log('Testing performance budgets...\n');
+
+  try {
+    // Test 1: Validation
+    console.log('Test 1: Validates budget definitions');
+    validateBudgets(budgets);
+    assert.throws(() => validateBudgets({ lcp: 2500 }), /must be an array/);
+    assert.throws(() => validateBudgets([{ fcp: 1000 }]), /not a budgetable metric/);
+    assert.throws(() => validateBudgets([{ performance: 120 }]), /between 0 and 100/);
+    assert.throws(() => validateBudgets([{ match: '(' , lcp: 1 }]), /not a valid regular expression/);
+    assert.throws(() => validateBudgets([{ match: '/a' }]), /at least one limit/);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Pattern budgets override global limits
+    console.log('Test 2: Resolves limits per URL');
+    assert.equal(resolveBudgetForUrl('https://shop.example.com/', budgets).lcp.limit, 2500);
+    const checkoutLimits = resolveBudgetForUrl('https://shop.example.com/checkout', budgets);
+    assert.equal(checkoutLimits.lcp.limit, 2000);
+    assert.equal(checkoutLimits.performance.limit, 85);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Violations
+    console.log('Test 3: Reports each violated budget');
+    const failures = checkBudgets(results, budgets);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].url, 'https://shop.example.com/checkout');
+    assert.deepEqual(failures[0].violations.map(v => v.metric), ['lcp', 'performance']);
+    assert.equal(failures[0].violations[0].message, 'LCP 2300ms exceeds budget of 2000ms (match: /checkout)');
+    assert.equal(failures[0].violations[1].message, 'Performance score 80 is below budget of 85');
+    assert.deepEqual(checkBudgets(results, []), []);
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Named budgets only apply to rows that reference them
+    console.log('Test 4: Named budgets from the CSV budget column');
+    const named = [...budgets, { name: 'landing', lcp: 2000, performance: 95 }];
+    validateBudgets(named);
+    assert.throws(() => validateBudgets([{ name: 'a', lcp: 1 }, { name: 'a', lcp: 2 }]), /more than one budget/);
+    assert.equal(resolveBudgetForUrl('https://shop.example.com/', named).lcp.limit, 2500);
+    assert.equal(resolveBudgetForUrl('https://shop.example.com/', named, 'landing').lcp.limit, 2000);
+
+    const landingResults = {
+      successful: [{ ...results.successful[0], budget: 'landing' }],
+      failed: []
+    };
+    const landingFailures = checkBudgets(landingResults, named);
+    assert.deepEqual(landingFailures[0].violations.map(v => v.metric), ['lcp', 'performance']);
+    assert.equal(landingFailures[0].violations[0].message, 'LCP 2300ms exceeds budget of 2000ms (budget: landing)');
+
+    validateBudgetReferences([{ url: 'https://shop.example.com/', budget: 'landing' }], named);
+    assert.throws(
+      () => validateBudgetReferences([{ url: 'https://shop.example.com/', budget: 'missing' }], named),
+      /Budget "missing" .* is not defined.*Named budgets: landing/
+    );
+    console.log('✓ Test 4 passed\n');
+
+    // Test 5: Runs where no audit could be checked
+    console.log('Test 5: Counts the audits checked against a budget');
+    assert.equal(countBudgetedAudits(results, budgets), 2);
+    const allFailed = { successful: [], failed: [{ url: 'https://shop.example.com/', error: 'Chrome crashed' }] };
+    assert.deepEqual(checkBudgets(allFailed, budgets), []);
+    assert.equal(countBudgetedAudits(allFailed, budgets), 0, 'no violations does not mean budgets were met');
+    assert.equal(countBudgetedAudits({ successful: [{ ...results.successful[0], metrics: { seoScore: 90 } }] }, budgets), 0,
+      'audits that measured none of the budgeted metrics are not counted');
+    assert.equal(countBudgetedAudits(results, []), 0);
+    console.log('✓ Test 5 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exit(1);
+  }
+}
+
+testBudgets();
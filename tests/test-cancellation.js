@@ -0,0 +1,91 @@
+/**
+ * Simple test script to verify cancelling a batch keeps the finished results
+ * Run with: node tests/test-cancellation.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { orchestrateAudits } from '../src/services/audit-orchestrator.js';
+import { getCheckpointPath, loadCheckpoint } from '../src/services/checkpoint.js';
+import { createMetrics } from '../src/models/metrics.js';
+
+const TEST_DIR = './test-cancellation-output';
+const dataDir = `${TEST_DIR}/data`;
+const reportsDir = `${TEST_DIR}/reports`;
+
+// Fake audit that takes 200ms and stops early when the batch is cancelled
+function createSlowAudit() {
+  const started = [];
+  const audit = (url, options) => new Promise((resolve, reject) => {
+    started.push(url);
+    const timer = setTimeout(() => resolve({
+      success: true,
+      url,
+      requestedUrl: url,
+      reportPath: `${options.reportsDir}/report.html`,
+      metrics: createMetrics({ lcp: 1200, inp: 100, cls: 0.01, ttfb: 300, tbt: 50, performanceScore: 95 })
+    }), 200);
+
+    options.signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new Error('Worker pool has been destroyed'));
+    });
+  });
+  return { audit, started };
+}
+
+async function testCancellation() {
+  console.log('Testing batch cancellation...\n');
+
+  try {
+    const urls = [1, 2, 3, 4, 5, 6].map(page => `https://example.com/${page}`);
+
+    // Test 1: Aborting drops queued audits and stops running ones
+    console.log('Test 1: Cancels queued and running audits');
+    const controller = new AbortController();
+    const { audit, started } = createSlowAudit();
+    setTimeout(() => controller.abort(), 300);
+
+    const results = await orchestrateAudits(urls, audit, {
+      concurrency: 2, dataDir, reportsDir, runId: 'cancel-test', signal: controller.signal
+    });
+
+    assert.equal(started.length, 4, 'no audits start after cancelling');
+    assert.equal(results.summary.successful, 2);
+    assert.equal(results.summary.failed, 0, 'interrupted audits are not failures');
+    assert.equal(results.summary.cancelled, 4);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Finished audits are reported and can be resumed
+    console.log('Test 2: Writes the index and checkpoint for finished audits');
+    const html = await fs.readFile(results.summary.indexPath, 'utf-8');
+    assert.ok(html.includes('https://example.com/1'));
+    assert.ok(!html.includes('https://example.com/3'));
+
+    const checkpoint = loadCheckpoint(dataDir, 'cancel-test');
+    assert.equal(checkpoint.successful.length, 2);
+    assert.equal(checkpoint.failed.length, 0, 'cancelled audits are rerun on --resume');
+    assert.equal(checkpoint.urls.length, 6);
+    await fs.access(getCheckpointPath(dataDir, 'cancel-test'));
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: An already-aborted signal audits nothing
+    console.log('Test 3: Pre-aborted signal');
+    const idle = createSlowAudit();
+    const none = await orchestrateAudits(urls, idle.audit, {
+      concurrency: 2, reportsDir, signal: AbortSignal.abort()
+    });
+    assert.equal(idle.started.length, 0);
+    assert.equal(none.summary.cancelled, 6);
+    console.log('✓ Test 3 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testCancellation();
@@ -0,0 +1,117 @@
+/**
+ * Simple test script to verify run checkpoints and resuming interrupted runs
+ * Run with: node tests/test-checkpoint.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { orchestrateAudits } from '../src/services/audit-orchestrator.js';
+import { createRunId, getCheckpointPath, loadCheckpoint } from '../src/services/checkpoint.js';
+import { createMetrics } from '../src/models/metrics.js';
+
+const TEST_DIR = './test-checkpoint-output';
+const dataDir = `${TEST_DIR}/data`;
+const reportsDir = `${TEST_DIR}/reports`;
+
+const URLS = ['https://example.com/a', 'https://example.com/b', 'https://example.com/c', 'https://example.com/d'];
+
+// Fake audit function that records calls; URLs in `failing` fail, '/a' redirects
+function createFakeAudit(failing = []) {
+  const calls = [];
+  const audit = async (url, options) => {
+    calls.push(`${options.device} ${url}`);
+    if (failing.includes(url)) {
+      return { success: false, requestedUrl: url, error: { message: 'Navigation timeout' }, status: 'timeout' };
+    }
+
+    return {
+      success: true,
+      url: url.endsWith('/a') ? `${url}/` : url,
+      requestedUrl: url,
+      reportPath: `${options.reportsDir}/report.html`,
+      lhr: { finalUrl: url },
+      metrics: createMetrics({ lcp: 1200, inp: 100, cls: 0.01, ttfb: 300, tbt: 50, performanceScore: 95 })
+    };
+  };
+  return { audit, calls };
+}
+
+async function testCheckpoint() {
+  console.log('Testing run checkpoints...\n');
+
+  try {
+    // Test 1: Run IDs
+    console.log('Test 1: Creates run IDs usable as file names');
+    const runId = createRunId(new Date('2025-10-22T14:30:52Z'));
+    assert.match(runId, /^20251022-143052-[0-9a-f]{6}$/);
+    assert.notEqual(createRunId(), createRunId());
+    assert.throws(() => getCheckpointPath(dataDir, '../escape'), /Invalid run ID/);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Each completed audit is appended to the checkpoint
+    console.log('Test 2: Writes a JSONL checkpoint as audits complete');
+    const first = createFakeAudit(['https://example.com/c']);
+    const entries = URLS.map(url => ({ url, ...(url.endsWith('/b') && { label: 'Bee' }) }));
+    await orchestrateAudits(entries, first.audit, {
+      concurrency: 2, dataDir, reportsDir, runId, runs: 2, devices: ['mobile', 'desktop']
+    });
+
+    const lines = (await fs.readFile(getCheckpointPath(dataDir, runId), 'utf-8')).trim().split('\n');
+    assert.equal(lines.length, 1 + URLS.length * 2, 'run record plus one line per audit');
+    assert.equal(JSON.parse(lines[0]).type, 'run');
+    assert.ok(!lines.some(line => line.includes('"lhr"')), 'Lighthouse results are not copied into the checkpoint');
+
+    const saved = loadCheckpoint(dataDir, runId);
+    assert.deepEqual(saved.urls, entries);
+    assert.deepEqual(saved.options.devices, ['mobile', 'desktop']);
+    assert.equal(saved.options.runs, 2);
+    assert.equal(saved.successful.length, 6);
+    assert.equal(saved.failed.length, 2);
+    assert.equal(saved.successful.find(result => result.url === 'https://example.com/a/').requestedUrl, 'https://example.com/a');
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Interrupted run - simulate a kill mid-write and a missing audit
+    console.log('Test 3: Tolerates a truncated checkpoint');
+    const checkpointPath = getCheckpointPath(dataDir, runId);
+    const kept = lines.filter(line => !line.includes('"url":"https://example.com/d","device":"desktop"'));
+    await fs.writeFile(checkpointPath, kept.join('\n') + '\n{"type":"result","url":"https://exa');
+    const interrupted = loadCheckpoint(dataDir, runId);
+    assert.equal(interrupted.successful.length, 5);
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Resume skips successful audits and retries failed or missing ones
+    console.log('Test 4: Resumes failed and missing audits only');
+    const second = createFakeAudit();
+    const resumed = await orchestrateAudits(interrupted.urls, second.audit, {
+      concurrency: 2, dataDir, reportsDir, runId, devices: ['mobile', 'desktop'],
+      previousResults: interrupted.successful
+    });
+    assert.deepEqual(second.calls.sort(), [
+      'desktop https://example.com/c',
+      'desktop https://example.com/d',
+      'mobile https://example.com/c'
+    ]);
+    assert.equal(resumed.summary.successful, 8, 'summary combines old and new results');
+    assert.equal(resumed.summary.failed, 0);
+    assert.equal(resumed.successful.find(result => result.requestedUrl === 'https://example.com/b').label, 'Bee');
+
+    const final = loadCheckpoint(dataDir, runId);
+    assert.equal(final.successful.length, 8, 'retried audits replace earlier failures');
+    assert.equal(final.failed.length, 0);
+    console.log('✓ Test 4 passed\n');
+
+    // Test 5: Unknown runs
+    console.log('Test 5: Reports missing checkpoints');
+    assert.throws(() => loadCheckpoint(dataDir, 'no-such-run'), /No checkpoint found for run no-such-run/);
+    console.log('✓ Test 5 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testCheckpoint();
@@ -0,0 +1,110 @@
+/**
+ * Simple test script to verify the config model (CLI > config file > defaults)
+ * Run with: node tests/test-config.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import {
+  createConfig,
+  parseCliOptions,
+  parseDevices,
+  getConfigSummary,
+  loadConfigFile,
+  DEFAULT_CONFIG
+} from '../src/models/config.js';
+
+const TEST_DIR = './test-config-output';
+const configPath = `${TEST_DIR}/.kindbeaconrc.json`;
+
+async function testConfig() {
+  console.log('Testing config model...\n');
+
+  try {
+    await fs.mkdir(TEST_DIR, { recursive: true });
+    await fs.writeFile(configPath, JSON.stringify({
+      concurrency: 5,
+      timeout: 90,
+      device: 'both',
+      headers: { 'X-Preview': '1', Authorization: 'Bearer file-token' },
+      throttling: { rttMs: 150, cpuSlowdownMultiplier: 6 },
+      limit: 20,
+      budgets: [{ lcp: 2500 }]
+    }));
+
+    // Test 1: CLI options are typed and only include what was given
+    console.log('Test 1: Parses CLI options');
+    const cli = parseCliOptions({
+      concurrency: '2',
+      runs: '3',
+      device: 'Desktop',
+      header: ['Authorization: Bearer cli-token'],
+      sample: '5',
+      json: true
+    });
+    assert.deepEqual(cli, {
+      concurrency: 2,
+      runs: 3,
+      device: 'desktop',
+      headers: { Authorization: 'Bearer cli-token' },
+      sample: 5,
+      outputFormats: ['json']
+    });
+    assert.throws(() => parseCliOptions({ timeout: 'soon' }), /Invalid timeout value: soon/);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Precedence
+    console.log('Test 2: CLI > config file > defaults');
+    const config = createConfig(cli, configPath);
+    assert.equal(config.concurrency, 2, 'CLI wins');
+    assert.equal(config.timeout, 90, 'file beats default');
+    assert.equal(config.recycleAfter, DEFAULT_CONFIG.recycleAfter, 'default fills the rest');
+    assert.equal(config.device, 'desktop');
+    assert.deepEqual(config.headers, { 'X-Preview': '1', Authorization: 'Bearer cli-token' }, 'headers are merged');
+    assert.deepEqual(config.throttling, { rttMs: 150, cpuSlowdownMultiplier: 6 });
+    assert.equal(config.sample, 5);
+    assert.equal(config.limit, null, '--sample replaces the file limit');
+    assert.deepEqual(config.outputFormats, ['json']);
+    assert.equal(config.budgets.length, 1);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Validation
+    console.log('Test 3: Rejects invalid configs');
+    const invalid = async (fileConfig, pattern) => {
+      await fs.writeFile(configPath, JSON.stringify(fileConfig));
+      assert.throws(() => createConfig({}, configPath), pattern);
+    };
+    await invalid({ concurency: 4 }, /Unknown config option: concurency/);
+    await invalid({ concurrency: 11 }, /concurrency must be between 1 and 10/);
+    await invalid({ device: 'tablet' }, /device must be/);
+    await invalid({ throttling: { rtt: 40 } }, /Unknown throttling setting: rtt/);
+    await invalid({ outputFormats: ['pdf'] }, /outputFormats must be a list of: json/);
+    await invalid({ include: '(' }, /include is not a valid regular expression/);
+    await invalid({ limit: 5, sample: 5 }, /either limit or sample/);
+    await invalid({ budgets: [{ lcp: 'fast' }] }, /budgets\[0\]/);
+    assert.throws(() => createConfig({}, `${TEST_DIR}/missing.json`), /Config file not found/);
+    await fs.writeFile(configPath, '{ not json');
+    assert.throws(() => loadConfigFile(configPath), /Invalid config file/);
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Devices and summary
+    console.log('Test 4: Devices and effective config summary');
+    assert.deepEqual(parseDevices('both'), ['mobile', 'desktop']);
+    assert.deepEqual(parseDevices(['desktop', 'mobile', 'desktop']), ['desktop', 'mobile']);
+    const summary = getConfigSummary(config);
+    assert.equal(summary['Headers'], 'X-Preview, Authorization');
+    assert.ok(!JSON.stringify(summary).includes('cli-token'), 'header values are hidden');
+    assert.equal(summary['Output Formats'], 'html, json');
+    assert.equal(summary['Limit'], 'random sample of 5');
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testConfig();
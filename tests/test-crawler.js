@@ -0,0 +1,150 @@
+/**
+ * Simple test script to verify the same-origin crawler
+ * Run with: node tests/test-crawler.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import { normalizeUrl, extractLinks, parseRobotsTxt, isAllowedByRobots, crawlSite } from '../src/services/crawler.js';
+import { readCsv, writeUrlsCsv } from '../src/services/csv-reader.js';
+
+const TEST_CSV = './test-crawler-output/urls.csv';
+
+// Small site: / -> /about, /blog (-> /blog/post -> /blog/deep), /private (disallowed), external link
+function startSiteServer() {
+  const page = (links) => `<!DOCTYPE html><html><body>${links.map(href => `<a href="${href}">link</a>`).join('\n')}</body></html>`;
+  const pages = {
+    '/': page(['/about', '/about#team', '/blog?utm_source=nav', '/private/admin', 'https://other.example.org/', '/logo.png', 'mailto:hi@example.com']),
+    '/about': page(['/', '/missing', '/moved']),
+    '/blog': page(['/blog/post']),
+    '/blog/post': page(['/blog/deep']),
+    '/blog/deep': page([]),
+    '/private/admin': page([]),
+    '/private/archive': page(['/private/admin'])
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.url === '/robots.txt') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('User-agent: *\nDisallow: /private\n');
+      return;
+    }
+    if (req.url === '/cut') {
+      // Headers arrive, then the connection drops mid-body
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': '1000' });
+      res.write('<!DOCTYPE html><html><body><a href="/about">');
+      setTimeout(() => res.socket.destroy(), 50);
+      return;
+    }
+    if (req.url === '/moved') {
+      res.writeHead(301, { Location: '/private/archive' });
+      res.end();
+      return;
+    }
+    const html = pages[req.url.split('?')[0]];
+    if (!html) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Another host that redirects every request to the site, like example.com -> www.example.com
+function startRedirectServer(target) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(301, { Location: `${target}${req.url}` });
+    res.end();
+  });
+  return new Promise(resolve => server.listen(0, 'localhost', () => resolve(server)));
+}
+
+async function testCrawler() {
+  console.log('Testing crawler...\n');
+  const server = await startSiteServer();
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    // Test 1: URL normalization
+    console.log('Test 1: Normalizes URLs');
+    assert.equal(normalizeUrl('/about/?utm_source=x#team', 'https://Example.com:443/'), 'https://example.com/about/');
+    assert.equal(normalizeUrl('?b=2&a=1', 'https://example.com/list'), 'https://example.com/list?a=1&b=2');
+    assert.equal(normalizeUrl('javascript:void(0)', 'https://example.com/'), null);
+    assert.deepEqual(
+      extractLinks('<base href="/docs/"><a href=intro>x</a><a rel="nofollow" href="/skip">y</a>', 'https://example.com/'),
+      ['https://example.com/docs/intro']
+    );
+    assert.deepEqual(
+      extractLinks('<base href="http://["><a href="/about">x</a>', 'https://example.com/'),
+      ['https://example.com/about'],
+      'a malformed <base href> falls back to the page URL'
+    );
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: robots.txt
+    console.log('Test 2: Applies robots.txt rules');
+    const rules = parseRobotsTxt('User-agent: googlebot\nDisallow: /\n\nUser-agent: *\nDisallow: /admin\nAllow: /admin/public\nDisallow: /*.pdf$\n');
+    assert.equal(isAllowedByRobots('/admin/users', rules), false);
+    assert.equal(isAllowedByRobots('/admin/public/page', rules), true);
+    assert.equal(isAllowedByRobots('/files/report.pdf', rules), false);
+    assert.equal(isAllowedByRobots('/files/report.pdf?download=1', rules), true);
+    assert.equal(isAllowedByRobots('/', rules), true);
+    assert.deepEqual(parseRobotsTxt('User-agent: kind-beacon\nDisallow: /x\n'), [{ allow: false, path: '/x' }]);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Crawl respects depth, origin, dedup and robots
+    console.log('Test 3: Crawls the same origin');
+    const { urls, metadata } = await crawlSite(`${base}/`, { maxDepth: 2 });
+    assert.deepEqual(urls, [`${base}/`, `${base}/about`, `${base}/blog`, `${base}/blog/post`]);
+    assert.equal(metadata.skippedByRobots, 2, 'a redirect into a disallowed path is skipped too');
+    assert.equal(metadata.failed.length, 1, '/missing returns 404');
+
+    const limited = await crawlSite(`${base}/`, { maxDepth: 5, maxPages: 2 });
+    assert.equal(limited.urls.length, 2);
+
+    const ignoringRobots = await crawlSite(`${base}/`, { maxDepth: 1, respectRobots: false });
+    assert.ok(ignoringRobots.urls.includes(`${base}/private/admin`));
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Discovered URLs round-trip through CSV
+    console.log('Test 4: Writes a CSV readCsv can read');
+    const csvPath = await writeUrlsCsv(urls, TEST_CSV);
+    const csvResult = await readCsv(csvPath);
+    assert.deepEqual(csvResult.urls, urls);
+    assert.equal(csvResult.metadata.urlColumn, 'url');
+    console.log('✓ Test 4 passed\n');
+
+    // Test 5: Redirected start page and broken bodies
+    console.log('Test 5: Follows the start page to its final origin and survives broken pages');
+    const redirectServer = await startRedirectServer(base);
+    try {
+      const redirected = await crawlSite(`http://localhost:${redirectServer.address().port}/`, { maxDepth: 1 });
+      assert.deepEqual(redirected.urls, [`${base}/`, `${base}/about`, `${base}/blog`]);
+      assert.equal(redirected.metadata.skippedByRobots, 1, "the final origin's robots.txt applies");
+      assert.deepEqual(redirected.metadata.failed, []);
+    } finally {
+      redirectServer.close();
+    }
+
+    const cut = await crawlSite(`${base}/cut`, { maxDepth: 1 });
+    assert.deepEqual(cut.urls, []);
+    assert.equal(cut.metadata.failed.length, 1);
+    assert.equal(cut.metadata.failed[0].url, `${base}/cut`);
+    console.log('✓ Test 5 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    await fs.rm('./test-crawler-output', { recursive: true, force: true });
+  }
+}
+
+testCrawler();
@@ -45,6 +45,29 @@ async function testCsvParsing() {
       console.log('✓ Test 3 passed\n');
     }
 
+    // Test 4: Per-row option columns
+    console.log('Test 4: Parsing with-options.csv');
+    const optionsPath = join(__dirname, 'fixtures/with-options.csv');
+    const result4 = await readCsv(optionsPath);
+    const [home, product, checkout, about] = result4.entries;
+
+    console.log('Entries:', result4.entries);
+    if (result4.urls.length !== 4 || home.label !== 'home' || home.devices) {
+      throw new Error('Rows without option values should only carry their label');
+    }
+    if (product.devices.join() !== 'desktop' || product.timeout !== 90 || product.runs !== 3 ||
+        product.tags.join() !== 'shop,catalog') {
+      throw new Error('Row options were not parsed');
+    }
+    if (checkout.devices.join() !== 'mobile,desktop' || checkout.budget !== 'checkout' ||
+        checkout.tags.join() !== 'shop,funnel') {
+      throw new Error('device "both", tags with | and budget name were not parsed');
+    }
+    if (about.devices || about.timeout || about.runs) {
+      throw new Error('Invalid row options should be ignored');
+    }
+    console.log('✓ Test 4 passed\n');
+
     console.log('All tests passed!');
 
   } catch (error) {
@@ -0,0 +1,111 @@
+/**
+ * Simple test script to verify custom device emulation profiles
+ * Run with: node tests/test-devices.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { resolveDeviceProfile, getDeviceNames } from '../src/models/device.js';
+import { createConfig, parseDevices, getConfigSummary } from '../src/models/config.js';
+import { createAudit } from '../src/models/audit.js';
+import { getThrottlingSettings } from '../src/models/throttling.js';
+import { generateReportFilename, parseFilename } from '../src/lib/file-namer.js';
+import { saveAuditData, listAuditDataFiles } from '../src/services/data-storage.js';
+import { extractOptionsFromRow } from '../src/services/csv-reader.js';
+import { validateAuditOptions } from '../src/services/lighthouse-runner.js';
+
+const TEST_DIR = './test-devices-output';
+const configPath = `${TEST_DIR}/.kindbeaconrc.json`;
+
+const PROFILES = {
+  tablet: { mobile: true, width: 820, height: 1180, deviceScaleFactor: 2, cpuSlowdownMultiplier: 2 },
+  'low-end-android': { extends: 'mobile', width: 360, height: 640, cpuSlowdownMultiplier: 6 },
+  'large-desktop': { mobile: false, width: 2560, height: 1440, userAgent: 'Mozilla/5.0 (X11; Linux x86_64) KindBeacon' }
+};
+
+async function testDevices() {
+  console.log('Testing device profiles...\n');
+
+  try {
+    await fs.mkdir(TEST_DIR, { recursive: true });
+
+    // Test 1: Built-in and custom profiles
+    console.log('Test 1: Resolves device profiles');
+    assert.deepEqual(resolveDeviceProfile('desktop'), {
+      name: 'desktop', formFactor: 'desktop', mobile: false, width: 1350, height: 940,
+      deviceScaleFactor: 1, userAgent: null, cpuSlowdownMultiplier: 1
+    });
+    const lowEnd = resolveDeviceProfile('low-end-android', PROFILES);
+    assert.equal(lowEnd.formFactor, 'mobile');
+    assert.equal(lowEnd.deviceScaleFactor, 2.625, 'missing settings come from extends');
+    const large = resolveDeviceProfile('large-desktop', PROFILES);
+    assert.equal(large.formFactor, 'desktop');
+    assert.equal(large.cpuSlowdownMultiplier, 1, '"mobile": false profiles start from desktop');
+    assert.deepEqual(getDeviceNames(PROFILES), ['mobile', 'desktop', 'tablet', 'low-end-android', 'large-desktop']);
+    assert.throws(() => resolveDeviceProfile('watch', PROFILES), /Unknown device: watch/);
+    assert.throws(() => resolveDeviceProfile('a', { a: { extends: 'b' }, b: { extends: 'a' } }), /extends itself/);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Config
+    console.log('Test 2: Accepts configured devices in the config');
+    await fs.writeFile(configPath, JSON.stringify({ device: 'mobile,tablet', deviceProfiles: PROFILES }));
+    const config = createConfig({}, configPath);
+    assert.deepEqual(parseDevices(config.device, config.deviceProfiles), ['mobile', 'tablet']);
+    assert.deepEqual(parseDevices('both', config.deviceProfiles), ['mobile', 'desktop']);
+    assert.equal(getConfigSummary(config)['Device Profiles'], 'tablet, low-end-android, large-desktop');
+    assert.throws(() => createConfig({ device: 'watch' }, configPath), /device must be 'mobile', 'desktop', 'tablet'/);
+
+    const invalid = async (fileConfig, pattern) => {
+      await fs.writeFile(configPath, JSON.stringify(fileConfig));
+      assert.throws(() => createConfig({}, configPath), pattern);
+    };
+    await invalid({ device: 'tablet' }, /device must be/);
+    await invalid({ deviceProfiles: { Tablet: { width: 800 } } }, /lowercase letters, digits and '-'/);
+    await invalid({ deviceProfiles: { desktop: { width: 1920 } } }, /built-in device/);
+    await invalid({ deviceProfiles: { tablet: { width: 800.5 } } }, /deviceProfiles.tablet.width must be a positive integer/);
+    await invalid({ deviceProfiles: { tablet: { mobile: 'yes' } } }, /deviceProfiles.tablet.mobile must be true or false/);
+    await invalid({ deviceProfiles: { tablet: { viewport: 800 } } }, /Unknown device setting: viewport/);
+    await invalid({ deviceProfiles: { tablet: { extends: 'phablet' } } }, /Unknown device: phablet/);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Runner options, throttling and CSV rows
+    console.log('Test 3: Uses the profile for emulation, CPU slowdown and CSV rows');
+    const validated = validateAuditOptions({ device: 'tablet', deviceProfiles: PROFILES });
+    assert.equal(validated.emulation.width, 820);
+    assert.throws(() => validateAuditOptions({ device: 'tablet' }), /Unknown device: tablet/);
+    assert.equal(getThrottlingSettings(null, validated.emulation).cpuSlowdownMultiplier, 2);
+    assert.equal(getThrottlingSettings(null, 'desktop').cpuSlowdownMultiplier, 1);
+
+    const row = { url: 'https://example.com', device: 'Tablet, desktop' };
+    assert.deepEqual(extractOptionsFromRow(row, 2, getDeviceNames(PROFILES)), { devices: ['tablet', 'desktop'] });
+    assert.deepEqual(extractOptionsFromRow(row, 2), {}, 'unknown devices are ignored');
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Audit data and filenames
+    console.log('Test 4: Saves and lists audits for custom devices');
+    const date = new Date('2025-10-22T14:30:52.000Z');
+    assert.equal(generateReportFilename('https://example.com', 'low-end-android', date), 'example.com_index-8a5edab2_2025-10-22-143052_low-end-android.html');
+    assert.throws(() => generateReportFilename('https://example.com', '../tablet', date), /Invalid device name/);
+    assert.deepEqual(parseFilename('example.com_2025-10-22-143052_low-end-android.json'), {
+      domain: 'example.com', date: '2025-10-22', timestamp: '2025-10-22-143052', device: 'low-end-android', extension: 'json'
+    });
+
+    const audit = createAudit({
+      url: 'https://example.com', requestedUrl: 'https://example.com', lighthouseVersion: '13.0.0',
+      deviceMode: 'tablet', auditDuration: 1000, status: 'success'
+    });
+    assert.throws(() => createAudit({ ...audit, deviceMode: 'Tablet!' }), /Invalid deviceMode: Tablet!/);
+    await saveAuditData(audit, null, TEST_DIR, 'tablet', date);
+    assert.deepEqual(await listAuditDataFiles(TEST_DIR), ['example.com_index-8a5edab2_2025-10-22-143052_tablet.json']);
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testDevices();
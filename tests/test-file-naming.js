@@ -0,0 +1,147 @@
+/**
+ * Simple test script to verify per-page filenames and the filename migration
+ * Run with: node tests/test-file-naming.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { generateDataFilename, generateReportFilename, getPageSlug, parseFilename } from '../src/lib/file-namer.js';
+import { saveAuditData, listAuditDataFiles, auditDataExists } from '../src/services/data-storage.js';
+import { planFilenameMigration, applyFilenameMigration } from '../src/services/filename-migration.js';
+import { generateErrorReport } from '../src/services/report-generator.js';
+import { migrateFilenamesCommand } from '../src/cli/commands.js';
+import { createAudit } from '../src/models/audit.js';
+
+const TEST_DIR = './test-file-naming-output';
+const DATA_DIR = `${TEST_DIR}/data`;
+const REPORTS_DIR = `${TEST_DIR}/reports`;
+
+const date = new Date('2025-10-22T14:30:52.000Z');
+
+function audit(url, deviceMode = 'mobile') {
+  return createAudit({
+    url, requestedUrl: url, lighthouseVersion: '13.0.0', deviceMode, auditDuration: 1000, status: 'success'
+  });
+}
+
+async function listDir(dir) {
+  return (await fs.readdir(dir)).sort();
+}
+
+async function testFileNaming() {
+  console.log('Testing per-page filenames...\n');
+
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.mkdir(REPORTS_DIR, { recursive: true });
+
+    // Test 1: Names and parsing
+    console.log('Test 1: Names pages of the same domain differently');
+    assert.equal(getPageSlug('https://example.com'), 'index-8a5edab2');
+    assert.equal(getPageSlug('https://example.com/pricing'), 'pricing-7394a2bb');
+    assert.equal(getPageSlug('https://example.com/pricing#plans'), 'pricing-7394a2bb', 'fragments are ignored');
+    assert.notEqual(getPageSlug('https://example.com/Pricing'), getPageSlug('https://example.com/pricing'), 'the hash keeps case');
+    assert.match(getPageSlug('https://example.com/blog/post?id=7'), /^blog-post-id-7-[0-9a-f]{8}$/);
+    assert.match(getPageSlug(`https://example.com/${'very-long-path/'.repeat(10)}`), /^[a-z0-9-]{1,40}-[0-9a-f]{8}$/);
+    assert.equal(getPageSlug('not a url'), null);
+
+    assert.notEqual(
+      generateDataFilename('https://example.com/a', 'mobile', date),
+      generateDataFilename('https://example.com/b', 'mobile', date)
+    );
+    assert.deepEqual(parseFilename(generateReportFilename('https://example.com/pricing', 'tablet', date)), {
+      domain: 'example.com', page: 'pricing-7394a2bb', date: '2025-10-22', timestamp: '2025-10-22-143052', device: 'tablet', extension: 'html'
+    });
+    assert.equal(parseFilename('example.com_2025-10-22-143052_mobile.json').page, undefined, 'older names still parse');
+    assert.equal(parseFilename('example.com-2025-10-22-report.json').domain, 'example.com');
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Data storage
+    console.log('Test 2: Stores, lists and finds audits per page');
+    await saveAuditData(audit('https://example.com/a'), null, DATA_DIR, 'mobile', date);
+    await saveAuditData(audit('https://example.com/b'), null, DATA_DIR, 'mobile', date);
+    await fs.writeFile(path.join(DATA_DIR, 'notes.json'), '{}');
+    assert.equal((await listAuditDataFiles(DATA_DIR)).length, 2, 'audits in the same second no longer overwrite each other');
+
+    assert.equal(await auditDataExists('https://example.com/a', DATA_DIR, date), true);
+    assert.equal(await auditDataExists('https://example.com/a', DATA_DIR, date, 'mobile'), true);
+    assert.equal(await auditDataExists('https://example.com/a', DATA_DIR, date, 'desktop'), false);
+    assert.equal(await auditDataExists('https://example.com/c', DATA_DIR, date), false);
+    assert.equal(await auditDataExists('https://example.com/a', DATA_DIR, new Date('2025-10-23T00:00:00.000Z')), false);
+    assert.equal(await auditDataExists('https://example.com/a', `${TEST_DIR}/missing`), false);
+    await fs.rm(DATA_DIR, { recursive: true });
+    await fs.mkdir(DATA_DIR);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Migration
+    console.log('Test 3: Renames files with older names');
+    const pricing = JSON.stringify({ audit: { requestedUrl: 'https://example.com/pricing', timestamp: '2025-10-20T08:00:00.000Z', deviceMode: 'desktop' } });
+    await fs.writeFile(path.join(DATA_DIR, 'example.com_2025-10-22-143052_mobile.json'), pricing);
+    await fs.writeFile(path.join(DATA_DIR, 'example.com-2025-10-20-report.json'), pricing);
+    await fs.writeFile(path.join(DATA_DIR, 'example.com_2025-10-21-100000_mobile.json'), '{"audit":{}}');
+    await fs.writeFile(
+      path.join(REPORTS_DIR, 'example.com_2025-10-22-143052_mobile.html'),
+      `<script>window.__LIGHTHOUSE_JSON__ = ${JSON.stringify({ lighthouseVersion: '13.0.0', requestedUrl: 'https://example.com/pricing' })};</script>`
+    );
+    await fs.writeFile(
+      path.join(REPORTS_DIR, 'example.com_2025-10-22-143053_mobile.html'),
+      generateErrorReport({ requestedUrl: 'https://example.com/?a=1&b=2', error: 'Timeout', status: 'timeout' })
+    );
+    const current = generateReportFilename('https://example.com/', 'mobile', date);
+    await fs.writeFile(path.join(REPORTS_DIR, current), '');
+
+    const { renames, skipped } = await planFilenameMigration([DATA_DIR, REPORTS_DIR]);
+    assert.deepEqual(renames.map(({ from, to }) => [from, to]), [
+      ['example.com-2025-10-20-report.json', 'example.com_pricing-7394a2bb_2025-10-20-080000_desktop.json'],
+      ['example.com_2025-10-22-143052_mobile.json', 'example.com_pricing-7394a2bb_2025-10-22-143052_mobile.json'],
+      ['example.com_2025-10-22-143052_mobile.html', 'example.com_pricing-7394a2bb_2025-10-22-143052_mobile.html'],
+      ['example.com_2025-10-22-143053_mobile.html', generateReportFilename('https://example.com/?a=1&b=2', 'mobile', new Date('2025-10-22T14:30:53.000Z'))]
+    ]);
+    assert.deepEqual(skipped.map(item => [item.file, item.reason]), [
+      ['example.com_2025-10-21-100000_mobile.json', 'audited URL not found in the file']
+    ]);
+
+    const logged = [];
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    console.log = (line) => logged.push(line);
+    console.warn = (line) => logged.push(line);
+    try {
+      await migrateFilenamesCommand({ dataDir: DATA_DIR, reportsDir: REPORTS_DIR, dryRun: true });
+    } finally {
+      console.log = originalLog;
+      console.warn = originalWarn;
+    }
+    assert.ok(logged.includes('\n4 files would be renamed (dry run, nothing changed)'));
+    assert.equal((await listDir(DATA_DIR)).length, 3, 'dry runs change nothing');
+
+    assert.equal(await applyFilenameMigration(renames), 4);
+    assert.deepEqual(await listDir(DATA_DIR), [
+      'example.com_2025-10-21-100000_mobile.json',
+      'example.com_pricing-7394a2bb_2025-10-20-080000_desktop.json',
+      'example.com_pricing-7394a2bb_2025-10-22-143052_mobile.json'
+    ]);
+    assert.ok((await listDir(REPORTS_DIR)).includes(current));
+    assert.equal(await auditDataExists('https://example.com/pricing', DATA_DIR, date), true);
+
+    const again = await planFilenameMigration([DATA_DIR, REPORTS_DIR]);
+    assert.equal(again.renames.length, 0, 'renamed files are left alone');
+
+    // A target that already exists is never overwritten
+    await fs.writeFile(path.join(DATA_DIR, 'example.com_2025-10-22-143052_mobile.json'), pricing);
+    const conflict = await planFilenameMigration([DATA_DIR]);
+    assert.equal(conflict.renames.length, 0);
+    assert.match(conflict.skipped[1].reason, /example.com_pricing-7394a2bb_2025-10-22-143052_mobile.json already exists/);
+    console.log('✓ Test 3 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testFileNaming();
@@ -0,0 +1,146 @@
+/**
+ * Simple test script to verify the batch index report
+ * Run with: node tests/test-index-report.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { orchestrateAudits } from '../src/services/audit-orchestrator.js';
+import { generateIndexReport, buildIndexRows, groupIndexRowsByUrl } from '../src/services/index-report.js';
+import { createMetrics } from '../src/models/metrics.js';
+
+const TEST_REPORTS_DIR = './test-index-reports';
+
+// Fake audit function: one good page, one slow page, one handled failure
+async function fakeAudit(url, options) {
+  if (url.includes('broken')) {
+    return {
+      success: false,
+      requestedUrl: url,
+      error: { message: 'Navigation timeout', code: 'UNKNOWN_ERROR' },
+      status: 'timeout',
+      errorReportPath: `${options.reportsDir}/broken_error.html`
+    };
+  }
+
+  const slow = url.includes('slow');
+  return {
+    success: true,
+    url,
+    requestedUrl: url,
+    reportPath: `${options.reportsDir}/${slow ? 'slow' : 'fast'}.html`,
+    metrics: createMetrics({
+      lcp: slow ? 5200 : 1200,
+      inp: 100,
+      cls: slow ? 0.3 : 0.01,
+      ttfb: 300,
+      tbt: slow ? 900 : 50,
+      performanceScore: slow ? 41 : 97,
+      accessibilityScore: 92,
+      seoScore: 100,
+      bestPracticesScore: 78
+    })
+  };
+}
+
+async function testIndexReport() {
+  console.log('Testing index report...\n');
+
+  try {
+    // Test 1: Orchestrator writes index.html and counts handled failures as failed
+    console.log('Test 1: orchestrateAudits writes index.html');
+    const results = await orchestrateAudits(
+      ['https://example.com/fast', 'https://example.com/slow', 'https://example.com/broken'],
+      fakeAudit,
+      { concurrency: 2, reportsDir: TEST_REPORTS_DIR }
+    );
+
+    assert.equal(results.summary.successful, 2);
+    assert.equal(results.summary.failed, 1);
+    assert.ok(results.summary.indexPath.endsWith('index.html'));
+
+    const html = await fs.readFile(results.summary.indexPath, 'utf-8');
+    assert.ok(html.includes('href="fast.html"'), 'links to successful report');
+    assert.ok(html.includes('href="broken_error.html"'), 'links to error report');
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Ratings come from thresholds
+    console.log('Test 2: Metric ratings in rows');
+    const rows = buildIndexRows(results, TEST_REPORTS_DIR);
+    const slowRow = rows.find(row => row.url.endsWith('/slow'));
+    assert.equal(slowRow.metrics.lcpScore, 'poor');
+    assert.equal(slowRow.metrics.tbtScore, 'poor');
+    assert.ok(html.includes('class="poor" data-sort="5200"'));
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: URLs are escaped
+    console.log('Test 3: HTML escaping');
+    const escaped = generateIndexReport({
+      successful: [],
+      failed: [{ url: 'https://example.com/?q=<script>', error: 'boom' }]
+    });
+    assert.ok(!escaped.includes('?q=<script>'));
+    assert.ok(escaped.includes('?q=&lt;script&gt;'));
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Each URL is audited once per device and shown side by side
+    console.log('Test 4: Mobile and desktop side by side');
+    const bothResults = await orchestrateAudits(
+      ['https://example.com/fast', 'https://example.com/broken'],
+      fakeAudit,
+      { concurrency: 2, devices: ['mobile', 'desktop'], reportsDir: TEST_REPORTS_DIR }
+    );
+    assert.equal(bothResults.summary.successful + bothResults.summary.failed, 4);
+    assert.deepEqual(
+      bothResults.successful.map(entry => entry.device).sort(),
+      ['desktop', 'mobile']
+    );
+
+    const groups = groupIndexRowsByUrl(buildIndexRows(bothResults, TEST_REPORTS_DIR));
+    assert.equal(groups.length, 2);
+    assert.deepEqual(Object.keys(groups[0].byDevice).sort(), ['desktop', 'mobile']);
+
+    const bothHtml = await fs.readFile(bothResults.summary.indexPath, 'utf-8');
+    assert.ok(bothHtml.includes('<th class="device-group" colspan="10">mobile</th>'));
+    assert.ok(bothHtml.includes('<th class="device-group" colspan="10">desktop</th>'));
+    assert.equal(bothHtml.match(/<td class="url"/g).length, 2, 'one row per URL');
+    console.log('✓ Test 4 passed\n');
+
+    // Test 5: Per-URL entries override options and carry label/tags into results
+    console.log('Test 5: Entries with per-URL options');
+    const seen = [];
+    const entryResults = await orchestrateAudits(
+      [
+        { url: 'https://example.com/fast', label: 'home', tags: ['landing'], timeout: 90 },
+        { url: 'https://example.com/slow', devices: ['desktop'], runs: 3, budget: 'product' }
+      ],
+      async (url, options) => {
+        seen.push({ url, device: options.device, timeout: options.timeout, runs: options.runs, label: options.label });
+        return fakeAudit(url, options);
+      },
+      { concurrency: 1, timeout: 60, runs: 1, reportsDir: TEST_REPORTS_DIR }
+    );
+    assert.deepEqual(seen, [
+      { url: 'https://example.com/fast', device: 'mobile', timeout: 90, runs: 1, label: 'home' },
+      { url: 'https://example.com/slow', device: 'desktop', timeout: 60, runs: 3, label: undefined }
+    ]);
+    const home = entryResults.successful.find(entry => entry.url.endsWith('/fast'));
+    assert.equal(home.label, 'home');
+    assert.deepEqual(home.tags, ['landing']);
+    assert.equal(entryResults.successful.find(entry => entry.url.endsWith('/slow')).budget, 'product');
+
+    const entryHtml = await fs.readFile(entryResults.summary.indexPath, 'utf-8');
+    assert.ok(entryHtml.includes('>Label</th>'));
+    assert.ok(entryHtml.includes('home<span class="tag">landing</span>'));
+    console.log('✓ Test 5 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_REPORTS_DIR, { recursive: true, force: true });
+  }
+}
+
+testIndexReport();
@@ -0,0 +1,94 @@
+/**
+ * Simple test script to verify `kind-beacon init` scaffolding
+ * Run with: node tests/test-init.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { join } from 'path';
+import { buildInitConfig, writeInitFiles, renderUrlsCsv, STARTER_BUDGETS } from '../src/services/project-init.js';
+import { initCommand } from '../src/cli/commands.js';
+import { DEFAULT_CONFIG, loadConfigFile, createConfig } from '../src/models/config.js';
+import { readCsv } from '../src/services/csv-reader.js';
+
+const TEST_DIR = './test-init-output';
+
+async function testInit() {
+  console.log('Testing init scaffolding...\n');
+
+  try {
+    // Test 1: Config matches the DEFAULT_CONFIG schema
+    console.log('Test 1: Builds a config with every option');
+    const config = buildInitConfig({ device: 'both', concurrency: 5, budgets: true });
+    assert.deepEqual(Object.keys(config), Object.keys(DEFAULT_CONFIG));
+    assert.equal(config.device, 'both');
+    assert.equal(config.concurrency, 5);
+    assert.deepEqual(config.budgets, STARTER_BUDGETS);
+    assert.deepEqual(buildInitConfig().budgets, [], 'budgets are optional');
+    assert.throws(() => buildInitConfig({ concurrency: 20 }), /concurrency must be between 1 and 10/);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: JSON config and urls.csv load with the real readers
+    console.log('Test 2: Writes files the audit command can read');
+    const jsonDir = join(TEST_DIR, 'json');
+    const written = writeInitFiles({ dir: jsonDir, format: 'json', config, urls: ['https://example.com/', 'https://example.com/pricing'] });
+    assert.deepEqual(written.map(file => file.written), [true, true]);
+    assert.deepEqual(loadConfigFile(join(jsonDir, '.kindbeaconrc.json')), config);
+    assert.doesNotThrow(() => createConfig({}, join(jsonDir, '.kindbeaconrc.json')));
+
+    const csv = await readCsv(join(jsonDir, 'urls.csv'));
+    assert.deepEqual(csv.urls, ['https://example.com/', 'https://example.com/pricing']);
+    assert.equal(csv.entries[0].label, 'home');
+    assert.equal(csv.entries[1].label, 'pricing', 'labels share one lowercase convention');
+    assert.equal(renderUrlsCsv(['https://example.com/a,b']).split('\n')[1], '"https://example.com/a,b",\"a,b\"');
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Existing files are kept unless forced
+    console.log('Test 3: Does not overwrite without --force');
+    await fs.writeFile(join(jsonDir, 'urls.csv'), 'url\nhttps://mine.example\n');
+    const again = writeInitFiles({ dir: jsonDir, format: 'json', config });
+    assert.deepEqual(again.map(file => file.written), [false, false]);
+    assert.ok((await fs.readFile(join(jsonDir, 'urls.csv'), 'utf-8')).includes('mine.example'));
+    const forced = writeInitFiles({ dir: jsonDir, format: 'json', config, force: true });
+    assert.deepEqual(forced.map(file => file.written), [true, true]);
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: JS configs are CommonJS (.cjs inside ES module packages, like this repo)
+    console.log('Test 4: Writes loadable JS configs');
+    const esmDir = join(TEST_DIR, 'esm');
+    const [cjsConfig] = writeInitFiles({ dir: esmDir, format: 'js', config });
+    assert.ok(cjsConfig.path.endsWith('kindbeacon.config.cjs'));
+    assert.deepEqual(loadConfigFile(cjsConfig.path), config);
+
+    const cjsDir = join(TEST_DIR, 'cjs');
+    await fs.mkdir(cjsDir, { recursive: true });
+    await fs.writeFile(join(cjsDir, 'package.json'), '{ "type": "commonjs" }');
+    const [jsConfig] = writeInitFiles({ dir: cjsDir, format: 'js', config });
+    assert.ok(jsConfig.path.endsWith('kindbeacon.config.js'));
+    assert.deepEqual(loadConfigFile(jsConfig.path), config);
+    assert.throws(() => writeInitFiles({ dir: cjsDir, format: 'yaml', config }), /json, js/);
+    console.log('✓ Test 4 passed\n');
+
+    // Test 5: Non-interactive command uses flags and defaults
+    console.log('Test 5: init --yes with flags');
+    const cliDir = join(TEST_DIR, 'cli');
+    await initCommand({ yes: true, dir: cliDir, device: 'desktop', timeout: '90', budgets: true });
+    const cliConfig = loadConfigFile(join(cliDir, '.kindbeaconrc.json'));
+    assert.equal(cliConfig.device, 'desktop');
+    assert.equal(cliConfig.timeout, 90);
+    assert.equal(cliConfig.concurrency, DEFAULT_CONFIG.concurrency);
+    assert.equal(cliConfig.budgets.length, 1);
+    await assert.rejects(initCommand({ yes: true, dir: cliDir, urls: 'example.com' }), /must start with http/);
+    await assert.rejects(initCommand({ yes: true, dir: cliDir, urls: 'https://example.com http://[' }), /got: http:\/\/\[\)/);
+    console.log('✓ Test 5 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testInit();
@@ -0,0 +1,115 @@
+/**
+ * Simple test script to verify the JUnit XML report
+ * Run with: node tests/test-junit-report.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { buildJUnitSuites, generateJUnitReport, saveJUnitReport } from '../src/services/junit-report.js';
+import { createConfig, parseCliOptions } from '../src/models/config.js';
+import { createMetrics, extractMetricsFromLHR } from '../src/models/metrics.js';
+
+const TEST_DIR = './test-junit-report-output';
+
+const budgets = [
+  { lcp: 3000, performance: 80 },
+  { match: '/checkout', lcp: 2000 },
+  { name: 'landing', seo: 90 }
+];
+
+const results = {
+  successful: [
+    {
+      url: 'https://shop.example.com/', requestedUrl: 'https://shop.example.com/', device: 'mobile', duration: 12345,
+      timestamp: '2025-10-22T14:30:52.000Z',
+      metrics: createMetrics({ lcp: 1800, inp: 120, cls: 0.02, ttfb: 300, tbt: 100, performanceScore: 92 }),
+      lhr: { audits: { 'interaction-to-next-paint': { numericValue: 120 } } }
+    },
+    {
+      url: 'https://shop.example.com/checkout', requestedUrl: 'https://shop.example.com/checkout', device: 'desktop', duration: 8000,
+      timestamp: '2025-10-22T14:31:10.000Z', budget: 'landing',
+      // Lab navigation run: inp holds Max Potential FID, which is not INP
+      metrics: createMetrics({ lcp: 4520, inp: 640, cls: 0.3, ttfb: 300, tbt: 100, performanceScore: 75, seoScore: 95 }),
+      lhr: { audits: { 'max-potential-fid': { numericValue: 640 }, 'total-blocking-time': { numericValue: 100 } } }
+    }
+  ],
+  failed: [{
+    url: 'https://shop.example.com/slow', device: 'mobile', status: 'timeout', timestamp: '2025-10-22T14:32:00.000Z',
+    error: 'Navigation timeout after 60s: <body> never loaded \u001b[31m(red)\u001b[0m'
+  }]
+};
+
+async function testJUnitReport() {
+  console.log('Testing JUnit XML reports...\n');
+
+  try {
+    // Test 1: Suites and test cases
+    console.log('Test 1: One suite per URL and device, one case per threshold and budget');
+    const suites = buildJUnitSuites(results, budgets);
+    assert.deepEqual(suites.map(suite => suite.name), [
+      'https://shop.example.com/ (mobile)',
+      'https://shop.example.com/checkout (desktop)',
+      'https://shop.example.com/slow (mobile)'
+    ]);
+
+    assert.deepEqual(suites[0].cases.map(testCase => testCase.name), [
+      'Core Web Vitals: LCP',
+      'Core Web Vitals: INP',
+      'Core Web Vitals: CLS',
+      'Budget: LCP ≤ 3000ms',
+      'Budget: Performance score ≥ 80'
+    ]);
+    assert.ok(suites[0].cases.every(testCase => !testCase.failure && !testCase.error && !testCase.skipped));
+    assert.equal(suites[0].time, 12.345);
+
+    const checkout = Object.fromEntries(suites[1].cases.map(testCase => [testCase.name, testCase]));
+    assert.equal(checkout['Core Web Vitals: LCP'].failure.message, 'LCP 4520ms is rated poor (good below 2500ms, poor from 4000ms)');
+    assert.equal(checkout['Core Web Vitals: INP'].skipped, 'INP is not measured in lab navigation runs (see the TBT budget)',
+      'Max Potential FID is not graded as INP');
+    assert.equal(checkout['Core Web Vitals: INP'].failure, undefined);
+    assert.equal(extractMetricsFromLHR(results.successful[1].lhr).inp, 640, 'the lab LHR fills inp from max-potential-fid');
+    assert.equal(checkout['Core Web Vitals: CLS'].failure.message, 'CLS 0.300 is rated poor (good below 0.100, poor from 0.250)');
+    assert.equal(checkout['Budget: LCP ≤ 2000ms'].failure.message, 'LCP 4520ms exceeds budget of 2000ms (match: /checkout)', 'pattern budgets override global limits');
+    assert.equal(checkout['Budget: Performance score ≥ 80'].failure.type, 'budget');
+    assert.equal(checkout['Budget: SEO score ≥ 90'].failure, undefined, 'named budgets apply to the rows that use them');
+
+    assert.deepEqual(suites[2].cases, [{
+      name: 'Lighthouse audit',
+      error: { type: 'timeout', message: results.failed[0].error }
+    }]);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: XML
+    console.log('Test 2: Writes JUnit XML with counts, escaping and errors');
+    const xml = generateJUnitReport(results, budgets);
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="kind-beacon" tests="12" failures="4" errors="1" skipped="1" time="20.345">/);
+    assert.match(xml, /<testsuite name="https:\/\/shop.example.com\/checkout \(desktop\)" tests="6" failures="4" errors="0" skipped="1" time="8.000" timestamp="2025-10-22T14:31:10">/);
+    assert.match(xml, /<testcase classname="https:\/\/shop.example.com\/ \(mobile\)" name="Core Web Vitals: LCP"\/>/);
+    assert.match(xml, /<failure message="LCP 4520ms exceeds budget of 2000ms \(match: \/checkout\)" type="budget">/);
+    assert.match(xml, /<error message="Navigation timeout after 60s: &lt;body&gt; never loaded \[31m\(red\)\[0m" type="timeout">/, 'markup is escaped and control characters dropped');
+    assert.ok(!xml.includes('\u001b'));
+    assert.match(xml, /<skipped message="INP is not measured in lab navigation runs \(see the TBT budget\)"\/>/);
+    assert.equal((xml.match(/<testsuite /g) || []).length, 3);
+
+    const filePath = await saveJUnitReport(results, [], `${TEST_DIR}/reports/20251022-143052-a1b2c3`);
+    assert.equal(filePath, path.resolve(TEST_DIR, 'reports/20251022-143052-a1b2c3/junit.xml'));
+    assert.match(await fs.readFile(filePath, 'utf-8'), /<testsuites name="kind-beacon" tests="7" failures="2" errors="1" skipped="1"/, 'without budgets only the vitals are checked');
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Option
+    console.log('Test 3: Accepts junit as an output format');
+    assert.deepEqual(parseCliOptions({ outputFormat: 'junit' }).outputFormats, ['junit']);
+    assert.deepEqual(createConfig({ outputFormats: ['json', 'junit'] }).outputFormats, ['json', 'junit']);
+    console.log('✓ Test 3 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testJUnitReport();
@@ -0,0 +1,136 @@
+/**
+ * Simple test script to verify category/audit selection and custom Lighthouse configs
+ * Run with: node tests/test-lighthouse-config.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  getCategoryFlags,
+  loadLighthouseConfig,
+  validateLighthouseConfigPath,
+  LIGHTHOUSE_CATEGORIES
+} from '../src/services/lighthouse-config.js';
+import { createConfig, parseCliOptions, getConfigSummary } from '../src/models/config.js';
+import {
+  extractMetricsFromLHR,
+  extractExtendedMetricsFromLHR,
+  createMetrics,
+  metricsToHumanReadable,
+  metricsToJSON
+} from '../src/models/metrics.js';
+import { orchestrateAudits } from '../src/services/audit-orchestrator.js';
+import { generateIndexReport } from '../src/services/index-report.js';
+
+const TEST_DIR = './test-lighthouse-config-output';
+const configPath = `${TEST_DIR}/.kindbeaconrc.json`;
+
+// LHR of an accessibility-only run: no performance category or metric audits
+const ACCESSIBILITY_ONLY_LHR = {
+  audits: {
+    'color-contrast': { id: 'color-contrast', title: 'Contrast', score: 1, scoreDisplayMode: 'binary' }
+  },
+  categories: {
+    accessibility: { id: 'accessibility', score: 0.92, auditRefs: [{ id: 'color-contrast', weight: 7 }] }
+  }
+};
+
+async function testLighthouseConfig() {
+  console.log('Testing Lighthouse config and category selection...\n');
+
+  try {
+    await fs.mkdir(TEST_DIR, { recursive: true });
+
+    // Test 1: Lighthouse flags
+    console.log('Test 1: Builds category and audit flags');
+    assert.deepEqual(getCategoryFlags(), { onlyCategories: LIGHTHOUSE_CATEGORIES });
+    assert.deepEqual(getCategoryFlags({ categories: ['performance'], skipAudits: ['uses-http2'] }), {
+      onlyCategories: ['performance'], skipAudits: ['uses-http2']
+    });
+    assert.deepEqual(getCategoryFlags({ onlyAudits: ['largest-contentful-paint'] }), {
+      onlyAudits: ['largest-contentful-paint']
+    }, 'only the listed audits run, not the four default categories');
+    assert.deepEqual(getCategoryFlags({ configPath: '/tmp/lighthouse.config.js' }), {}, 'the config file decides');
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Config file and CLI
+    console.log('Test 2: Reads the selection from the config file and CLI');
+    const cli = parseCliOptions({ categories: 'Performance, seo', skipAudits: 'uses-http2', lighthouseConfig: 'lh.js' });
+    assert.deepEqual(cli, { categories: ['performance', 'seo'], skipAudits: ['uses-http2'], lighthouseConfig: 'lh.js' });
+
+    await fs.writeFile(configPath, JSON.stringify({ categories: ['performance'], onlyAudits: ['largest-contentful-paint'] }));
+    const config = createConfig({}, configPath);
+    assert.deepEqual(config.categories, ['performance']);
+    const summary = getConfigSummary(config);
+    assert.equal(summary['Categories'], 'performance');
+    assert.equal(summary['Only Audits'], 'largest-contentful-paint');
+    assert.equal(summary['Lighthouse Config'], 'default');
+
+    const invalid = async (fileConfig, pattern) => {
+      await fs.writeFile(configPath, JSON.stringify(fileConfig));
+      assert.throws(() => createConfig({}, configPath), pattern);
+    };
+    await invalid({ categories: ['pwa'] }, /Unknown category: pwa/);
+    await invalid({ categories: 'performance' }, /categories must be a list of Lighthouse category IDs/);
+    await invalid({ skipAudits: [1] }, /skipAudits must be a list of Lighthouse audit IDs/);
+    await fs.writeFile(configPath, JSON.stringify({ categories: ['my-category'], lighthouseConfig: 'lh.js' }));
+    assert.deepEqual(createConfig({}, configPath).categories, ['my-category'], 'custom configs may define categories');
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Loading config files
+    console.log('Test 3: Loads JSON and ES module Lighthouse configs');
+    const jsonPath = path.resolve(TEST_DIR, 'lighthouse.json');
+    const modulePath = path.resolve(TEST_DIR, 'lighthouse.config.mjs');
+    await fs.writeFile(jsonPath, JSON.stringify({ extends: 'lighthouse:default' }));
+    await fs.writeFile(modulePath, "export default { extends: 'lighthouse:default', settings: { onlyCategories: ['seo'] } };\n");
+    assert.deepEqual(await loadLighthouseConfig(jsonPath), { extends: 'lighthouse:default' });
+    assert.deepEqual((await loadLighthouseConfig(modulePath)).settings.onlyCategories, ['seo']);
+    assert.equal(validateLighthouseConfigPath(jsonPath), jsonPath);
+    assert.throws(() => validateLighthouseConfigPath(path.resolve(TEST_DIR, 'missing.json')), /Lighthouse config not found/);
+    assert.throws(() => validateLighthouseConfigPath(path.resolve(TEST_DIR, 'lighthouse.yml')), /must be a .json or .js file/);
+
+    const brokenPath = path.resolve(TEST_DIR, 'broken.json');
+    await fs.writeFile(brokenPath, '[]');
+    await assert.rejects(loadLighthouseConfig(brokenPath), /Invalid Lighthouse config .*expected a config object/);
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Missing categories in results and reports
+    console.log('Test 4: Handles categories that were not audited');
+    const core = extractMetricsFromLHR(ACCESSIBILITY_ONLY_LHR);
+    assert.equal(core.performanceScore, null);
+    assert.equal(core.lcp, null);
+    assert.equal(core.lcpScore, null);
+    const extended = extractExtendedMetricsFromLHR(ACCESSIBILITY_ONLY_LHR);
+    assert.equal(extended.accessibilityScore, 92);
+    assert.equal(extended.seoScore, undefined);
+    assert.deepEqual(Object.keys(extended.categoryDetails), ['accessibility']);
+
+    const metrics = createMetrics({ ...core, ...extended });
+    assert.equal(metricsToHumanReadable(metrics)['Performance Score'], 'not audited');
+    assert.equal(metricsToJSON(metrics).metrics.performanceScore, null);
+    assert.equal(metricsToJSON(metrics).metrics.seoScore, undefined);
+
+    let received;
+    const results = await orchestrateAudits(['https://example.com'], async (url, options) => {
+      received = options.lighthouseSettings;
+      return { success: true, url, requestedUrl: url, metrics };
+    }, { reportsDir: TEST_DIR, lighthouseSettings: { categories: ['accessibility'] } });
+    assert.deepEqual(received, { categories: ['accessibility'] });
+
+    const html = generateIndexReport(results, { reportsDir: TEST_DIR });
+    assert.ok(html.includes('>Accessibility</th>'));
+    assert.ok(!html.includes('>Performance</th>'), 'columns without any value are left out');
+    assert.ok(!html.includes('>LCP</th>'));
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testLighthouseConfig();
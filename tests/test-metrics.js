@@ -0,0 +1,188 @@
+/**
+ * Simple test script to verify lab metrics, the LCP breakdown and LCP/CLS culprits
+ * Run with: node tests/test-metrics.js
+ */
+
+import assert from 'assert/strict';
+import {
+  extractMetricsFromLHR,
+  extractLcpBreakdown,
+  extractCulpritsFromLHR,
+  createMetrics,
+  metricsToJSON,
+  metricsToHumanReadable,
+  Thresholds
+} from '../src/models/metrics.js';
+import { compareAuditRecords } from '../src/services/run-comparator.js';
+import { buildTrendSeries } from '../src/services/trend-analyzer.js';
+import { generateTrendReport } from '../src/services/trend-report.js';
+import { generateIndexReport } from '../src/services/index-report.js';
+import { logCulprits } from '../src/lib/logger.js';
+
+// Metric audits of a Lighthouse 13 result, including the LCP breakdown insight
+const LHR = {
+  audits: {
+    'largest-contentful-paint': { numericValue: 2400 },
+    'interaction-to-next-paint': { numericValue: 150 },
+    'cumulative-layout-shift': { numericValue: 0.05 },
+    'server-response-time': { numericValue: 500 },
+    'total-blocking-time': { numericValue: 180 },
+    'first-contentful-paint': { numericValue: 1500 },
+    'speed-index': { numericValue: 3600 },
+    'interactive': { numericValue: 8000 },
+    'max-potential-fid': { numericValue: 90 },
+    'lcp-breakdown-insight': {
+      details: {
+        type: 'list',
+        items: [
+          {
+            type: 'table',
+            items: [
+              { subpart: 'timeToFirstByte', duration: 610 },
+              { subpart: 'resourceLoadDelay', duration: 120 },
+              { subpart: 'resourceLoadDuration', duration: 480 },
+              { subpart: 'elementRenderDelay', duration: 90 }
+            ]
+          },
+          { type: 'node', selector: 'img.hero' }
+        ]
+      }
+    }
+  },
+  categories: { performance: { score: 0.86 } }
+};
+
+function record(timestamp, metrics) {
+  return {
+    audit: { requestedUrl: 'https://example.com', deviceMode: 'mobile', status: 'success', timestamp },
+    metrics
+  };
+}
+
+function testMetrics() {
+  console.log('Testing lab metrics...\n');
+
+  try {
+    // Test 1: Extraction
+    console.log('Test 1: Extracts FCP, Speed Index, TTI, Max Potential FID and the LCP breakdown');
+    const metrics = extractMetricsFromLHR(LHR);
+    assert.equal(metrics.fcp, 1500);
+    assert.equal(metrics.fcpScore, 'good');
+    assert.equal(metrics.speedIndexScore, 'needs-improvement');
+    assert.equal(metrics.ttiScore, 'poor');
+    assert.equal(metrics.maxPotentialFid, 90);
+    assert.equal(metrics.maxPotentialFidScore, 'good');
+    assert.deepEqual(extractLcpBreakdown(LHR), { lcpTtfb: 610, lcpLoadDelay: 120, lcpLoadTime: 480, lcpRenderDelay: 90 });
+    assert.ok(Thresholds.SPEED_INDEX && Thresholds.TTI && Thresholds.FCP && Thresholds.MAX_POTENTIAL_FID);
+
+    // Text LCP elements have no resource phases
+    const textLcp = structuredClone(LHR);
+    textLcp.audits['lcp-breakdown-insight'].details.items[0].items.splice(1, 2);
+    assert.deepEqual(extractLcpBreakdown(textLcp), { lcpTtfb: 610, lcpLoadDelay: 0, lcpLoadTime: 0, lcpRenderDelay: 90 });
+
+    // Lighthouse 10-12 reported the phases in largest-contentful-paint-element
+    const legacy = { audits: { 'largest-contentful-paint-element': { details: { items: [
+      { type: 'table', items: [{ node: {} }] },
+      { type: 'table', items: [{ phase: 'TTFB', timing: 300 }, { phase: 'Render Delay', timing: 40 }] }
+    ] } } } };
+    assert.deepEqual(extractLcpBreakdown(legacy), { lcpTtfb: 300, lcpLoadDelay: null, lcpLoadTime: null, lcpRenderDelay: 40 });
+    assert.equal(extractMetricsFromLHR({ audits: {}, categories: {} }).fcp, null, 'missing audits are null');
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Metrics model
+    console.log('Test 2: Saves and displays the new metrics');
+    const json = metricsToJSON(metrics).metrics;
+    assert.equal(json.speedIndex, 3600);
+    assert.equal(json.ttiScore, 'poor');
+    assert.equal(json.lcpLoadTime, 480);
+    const readable = metricsToHumanReadable(metrics);
+    assert.equal(readable['First Contentful Paint (FCP)'], '1.50s (good)');
+    assert.equal(readable['LCP Breakdown'], 'TTFB 610ms, load delay 120ms, load time 480ms, render delay 90ms');
+
+    const older = createMetrics({ lcp: 2000, inp: 100, cls: 0, ttfb: 300, tbt: 100, performanceScore: 90 });
+    assert.equal(older.fcp, null, 'metrics saved before these fields existed still load');
+    assert.equal(metricsToHumanReadable(older)['Speed Index (SI)'], 'not audited');
+    assert.throws(() => createMetrics({ ...older, tti: -1 }), /tti must be a non-negative number or null/);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Comparison and trends
+    console.log('Test 3: Compares and charts the new metrics');
+    const before = record('2025-10-01T00:00:00.000Z', metricsToJSON(metrics).metrics);
+    const after = record('2025-10-02T00:00:00.000Z', { ...before.metrics, speedIndex: 3000, lcpRenderDelay: 200 });
+    const [pair] = compareAuditRecords([before], [after]).pairs;
+    const change = (key) => pair.changes.find(item => item.key === key);
+    assert.equal(change('speedIndex').direction, 'improved');
+    assert.equal(change('lcpRenderDelay').direction, 'regressed');
+    assert.equal(change('fcp').direction, 'unchanged');
+
+    const [series] = buildTrendSeries([before, after]);
+    assert.deepEqual(series.points.map(point => point.speedIndex), [3600, 3000]);
+    assert.ok(generateTrendReport(series).includes('Speed Index (SI)'));
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: LCP element and layout-shift culprits
+    console.log('Test 4: Identifies the LCP element and layout-shift culprits');
+    const hero = { type: 'node', selector: 'main > img.hero', snippet: '<img class="hero" src="/img/hero.jpg?w=800&amp;q=80">' };
+    const poorLhr = structuredClone(LHR);
+    poorLhr.finalDisplayedUrl = 'https://example.com/page';
+    poorLhr.audits['largest-contentful-paint'].numericValue = 5200;
+    poorLhr.audits['cumulative-layout-shift'].numericValue = 0.31;
+    poorLhr.audits['lcp-breakdown-insight'].details.items[1] = hero;
+    poorLhr.audits['layout-shifts'] = { details: { type: 'table', items: [
+      { node: { type: 'node', selector: 'footer', snippet: '<footer>' }, score: 0.08 },
+      { node: { type: 'node', selector: 'div.cookie-banner', snippet: '<div class="cookie-banner">' }, score: 0.21 },
+      { score: 0.02 }
+    ] } };
+
+    const culprits = extractCulpritsFromLHR(poorLhr);
+    assert.deepEqual(culprits.lcpElement, {
+      selector: 'main > img.hero', snippet: hero.snippet, url: 'https://example.com/img/hero.jpg?w=800&q=80'
+    });
+    assert.deepEqual(culprits.layoutShiftElements.map(item => [item.selector, item.score]), [
+      ['div.cookie-banner', 0.21], ['footer', 0.08]
+    ], 'largest shifts first, shifts without an element are left out');
+
+    // Lighthouse 10-12: a table of the element inside largest-contentful-paint-element
+    const legacyLcp = { audits: {
+      'largest-contentful-paint-element': { details: { type: 'list', items: [
+        { type: 'table', items: [{ node: { type: 'node', selector: 'h1', snippet: '<h1>' } }] }
+      ] } },
+      'layout-shift-elements': { details: { items: [{ node: { type: 'node', selector: 'nav', snippet: '<nav>' }, score: 0.4 }] } }
+    } };
+    assert.deepEqual(extractCulpritsFromLHR(legacyLcp), {
+      lcpElement: { selector: 'h1', snippet: '<h1>', url: null },
+      layoutShiftElements: [{ selector: 'nav', snippet: '<nav>', score: 0.4 }]
+    });
+    assert.deepEqual(extractCulpritsFromLHR({ audits: {} }), { lcpElement: null, layoutShiftElements: [] });
+
+    const poor = extractMetricsFromLHR(poorLhr);
+    assert.equal(metricsToJSON(poor).metrics.lcpElement.selector, 'main > img.hero');
+    assert.equal(metricsToHumanReadable(poor)['Layout Shift Elements'], 'div.cookie-banner (0.210), footer (0.080)');
+
+    const logged = [];
+    const originalLog = console.log;
+    console.log = (line) => logged.push(line);
+    try {
+      logCulprits(poor);
+      logCulprits(metrics);
+    } finally {
+      console.log = originalLog;
+    }
+    assert.deepEqual(logged, [
+      '    LCP 5.20s (poor): main > img.hero → https://example.com/img/hero.jpg?w=800&q=80',
+      '    CLS 0.310 (poor): div.cookie-banner (0.210), footer (0.080)'
+    ], 'only poor ratings are explained');
+
+    const html = generateIndexReport({ successful: [{ url: 'https://example.com', device: 'mobile', metrics: poor }], failed: [] });
+    assert.ok(html.includes('5.20s<span class="culprit">main &gt; img.hero</span>'));
+    assert.ok(html.includes('0.310<span class="culprit">div.cookie-banner</span>'));
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exit(1);
+  }
+}
+
+testMetrics();
@@ -0,0 +1,166 @@
+/**
+ * Simple test script to verify CSV and XLSX export of audit results
+ * Run with: node tests/test-result-export.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import Papa from 'papaparse';
+import { EXPORT_COLUMNS, resultsToRows, recordToRow, formatExport, saveExport } from '../src/services/result-export.js';
+import { saveAuditData } from '../src/services/data-storage.js';
+import { exportCommand } from '../src/cli/commands.js';
+import { createConfig, parseCliOptions } from '../src/models/config.js';
+import { createAudit, createFailedAudit } from '../src/models/audit.js';
+import { createMetrics } from '../src/models/metrics.js';
+
+const TEST_DIR = './test-result-export-output';
+const DATA_DIR = `${TEST_DIR}/data`;
+
+const metrics = createMetrics({
+  lcp: 2712.456, inp: 150, cls: 0.04321, ttfb: 420, tbt: 90, fcp: 1500, speedIndex: 3000, tti: 4000,
+  maxPotentialFid: 80, performanceScore: 86, accessibilityScore: 97, seoScore: 100, bestPracticesScore: 92
+});
+
+const results = {
+  successful: [{
+    url: 'https://example.com/', requestedUrl: 'https://example.com/', device: 'mobile',
+    timestamp: '2025-10-22T14:30:52.000Z', metrics, categories: { performance: 86 }
+  }],
+  failed: [{
+    url: 'https://example.com/broken', device: 'desktop', error: '=HYPERLINK("x")', status: 'timeout',
+    timestamp: '2025-10-22T14:31:00.000Z'
+  }]
+};
+
+// Reads the files of a zip archive (as written by createXlsx: deflated, no data descriptors)
+function readZip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf-8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf-8');
+    offset = start + compressedSize;
+  }
+  return files;
+}
+
+async function captureLog(fn) {
+  const logged = [];
+  const originalLog = console.log;
+  console.log = (line = '') => logged.push(line);
+  try {
+    await fn();
+  } finally {
+    console.log = originalLog;
+  }
+  return logged;
+}
+
+async function testResultExport() {
+  console.log('Testing CSV and XLSX export...\n');
+
+  try {
+    // Test 1: Rows
+    console.log('Test 1: Flattens each audit into one row');
+    const rows = resultsToRows(results);
+    assert.equal(rows.length, 2);
+    assert.deepEqual(Object.keys(rows[0]), EXPORT_COLUMNS.map(column => column.key));
+    assert.equal(rows[0].url, 'https://example.com/');
+    assert.equal(rows[0].lcp, 2712, 'milliseconds are rounded');
+    assert.equal(rows[0].lcpScore, 'needs-improvement');
+    assert.equal(rows[0].cls, 0.043);
+    assert.equal(rows[0].clsScore, 'good');
+    assert.equal(rows[0].bestPracticesScore, 92);
+    assert.equal(rows[0].status, 'success');
+    assert.equal(rows[0].error, null);
+    assert.deepEqual(
+      [rows[1].device, rows[1].lcp, rows[1].lcpScore, rows[1].status, rows[1].error],
+      ['desktop', null, null, 'timeout', '=HYPERLINK("x")']
+    );
+
+    // Stored records: ratings missing from older data are calculated, categories fall back to audit.categories
+    const stored = recordToRow({
+      audit: { requestedUrl: 'https://example.com/old', deviceMode: 'mobile', timestamp: '2024-01-01T00:00:00.000Z', status: 'success', categories: { seo: 75 } },
+      metrics: { lcp: 1800, fcp: 3500 }
+    });
+    assert.equal(stored.lcpScore, 'good');
+    assert.equal(stored.fcpScore, 'poor');
+    assert.equal(stored.seoScore, 75);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: CSV and XLSX
+    console.log('Test 2: Writes CSV and XLSX');
+    const csv = Papa.parse(formatExport(rows, 'csv').trim(), { header: true }).data;
+    assert.equal(csv.length, 2);
+    assert.equal(csv[0]['LCP (ms)'], '2712');
+    assert.equal(csv[0]['LCP Rating'], 'needs-improvement');
+    assert.equal(csv[0]['Best Practices'], '92');
+    assert.equal(csv[1]['Error'], `'=HYPERLINK("x")`, 'formulas are escaped');
+    assert.equal(csv[1]['LCP (ms)'], '');
+
+    const xlsxPath = await saveExport(rows, `${TEST_DIR}/results.xlsx`, 'xlsx');
+    const files = readZip(await fs.readFile(xlsxPath));
+    assert.deepEqual(Object.keys(files), [
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml'
+    ]);
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.match(sheet, /<c r="A1" t="inlineStr"><is><t xml:space="preserve">URL<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="D2"><v>2712<\/v><\/c>/, 'numbers are numeric cells');
+    assert.match(sheet, /=HYPERLINK\(&quot;x&quot;\)/);
+    assert.ok(!sheet.includes('r="D3"'), 'missing values leave the cell empty');
+    assert.match(files['xl/workbook.xml'], /<sheet name="Audit Results"/);
+    assert.throws(() => formatExport(rows, 'pdf'), /Export format must be one of: csv, xlsx/);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Export command
+    console.log('Test 3: Exports stored audits with filters');
+    const audit = (url, deviceMode) => createAudit({ url, requestedUrl: url, lighthouseVersion: '13.0.0', deviceMode, auditDuration: 1000, status: 'success' });
+    await saveAuditData(audit('https://example.com/', 'mobile'), metrics, DATA_DIR, 'mobile', new Date('2025-10-20T08:00:00.000Z'));
+    await saveAuditData(audit('https://example.com/', 'desktop'), metrics, DATA_DIR, 'desktop', new Date('2025-10-21T08:00:00.000Z'));
+    await saveAuditData(
+      createFailedAudit('https://example.org/', 'Navigation timeout', 'mobile', 1000, '13.0.0', 1, 'timeout'),
+      null, DATA_DIR, 'mobile', new Date('2025-10-22T08:00:00.000Z')
+    );
+
+    const output = `${TEST_DIR}/export.csv`;
+    const logged = await captureLog(() => exportCommand({ dataDir: DATA_DIR, output, device: 'mobile' }));
+    assert.deepEqual(logged.slice(-1), [`\n📄 2 audits exported to: ${path.resolve(output)}`]);
+    const exported = Papa.parse((await fs.readFile(output, 'utf-8')).trim(), { header: true }).data;
+    assert.deepEqual(exported.map(row => [row.URL, row.Device, row.Status, row.Error]), [
+      ['https://example.com/', 'mobile', 'success', ''],
+      ['https://example.org/', 'mobile', 'timeout', 'Navigation timeout']
+    ]);
+
+    await captureLog(() => exportCommand({ dataDir: DATA_DIR, reportsDir: `${TEST_DIR}/reports`, format: 'xlsx', domain: 'example.com', from: '2025-10-21' }));
+    const [xlsxFile] = await fs.readdir(`${TEST_DIR}/reports`);
+    assert.match(xlsxFile, /^export_\d{4}-\d{2}-\d{2}-\d{6}\.xlsx$/);
+    const exportedSheet = readZip(await fs.readFile(`${TEST_DIR}/reports/${xlsxFile}`))['xl/worksheets/sheet1.xml'];
+    assert.equal((exportedSheet.match(/<row /g) || []).length, 2, 'header and the desktop audit');
+    await assert.rejects(() => exportCommand({ dataDir: DATA_DIR, from: '22-10-2025' }), /--from must be a date in YYYY-MM-DD format/);
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: --output-format
+    console.log('Test 4: Parses --output-format');
+    assert.deepEqual(parseCliOptions({ outputFormat: 'CSV, xlsx' }).outputFormats, ['csv', 'xlsx']);
+    assert.deepEqual(parseCliOptions({ json: true, outputFormat: 'json,csv' }).outputFormats, ['json', 'csv']);
+    assert.equal(parseCliOptions({}).outputFormats, undefined);
+    assert.deepEqual(createConfig({ outputFormats: ['csv'] }).outputFormats, ['csv']);
+    assert.throws(() => createConfig({ outputFormats: ['pdf'] }), /outputFormats must be a list of: json, csv, xlsx/);
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testResultExport();
@@ -0,0 +1,92 @@
+/**
+ * Simple test script to verify run comparison
+ * Run with: node tests/test-run-comparator.js
+ */
+
+import assert from 'assert/strict';
+import { compareAuditRecords, formatComparisonText, getComparisonCounts } from '../src/services/run-comparator.js';
+import { generateComparisonReport } from '../src/services/comparison-report.js';
+
+// Builds a saved audit record in the shape written by saveAuditData
+function record(url, device, timestamp, metrics, status = 'success') {
+  return {
+    audit: { requestedUrl: url, deviceMode: device, timestamp, status },
+    metrics
+  };
+}
+
+const baseline = [
+  record('https://example.com', 'mobile', '2025-10-20T10:00:00.000Z',
+    { lcp: 3000, inp: 100, cls: 0.05, ttfb: 300, tbt: 200, performanceScore: 70, accessibilityScore: 90 }),
+  // Older duplicate must be ignored in favour of the latest audit
+  record('https://example.com', 'mobile', '2025-10-19T10:00:00.000Z',
+    { lcp: 9000, inp: 100, cls: 0.05, ttfb: 300, tbt: 200, performanceScore: 10 }),
+  record('https://example.com/removed', 'mobile', '2025-10-20T10:00:00.000Z',
+    { lcp: 1000, inp: 50, cls: 0, ttfb: 100, tbt: 0, performanceScore: 99 })
+];
+
+const candidate = [
+  record('https://example.com', 'mobile', '2025-10-21T10:00:00.000Z',
+    { lcp: 2400, inp: 100, cls: 0.12, ttfb: 300, tbt: 150, performanceScore: 85, accessibilityScore: 90 }),
+  record('https://example.com', 'desktop', '2025-10-21T10:00:00.000Z',
+    { lcp: 900, inp: 40, cls: 0, ttfb: 100, tbt: 0, performanceScore: 100 })
+];
+
+function testRunComparator() {
+  console.log('Testing run comparison...\n');
+
+  try {
+    // Test 1: Pairing by URL and device
+    console.log('Test 1: Pairs audits by URL and device');
+    const comparison = compareAuditRecords(baseline, candidate);
+    assert.equal(comparison.pairs.length, 1);
+    assert.deepEqual(comparison.onlyInA, [{ url: 'https://example.com/removed', device: 'mobile' }]);
+    assert.deepEqual(comparison.onlyInB, [{ url: 'https://example.com', device: 'desktop' }]);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Deltas and directions
+    console.log('Test 2: Calculates deltas and directions');
+    const changes = Object.fromEntries(comparison.pairs[0].changes.map(c => [c.key, c]));
+    assert.equal(changes.lcp.delta, -600);
+    assert.equal(changes.lcp.direction, 'improved');
+    assert.equal(changes.cls.direction, 'regressed');
+    assert.equal(changes.performanceScore.delta, 15);
+    assert.equal(changes.performanceScore.direction, 'improved');
+    assert.equal(changes.accessibilityScore.direction, 'unchanged');
+    assert.equal(changes.seoScore.delta, null);
+    assert.deepEqual(getComparisonCounts(comparison), { improved: 3, regressed: 1, unchanged: 3 });
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Text and HTML output
+    console.log('Test 3: Formats text and HTML output');
+    const text = formatComparisonText(comparison);
+    assert.ok(text.includes('-600ms (-20.0%)'));
+    const html = generateComparisonReport(comparison);
+    assert.ok(html.includes('<tr class="regressed">'));
+    assert.ok(html.includes('Only in Run B'));
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Audits with different throttling are not diffed
+    console.log('Test 4: Reports audits that ran with different throttling');
+    const throttled = record('https://example.com', 'mobile', '2025-10-22T10:00:00.000Z', { lcp: 6000 });
+    throttled.audit.throttling = {
+      profile: 'slow-4g', method: 'simulate', rttMs: 150, throughputKbps: 1638.4, cpuSlowdownMultiplier: 4
+    };
+    const mismatched = compareAuditRecords(baseline, [throttled]);
+    assert.equal(mismatched.pairs.length, 0);
+    assert.deepEqual(mismatched.throttlingMismatches, [{
+      url: 'https://example.com', device: 'mobile', throttlingA: 'default', throttlingB: 'slow-4g (simulate)'
+    }]);
+    assert.ok(formatComparisonText(mismatched).includes('Not compared, throttling differs'));
+    assert.ok(generateComparisonReport(mismatched).includes('throttling differs'));
+    assert.equal(comparison.throttlingMismatches.length, 0, 'audits saved without throttling count as the default profile');
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exit(1);
+  }
+}
+
+testRunComparator();
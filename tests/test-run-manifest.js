@@ -0,0 +1,178 @@
+/**
+ * Simple test script to verify run directories and run manifests
+ * Run with: node tests/test-run-manifest.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { orchestrateAudits } from '../src/services/audit-orchestrator.js';
+import { getCheckpointPath, loadCheckpoint } from '../src/services/checkpoint.js';
+import {
+  getRunDirectories,
+  getManifestOptions,
+  createRunManifest,
+  completeRunManifest,
+  saveRunManifest,
+  loadRunManifest,
+  listRuns,
+  resolveRunDirectory
+} from '../src/services/run-manifest.js';
+import { saveAuditData, listAuditDataFiles, loadAuditDataBatch } from '../src/services/data-storage.js';
+import { runsCommand } from '../src/cli/commands.js';
+import { createAudit } from '../src/models/audit.js';
+import { createMetrics } from '../src/models/metrics.js';
+import { DEFAULT_CONFIG } from '../src/models/config.js';
+
+const TEST_DIR = './test-run-manifest-output';
+const dataDir = `${TEST_DIR}/data`;
+const reportsDir = `${TEST_DIR}/reports`;
+const runId = '20251022-143052-a1b2c3';
+
+// Fake audit function that writes its report and data where the orchestrator says
+async function fakeAudit(url, options) {
+  await fs.mkdir(options.reportsDir, { recursive: true });
+  const reportPath = path.join(options.reportsDir, `${new URL(url).pathname.slice(1)}.html`);
+  await fs.writeFile(reportPath, '<html></html>');
+
+  if (url.endsWith('/broken')) {
+    return { success: false, requestedUrl: url, error: { message: 'Navigation timeout' }, status: 'timeout', errorReportPath: reportPath };
+  }
+
+  const audit = createAudit({ url, requestedUrl: url, lighthouseVersion: '13.0.0', deviceMode: options.device, auditDuration: 1000, status: 'success' });
+  const metrics = createMetrics({ lcp: 1200, inp: 100, cls: 0.01, ttfb: 300, tbt: 50, performanceScore: 95 });
+  const dataPath = await saveAuditData(audit, metrics, options.dataDir, options.device);
+  return { success: true, url, requestedUrl: url, reportPath, dataPath, metrics };
+}
+
+async function captureLog(fn) {
+  const logged = [];
+  const originalLog = console.log;
+  console.log = (line = '') => logged.push(line);
+  try {
+    await fn();
+  } finally {
+    console.log = originalLog;
+  }
+  return logged;
+}
+
+async function testRunManifest() {
+  console.log('Testing run directories and manifests...\n');
+
+  try {
+    // Test 1: Run directories
+    console.log('Test 1: Writes each run into directories of its own');
+    const directories = getRunDirectories({ reportsDir, dataDir }, runId);
+    assert.deepEqual(directories, { reportsDir: path.join(reportsDir, runId), dataDir: path.join(dataDir, runId) });
+
+    let results;
+    await captureLog(async () => {
+      results = await orchestrateAudits(
+        ['https://example.com/home', 'https://example.com/broken'],
+        fakeAudit,
+        { concurrency: 1, dataDir, reportsDir, runId, json: true }
+      );
+    });
+    const { summary } = results;
+    assert.equal(summary.reportsDir, directories.reportsDir);
+    assert.equal(summary.dataDir, directories.dataDir);
+    assert.equal(summary.indexPath, path.resolve(directories.reportsDir, 'index.html'));
+    assert.deepEqual((await fs.readdir(directories.reportsDir)).sort(), ['broken.html', 'home.html', 'index.html']);
+
+    // The checkpoint stays where --resume looks for it, with the top-level directories
+    const checkpoint = loadCheckpoint(dataDir, runId);
+    assert.ok(getCheckpointPath(dataDir, runId).startsWith(path.join(dataDir, '.checkpoints')));
+    assert.equal(checkpoint.options.reportsDir, reportsDir);
+    assert.equal(checkpoint.successful[0].dataPath, results.successful[0].dataPath);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Manifest
+    console.log('Test 2: Records source, options, versions, times and artifacts');
+    const options = getManifestOptions({
+      ...DEFAULT_CONFIG,
+      headers: { Authorization: 'Bearer secret' },
+      devices: ['mobile'],
+      throttling: { name: 'default', method: 'simulate', settings: {} },
+      auth: { headers: { Authorization: 'Bearer secret' } },
+      pool: {}
+    });
+    assert.deepEqual(options.headers, ['Authorization'], 'header values are credentials');
+    assert.ok(!JSON.stringify(options).includes('secret'));
+    assert.equal(options.auth, undefined);
+    assert.equal(options.concurrency, 3);
+    assert.deepEqual(options.devices, ['mobile']);
+
+    const manifest = createRunManifest({
+      runId, source: 'urls.csv', options, versions: { lighthouse: '13.0.0', node: process.version }, directories
+    });
+    assert.equal(manifest.status, 'running');
+    assert.equal(manifest.finishedAt, null);
+    assert.equal(await saveRunManifest(manifest), path.join(directories.dataDir, 'run.json'));
+
+    const completed = completeRunManifest(manifest, results);
+    await saveRunManifest(completed);
+    const saved = await loadRunManifest(directories.dataDir);
+    assert.equal(saved.status, 'completed');
+    assert.equal(saved.source, 'urls.csv');
+    assert.equal(saved.startedAt, manifest.startedAt);
+    assert.ok(saved.finishedAt >= saved.startedAt);
+    assert.deepEqual(saved.summary, { total: 2, successful: 1, failed: 1, cancelled: 0, duration: summary.duration });
+    assert.equal(saved.indexReport, 'index.html');
+    assert.deepEqual(saved.artifacts.map(({ url, status, report }) => [url, status, report]), [
+      ['https://example.com/home', 'success', 'home.html'],
+      ['https://example.com/broken', 'timeout', 'broken.html']
+    ]);
+    assert.match(saved.artifacts[0].data, /^example\.com_home-[0-9a-f]{8}_.*_mobile\.json$/);
+    assert.equal(saved.artifacts[1].error, 'Navigation timeout');
+    assert.equal(saved.artifacts[1].data, null);
+
+    const stored = completeRunManifest(manifest, {
+      ...results,
+      successful: [{ ...results.successful[0], dataPath: null, dataId: 7 }]
+    });
+    assert.equal(stored.artifacts[0].data, 7, 'data saved to SQLite is recorded by its row ID');
+    assert.equal(completeRunManifest(manifest, results, true).status, 'cancelled');
+    assert.equal(await loadRunManifest(`${TEST_DIR}/missing`), null);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Addressing runs
+    console.log('Test 3: Lists, loads and resolves whole runs');
+    await saveAuditData(
+      createAudit({ url: 'https://example.org', requestedUrl: 'https://example.org', lighthouseVersion: '13.0.0', deviceMode: 'mobile', auditDuration: 1000, status: 'success' }),
+      null, dataDir, 'mobile'
+    );
+    await fs.mkdir(path.join(dataDir, 'not-a-run'));
+    await fs.writeFile(path.join(dataDir, 'not-a-run', 'example.com_2025-10-22-143052_mobile.json'), '{}');
+
+    const files = await listAuditDataFiles(dataDir);
+    assert.equal(files.length, 2, 'top-level files and run directories, not other folders');
+    assert.ok(files.some(file => file.startsWith(`${runId}/example.com_home-`)));
+    assert.equal((await loadAuditDataBatch(dataDir)).length, 2);
+    assert.deepEqual((await loadAuditDataBatch(dataDir, { runs: [runId] })).map(record => record.audit.requestedUrl), ['https://example.com/home']);
+    assert.equal((await loadAuditDataBatch(dataDir, { domain: 'example.com' })).length, 1);
+
+    assert.deepEqual((await listRuns(dataDir)).map(run => run.runId), [runId]);
+    assert.deepEqual(await listRuns(`${TEST_DIR}/missing`), []);
+    assert.equal(await resolveRunDirectory(runId, dataDir), directories.dataDir);
+    assert.equal(await resolveRunDirectory(dataDir, './elsewhere'), dataDir, 'directories are used as-is');
+    assert.equal(await resolveRunDirectory('20990101-000000-ffffff', dataDir), null);
+    assert.equal(await resolveRunDirectory('../etc', dataDir), null);
+
+    const logged = await captureLog(() => runsCommand({ dataDir }));
+    assert.deepEqual(logged, [
+      `${runId}  completed  1 successful, 1 failed  urls.csv`,
+      `\n1 run in ${dataDir}`
+    ]);
+    console.log('✓ Test 3 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testRunManifest();
@@ -0,0 +1,157 @@
+/**
+ * Simple test script to verify multiple runs per URL (--runs)
+ * Run with: node tests/test-runs.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { runLighthouseAudit, selectRepresentativeRun } from '../src/services/lighthouse-runner.js';
+import { median, standardDeviation, summarize } from '../src/lib/statistics.js';
+import { createMetrics, summarizeMetricRuns } from '../src/models/metrics.js';
+
+const TEST_DIR = './test-runs-output';
+const URL = 'https://example.com/';
+
+// Successful worker result with the metrics of one run
+function createRun(values) {
+  return {
+    success: true,
+    url: URL,
+    requestedUrl: URL,
+    lighthouseVersion: '13.0.1',
+    metrics: createMetrics({ inp: 100, cls: 0.01, ttfb: 300, tbt: 50, ...values }),
+    lhr: {
+      requestedUrl: URL,
+      finalUrl: URL,
+      fetchTime: '2025-10-22T14:30:52.000Z',
+      lighthouseVersion: '13.0.1',
+      categories: { performance: { score: values.performanceScore / 100 } },
+      audits: {}
+    }
+  };
+}
+
+// Worker pool stand-in that answers each audit with the next scripted result
+function createScriptedPool(results) {
+  const queue = [...results];
+  return {
+    run: async () => queue.shift(),
+    destroy: async () => {}
+  };
+}
+
+// Runs fn with console.error silenced (failed runs and the stub LHR's HTML report are logged)
+async function quietly(fn) {
+  const originalError = console.error;
+  const logged = [];
+  console.error = (line = '') => logged.push(line);
+  try {
+    return { value: await fn(), logged };
+  } finally {
+    console.error = originalError;
+  }
+}
+
+async function testRuns() {
+  console.log('Testing multiple runs per URL...\n');
+
+  try {
+    // Test 1: Statistics helpers
+    console.log('Test 1: Calculates median, standard deviation and summaries');
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, 3, 2]), 2.5, 'even lists average the middle values');
+    assert.equal(median([]), null);
+    assert.equal(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9]), 2);
+    assert.equal(standardDeviation([5]), 0);
+    assert.equal(standardDeviation([]), null);
+    const summary = summarize([2600, null, 1800, undefined, NaN, 2100]);
+    assert.deepEqual([summary.median, summary.min, summary.max], [2100, 1800, 2600], 'non-numeric values are ignored');
+    assert.equal(summary.stdDev.toFixed(2), '329.98');
+    assert.equal(summarize([null, undefined]), null);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Per-metric summaries
+    console.log('Test 2: Summarises each metric across runs');
+    const statistics = summarizeMetricRuns([
+      { lcp: 1800, cls: 0.1, inp: null },
+      { lcp: 2600, cls: 0.3, inp: null },
+      { lcp: 2100, cls: 0.2, inp: null }
+    ]);
+    assert.deepEqual(Object.keys(statistics), ['lcp', 'cls'], 'metrics without values are omitted');
+    assert.deepEqual(statistics.lcp, summarize([1800, 2600, 2100]));
+    assert.equal(statistics.cls.median, 0.2);
+    assert.equal(statistics.cls.min, 0.1);
+    assert.equal(statistics.cls.max, 0.3);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Representative run
+    console.log('Test 3: Picks the run closest to the median FCP and TTI');
+    const fast = createRun({ lcp: 1500, fcp: 900, tti: 3000, performanceScore: 95 });
+    const typical = createRun({ lcp: 2600, fcp: 1100, tti: 3500, performanceScore: 88 });
+    const slow = createRun({ lcp: 2000, fcp: 1600, tti: 5200, performanceScore: 70 });
+    assert.equal(selectRepresentativeRun([fast]), fast);
+    assert.equal(selectRepresentativeRun([slow, fast, typical]), typical);
+    assert.equal(selectRepresentativeRun([fast, typical]), fast, 'ties go to the lower TTI');
+
+    const withoutTti = [fast, typical, slow].map(run => ({ ...run, metrics: { ...run.metrics, tti: null } }));
+    assert.equal(selectRepresentativeRun(withoutTti), withoutTti[2], 'falls back to the median LCP');
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Multiple runs with one failure
+    console.log('Test 4: Reports the median run and statistics of the successful runs');
+    const pool = createScriptedPool([
+      slow,
+      { success: false, error: { message: 'Chrome crashed', code: 'CRASH' } },
+      fast,
+      typical
+    ]);
+    const { value: result, logged } = await quietly(() => runLighthouseAudit(URL, {
+      runs: 4, pool, json: true, dataDir: `${TEST_DIR}/data`, reportsDir: `${TEST_DIR}/reports`
+    }));
+
+    assert.equal(result.success, true);
+    assert.ok(logged.includes(`[ERROR] ${URL} - Run 2/4 failed: Chrome crashed`));
+    assert.equal(result.metrics, typical.metrics, 'the representative run is reported');
+    assert.equal(result.categories.performance, 88);
+    assert.equal(result.runs.count, 3);
+    assert.equal(result.runs.requested, 4);
+    assert.equal(result.runs.representativeRun, 3, 'position among the successful runs');
+    assert.deepEqual(result.runs.statistics.lcp, summarize([2000, 1500, 2600]));
+    const { median: scoreMedian, min, max, stdDev } = result.runs.statistics.performanceScore;
+    assert.deepEqual([scoreMedian, min, max], [88, 70, 95]);
+    assert.equal(stdDev.toFixed(2), '10.53');
+    assert.equal(result.runs.statistics.inp.stdDev, 0);
+    assert.equal(result.runs.statistics.seoScore, undefined);
+
+    const saved = JSON.parse(await fs.readFile(result.dataPath, 'utf-8'));
+    assert.deepEqual(saved.audit.runs, result.runs);
+    assert.deepEqual(saved.audit.runs.values.map(run => [run.lcp, run.fcp, run.tti, run.seoScore]), [
+      [2000, 1600, 5200, null],
+      [1500, 900, 3000, null],
+      [2600, 1100, 3500, null]
+    ]);
+    console.log('✓ Test 4 passed\n');
+
+    // Test 5: Failing only when every run failed
+    console.log('Test 5: Fails only when every run failed');
+    const single = await runLighthouseAudit(URL, { pool: createScriptedPool([fast]), reportsDir: `${TEST_DIR}/reports` });
+    assert.equal(single.runs, null, 'a single run has no run statistics');
+
+    const crash = { success: false, error: { message: 'Chrome crashed', code: 'CRASH' } };
+    const { value: failed } = await quietly(() => runLighthouseAudit(URL, {
+      runs: 3, pool: createScriptedPool([crash, crash, crash]), reportsDir: `${TEST_DIR}/reports`
+    }));
+    assert.equal(failed.success, false);
+    assert.equal(failed.error.message, 'Chrome crashed');
+    console.log('✓ Test 5 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testRuns();
@@ -0,0 +1,112 @@
+/**
+ * Simple test script to verify sitemap input
+ * Run with: node tests/test-sitemap-reader.js
+ */
+
+import assert from 'assert/strict';
+import http from 'http';
+import { gzipSync } from 'zlib';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { isSitemapSource, parseSitemapXml, readSitemap, selectUrls } from '../src/services/sitemap-reader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Serves a root index -> nested index (gzipped) -> two urlsets, plus a loop back to the root
+function startSitemapServer() {
+  const urlset = (paths) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${paths.map(p => `  <url><loc>https://shop.example.com${p}</loc></url>`).join('\n')}
+</urlset>`;
+  const index = (locations) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locations.map(l => `  <sitemap><loc>${l}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+  const server = http.createServer((req, res) => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const routes = {
+      '/sitemap_index.xml': index([`${base}/nested.xml.gz`, `${base}/sitemap_index.xml`]),
+      '/nested.xml.gz': gzipSync(index([`${base}/pages.xml`, `${base}/products.xml`])),
+      '/pages.xml': urlset(['/', '/about']),
+      '/products.xml': urlset(['/products/1', '/products/2', '/about'])
+    };
+
+    if (!routes[req.url]) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    res.end(routes[req.url]);
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function testSitemapReader() {
+  console.log('Testing sitemap reader...\n');
+  const server = await startSitemapServer();
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    // Test 1: Source detection and parsing
+    console.log('Test 1: Detects and parses sitemaps');
+    assert.ok(isSitemapSource('https://example.com/sitemap.xml'));
+    assert.ok(isSitemapSource('./sitemap.xml.gz'));
+    assert.ok(!isSitemapSource('./urls.csv'));
+    const parsed = parseSitemapXml('<urlset><url><loc> https://example.com/a?x=1&amp;y=2 </loc></url></urlset>');
+    assert.deepEqual(parsed, { type: 'urlset', locations: ['https://example.com/a?x=1&y=2'] });
+    assert.throws(() => parseSitemapXml('<html></html>'), /Not a sitemap/);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Local sitemap file and local index with relative entries
+    console.log('Test 2: Reads local sitemap and sitemap index files');
+    const local = await readSitemap(join(__dirname, 'fixtures/sitemap.xml'));
+    assert.equal(local.urls.length, 5);
+    assert.ok(local.urls.includes('https://example.com/search?q=a&page=2'));
+    assert.ok(local.urls.includes('https://example.com/products?id=1&ref=home'));
+
+    const localIndex = await readSitemap(join(__dirname, 'fixtures/sitemap-index.xml'));
+    assert.equal(localIndex.urls.length, 5);
+    assert.equal(localIndex.metadata.failedSitemaps.length, 1, 'missing nested sitemap is skipped');
+    await assert.rejects(readSitemap('/nonexistent/sitemap.xml'), /Sitemap file not found/);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Remote nested indexes, gzip, loops and duplicate URLs
+    console.log('Test 3: Follows nested remote sitemap indexes');
+    const remote = await readSitemap(`${base}/sitemap_index.xml`);
+    assert.deepEqual(remote.urls, [
+      'https://shop.example.com/',
+      'https://shop.example.com/about',
+      'https://shop.example.com/products/1',
+      'https://shop.example.com/products/2'
+    ]);
+    assert.equal(remote.metadata.sitemapsRead, 4);
+    await assert.rejects(readSitemap(`${base}/missing.xml`), /HTTP 404/);
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Include/exclude/limit/sample
+    console.log('Test 4: Selects a subset of URLs');
+    assert.deepEqual(
+      selectUrls(local.urls, { include: '/blog/', exclude: '/tag/' }),
+      ['https://example.com/blog/first-post']
+    );
+    assert.deepEqual(selectUrls(local.urls, { limit: 2 }), local.urls.slice(0, 2));
+    const sampled = selectUrls(local.urls, { sample: 3, random: () => 0.5 });
+    assert.equal(sampled.length, 3);
+    assert.deepEqual(sampled, local.urls.filter(url => sampled.includes(url)), 'sample keeps sitemap order');
+    assert.equal(selectUrls(local.urls, { sample: 50 }).length, 5);
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+testSitemapReader();
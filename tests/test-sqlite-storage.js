@@ -0,0 +1,141 @@
+/**
+ * Simple test script to verify the SQLite result store and the import command
+ * Run with: node tests/test-sqlite-storage.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { saveAuditData, loadAuditDataBatch, auditDataExists, importAuditData } from '../src/services/data-storage.js';
+import { getDatabasePath, openDatabase, closeDatabase, databaseExists } from '../src/services/sqlite-storage.js';
+import { saveRunManifest, createRunManifest, getRunDirectories } from '../src/services/run-manifest.js';
+import { loadRunRecords } from '../src/services/run-comparator.js';
+import { importCommand } from '../src/cli/commands.js';
+import { createConfig } from '../src/models/config.js';
+import { createAudit } from '../src/models/audit.js';
+import { createMetrics } from '../src/models/metrics.js';
+
+const TEST_DIR = './test-sqlite-storage-output';
+const DATA_DIR = `${TEST_DIR}/data`;
+const JSON_DIR = `${TEST_DIR}/json`;
+const runId = '20251022-143052-a1b2c3';
+
+function audit(url, timestamp, deviceMode = 'mobile') {
+  return {
+    ...createAudit({ url, requestedUrl: url, lighthouseVersion: '13.0.0', deviceMode, auditDuration: 1000, status: 'success' }),
+    timestamp
+  };
+}
+
+function metrics(lcp) {
+  return createMetrics({ lcp, inp: 100, cls: 0.01, ttfb: 300, tbt: 50, performanceScore: 95, accessibilityScore: 88 });
+}
+
+async function testSqliteStorage() {
+  console.log('Testing the SQLite result store...\n');
+
+  const database = getDatabasePath(DATA_DIR);
+
+  try {
+    // Test 1: Saving and loading
+    console.log('Test 1: Saves audits to the database and loads them like JSON files');
+    assert.equal(
+      await saveAuditData(audit('https://example.com/a', '2025-10-21T10:00:00.000Z'), metrics(1200), DATA_DIR, 'mobile', undefined, { database }),
+      1,
+      'the row ID is returned'
+    );
+    await saveAuditData(audit('https://example.com/a', '2025-10-22T10:00:00.000Z'), metrics(1500), DATA_DIR, 'mobile', undefined, { database, runId });
+    await saveAuditData(audit('https://example.org/', '2025-10-22T11:00:00.000Z', 'desktop'), null, DATA_DIR, 'desktop', undefined, { database, runId });
+    assert.ok(!(await fs.readdir(DATA_DIR)).some(file => file.endsWith('.json')), 'no JSON files are written');
+
+    const all = await loadAuditDataBatch(DATA_DIR);
+    assert.deepEqual(all.map(record => [record.audit.requestedUrl, record.metrics?.lcp ?? null]), [
+      ['https://example.com/a', 1200],
+      ['https://example.com/a', 1500],
+      ['https://example.org/', null]
+    ]);
+    assert.equal((await loadAuditDataBatch(DATA_DIR, { domain: 'example.com' })).length, 2);
+    assert.equal((await loadAuditDataBatch(DATA_DIR, { startDate: '2025-10-22' })).length, 2);
+    assert.equal((await loadAuditDataBatch(DATA_DIR, { endDate: '2025-10-21' })).length, 1);
+    assert.equal((await loadAuditDataBatch(DATA_DIR, { runs: [runId] })).length, 2);
+
+    // The metrics and category_scores tables hold the same values for querying directly
+    const db = await openDatabase(database);
+    assert.deepEqual(
+      db.prepare('SELECT a.timestamp, m.lcp FROM audits a JOIN metrics m ON m.audit_id = a.id ORDER BY a.timestamp').all(),
+      [{ timestamp: '2025-10-21T10:00:00.000Z', lcp: 1200 }, { timestamp: '2025-10-22T10:00:00.000Z', lcp: 1500 }]
+    );
+    assert.deepEqual(
+      db.prepare("SELECT category, score FROM category_scores WHERE audit_id = 1 ORDER BY category").all(),
+      [{ category: 'accessibility', score: 88 }, { category: 'performance', score: 95 }]
+    );
+
+    assert.equal(await auditDataExists('https://example.com/a', DATA_DIR, new Date('2025-10-22T12:00:00.000Z'), 'mobile'), true);
+    assert.equal(await auditDataExists('https://example.com/a', DATA_DIR, new Date('2025-10-22T12:00:00.000Z'), 'desktop'), false);
+    assert.equal(await auditDataExists('https://example.com/b', DATA_DIR, new Date('2025-10-22T12:00:00.000Z')), false);
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Runs
+    console.log('Test 2: Loads the audits of a run from the database');
+    const directories = getRunDirectories({ reportsDir: `${TEST_DIR}/reports`, dataDir: DATA_DIR }, runId);
+    await saveRunManifest(createRunManifest({ runId, source: 'urls.csv', options: {}, versions: {}, directories }));
+    assert.deepEqual(
+      (await loadRunRecords(directories.dataDir)).map(record => record.audit.timestamp),
+      ['2025-10-22T10:00:00.000Z', '2025-10-22T11:00:00.000Z']
+    );
+    await closeDatabase(database);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Import
+    console.log('Test 3: Imports JSON files once');
+    await saveAuditData(audit('https://example.com/a', '2025-10-20T10:00:00.000Z'), metrics(1100), JSON_DIR, 'mobile', new Date('2025-10-20T10:00:00.000Z'));
+    const jsonRun = getRunDirectories({ reportsDir: `${TEST_DIR}/reports`, dataDir: JSON_DIR }, runId);
+    await saveRunManifest(createRunManifest({ runId, source: 'urls.csv', options: {}, versions: {}, directories: jsonRun }));
+    await saveAuditData(audit('https://example.com/a', '2025-10-22T10:00:00.000Z'), metrics(1500), jsonRun.dataDir, 'mobile', new Date('2025-10-22T10:00:00.000Z'));
+    await fs.writeFile(path.join(JSON_DIR, 'example.com_2025-10-21-100000_mobile.json'), '{"audit":{}}');
+    assert.equal(databaseExists(JSON_DIR), false);
+
+    const first = await importAuditData(JSON_DIR);
+    assert.equal(first.imported, 2);
+    assert.equal(first.existing, 0);
+    assert.deepEqual(first.skipped.map(item => item.file), ['example.com_2025-10-21-100000_mobile.json']);
+    assert.deepEqual(
+      (await loadAuditDataBatch(JSON_DIR)).filter(record => record.audit.requestedUrl).map(record => record.audit.timestamp),
+      ['2025-10-20T10:00:00.000Z', '2025-10-22T10:00:00.000Z'],
+      'imported files are not loaded twice'
+    );
+    assert.equal((await loadAuditDataBatch(JSON_DIR, { runs: [runId] })).length, 1, 'files of run directories keep their run');
+
+    const logged = [];
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    console.log = (line) => logged.push(line);
+    console.warn = (line) => logged.push(line);
+    try {
+      await importCommand({ dataDir: JSON_DIR });
+    } finally {
+      console.log = originalLog;
+      console.warn = originalWarn;
+    }
+    assert.ok(logged.includes(`\n✓ 0 audits imported into ${path.resolve(getDatabasePath(JSON_DIR))} (2 imported before)`));
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Config
+    console.log('Test 4: Validates the storage option');
+    assert.equal(createConfig({}).storage, 'json');
+    assert.equal(createConfig({ storage: 'sqlite' }).storage, 'sqlite');
+    assert.throws(() => createConfig({ storage: 'postgres' }), /storage must be one of: json, sqlite/);
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase(database);
+    await closeDatabase(getDatabasePath(JSON_DIR));
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testSqliteStorage();
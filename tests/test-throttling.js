@@ -0,0 +1,116 @@
+/**
+ * Simple test script to verify throttling profiles and presets
+ * Run with: node tests/test-throttling.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import {
+  resolveThrottlingProfile,
+  getThrottlingSettings,
+  getThrottlingKey,
+  THROTTLING_PRESETS
+} from '../src/models/throttling.js';
+import { createConfig, parseCliOptions, getConfigSummary } from '../src/models/config.js';
+import { createAudit, auditToJSON } from '../src/models/audit.js';
+import { buildTrendSeries } from '../src/services/trend-analyzer.js';
+import { getTrendFilename } from '../src/services/trend-report.js';
+
+const TEST_DIR = './test-throttling-output';
+const configPath = `${TEST_DIR}/.kindbeaconrc.json`;
+
+async function testThrottling() {
+  console.log('Testing throttling profiles...\n');
+
+  try {
+    await fs.mkdir(TEST_DIR, { recursive: true });
+
+    // Test 1: Presets and device CPU defaults
+    console.log('Test 1: Resolves presets with device CPU defaults');
+    for (const name of ['default', 'slow-4g', 'fast-3g', 'cable', 'none']) {
+      assert.ok(THROTTLING_PRESETS[name], `${name} preset exists`);
+    }
+    const slow = resolveThrottlingProfile('slow-4g');
+    assert.equal(slow.method, 'simulate');
+    assert.equal(getThrottlingSettings(slow, 'mobile').cpuSlowdownMultiplier, 4);
+    assert.equal(getThrottlingSettings(slow, 'desktop').cpuSlowdownMultiplier, 1);
+    assert.deepEqual(getThrottlingSettings(null, 'mobile'), {
+      profile: 'default', method: 'simulate', rttMs: 40, throughputKbps: 10240,
+      requestLatencyMs: 150, downloadThroughputKbps: 9216, uploadThroughputKbps: 9216, cpuSlowdownMultiplier: 4
+    });
+    assert.equal(resolveThrottlingProfile('none').method, 'provided', 'none disables throttling');
+    assert.equal(resolveThrottlingProfile('cable', {}, 'devtools').method, 'devtools');
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Custom profiles
+    console.log('Test 2: Resolves custom and inline profiles');
+    const profiles = {
+      office: { extends: 'cable', rttMs: 60, method: 'devtools' },
+      'office-slow-cpu': { extends: 'office', cpuSlowdownMultiplier: 6 }
+    };
+    const office = resolveThrottlingProfile('office-slow-cpu', profiles);
+    assert.equal(office.method, 'devtools');
+    assert.equal(office.settings.rttMs, 60);
+    assert.equal(office.settings.throughputKbps, THROTTLING_PRESETS.cable.throughputKbps);
+    assert.equal(getThrottlingSettings(office, 'desktop').cpuSlowdownMultiplier, 6);
+    const inline = resolveThrottlingProfile({ rttMs: 150 });
+    assert.equal(inline.name, 'custom');
+    assert.equal(inline.settings.throughputKbps, 10240, 'inline settings override the default profile');
+    assert.throws(() => resolveThrottlingProfile('3g'), /Unknown throttling profile: 3g/);
+    assert.throws(() => resolveThrottlingProfile('a', { a: { extends: 'b' }, b: { extends: 'a' } }), /extends itself/);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Config file and CLI
+    console.log('Test 3: Reads throttling from the config file and CLI');
+    await fs.writeFile(configPath, JSON.stringify({ throttling: 'office', throttlingProfiles: profiles }));
+    const fromFile = createConfig({}, configPath);
+    assert.equal(fromFile.throttling, 'office');
+    assert.equal(getConfigSummary(fromFile)['Throttling'], 'office (devtools)');
+    const cli = parseCliOptions({ throttling: 'fast-3g', throttlingMethod: 'DevTools' });
+    assert.deepEqual(cli, { throttling: 'fast-3g', throttlingMethod: 'devtools' });
+    assert.equal(getConfigSummary(createConfig(cli, configPath))['Throttling'], 'fast-3g (devtools)');
+
+    const invalid = async (fileConfig, pattern) => {
+      await fs.writeFile(configPath, JSON.stringify(fileConfig));
+      assert.throws(() => createConfig({}, configPath), pattern);
+    };
+    await invalid({ throttling: 'slow-5g' }, /Unknown throttling profile: slow-5g/);
+    await invalid({ throttlingMethod: 'provided' }, /throttlingMethod must be one of: simulate, devtools/);
+    await invalid({ throttlingProfiles: { 'slow-4g': { rttMs: 1 } } }, /built-in profile name/);
+    await invalid({ throttlingProfiles: { office: { rttMs: -1 } } }, /throttlingProfiles.office.rttMs must be a non-negative number/);
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: The applied throttling is saved with the audit and splits trend series
+    console.log('Test 4: Records throttling in audit data');
+    const applied = getThrottlingSettings(resolveThrottlingProfile('slow-4g'), 'mobile');
+    const audit = createAudit({
+      url: 'https://example.com', requestedUrl: 'https://example.com', lighthouseVersion: '13.0.0',
+      deviceMode: 'mobile', auditDuration: 1000, status: 'success', throttling: applied
+    });
+    assert.deepEqual(auditToJSON(audit).audit.throttling, applied);
+
+    const legacy = { ...audit, throttling: undefined };
+    const defaultAudit = { ...audit, throttling: getThrottlingSettings(null, 'mobile') };
+    assert.equal(getThrottlingKey(legacy), getThrottlingKey(defaultAudit), 'older audits ran with the default profile');
+    assert.notEqual(getThrottlingKey(audit), getThrottlingKey(defaultAudit));
+
+    const series = buildTrendSeries([
+      { audit, metrics: { lcp: 5000 } },
+      { audit: legacy, metrics: { lcp: 2000 } },
+      { audit: { ...defaultAudit, timestamp: '2025-10-01T00:00:00.000Z' }, metrics: { lcp: 2100 } }
+    ]);
+    assert.equal(series.length, 2);
+    assert.deepEqual(series.map(item => item.points.length), [2, 1]);
+    assert.deepEqual(series.map(getTrendFilename), ['trend_example.com_mobile.html', 'trend_example.com_mobile_slow-4g.html']);
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testThrottling();
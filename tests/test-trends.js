@@ -0,0 +1,151 @@
+/**
+ * Simple test script to verify trend series and trend reports
+ * Run with: node tests/test-trends.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { buildTrendSeries, loadTrendSeries, TrendGrouping } from '../src/services/trend-analyzer.js';
+import { generateTrendReport, generateAndSaveTrendReports, getTrendFilename, renderTrendChart } from '../src/services/trend-report.js';
+import { saveAuditData } from '../src/services/data-storage.js';
+import { trendsCommand } from '../src/cli/commands.js';
+import { createAudit, createFailedAudit } from '../src/models/audit.js';
+import { createMetrics } from '../src/models/metrics.js';
+
+const TEST_DIR = './test-trends-output';
+const DATA_DIR = `${TEST_DIR}/data`;
+const REPORTS_DIR = `${TEST_DIR}/reports`;
+
+// Saved audit record as loaded by loadAuditDataBatch
+function record(url, timestamp, metrics, { deviceMode = 'mobile', status = 'success' } = {}) {
+  return {
+    audit: { requestedUrl: url, domain: new URL(url).hostname, deviceMode, status, timestamp },
+    metrics: status === 'success' ? { cls: 0.05, performanceScore: 90, ...metrics } : null
+  };
+}
+
+const records = [
+  record('https://example.com/b', '2025-10-21T10:00:00.000Z', { lcp: 3000 }),
+  record('https://example.com/a', '2025-10-21T09:00:00.000Z', { lcp: 2000 }),
+  record('https://example.com/a', '2025-10-20T09:00:00.000Z', { lcp: 1000, performanceScore: 70 }),
+  record('https://example.com/b', '2025-10-20T10:00:00.000Z', { lcp: 2000, performanceScore: null }),
+  record('https://example.com/a', '2025-10-22T09:00:00.000Z', null, { status: 'failed' }),
+  record('https://example.com/a', '2025-10-20T09:00:00.000Z', { lcp: 900 }, { deviceMode: 'desktop' }),
+  record('https://example.org/', '2025-10-19T09:00:00.000Z', { lcp: 1500 })
+];
+
+async function captureLog(fn) {
+  const logged = [];
+  const originalLog = console.log;
+  console.log = (line = '') => logged.push(line);
+  try {
+    await fn();
+  } finally {
+    console.log = originalLog;
+  }
+  return logged;
+}
+
+async function testTrends() {
+  console.log('Testing trend series and reports...\n');
+
+  try {
+    // Test 1: Series per URL
+    console.log('Test 1: Builds one sorted series per URL and device');
+    const byUrl = buildTrendSeries(records);
+    assert.deepEqual(byUrl.map(series => [series.key, series.device, series.groupBy]), [
+      ['https://example.com/a', 'desktop', 'url'],
+      ['https://example.com/a', 'mobile', 'url'],
+      ['https://example.com/b', 'mobile', 'url'],
+      ['https://example.org/', 'mobile', 'url']
+    ]);
+    assert.deepEqual(byUrl[0].throttling, { profile: 'default', method: 'simulate' });
+
+    const mobileA = byUrl[1];
+    assert.deepEqual(mobileA.points.map(point => point.timestamp), [
+      '2025-10-20T09:00:00.000Z',
+      '2025-10-21T09:00:00.000Z'
+    ], 'points are chronological and the failed audit is skipped');
+    assert.deepEqual(mobileA.points.map(point => [point.lcp, point.performanceScore]), [[1000, 70], [2000, 90]]);
+    assert.equal(mobileA.points[0].tti, null, 'missing fields are null');
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Series per domain
+    console.log('Test 2: Averages domain series per day');
+    const byDomain = buildTrendSeries(records, { groupBy: TrendGrouping.DOMAIN, device: 'mobile' });
+    assert.deepEqual(byDomain.map(series => [series.key, series.device]), [
+      ['example.com', 'mobile'],
+      ['example.org', 'mobile']
+    ], 'the device filter drops the desktop audit');
+    assert.deepEqual(byDomain[0].points.map(point => [point.timestamp, point.count, point.lcp, point.performanceScore]), [
+      ['2025-10-20T00:00:00.000Z', 2, 1500, 70],
+      ['2025-10-21T00:00:00.000Z', 2, 2500, 90]
+    ], 'missing values are left out of the average');
+
+    assert.deepEqual(buildTrendSeries(records, { device: 'tablet' }), []);
+    assert.throws(() => buildTrendSeries(records, { groupBy: 'path' }), /groupBy must be 'url' or 'domain' \(got: path\)/);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Report pages
+    console.log('Test 3: Writes one page per series with rating bands');
+    const html = generateTrendReport(mobileA);
+    assert.match(html, /<title>Trends - https:\/\/example.com\/a \(mobile\)<\/title>/);
+    assert.match(html, /2 data points ·\s*2025-10-20 → 2025-10-21/);
+    assert.match(html, /<h2>Largest Contentful Paint \(LCP\)<\/h2>/);
+    assert.match(html, /<h2>Performance Score<\/h2>/);
+    assert.ok(!html.includes('Time to Interactive'), 'charts without values are left out');
+
+    const lcpChart = renderTrendChart({ field: 'lcp', title: 'LCP', unit: 'ms', threshold: { GOOD: 2500, NEEDS_IMPROVEMENT: 4000 } }, mobileA.points);
+    assert.deepEqual([...lcpChart.matchAll(/class="band ([a-z-]+)"/g)].map(match => match[1]), ['good', 'needs-improvement', 'poor']);
+    const scoreChart = renderTrendChart({ field: 'performanceScore', title: 'Score', unit: 'score', bands: { GOOD: 90, NEEDS_IMPROVEMENT: 50 } }, mobileA.points);
+    assert.deepEqual([...scoreChart.matchAll(/class="band ([a-z-]+)"/g)].map(match => match[1]), ['poor', 'needs-improvement', 'good']);
+    assert.equal((lcpChart.match(/<circle /g) || []).length, 2);
+    assert.match(generateTrendReport(byDomain[0]), /2 data points \(daily average\)/);
+
+    const filePaths = await generateAndSaveTrendReports(byUrl, `${REPORTS_DIR}/trends`);
+    assert.deepEqual(filePaths.map(filePath => path.basename(filePath)), [
+      'trend_example.com-a_desktop.html',
+      'trend_example.com-a_mobile.html',
+      'trend_example.com-b_mobile.html',
+      'trend_example.org_mobile.html'
+    ]);
+    assert.equal(getTrendFilename({ key: 'example.com', device: 'mobile', throttling: { profile: 'slow-4g', method: 'devtools' } }),
+      'trend_example.com_mobile_slow-4g-devtools.html');
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: Stored data and the trends command
+    console.log('Test 4: Builds trends from stored audit data');
+    const url = 'https://example.com/';
+    const save = (lcp, timestamp) => saveAuditData(
+      createAudit({ url, requestedUrl: url, timestamp, lighthouseVersion: '13.0.0', deviceMode: 'mobile', auditDuration: 1000, status: 'success' }),
+      createMetrics({ lcp, inp: 100, cls: 0.02, ttfb: 300, tbt: 50, performanceScore: 92 }),
+      DATA_DIR, 'mobile', new Date(timestamp)
+    );
+    await save(1800, '2025-10-20T08:00:00.000Z');
+    await save(2200, '2025-10-21T08:00:00.000Z');
+    await saveAuditData(
+      createFailedAudit(url, 'Navigation timeout', 'mobile', 1000, '13.0.0', 0, 'timeout'),
+      null, DATA_DIR, 'mobile', new Date('2025-10-22T08:00:00.000Z')
+    );
+
+    const stored = await loadTrendSeries(DATA_DIR, { domain: 'example.com' });
+    assert.equal(stored.length, 1);
+    assert.deepEqual(stored[0].points.map(point => point.lcp), [1800, 2200]);
+
+    const logged = await captureLog(() => trendsCommand({ dataDir: DATA_DIR, reportsDir: REPORTS_DIR, groupBy: 'domain' }));
+    assert.ok(logged.some(line => /^✓ example.com \(mobile\) - 2 points → .*trend_example.com_mobile.html$/.test(line)));
+    assert.equal(logged.at(-1), `\n📈 1 trend report saved to: ${path.join(REPORTS_DIR, 'trends')}`);
+    await assert.rejects(() => trendsCommand({ dataDir: DATA_DIR, groupBy: 'page' }), /Group must be 'url' or 'domain' \(got: page\)/);
+    console.log('✓ Test 4 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  }
+}
+
+testTrends();
@@ -0,0 +1,107 @@
+/**
+ * Simple test script to verify the Lighthouse worker pool
+ * Run with: node tests/test-worker-pool.js
+ */
+
+import assert from 'assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createWorkerPool } from '../src/services/worker-pool.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const workerPath = join(__dirname, 'fixtures/fake-lighthouse-worker.js');
+
+// A killed child that has not been reaped yet is a zombie, not a running Chrome
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+
+  try {
+    const stat = readFileSync(`/proc/${pid}/stat`, 'utf-8');
+    return stat.split(') ')[1]?.[0] !== 'Z';
+  } catch {
+    return true;
+  }
+}
+
+async function testWorkerPool() {
+  console.log('Testing worker pool...\n');
+  const pools = [];
+
+  try {
+    // Test 1: Workers are reused and recycled after N audits
+    console.log('Test 1: Reuses workers and recycles them');
+    const pool = createWorkerPool({ size: 1, recycleAfter: 2, workerPath });
+    pools.push(pool);
+    const first = await pool.run('https://example.com/1', {}, 5000);
+    const second = await pool.run('https://example.com/2', {}, 5000);
+    const third = await pool.run('https://example.com/3', {}, 5000);
+    assert.equal(first.threadId, second.threadId, 'same worker for consecutive audits');
+    assert.equal(second.audits, 2);
+    assert.notEqual(third.threadId, second.threadId, 'worker replaced after 2 audits');
+    assert.deepEqual(pool.getStats(), { started: 2, recycled: 1, crashed: 0, active: 1 });
+    console.log('✓ Test 1 passed\n');
+
+    // Test 2: Pool size limits concurrent workers
+    console.log('Test 2: Sized to concurrency');
+    const wide = createWorkerPool({ size: 2, workerPath });
+    pools.push(wide);
+    const batch = await Promise.all(
+      ['a', 'b', 'c', 'd', 'e'].map(page => wide.run(`https://example.com/${page}`, {}, 5000))
+    );
+    assert.equal(new Set(batch.map(result => result.threadId)).size, 2);
+    assert.equal(wide.getStats().started, 2);
+    console.log('✓ Test 2 passed\n');
+
+    // Test 3: Crashed and stuck workers are replaced and their Chrome is killed
+    console.log('Test 3: Replaces crashed and stuck workers');
+    const fragile = createWorkerPool({ size: 1, workerPath });
+    pools.push(fragile);
+    await assert.rejects(fragile.run('https://example.com/crash', {}, 5000), /Worker exited with code 1/);
+
+    const warm = await fragile.run('https://example.com/ok', {}, 5000);
+    await assert.rejects(fragile.run('https://example.com/hang', {}, 300), /Worker timeout/);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(isRunning(warm.chromePid), false, 'Chrome of the stuck worker was killed');
+
+    const recovered = await fragile.run('https://example.com/after', {}, 5000);
+    assert.equal(recovered.success, true);
+    assert.equal(fragile.getStats().crashed, 2);
+    console.log('✓ Test 3 passed\n');
+
+    // Test 4: destroy() stops workers and their Chrome
+    console.log('Test 4: Destroys the pool');
+    const last = await pool.run('https://example.com/4', {}, 5000);
+    await pool.destroy();
+    assert.equal(isRunning(last.chromePid), false);
+    await assert.rejects(pool.run('https://example.com/5', {}, 5000), /destroyed/);
+    console.log('✓ Test 4 passed\n');
+
+    // Test 5: Forced destroy kills Chrome without waiting for busy workers
+    console.log('Test 5: Force-destroys busy workers');
+    const busy = createWorkerPool({ size: 1, workerPath });
+    pools.push(busy);
+    const { chromePid } = await busy.run('https://example.com/warm', {}, 5000);
+    const stuck = assert.rejects(busy.run('https://example.com/hang', {}, 60000), /destroyed/);
+    const forcedAt = Date.now();
+    await busy.destroy({ force: true });
+    await stuck;
+    assert.ok(Date.now() - forcedAt < 2000, 'did not wait for the shutdown grace period');
+    assert.equal(isRunning(chromePid), false);
+    console.log('✓ Test 5 passed\n');
+
+    console.log('All tests passed!');
+  } catch (error) {
+    console.error('Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await Promise.all(pools.map(p => p.destroy()));
+  }
+}
+
+testWorkerPool();